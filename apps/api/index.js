@@ -4,8 +4,10 @@ const express = require('express');
 const http = require('http');
 const { Server } = require('socket.io');
 const cors = require('cors');
+const crypto = require('crypto');
 const PersistenceManager = require('./src/persistence/PersistenceManager');
-const { DataValidator } = require('./src/persistence/PersistenceAdapter');
+const { DataValidator, DEFAULT_MAX_VERSIONS } = require('./src/persistence/PersistenceAdapter');
+const { createBlobStore, MemoryBlobStore, BlobStoreFullError } = require('./src/blobs');
 
 const NODE_ENV = process.env.NODE_ENV || 'development';
 const DEFAULT_DEV_ORIGIN = 'http://localhost:5173';
@@ -35,7 +37,7 @@ app.get('/health', async (req, res) => {
     status: 'ok',
     timestamp: new Date().toISOString(),
     connections: io.engine.clientsCount,
-    rooms: chainStore.size,
+    rooms: getMemoryRoomIds().size,
     persistence: {
       enabled: !!persistenceManager,
       healthy: false,
@@ -59,10 +61,11 @@ app.get('/health', async (req, res) => {
 app.get('/stats', async (req, res) => {
   const stats = {
     activeConnections: io.engine.clientsCount,
-    activeRooms: chainStore.size,
+    activeRooms: getMemoryRoomIds().size,
     uptime: process.uptime(),
     memory: process.memoryUsage(),
-    persistence: null
+    persistence: null,
+    attachments: null
   };
 
   if (persistenceManager) {
@@ -73,9 +76,79 @@ app.get('/stats', async (req, res) => {
     }
   }
 
+  try {
+    stats.attachments = await attachmentStore.getStats();
+  } catch (error) {
+    stats.attachments = { error: error.message };
+  }
+
   res.json(stats);
 });
 
+// 只读分享：笔记在客户端用随机密钥加密，密钥只在链接的 # 片段里，服务器只保存密文
+app.post('/shares', async (req, res) => {
+  if (!consumeShareQuota(req.ip)) {
+    return res.status(429).json({ error: 'Rate limit exceeded' });
+  }
+
+  const { encryptedData, expiresIn = null, burnAfterReading = false } = req.body || {};
+  if (!encryptedData || typeof encryptedData !== 'string') {
+    return res.status(400).json({ error: 'Invalid data format' });
+  }
+  if (Buffer.byteLength(encryptedData, 'utf8') > MAX_DATA_SIZE_BYTES) {
+    return res.status(413).json({ error: 'Data too large (max 5MB)' });
+  }
+  if (expiresIn !== null && (!Number.isInteger(expiresIn) || expiresIn < MIN_SHARE_TTL_MS || expiresIn > MAX_SHARE_TTL_MS)) {
+    return res.status(400).json({ error: 'Invalid share expiry' });
+  }
+  if (typeof burnAfterReading !== 'boolean') {
+    return res.status(400).json({ error: 'Invalid data format' });
+  }
+  if (!consumeShareBytes(req.ip, Buffer.byteLength(encryptedData, 'utf8'))) {
+    return res.status(429).json({ error: 'Share quota exceeded' });
+  }
+
+  // 每个分享都会过期：未指定有效期（包括旧客户端的"永久"）时使用最长有效期
+  const createdAt = Date.now();
+  const share = {
+    encryptedData,
+    createdAt,
+    expiresAt: createdAt + (expiresIn === null ? MAX_SHARE_TTL_MS : expiresIn),
+    burnAfterReading,
+  };
+  const shareId = crypto.randomBytes(16).toString('base64url');
+
+  if (!(await storeShare(shareId, share))) {
+    return res.status(503).json({ error: 'Share storage is full' });
+  }
+  res.status(201).json({ shareId, expiresAt: share.expiresAt });
+});
+
+// 分享的元数据（不含密文，也不会触发阅后即焚），查看页据此决定是否先提示用户
+app.get('/shares/:shareId/info', async (req, res) => {
+  const share = DataValidator.isValidShareId(req.params.shareId) ? await loadShare(req.params.shareId) : null;
+  if (!share) {
+    return res.status(404).json({ error: 'Share not found' });
+  }
+  const { createdAt, expiresAt, burnAfterReading } = share;
+  res.set('Cache-Control', 'no-store');
+  res.json({ createdAt, expiresAt, burnAfterReading });
+});
+
+app.get('/shares/:shareId', async (req, res) => {
+  const { shareId } = req.params;
+  let share = DataValidator.isValidShareId(shareId) ? await loadShare(shareId) : null;
+  // 阅后即焚：读取与删除必须是同一个原子操作，并发请求只有一个能拿到密文
+  if (share?.burnAfterReading) {
+    share = await takeShare(shareId);
+  }
+  if (!share) {
+    return res.status(404).json({ error: 'Share not found' });
+  }
+  res.set('Cache-Control', 'no-store');
+  res.json(share);
+});
+
 const server = http.createServer(app);
 const io = new Server(server, {
   cors: {
@@ -92,6 +165,9 @@ const io = new Server(server, {
 // 持久化存储管理器
 let persistenceManager;
 
+// 每条历史（整库数据或单条笔记）保留的版本数量
+const MAX_VERSIONS = Number(process.env.MAX_ROOM_VERSIONS) || DEFAULT_MAX_VERSIONS;
+
 // 初始化持久化存储
 async function initializePersistence() {
   persistenceManager = new PersistenceManager({
@@ -101,10 +177,12 @@ async function initializePersistence() {
       host: process.env.REDIS_HOST || 'localhost',
       port: process.env.REDIS_PORT || 6379,
       password: process.env.REDIS_PASSWORD,
-      db: process.env.REDIS_DB || 0
+      db: process.env.REDIS_DB || 0,
+      maxVersions: MAX_VERSIONS
     },
     sqlite: {
-      dbPath: process.env.SQLITE_DB_PATH || './data/notesync.db'
+      dbPath: process.env.SQLITE_DB_PATH || './data/notesync.db',
+      maxVersions: MAX_VERSIONS
     }
   });
 
@@ -119,6 +197,34 @@ async function initializePersistence() {
   }
 }
 
+// 附件存储（只保存密文块）：启动时按 ATTACHMENT_STORAGE 初始化，失败时使用内存存储
+// 容量上限：内存存储、文件系统/SQLite 存储的总量，以及每个房间的用量
+const MAX_MEMORY_ATTACHMENT_BYTES = (Number(process.env.MAX_MEMORY_ATTACHMENT_MB) || 100) * 1024 * 1024;
+const MAX_ATTACHMENT_STORAGE_BYTES = (Number(process.env.MAX_ATTACHMENT_STORAGE_MB) || 10 * 1024) * 1024 * 1024;
+const MAX_ROOM_ATTACHMENT_BYTES = (Number(process.env.MAX_ROOM_ATTACHMENT_MB) || 500) * 1024 * 1024;
+let attachmentStore = new MemoryBlobStore({
+  maxBytes: MAX_MEMORY_ATTACHMENT_BYTES,
+  maxRoomBytes: MAX_ROOM_ATTACHMENT_BYTES
+});
+
+async function initializeAttachmentStore() {
+  const type = process.env.ATTACHMENT_STORAGE || 'filesystem';
+  try {
+    const store = createBlobStore({
+      type,
+      path: process.env.ATTACHMENT_STORAGE_PATH,
+      maxBytes: type === 'memory' ? MAX_MEMORY_ATTACHMENT_BYTES : MAX_ATTACHMENT_STORAGE_BYTES,
+      maxRoomBytes: MAX_ROOM_ATTACHMENT_BYTES
+    });
+    await store.connect();
+    attachmentStore = store;
+    console.log(`✅ Attachment storage initialized (${type})`);
+  } catch (error) {
+    console.error('❌ Failed to initialize attachment storage:', error);
+    console.log('🔄 Falling back to in-memory attachment storage');
+  }
+}
+
 // 内存存储作为最后的备用方案
 // Key: RoomID (Public Hash), Value: { encryptedData, timestamp, deviceName }
 const chainStore = new Map();
@@ -126,223 +232,1900 @@ const chainStore = new Map();
 // Track socket metadata: socketId -> { roomId, deviceName, joinedAt }
 const socketMeta = new Map();
 
-// Chunked transfer storage: sessionId -> { chunks: [], total, received }
+// 逐条笔记存储（内存备用）: RoomID -> Map(noteId -> EncryptedNoteData)
+const noteStore = new Map();
+
+// 历史版本（内存备用）: RoomID -> Map(noteId | '' -> EncryptedVersion[]，最新在前)
+const versionStore = new Map();
+
+// 操作日志（内存备用）: RoomID -> Operation[]（按序号递增）
+const logStore = new Map();
+
+// 房间最新操作序号（内存备用）: RoomID -> number
+const sequenceStore = new Map();
+
+// 每个房间保留的操作日志条数（与持久化适配器一致）
+const MAX_LOG_ENTRIES = 1000;
+
+// 每个房间正在进行的整库写入: RoomID -> Promise（串行化版本检查与保存）
+const roomWriteLocks = new Map();
+
+// 房间写入公钥（内存备用）: RoomID -> Ed25519 公钥（base64），认领后不再清除
+const roomKeyStore = new Map();
+
+// 房间设备登记（内存备用 / 缓存）: RoomID -> Map(deviceId -> DeviceRecord)
+const deviceStore = new Map();
+
+// 只读分享的内存备用存储：shareId -> { encryptedData, createdAt, expiresAt, burnAfterReading }
+const shareStore = new Map();
+
+// 每个 IP 创建分享的频率限制：ip -> { window, count }
+const shareRateLimits = new Map();
+
+// 每个 IP 以及全部客户端每天可以创建的分享字节数：ip -> { window, bytes }
+const shareByteQuotas = new Map();
+const globalShareBytes = { window: 0, bytes: 0 };
+
+// Chunked transfer storage: `${roomId}:${sessionId}` -> { roomId, target, digest, chunks: [], total, received, bytes, senders, startTime, updatedAt }
 const chunkStore = new Map();
 
+// Bytes buffered by unfinished chunk sessions: RoomID / socket id -> bytes
+const bufferedRoomBytes = new Map();
+const bufferedSocketBytes = new Map();
+
+function addBufferedBytes(counts, key, delta) {
+  const bytes = (counts.get(key) || 0) + delta;
+  if (bytes > 0) {
+    counts.set(key, bytes);
+  } else {
+    counts.delete(key);
+  }
+}
+
+// Release what a chunk session buffered once it completes, expires or is dropped
+function releaseChunkSession(session) {
+  addBufferedBytes(bufferedRoomBytes, session.roomId, -session.bytes);
+  for (const [socketId, bytes] of session.senders) {
+    addBufferedBytes(bufferedSocketBytes, socketId, -bytes);
+  }
+  session.bytes = 0;
+  session.senders.clear();
+}
+
+function deleteChunkSession(sessionKey) {
+  const session = chunkStore.get(sessionKey);
+  if (session) {
+    releaseChunkSession(session);
+    chunkStore.delete(sessionKey);
+  }
+}
+
 const ROOM_TTL_MS = Number(process.env.ROOM_TTL_MS) || 24 * 60 * 60 * 1000;
 
-// Cleanup old chunk sessions (older than 5 minutes)
+// Cleanup chunk sessions that received nothing for 5 minutes, and signatures that can no longer be replayed
 const chunkCleanupTimer = setInterval(() => {
   const now = Date.now();
-  for (const [sessionId, session] of chunkStore.entries()) {
-    if (now - session.startTime > 5 * 60 * 1000) {
-      chunkStore.delete(sessionId);
-      console.log(`Cleaned up stale chunk session: ${sessionId}`);
+  for (const [sessionKey, session] of chunkStore.entries()) {
+    if (now - session.updatedAt > 5 * 60 * 1000) {
+      deleteChunkSession(sessionKey);
+      console.log(`Cleaned up stale chunk session: ${sessionKey}`);
+    }
+  }
+  for (const [signature, used] of usedSignatures.entries()) {
+    if (used.expiresAt <= now) {
+      usedSignatures.delete(signature);
     }
   }
 }, 60000);
 chunkCleanupTimer.unref?.();
 
+// 房间最后活动时间: RoomID -> timestamp（加入、写入或轮换时更新，笔记本模式的房间也在内）
+const roomActivity = new Map();
+
+function touchRoom(roomId) {
+  roomActivity.set(roomId, Date.now());
+}
+
+// Room ids held by any in-memory store; claimed write keys are not counted since they are never evicted
+function getMemoryRoomIds() {
+  return new Set([
+    ...roomActivity.keys(),
+    ...chainStore.keys(),
+    ...noteStore.keys(),
+    ...versionStore.keys(),
+    ...logStore.keys(),
+    ...sequenceStore.keys(),
+    ...deviceStore.keys(),
+  ]);
+}
+
+function hasConnectedClients(roomId) {
+  const clients = io.sockets.adapter.rooms.get(roomId);
+  return Boolean(clients && clients.size > 0);
+}
+
+function evictRoom(roomId) {
+  chainStore.delete(roomId);
+  noteStore.delete(roomId);
+  versionStore.delete(roomId);
+  logStore.delete(roomId);
+  sequenceStore.delete(roomId);
+  deviceStore.delete(roomId);
+  roomActivity.delete(roomId);
+}
+
+// 房间的数据是否仍保存在持久化存储中；查询失败时按仍然保存处理，不删除附件
+async function isRoomPersisted(roomId) {
+  if (!persistenceManager) {
+    return false;
+  }
+  try {
+    return Boolean(await persistenceManager.getRoom(roomId)) || (await persistenceManager.getNotes(roomId)).length > 0;
+  } catch (error) {
+    console.error('Failed to check persisted room:', error);
+    return true;
+  }
+}
+
+// 删除已过期房间的附件：房间不在内存中、没有持久化数据，且最近一次上传早于 TTL
+// （持久化存储中的房间会自行过期，重启后内存中的房间也不复存在）
+async function deleteExpiredAttachments(now) {
+  const memoryRooms = getMemoryRoomIds();
+  let deleted = 0;
+  for (const { roomId, updatedAt } of await attachmentStore.listRooms()) {
+    if (
+      memoryRooms.has(roomId) ||
+      hasConnectedClients(roomId) ||
+      now - updatedAt <= ROOM_TTL_MS ||
+      await isRoomPersisted(roomId)
+    ) {
+      continue;
+    }
+    await attachmentStore.deleteRoom(roomId);
+    deleted++;
+  }
+  return deleted;
+}
+
 // Cleanup stale rooms — runs every 30 minutes
-// Removes rooms with no connected clients that are older than TTL.
+// Removes rooms with no connected clients whose last activity is older than TTL.
+// Claimed write keys are kept, otherwise an evicted room could be claimed again by anyone.
+// Without persistence an evicted room is gone for good, so its attachments are deleted with it.
 // Also enforces a hard cap on total in-memory rooms to prevent unbounded growth.
 const MAX_MEMORY_ROOMS = Number(process.env.MAX_MEMORY_ROOMS) || 10000;
 
-const roomCleanupTimer = setInterval(() => {
-  const now = Date.now();
+async function cleanupRooms(now = Date.now()) {
   let evictedTTL = 0;
   let evictedCap = 0;
+  let expiredAttachments = 0;
+  const evicted = [];
+
+  // Rooms that never recorded activity (e.g. only cached from persistence) count as idle
+  const rooms = [...getMemoryRoomIds()]
+    .map((roomId) => [roomId, roomActivity.get(roomId) || 0])
+    .sort((a, b) => a[1] - b[1]);
+  let remaining = rooms.length;
 
   // Phase 1: evict expired rooms with no clients
-  for (const [roomId, data] of chainStore.entries()) {
-    if (now - data.timestamp > ROOM_TTL_MS) {
-      const clients = io.sockets.adapter.rooms.get(roomId);
-      if (!clients || clients.size === 0) {
-        chainStore.delete(roomId);
-        evictedTTL++;
-      }
+  // Phase 2: if still over capacity, evict oldest rooms without clients
+  for (const [roomId, lastActive] of rooms) {
+    const expired = now - lastActive > ROOM_TTL_MS;
+    if (!expired && remaining <= MAX_MEMORY_ROOMS) break;
+    if (hasConnectedClients(roomId)) continue;
+    evictRoom(roomId);
+    evicted.push(roomId);
+    remaining--;
+    if (expired) {
+      evictedTTL++;
+    } else {
+      evictedCap++;
     }
   }
 
-  // Phase 2: if still over capacity, evict oldest rooms without clients
-  if (chainStore.size > MAX_MEMORY_ROOMS) {
-    const sorted = [...chainStore.entries()]
-      .sort((a, b) => a[1].timestamp - b[1].timestamp);
-    for (const [roomId] of sorted) {
-      if (chainStore.size <= MAX_MEMORY_ROOMS) break;
-      const clients = io.sockets.adapter.rooms.get(roomId);
-      if (!clients || clients.size === 0) {
-        chainStore.delete(roomId);
-        evictedCap++;
+  for (const [shareId, share] of shareStore.entries()) {
+    if (share.expiresAt !== null && share.expiresAt <= now) {
+      shareStore.delete(shareId);
+    }
+  }
+  for (const [ip, rate] of shareRateLimits.entries()) {
+    if (now - rate.window > 60000) {
+      shareRateLimits.delete(ip);
+    }
+  }
+  for (const [ip, quota] of shareByteQuotas.entries()) {
+    if (now - quota.window > SHARE_QUOTA_WINDOW_MS) {
+      shareByteQuotas.delete(ip);
+    }
+  }
+
+  try {
+    if (!persistenceManager) {
+      for (const roomId of evicted) {
+        await attachmentStore.deleteRoom(roomId);
       }
     }
+    expiredAttachments = await deleteExpiredAttachments(now);
+  } catch (error) {
+    console.error('Failed to delete attachments of expired rooms:', error);
   }
+  attachmentStore.deleteIncomplete(now - ATTACHMENT_UPLOAD_TTL_MS).catch((error) => {
+    console.error('Failed to clean up unfinished attachment uploads:', error);
+  });
 
-  if (evictedTTL + evictedCap > 0) {
-    console.log(`Room cleanup: ${evictedTTL} expired, ${evictedCap} over-cap. Remaining: ${chainStore.size}`);
+  if (evictedTTL + evictedCap + expiredAttachments > 0) {
+    console.log(`Room cleanup: ${evictedTTL} expired, ${evictedCap} over-cap, ${expiredAttachments} attachment rooms expired. Remaining: ${remaining}`);
   }
-}, 30 * 60 * 1000);
+  return { evictedTTL, evictedCap, expiredAttachments };
+}
+
+const roomCleanupTimer = setInterval(cleanupRooms, 30 * 60 * 1000);
 roomCleanupTimer.unref?.();
 
 // Chunk size for validation (5MB in bytes)
 const MAX_DATA_SIZE_BYTES = 5 * 1024 * 1024;
 
-function handleSocketConnection(socket) {
-  console.log(`[${new Date().toISOString()}] User connected: ${socket.id}`);
+// Max write events (push-update / push-note / delete-note) per socket per minute
+const MAX_WRITES_PER_MINUTE = 30;
 
-  // Join a specific sync chain
-  socket.on('join-chain', async (payload = {}) => {
-    const { roomId, deviceName } = payload;
-    try {
-      // Validate input
-      if (!DataValidator.isValidRoomId(roomId)) {
-        socket.emit('error', { message: 'Invalid room ID' });
-        return;
-      }
+// Validate room membership for a write, emitting the error to the socket.
+// Returns the socket metadata on success, null otherwise.
+function getWriterMeta(socket, roomId) {
+  const meta = socketMeta.get(socket.id);
+  if (!meta || meta.roomId !== roomId) {
+    socket.emit('error', { message: 'Not a member of this room' });
+    return null;
+  }
+  if (isRotatedRoom(roomId)) {
+    socket.emit('error', { message: 'Chain was rotated' });
+    return null;
+  }
+  touchRoom(roomId);
+  return meta;
+}
 
-      // Sanitize device name - remove dangerous characters
-      const sanitizedDeviceName = (typeof deviceName === 'string' && deviceName.trim())
-        ? deviceName.trim()
-            .substring(0, 50)
-            .replace(/[<>'"&]/g, '') // Remove potentially dangerous characters
-        : 'Unknown Device';
+// 同步链已轮换：房间里只剩一个墓碑（不含新链的任何信息）
+function isRotatedRoom(roomId) {
+  return Boolean(chainStore.get(roomId)?.rotated);
+}
 
-      // Leave previous room if any
-      if (socketMeta.has(socket.id)) {
-        const oldRoom = socketMeta.get(socket.id).roomId;
-        socket.leave(oldRoom);
-        updateRoomMembers(oldRoom);
-      }
+function rejectRotatedRoom(socket, roomId, tombstone) {
+  socketMeta.delete(socket.id);
+  socket.leave(roomId);
+  socket.emit('chain-rotated', { rotatedAt: tombstone.timestamp, deviceName: tombstone.deviceName });
+}
 
-      socket.join(roomId);
-      // Store metadata for this socket
-      socketMeta.set(socket.id, {
-        roomId,
-        deviceName: sanitizedDeviceName,
-        joinedAt: Date.now()
-      });
+// Validate encryptedData size to prevent DoS (max 5MB in bytes)
+function isAcceptableEncryptedData(socket, encryptedData) {
+  if (!encryptedData || typeof encryptedData !== 'string') {
+    socket.emit('error', { message: 'Invalid data format' });
+    return false;
+  }
+  // Use Buffer.byteLength for accurate byte count (handles Unicode correctly)
+  const dataByteSize = Buffer.byteLength(encryptedData, 'utf8');
+  if (dataByteSize > MAX_DATA_SIZE_BYTES) {
+    socket.emit('error', { message: `Data too large (max ${MAX_DATA_SIZE_BYTES / 1024 / 1024}MB)` });
+    return false;
+  }
+  return true;
+}
 
-      console.log(`[${new Date().toISOString()}] Socket ${socket.id} (${sanitizedDeviceName}) joined chain: ${roomId.substring(0, 8)}...`);
+// Write authorization: clients sign every persisted write with an Ed25519 key derived
+// from the mnemonic. The first signed write from a socket that proved the room (see
+// isValidRoomProof) claims the room for that public key; after that only writes signed
+// by it are accepted. Rooms without a key (written by older clients) still accept
+// unsigned writes until a signing client claims them.
+const ED25519_PUBLIC_KEY_BYTES = 32;
+const ED25519_SIGNATURE_BYTES = 64;
+
+// Signed writes other than note writes carry the sender's clock; older ones are replays
+const MAX_CLOCK_SKEW_MS = 10 * 60 * 1000;
+
+// Note writes are signed with the note's own timestamp, which is checked against the stored note instead
+const NOTE_WRITE_EVENTS = new Set(['push-note', 'delete-note']);
+
+// Signatures of accepted writes: signature -> { expiresAt, scope }. A signature is only
+// remembered while its timestamp could still pass isFreshWriteTimestamp (for note writes,
+// while it could still be newer than the stored note).
+const usedSignatures = new Map();
+
+// 房间ID是 roomProof 的 SHA-256，roomProof 由助记词派生；只知道房间ID的人无法给出它
+function isValidRoomProof(roomId, roomProof) {
+  return typeof roomProof === 'string' && roomProof.length <= 128 &&
+    crypto.createHash('sha256').update(roomProof, 'utf8').digest('hex') === roomId;
+}
 
-      // 1. Send existing data to the new device
-      let existingData = null;
+// 签名写入的时间戳必须存在（签名覆盖它，缺失时服务器无法判断是否重放）；
+// 非笔记写入还必须在允许的时钟偏差之内
+function isFreshWriteTimestamp(event, timestamp) {
+  if (typeof timestamp !== 'number' || !(timestamp > 0)) {
+    return false;
+  }
+  return NOTE_WRITE_EVENTS.has(event) || Math.abs(Date.now() - timestamp) <= MAX_CLOCK_SKEW_MS;
+}
 
-      // 尝试从持久化存储获取数据
-      if (persistenceManager) {
-        try {
-          existingData = await persistenceManager.getRoom(roomId);
-        } catch (error) {
-          console.error('Failed to get room from persistence:', error);
-        }
-      }
+// 密文的 SHA-256（十六进制）；分块写入的每个块都带着完整密文的摘要，签名在缓存第一个块之前就能验证
+function contentDigest(encryptedData) {
+  return crypto.createHash('sha256').update(encryptedData || '', 'utf8').digest('hex');
+}
 
-      // 如果持久化存储没有数据，尝试内存存储
-      if (!existingData && chainStore.has(roomId)) {
-        existingData = chainStore.get(roomId);
-      }
+function isValidDigest(digest) {
+  return typeof digest === 'string' && /^[0-9a-f]{64}$/.test(digest);
+}
 
-      if (existingData) {
-        socket.emit('sync-update', existingData);
-      }
+// 签名内容：事件、房间、笔记、时间戳、密文的 SHA-256 和基准版本（与客户端 signWrite 一致）
+function writeSignatureMessage(event, { roomId, noteId, timestamp, baseVersion }, digest) {
+  return Buffer.from(
+    JSON.stringify([event, roomId, noteId ?? null, timestamp ?? null, digest, baseVersion ?? null]),
+    'utf8'
+  );
+}
 
-      // 2. Broadcast updated member list to everyone in the room
-      updateRoomMembers(roomId);
+// 每个签名只能用于一次写入，重放的签名返回 false。
+// 分块上传的每个块都带着同一个签名，所以同一个分块会话（scope）内可以重复出现
+function consumeSignature(socket, { signature, timestamp }, scope) {
+  const used = usedSignatures.get(signature);
+  if (used && (scope === null || used.scope !== scope)) {
+    socket.emit('error', { message: 'Replayed write' });
+    return false;
+  }
+
+  usedSignatures.set(signature, { expiresAt: Math.max(Date.now(), timestamp) + MAX_CLOCK_SKEW_MS, scope });
+  return true;
+}
+
+function decodeBase64(value, length) {
+  if (typeof value !== 'string') {
+    return null;
+  }
+  const bytes = Buffer.from(value, 'base64');
+  return bytes.length === length ? bytes : null;
+}
+
+function isValidWriteSignature(publicKey, message, signature) {
+  const keyBytes = decodeBase64(publicKey, ED25519_PUBLIC_KEY_BYTES);
+  const signatureBytes = decodeBase64(signature, ED25519_SIGNATURE_BYTES);
+  if (!keyBytes || !signatureBytes) {
+    return false;
+  }
+
+  try {
+    const key = crypto.createPublicKey({
+      key: { kty: 'OKP', crv: 'Ed25519', x: keyBytes.toString('base64url') },
+      format: 'jwk',
+    });
+    return crypto.verify(null, message, key, signatureBytes);
+  } catch {
+    return false;
+  }
+}
+
+// 读取房间的写入公钥：优先持久化存储，其次内存
+async function loadRoomPublicKey(roomId) {
+  if (persistenceManager) {
+    try {
+      const publicKey = await persistenceManager.getRoomPublicKey(roomId);
+      if (publicKey) {
+        return publicKey;
+      }
     } catch (error) {
-      console.error('Error in join-chain:', error);
-      socket.emit('error', { message: 'Failed to join chain' });
+      console.error('Failed to get room public key from persistence:', error);
     }
-  });
+  }
 
-  // Receive an update from a client (supports chunked transfer)
-  socket.on('push-update', async ({ roomId, encryptedData, timestamp, _chunkIndex, _totalChunks }) => {
+  return roomKeyStore.get(roomId) || null;
+}
+
+// 记住第一次签名写入的公钥，返回房间实际生效的公钥（并发的第一次写入只有一个生效）
+async function claimRoomPublicKey(roomId, publicKey) {
+  let owner = publicKey;
+  if (persistenceManager) {
     try {
-      // Validate room membership
-      const meta = socketMeta.get(socket.id);
-      if (!meta || meta.roomId !== roomId) {
-        socket.emit('error', { message: 'Not a member of this room' });
-        return;
-      }
+      owner = await persistenceManager.claimRoomPublicKey(roomId, publicKey);
+    } catch (error) {
+      console.error('Failed to save room public key to persistence:', error);
+    }
+  }
 
-      // Validate encryptedData size to prevent DoS (max 5MB in bytes)
-      if (!encryptedData || typeof encryptedData !== 'string') {
-        socket.emit('error', { message: 'Invalid data format' });
-        return;
-      }
-      // Use Buffer.byteLength for accurate byte count (handles Unicode correctly)
-      const dataByteSize = Buffer.byteLength(encryptedData, 'utf8');
-      if (dataByteSize > MAX_DATA_SIZE_BYTES) {
-        socket.emit('error', { message: `Data too large (max ${MAX_DATA_SIZE_BYTES / 1024 / 1024}MB)` });
-        return;
-      }
+  if (!roomKeyStore.has(roomId)) {
+    roomKeyStore.set(roomId, owner);
+  }
+  return roomKeyStore.get(roomId);
+}
 
-      // Rate limiting: max 30 updates per minute per socket
-      const now = Date.now();
-      if (!meta._rateWindow || now - meta._rateWindow > 60000) {
-        meta._rateWindow = now;
-        meta._rateCount = 0;
-      }
-      meta._rateCount = (meta._rateCount || 0) + 1;
-      if (meta._rateCount > 30) {
-        socket.emit('error', { message: 'Rate limit exceeded' });
-        return;
-      }
+// Check a signature by the chain key, emitting the error to the socket.
+// `update` carries roomId / noteId / timestamp and the client's publicKey + signature.
+// A room without a key is only claimed when the socket proved the room on join;
+// otherwise a valid signature is accepted like an unsigned write.
+async function verifyRoomSignature(socket, event, update, digest) {
+  const { roomId, publicKey, signature } = update;
+  const roomPublicKey = await loadRoomPublicKey(roomId);
+  if (!roomPublicKey && signature === undefined) {
+    return true;
+  }
 
-      const payload = {
-        encryptedData,
-        timestamp: typeof timestamp === 'number' ? timestamp : Date.now(),
-        deviceName: meta.deviceName,
-        version: Date.now(),
-      };
+  const message = writeSignatureMessage(event, update, digest);
+  const claimable = !roomPublicKey && Boolean(socketMeta.get(socket.id)?.roomProven);
+  const authorized = isValidWriteSignature(roomPublicKey || publicKey, message, signature) &&
+    (!claimable || await claimRoomPublicKey(roomId, publicKey) === publicKey);
+  if (!authorized) {
+    socket.emit('error', { message: 'Invalid write signature' });
+  }
+  return authorized;
+}
 
-      // 保存到内存存储
-      chainStore.set(roomId, payload);
+// Check the signature of a write, emitting the error to the socket.
+// `digest` is the SHA-256 of the complete ciphertext (see contentDigest). Every signature is
+// accepted once; `replayScope` names the chunk session whose chunks may repeat it.
+// Registered devices sign with their own device key; other (older) clients sign with the chain key,
+// but only until the first device registers. After that a client that joins without registering
+// (for example a removed device that still knows the mnemonic) can no longer write.
+async function authorizeWrite(socket, event, update, digest, replayScope = null) {
+  const meta = socketMeta.get(socket.id);
+  await meta?.deviceReady;
+  if (socketMeta.get(socket.id) !== meta) {
+    socket.emit('error', { message: 'Not a member of this room' });
+    return false;
+  }
+  const devices = await loadRoomDevices(update.roomId);
+  const device = meta?.deviceId ? devices.get(meta.deviceId) : null;
+  if (device?.revokedAt) {
+    socket.emit('error', { message: 'Device was removed' });
+    return false;
+  }
+  if (update.signature !== undefined && !isFreshWriteTimestamp(event, update.timestamp)) {
+    socket.emit('error', { message: 'Stale write timestamp' });
+    return false;
+  }
 
-      // 尝试保存到持久化存储
-      if (persistenceManager) {
-        try {
-          await persistenceManager.saveRoom(roomId, payload);
-        } catch (error) {
-          console.error('Failed to save room to persistence:', error);
-          // 持久化失败不影响实时同步
-        }
-      }
+  if (device && update.publicKey === device.publicKey) {
+    const message = writeSignatureMessage(event, update, digest);
+    if (!isValidWriteSignature(device.publicKey, message, update.signature)) {
+      socket.emit('error', { message: 'Invalid write signature' });
+      return false;
+    }
+    return consumeSignature(socket, update, replayScope);
+  }
+  if (devices.size > 0) {
+    socket.emit('error', { message: 'Device not registered' });
+    return false;
+  }
+  if (!(await verifyRoomSignature(socket, event, update, digest))) {
+    return false;
+  }
+  return update.signature === undefined || consumeSignature(socket, update, replayScope);
+}
 
-      // Broadcast to everyone else in the chain
-      socket.to(roomId).emit('sync-update', payload);
+// 读取房间的设备登记：优先持久化存储，成功读取后缓存在内存里
+async function loadRoomDevices(roomId) {
+  if (deviceStore.has(roomId)) {
+    return deviceStore.get(roomId);
+  }
 
-      // Acknowledge receipt
-      socket.emit('update-ack', { timestamp, success: true });
+  let devices = new Map();
+  if (persistenceManager) {
+    try {
+      const records = await persistenceManager.getDevices(roomId);
+      devices = new Map(records.map((device) => [device.deviceId, device]));
     } catch (error) {
-      console.error('Error in push-update:', error);
-      socket.emit('error', { message: 'Failed to push update' });
+      console.error('Failed to get devices from persistence:', error);
+      // 不缓存，下次重新读取（避免丢失已移除设备的记录）
+      return devices;
     }
-  });
+  }
+  deviceStore.set(roomId, devices);
+  return devices;
+}
 
-  // Request sync (for reconnection scenarios)
-  socket.on('request-sync', async ({ roomId }) => {
-    try {
-      let existingData = null;
+// 保存设备记录到内存和持久化存储；持久化失败时抛出
+async function storeDevice(roomId, device) {
+  (await loadRoomDevices(roomId)).set(device.deviceId, device);
+  if (persistenceManager) {
+    await persistenceManager.saveDevice(roomId, device);
+  }
+}
 
-      // 尝试从持久化存储获取数据
-      if (persistenceManager) {
-        try {
-          existingData = await persistenceManager.getRoom(roomId);
-        } catch (error) {
-          console.error('Failed to get room from persistence:', error);
-        }
-      }
+// 登记加入的设备。设备公钥需由同步链密钥背书（证明持有助记词），已移除的设备不能再加入。
+// 返回设备记录；客户端未上报设备（旧版本）时返回 undefined；拒绝时返回 null
+async function registerDevice(socket, roomId, device, deviceName) {
+  if (device === undefined) {
+    return undefined;
+  }
 
-      // 如果持久化存储没有数据，尝试内存存储
-      if (!existingData && chainStore.has(roomId)) {
-        existingData = chainStore.get(roomId);
-      }
+  const { deviceId, publicKey, platform, endorsement } = device || {};
+  if (!DataValidator.isValidDeviceId(deviceId) || !decodeBase64(publicKey, ED25519_PUBLIC_KEY_BYTES)) {
+    socket.emit('error', { message: 'Invalid device' });
+    return null;
+  }
 
-      if (existingData) {
-        socket.emit('sync-update', existingData);
-      }
-    } catch (error) {
-      console.error('Error in request-sync:', error);
+  const devices = await loadRoomDevices(roomId);
+  const existing = devices.get(deviceId);
+  const revoked = [...devices.values()].find((entry) => (
+    entry.revokedAt && (entry.deviceId === deviceId || entry.publicKey === publicKey)
+  ));
+  if (revoked) {
+    socket.emit('device-removed', { deviceId, removedAt: revoked.revokedAt });
+    return null;
+  }
+  if (existing && existing.publicKey !== publicKey) {
+    socket.emit('error', { message: 'Invalid device' });
+    return null;
+  }
+  const signed = { roomId, noteId: deviceId, publicKey: endorsement?.publicKey, signature: endorsement?.signature };
+  if (!(await verifyRoomSignature(socket, 'register-device', signed, contentDigest(publicKey)))) {
+    return null;
+  }
+
+  const now = Date.now();
+  const record = {
+    deviceId,
+    deviceName,
+    platform: sanitizeLabel(platform, 'Unknown'),
+    publicKey,
+    firstSeen: existing?.firstSeen ?? now,
+    lastSeen: now,
+    revokedAt: null,
+  };
+  try {
+    await storeDevice(roomId, record);
+  } catch (error) {
+    console.error('Failed to save device to persistence:', error);
+  }
+  return record;
+}
+
+// 设备列表（不含公钥），online 表示当前有连接
+async function describeDevices(roomId) {
+  const onlineIds = new Set();
+  for (const entry of socketMeta.values()) {
+    if (entry.roomId === roomId && entry.deviceId) {
+      onlineIds.add(entry.deviceId);
+    }
+  }
+
+  return [...(await loadRoomDevices(roomId)).values()]
+    .sort((a, b) => a.firstSeen - b.firstSeen)
+    .map(({ deviceId, deviceName, platform, firstSeen, lastSeen, revokedAt }) => ({
+      deviceId,
+      deviceName,
+      platform,
+      firstSeen,
+      lastSeen,
+      revokedAt,
+      online: onlineIds.has(deviceId),
+    }));
+}
+
+// Sanitize a client supplied label (device name, platform) - remove dangerous characters
+function sanitizeLabel(value, fallback) {
+  return (typeof value === 'string' && value.trim())
+    ? value.trim()
+        .substring(0, 50)
+        .replace(/[<>'"&]/g, '')
+    : fallback;
+}
+
+// Max relayed CRDT messages (yjs-update / yjs-sync) per socket per minute.
+// These are small, frequent and never persisted, so they get their own bucket.
+const MAX_RELAYS_PER_MINUTE = 300;
+
+// Presence messages per socket per minute, and their max size (a note id, a selection and a flag)
+const MAX_PRESENCE_PER_MINUTE = 300;
+const MAX_PRESENCE_BYTES = 4096;
+
+// Attachments: files are encrypted client-side in chunks of ATTACHMENT_CHUNK_SIZE bytes
+const ATTACHMENT_CHUNK_SIZE = 256 * 1024;
+const MAX_ATTACHMENT_SIZE_BYTES = (Number(process.env.MAX_ATTACHMENT_SIZE_MB) || 25) * 1024 * 1024;
+const MAX_ATTACHMENT_CHUNKS = Math.ceil(MAX_ATTACHMENT_SIZE_BYTES / ATTACHMENT_CHUNK_SIZE);
+// base64 ciphertext of one chunk (IV, tag and encoding overhead included)
+const MAX_ATTACHMENT_CHUNK_BYTES = 512 * 1024;
+const MAX_ATTACHMENT_CHUNKS_PER_MINUTE = 600;
+// Uploads that are still missing chunks after this long are deleted
+const ATTACHMENT_UPLOAD_TTL_MS = 24 * 60 * 60 * 1000;
+
+// Max history reads (list-versions / fetch-version) per socket per minute
+const MAX_READS_PER_MINUTE = 60;
+
+// Chunked uploads: one write per session, plus a separate budget for the chunks themselves
+const MAX_CHUNKS_PER_MINUTE = 600;
+const MAX_CHUNKS_PER_SESSION = 500;
+const MAX_CHUNKED_DATA_BYTES = 4 * MAX_DATA_SIZE_BYTES;
+// Bytes of unfinished chunk sessions a socket or a room may keep buffered at once
+const MAX_BUFFERED_BYTES_PER_SOCKET = 2 * MAX_CHUNKED_DATA_BYTES;
+const MAX_BUFFERED_BYTES_PER_ROOM = 4 * MAX_CHUNKED_DATA_BYTES;
+const CHUNK_SESSION_ID_PATTERN = /^[A-Za-z0-9_-]{8,64}$/;
+
+// Rate limiting: max `limit` events per minute per socket and bucket
+function consumeWriteQuota(socket, meta, bucket = 'write', limit = MAX_WRITES_PER_MINUTE) {
+  const now = Date.now();
+  if (!meta._rateBuckets) {
+    meta._rateBuckets = {};
+  }
+  const rate = meta._rateBuckets[bucket] || (meta._rateBuckets[bucket] = { window: 0, count: 0 });
+  if (!rate.window || now - rate.window > 60000) {
+    rate.window = now;
+    rate.count = 0;
+  }
+  rate.count += 1;
+  if (rate.count > limit) {
+    socket.emit('error', { message: 'Rate limit exceeded' });
+    return false;
+  }
+  return true;
+}
+
+// Shares: created over HTTP without a room, so they are limited per client IP
+const MAX_SHARES_PER_MINUTE = 10;
+const MIN_SHARE_TTL_MS = 60 * 1000;
+const MAX_SHARE_TTL_MS = 30 * 24 * 60 * 60 * 1000;
+const MAX_MEMORY_SHARES = Number(process.env.MAX_MEMORY_SHARES) || 10000;
+// Share bytes a client IP, and all clients together, may upload per day. With every share
+// expiring after at most MAX_SHARE_TTL_MS this bounds the share storage.
+const SHARE_QUOTA_WINDOW_MS = 24 * 60 * 60 * 1000;
+const MAX_SHARE_BYTES_PER_IP = (Number(process.env.MAX_SHARE_MB_PER_IP) || 50) * 1024 * 1024;
+const MAX_SHARE_BYTES_PER_DAY = (Number(process.env.MAX_SHARE_MB_PER_DAY) || 1024) * 1024 * 1024;
+
+function consumeShareQuota(ip) {
+  const now = Date.now();
+  const rate = shareRateLimits.get(ip) || { window: 0, count: 0 };
+  if (!rate.window || now - rate.window > 60000) {
+    rate.window = now;
+    rate.count = 0;
+  }
+  rate.count += 1;
+  shareRateLimits.set(ip, rate);
+  return rate.count <= MAX_SHARES_PER_MINUTE;
+}
+
+// 计入分享字节配额；该 IP 或全部客户端当天的配额用完时返回 false
+function consumeShareBytes(ip, bytes) {
+  const now = Date.now();
+  const quota = shareByteQuotas.get(ip) || { window: 0, bytes: 0 };
+  for (const counter of [quota, globalShareBytes]) {
+    if (!counter.window || now - counter.window > SHARE_QUOTA_WINDOW_MS) {
+      counter.window = now;
+      counter.bytes = 0;
     }
+  }
+  if (quota.bytes + bytes > MAX_SHARE_BYTES_PER_IP || globalShareBytes.bytes + bytes > MAX_SHARE_BYTES_PER_DAY) {
+    return false;
+  }
+
+  quota.bytes += bytes;
+  globalShareBytes.bytes += bytes;
+  shareByteQuotas.set(ip, quota);
+  return true;
+}
+
+// 保存分享：优先持久化存储，失败或未启用时放在内存里；内存已满时返回 false
+async function storeShare(shareId, share) {
+  if (persistenceManager) {
+    try {
+      await persistenceManager.saveShare(shareId, share);
+      return true;
+    } catch (error) {
+      console.error('Failed to save share to persistence:', error);
+    }
+  }
+
+  if (shareStore.size >= MAX_MEMORY_SHARES) {
+    return false;
+  }
+  shareStore.set(shareId, share);
+  return true;
+}
+
+// 读取分享：优先持久化存储，其次内存；已过期的视为不存在
+async function loadShare(shareId) {
+  if (persistenceManager) {
+    try {
+      const share = await persistenceManager.getShare(shareId);
+      if (share) {
+        return share;
+      }
+    } catch (error) {
+      console.error('Failed to get share from persistence:', error);
+    }
+  }
+
+  const share = shareStore.get(shareId);
+  if (!share || (share.expiresAt !== null && share.expiresAt <= Date.now())) {
+    return null;
+  }
+  return share;
+}
+
+// 读取并删除分享：持久化存储中原子完成；内存中同步读取并删除，不会被并发请求打断
+async function takeShare(shareId) {
+  if (persistenceManager) {
+    try {
+      const share = await persistenceManager.takeShare(shareId);
+      if (share) {
+        return share;
+      }
+    } catch (error) {
+      console.error('Failed to take share from persistence:', error);
+    }
+  }
+
+  const share = shareStore.get(shareId);
+  shareStore.delete(shareId);
+  if (!share || (share.expiresAt !== null && share.expiresAt <= Date.now())) {
+    return null;
+  }
+  return share;
+}
+
+// 是否为多块传输中的一块（单块推送仍可能带 chunkIndex: 0 / totalChunks: 1）
+function isChunkedUpload(update) {
+  return typeof update.totalChunks === 'number' && update.totalChunks > 1;
+}
+
+// 缓存一个分块（按房间 + 会话ID，重连后可以继续上传），逐块回复 chunk-ack
+// 调用方已按块中携带的完整密文摘要验证过签名；拼接后的密文必须与该摘要一致。
+// 每个 socket 和每个房间缓存的字节数有上限，超出时拒绝该块，客户端稍后重连时补发。
+// 全部到齐后返回按序号拼接的完整密文；尚未到齐或校验失败时返回 null
+function bufferChunk(socket, meta, roomId, target, { sessionId, chunkIndex, totalChunks, digest, encryptedData }) {
+  if (typeof sessionId !== 'string' || !CHUNK_SESSION_ID_PATTERN.test(sessionId)) {
+    socket.emit('error', { message: 'Invalid chunk session' });
+    return null;
+  }
+
+  if (
+    !Number.isInteger(totalChunks) || totalChunks > MAX_CHUNKS_PER_SESSION ||
+    !Number.isInteger(chunkIndex) || chunkIndex < 0 || chunkIndex >= totalChunks
+  ) {
+    socket.emit('error', { message: 'Invalid chunk index' });
+    return null;
+  }
+
+  const sessionKey = `${roomId}:${sessionId}`;
+  let session = chunkStore.get(sessionKey);
+
+  if (session && (session.total !== totalChunks || session.target !== target || session.digest !== digest)) {
+    socket.emit('error', { message: 'Chunk session mismatch' });
+    return null;
+  }
+
+  // 已完成的会话：客户端没收到最后的确认而重发，只回复确认，不再重复写入
+  if (session?.completed) {
+    socket.emit('chunk-ack', { sessionId, chunkIndex, received: session.total, total: session.total });
+    return null;
+  }
+
+  const chunkBytes = Buffer.byteLength(encryptedData, 'utf8');
+  if (
+    session?.chunks[chunkIndex] === undefined && (
+      (bufferedRoomBytes.get(roomId) || 0) + chunkBytes > MAX_BUFFERED_BYTES_PER_ROOM ||
+      (bufferedSocketBytes.get(socket.id) || 0) + chunkBytes > MAX_BUFFERED_BYTES_PER_SOCKET
+    )
+  ) {
+    socket.emit('error', { message: 'Too many pending uploads' });
+    return null;
+  }
+
+  if (!consumeWriteQuota(socket, meta, 'chunk', MAX_CHUNKS_PER_MINUTE)) {
+    return null;
+  }
+
+  if (!session) {
+    // 整个会话只计一次写入
+    if (!consumeWriteQuota(socket, meta)) {
+      return null;
+    }
+    session = {
+      roomId,
+      target,
+      digest,
+      chunks: new Array(totalChunks),
+      total: totalChunks,
+      received: 0,
+      bytes: 0,
+      senders: new Map(),
+      startTime: Date.now(),
+      updatedAt: Date.now(),
+    };
+    chunkStore.set(sessionKey, session);
+  }
+
+  // 重发的块（例如重连后）只确认，不重复计数
+  if (session.chunks[chunkIndex] === undefined) {
+    if (session.bytes + chunkBytes > MAX_CHUNKED_DATA_BYTES) {
+      deleteChunkSession(sessionKey);
+      socket.emit('error', { message: `Data too large (max ${MAX_CHUNKED_DATA_BYTES / 1024 / 1024}MB)` });
+      return null;
+    }
+    session.chunks[chunkIndex] = encryptedData;
+    session.received++;
+    session.bytes += chunkBytes;
+    session.senders.set(socket.id, (session.senders.get(socket.id) || 0) + chunkBytes);
+    addBufferedBytes(bufferedRoomBytes, roomId, chunkBytes);
+    addBufferedBytes(bufferedSocketBytes, socket.id, chunkBytes);
+  }
+  session.updatedAt = Date.now();
+
+  socket.emit('chunk-ack', { sessionId, chunkIndex, received: session.received, total: session.total });
+
+  if (session.received < session.total) {
+    return null;
+  }
+
+  const assembled = session.chunks.join('');
+  if (contentDigest(assembled) !== session.digest) {
+    deleteChunkSession(sessionKey);
+    socket.emit('error', { message: 'Invalid chunk digest' });
+    return null;
+  }
+
+  // 保留一个已完成标记直到会话过期，重连后的 chunk-status 查询仍能得知上传已完成
+  releaseChunkSession(session);
+  session.chunks = null;
+  session.completed = true;
+  return assembled;
+}
+
+// chunk-status 的回复：服务器已持有的块序号（未知或已过期的会话 total 为 0）
+function describeChunkSession(sessionId, session) {
+  if (!session) {
+    return { sessionId, received: [], total: 0, complete: false };
+  }
+
+  const received = session.completed
+    ? Array.from({ length: session.total }, (_, index) => index)
+    : session.chunks.flatMap((chunk, index) => (chunk === undefined ? [] : [index]));
+  return { sessionId, received, total: session.total, complete: Boolean(session.completed) };
+}
+
+// 读取房间的整库数据：优先持久化存储，其次内存
+async function loadRoomData(roomId) {
+  let existingData = null;
+
+  if (persistenceManager) {
+    try {
+      existingData = await persistenceManager.getRoom(roomId);
+    } catch (error) {
+      console.error('Failed to get room from persistence:', error);
+    }
+  }
+
+  if (!existingData && chainStore.has(roomId)) {
+    existingData = chainStore.get(roomId);
+  }
+
+  return existingData;
+}
+
+// 读取房间内的所有笔记：优先持久化存储，其次内存
+async function loadRoomNotes(roomId) {
+  if (persistenceManager) {
+    try {
+      const notes = await persistenceManager.getNotes(roomId);
+      if (notes && notes.length > 0) {
+        return notes;
+      }
+    } catch (error) {
+      console.error('Failed to get notes from persistence:', error);
+    }
+  }
+
+  const roomNotes = noteStore.get(roomId);
+  return roomNotes ? [...roomNotes.values()] : [];
+}
+
+// 读取房间内的单条笔记（含删除记录）：优先持久化存储，其次内存
+async function loadRoomNote(roomId, noteId) {
+  if (persistenceManager) {
+    try {
+      const note = await persistenceManager.getNote(roomId, noteId);
+      if (note) {
+        return note;
+      }
+    } catch (error) {
+      console.error('Failed to get note from persistence:', error);
+    }
+  }
+
+  return noteStore.get(roomId)?.get(noteId) || null;
+}
+
+// 保存单条笔记到内存和持久化存储
+async function storeNote(roomId, record) {
+  if (!noteStore.has(roomId)) {
+    noteStore.set(roomId, new Map());
+  }
+  noteStore.get(roomId).set(record.noteId, record);
+  if (!record.deleted) {
+    recordVersion(roomId, record.noteId, record);
+  }
+
+  if (persistenceManager) {
+    try {
+      await persistenceManager.saveNote(roomId, record.noteId, record);
+    } catch (error) {
+      console.error('Failed to save note to persistence:', error);
+      // 持久化失败不影响实时同步
+    }
+  }
+}
+
+// 在内存中记录历史版本（持久化适配器在 saveRoom / saveNote 时自行记录）
+function recordVersion(roomId, noteId, data) {
+  if (!versionStore.has(roomId)) {
+    versionStore.set(roomId, new Map());
+  }
+  const streams = versionStore.get(roomId);
+  const stream = noteId || '';
+  const entries = streams.get(stream) || [];
+
+  entries.unshift({
+    versionId: crypto.randomUUID(),
+    noteId: noteId || null,
+    encryptedData: data.encryptedData,
+    version: data.version,
+    timestamp: data.timestamp,
+    deviceName: data.deviceName,
+    createdAt: data.createdAt || Date.now(),
+    size: data.encryptedData.length,
+  });
+  streams.set(stream, entries.slice(0, MAX_VERSIONS));
+}
+
+// 读取历史版本列表（不含密文）：优先持久化存储，其次内存
+async function loadVersions(roomId, noteId) {
+  if (persistenceManager) {
+    try {
+      const versions = await persistenceManager.listVersions(roomId, noteId);
+      if (versions && versions.length > 0) {
+        return versions;
+      }
+    } catch (error) {
+      console.error('Failed to list versions from persistence:', error);
+    }
+  }
+
+  const entries = versionStore.get(roomId)?.get(noteId || '') || [];
+  return entries.map(({ encryptedData: _encryptedData, ...info }) => info);
+}
+
+// 读取单个历史版本：优先持久化存储，其次内存
+async function loadVersion(roomId, versionId) {
+  if (persistenceManager) {
+    try {
+      const version = await persistenceManager.getVersion(roomId, versionId);
+      if (version) {
+        return version;
+      }
+    } catch (error) {
+      console.error('Failed to get version from persistence:', error);
+    }
+  }
+
+  for (const entries of (versionStore.get(roomId)?.values() || [])) {
+    const version = entries.find((entry) => entry.versionId === versionId);
+    if (version) {
+      return version;
+    }
+  }
+  return null;
+}
+
+// 串行执行同一房间的写入任务，保证版本检查和保存之间不会插入其他写入
+function withRoomLock(roomId, task) {
+  const previous = roomWriteLocks.get(roomId) || Promise.resolve();
+  const run = previous.then(task);
+  const tail = run.catch(() => {});
+
+  roomWriteLocks.set(roomId, tail);
+  tail.then(() => {
+    if (roomWriteLocks.get(roomId) === tail) {
+      roomWriteLocks.delete(roomId);
+    }
+  });
+
+  return run;
+}
+
+// 保存一条笔记写入（更新或删除记录）。baseVersion 是客户端修改所基于的服务器序号，
+// 过期时回复 version-conflict 而不是覆盖更新的数据；没有 baseVersion 的旧客户端直接写入。
+// 时间戳不晚于已保存记录的写入视为重放，直接拒绝。
+// 返回保存的记录（含分配的序号），冲突或拒绝时返回 null
+function commitNoteWrite(socket, roomId, record, baseVersion) {
+  return withRoomLock(roomId, async () => {
+    const existing = await loadRoomNote(roomId, record.noteId);
+    // 重复删除已删除的笔记既不算冲突也不算重放
+    const repeatedDelete = Boolean(existing?.deleted && record.deleted);
+    if (typeof baseVersion === 'number') {
+      const currentVersion = existing?.seq || 0;
+      if (existing && currentVersion !== baseVersion && !repeatedDelete) {
+        socket.emit('version-conflict', {
+          noteId: record.noteId,
+          baseVersion,
+          currentVersion,
+          encryptedData: existing.encryptedData,
+          deleted: existing.deleted,
+          timestamp: existing.timestamp,
+          deviceName: existing.deviceName,
+        });
+        return null;
+      }
+    }
+    if (existing && !repeatedDelete && record.timestamp <= (existing.timestamp || 0)) {
+      socket.emit('error', { message: 'Stale write timestamp' });
+      return null;
+    }
+
+    const operation = record.deleted
+      ? { type: 'delete', ...record }
+      : { type: 'replace', content: record.encryptedData, ...record };
+    record.seq = await recordOperation(roomId, operation);
+    await storeNote(roomId, record);
+    return record;
+  });
+}
+
+// 分配房间内下一个操作序号：优先持久化存储（跨实例共享），且不小于内存中的序号
+async function allocateSequence(roomId) {
+  let seq = (sequenceStore.get(roomId) || 0) + 1;
+
+  if (persistenceManager) {
+    try {
+      seq = Math.max(seq, await persistenceManager.nextSequence(roomId));
+    } catch (error) {
+      console.error('Failed to allocate sequence from persistence:', error);
+    }
+  }
+
+  sequenceStore.set(roomId, seq);
+  return seq;
+}
+
+// 读取房间当前的操作序号（没有任何操作时为 0）
+async function getCurrentSequence(roomId) {
+  if (sequenceStore.has(roomId)) {
+    return sequenceStore.get(roomId);
+  }
+
+  const operations = await loadRoomLog(roomId, 0);
+  const seq = operations.length > 0 ? operations[operations.length - 1].version : 0;
+  if (seq > 0) {
+    sequenceStore.set(roomId, seq);
+  }
+  return seq;
+}
+
+// 追加一条加密操作到房间日志，返回分配的序号
+async function recordOperation(roomId, { type, noteId, content, timestamp, deviceName }) {
+  const operation = {
+    id: crypto.randomUUID(),
+    type,
+    position: 0,
+    content,
+    timestamp,
+    deviceId: deviceName,
+    version: await allocateSequence(roomId),
+    noteId: noteId || null,
+  };
+
+  if (!logStore.has(roomId)) {
+    logStore.set(roomId, []);
+  }
+  const operations = logStore.get(roomId);
+  operations.push(operation);
+  if (operations.length > MAX_LOG_ENTRIES) {
+    operations.splice(0, operations.length - MAX_LOG_ENTRIES);
+  }
+
+  if (persistenceManager) {
+    try {
+      await persistenceManager.appendLog(roomId, operation);
+    } catch (error) {
+      console.error('Failed to append operation to persistence:', error);
+      // 持久化失败不影响实时同步
+    }
+  }
+
+  return operation.version;
+}
+
+// 读取序号大于 since 的操作：优先持久化存储，其次内存
+async function loadRoomLog(roomId, since) {
+  if (persistenceManager) {
+    try {
+      const operations = await persistenceManager.getLog(roomId, since);
+      if (operations && operations.length > 0) {
+        return operations;
+      }
+    } catch (error) {
+      console.error('Failed to get operation log from persistence:', error);
+    }
+  }
+
+  return (logStore.get(roomId) || []).filter((operation) => operation.version > since);
+}
+
+// 向单个 socket 发送房间的完整状态（整库数据 + 逐条笔记）
+async function sendRoomState(socket, roomId) {
+  // 先读取序号：之后写入的操作在下次补发时会重复应用，但不会遗漏
+  const seq = await getCurrentSequence(roomId);
+
+  const existingData = await loadRoomData(roomId);
+  if (existingData?.rotated) {
+    // 服务器重启后墓碑只在持久化存储里
+    chainStore.set(roomId, existingData);
+    rejectRotatedRoom(socket, roomId, existingData);
+    return;
+  }
+  if (existingData) {
+    socket.emit('sync-update', existingData);
+  }
+
+  // 即使为空也发送，客户端据此补发服务器尚未拥有的本地笔记
+  const notes = await loadRoomNotes(roomId);
+  socket.emit('notes-snapshot', { notes, seq });
+}
+
+// 补发客户端最后已知序号之后的操作；日志不完整（已被裁剪或服务器重置）时退回完整状态
+async function sendRoomUpdatesSince(socket, roomId, since) {
+  const seq = await getCurrentSequence(roomId);
+  const operations = seq >= since ? await loadRoomLog(roomId, since) : [];
+  const isComplete = seq >= since && (
+    operations.length === 0 ? seq === since : operations[0].version === since + 1
+  );
+
+  if (!isComplete) {
+    await sendRoomState(socket, roomId);
+    return;
+  }
+
+  socket.emit('sync-ops', {
+    operations,
+    seq: operations.length > 0 ? operations[operations.length - 1].version : seq,
+  });
+}
+
+// 轮换同步链：清除房间的全部密文，只留下墓碑告诉其他设备该链已失效
+// 客户端只在新房间确认了全部笔记和附件之后才发送 rotate-chain，所以附件也可以一起删除
+// 持久化失败时直接抛出，内存中的数据保持不变
+async function rotateRoom(roomId, deviceName) {
+  const tombstone = {
+    encryptedData: '',
+    timestamp: Date.now(),
+    deviceName,
+    version: 0,
+    rotated: true,
+  };
+
+  if (persistenceManager) {
+    await persistenceManager.deleteRoom(roomId);
+    await persistenceManager.saveRoom(roomId, tombstone);
+  }
+  try {
+    await attachmentStore.deleteRoom(roomId);
+  } catch (error) {
+    // 客户端在留下墓碑之前已把附件复制到新房间，这里残留的密文块随房间过期清理
+    console.error('Failed to delete attachments of rotated room:', error);
+  }
+
+  chainStore.set(roomId, tombstone);
+  touchRoom(roomId);
+  noteStore.delete(roomId);
+  versionStore.delete(roomId);
+  logStore.delete(roomId);
+  sequenceStore.delete(roomId);
+  deviceStore.delete(roomId);
+  for (const sessionKey of chunkStore.keys()) {
+    if (sessionKey.startsWith(`${roomId}:`)) {
+      deleteChunkSession(sessionKey);
+    }
+  }
+
+  return tombstone;
+}
+
+// 把旧房间的历史版本按从旧到新的顺序复制到新房间；与当前内容相同的版本在保存当前内容时才记录
+async function copyVersions(fromRoomId, toRoomId, noteId, current) {
+  const versions = await loadVersions(fromRoomId, noteId);
+  for (const info of versions.reverse()) {
+    const version = await loadVersion(fromRoomId, info.versionId);
+    if (!version || version.encryptedData === current.encryptedData) {
+      continue;
+    }
+    recordVersion(toRoomId, noteId, version);
+    if (persistenceManager) {
+      await persistenceManager.saveVersion(toRoomId, { ...version, noteId });
+    }
+  }
+}
+
+// 复制旧房间已收齐的附件；新房间已有的附件跳过
+async function copyRoomAttachments(fromRoomId, toRoomId) {
+  for (const attachmentId of await attachmentStore.listAttachments(fromRoomId)) {
+    const info = await attachmentStore.getAttachment(fromRoomId, attachmentId);
+    if (!info?.complete || await attachmentStore.getAttachment(toRoomId, attachmentId)) {
+      continue;
+    }
+    for (let chunkIndex = 0; chunkIndex < info.totalChunks; chunkIndex++) {
+      const data = await attachmentStore.getChunk(fromRoomId, attachmentId, chunkIndex);
+      await attachmentStore.saveChunk(toRoomId, attachmentId, { chunkIndex, totalChunks: info.totalChunks, data });
+    }
+  }
+}
+
+// 旧版客户端以助记词的 SHA-256 作为房间ID。升级后的客户端第一次加入新房间时带上旧房间ID，
+// 服务器把旧房间的整库数据、笔记（含历史版本）和附件复制过来；密文不绑定房间ID，可以原样复制。
+// 只复制新房间还没有的数据，重复导入不会覆盖更新的内容；旧房间保持原样，随 TTL 过期。
+// 旧房间本来就只凭房间ID访问，复制到证明了助记词的新房间不会泄露更多数据
+async function importLegacyRoom(legacyRoomId, roomId) {
+  if (legacyRoomId === roomId || isRotatedRoom(legacyRoomId)) {
+    return;
+  }
+
+  await withRoomLock(roomId, async () => {
+    const legacyData = await loadRoomData(legacyRoomId);
+    if (legacyData?.rotated) {
+      return;
+    }
+
+    if (legacyData && !(await loadRoomData(roomId))) {
+      await copyVersions(legacyRoomId, roomId, null, legacyData);
+      const accepted = {
+        encryptedData: legacyData.encryptedData,
+        timestamp: legacyData.timestamp,
+        deviceName: legacyData.deviceName,
+      };
+      accepted.seq = await recordOperation(roomId, { type: 'replace', content: accepted.encryptedData, ...accepted });
+      accepted.version = accepted.seq;
+      chainStore.set(roomId, accepted);
+      recordVersion(roomId, null, accepted);
+      if (persistenceManager) {
+        await persistenceManager.saveRoom(roomId, accepted);
+      }
+    }
+
+    for (const note of await loadRoomNotes(legacyRoomId)) {
+      if (await loadRoomNote(roomId, note.noteId)) {
+        continue;
+      }
+      if (!note.deleted) {
+        await copyVersions(legacyRoomId, roomId, note.noteId, note);
+      }
+      const record = {
+        noteId: note.noteId,
+        encryptedData: note.encryptedData,
+        version: note.version,
+        timestamp: note.timestamp,
+        deviceName: note.deviceName,
+        deleted: Boolean(note.deleted),
+        updatedAt: Date.now(),
+      };
+      const operation = record.deleted
+        ? { type: 'delete', ...record }
+        : { type: 'replace', content: record.encryptedData, ...record };
+      record.seq = await recordOperation(roomId, operation);
+      await storeNote(roomId, record);
+    }
+  });
+
+  await copyRoomAttachments(legacyRoomId, roomId);
+}
+
+// 客户端上报的最后已知序号
+function isValidSequence(since) {
+  return Number.isInteger(since) && since > 0;
+}
+
+function handleSocketConnection(socket) {
+  console.log(`[${new Date().toISOString()}] User connected: ${socket.id}`);
+
+  // Join a specific sync chain
+  socket.on('join-chain', async (payload = {}) => {
+    const { roomId, roomProof, legacyRoomId, deviceName, since, device } = payload;
+    try {
+      // Validate input
+      if (!DataValidator.isValidRoomId(roomId)) {
+        socket.emit('error', { message: 'Invalid room ID' });
+        return;
+      }
+      // Older clients join without a proof; they can write but never claim the room key
+      if (roomProof !== undefined && !isValidRoomProof(roomId, roomProof)) {
+        socket.emit('error', { message: 'Invalid room proof' });
+        return;
+      }
+      // Only a device that proved the new room may bring the data of its legacy room along
+      if (legacyRoomId !== undefined && (roomProof === undefined || !DataValidator.isValidRoomId(legacyRoomId))) {
+        socket.emit('error', { message: 'Invalid legacy room ID' });
+        return;
+      }
+
+      const sanitizedDeviceName = sanitizeLabel(deviceName, 'Unknown Device');
+
+      // A rotated chain only holds a tombstone; it can no longer be joined
+      if (isRotatedRoom(roomId)) {
+        const tombstone = chainStore.get(roomId);
+        socket.emit('chain-rotated', { rotatedAt: tombstone.timestamp, deviceName: tombstone.deviceName });
+        return;
+      }
+
+      // Leave previous room if any
+      if (socketMeta.has(socket.id)) {
+        const oldRoom = socketMeta.get(socket.id).roomId;
+        socket.leave(oldRoom);
+        updateRoomMembers(oldRoom);
+      }
+
+      socket.join(roomId);
+      touchRoom(roomId);
+      // Store metadata for this socket. Membership is set before the device registration
+      // completes so events sent right after join-chain find it; writes wait for deviceReady.
+      const meta = {
+        roomId,
+        roomProven: roomProof !== undefined,
+        deviceName: sanitizedDeviceName,
+        deviceId: null,
+        joinedAt: Date.now()
+      };
+      socketMeta.set(socket.id, meta);
+      meta.deviceReady = registerDevice(socket, roomId, device, sanitizedDeviceName).catch((error) => {
+        console.error('Failed to register device:', error);
+        socket.emit('error', { message: 'Failed to join chain' });
+        return null;
+      });
+
+      const registered = await meta.deviceReady;
+      if (registered === null) {
+        if (socketMeta.get(socket.id) === meta) {
+          socketMeta.delete(socket.id);
+          socket.leave(roomId);
+        }
+        return;
+      }
+      meta.deviceId = registered?.deviceId ?? null;
+
+      console.log(`[${new Date().toISOString()}] Socket ${socket.id} (${sanitizedDeviceName}) joined chain: ${roomId.substring(0, 8)}...`);
+
+      // Copy the legacy room first so the state sent below already contains it.
+      // On failure the client keeps the legacy room id and retries on its next join.
+      if (legacyRoomId !== undefined) {
+        try {
+          await importLegacyRoom(legacyRoomId, roomId);
+          socket.emit('legacy-room-imported', { legacyRoomId });
+        } catch (error) {
+          console.error('Failed to import legacy room:', error);
+        }
+      }
+
+      // 1. Send existing data to the new device (only missed operations when it is catching up)
+      if (isValidSequence(since)) {
+        await sendRoomUpdatesSince(socket, roomId, since);
+      } else {
+        await sendRoomState(socket, roomId);
+      }
+
+      // 2. Broadcast updated member list to everyone in the room
+      updateRoomMembers(roomId);
+    } catch (error) {
+      console.error('Error in join-chain:', error);
+      socket.emit('error', { message: 'Failed to join chain' });
+    }
+  });
+
+  // Receive an update from a client (supports chunked transfer)
+  // baseVersion is the room version the client's edit is based on; a stale one is
+  // rejected with version-conflict instead of silently overwriting the newer data.
+  // Large payloads arrive as chunks of one ciphertext and are only stored once complete.
+  socket.on('push-update', async (update = {}) => {
+    const { roomId, timestamp, baseVersion } = update;
+    try {
+      const meta = getWriterMeta(socket, roomId);
+      if (!meta || !isAcceptableEncryptedData(socket, update.encryptedData)) {
+        return;
+      }
+
+      let { encryptedData } = update;
+      if (isChunkedUpload(update)) {
+        // The signature covers the digest every chunk carries, so it is checked before anything is buffered
+        if (!isValidDigest(update.digest)) {
+          socket.emit('error', { message: 'Invalid chunk digest' });
+          return;
+        }
+        if (!(await authorizeWrite(socket, 'push-update', update, update.digest, `${roomId}:${update.sessionId}`))) {
+          return;
+        }
+        encryptedData = bufferChunk(socket, meta, roomId, 'room', update);
+        if (encryptedData === null) {
+          return;
+        }
+      } else if (!consumeWriteQuota(socket, meta) ||
+        !(await authorizeWrite(socket, 'push-update', update, contentDigest(encryptedData)))) {
+        return;
+      }
+
+      const payload = await withRoomLock(roomId, async () => {
+        if (typeof baseVersion === 'number') {
+          const existingData = await loadRoomData(roomId);
+          if (existingData && existingData.version !== baseVersion) {
+            socket.emit('version-conflict', {
+              baseVersion,
+              currentVersion: existingData.version,
+              encryptedData: existingData.encryptedData,
+              timestamp: existingData.timestamp,
+              deviceName: existingData.deviceName,
+            });
+            return null;
+          }
+        }
+
+        const accepted = {
+          encryptedData,
+          timestamp: typeof timestamp === 'number' ? timestamp : Date.now(),
+          deviceName: meta.deviceName,
+        };
+        // 服务器分配的版本号即房间操作序号，单调递增
+        accepted.seq = await recordOperation(roomId, { type: 'replace', content: encryptedData, ...accepted });
+        accepted.version = accepted.seq;
+
+        // 保存到内存存储
+        chainStore.set(roomId, accepted);
+        recordVersion(roomId, null, accepted);
+
+        // 尝试保存到持久化存储
+        if (persistenceManager) {
+          try {
+            await persistenceManager.saveRoom(roomId, accepted);
+          } catch (error) {
+            console.error('Failed to save room to persistence:', error);
+            // 持久化失败不影响实时同步
+          }
+        }
+
+        return accepted;
+      });
+
+      if (!payload) {
+        return;
+      }
+
+      // Broadcast to everyone else in the chain
+      socket.to(roomId).emit('sync-update', payload);
+
+      // Acknowledge receipt
+      socket.emit('update-ack', { timestamp, success: true, version: payload.version });
+    } catch (error) {
+      console.error('Error in push-update:', error);
+      socket.emit('error', { message: 'Failed to push update' });
+    }
+  });
+
+  // Upsert a single note (per-note delta sync)
+  // baseVersion is the sequence of the server copy the client's edit is based on;
+  // a stale one is rejected with version-conflict (carrying the noteId).
+  socket.on('push-note', async (update = {}) => {
+    const { roomId, noteId, version, timestamp, baseVersion } = update;
+    try {
+      const meta = getWriterMeta(socket, roomId);
+      if (!meta) {
+        return;
+      }
+
+      if (!DataValidator.isValidNoteId(noteId)) {
+        socket.emit('error', { message: 'Invalid note ID' });
+        return;
+      }
+
+      if (!isAcceptableEncryptedData(socket, update.encryptedData)) {
+        return;
+      }
+
+      let { encryptedData } = update;
+      if (isChunkedUpload(update)) {
+        // The signature covers the digest every chunk carries, so it is checked before anything is buffered
+        if (!isValidDigest(update.digest)) {
+          socket.emit('error', { message: 'Invalid chunk digest' });
+          return;
+        }
+        if (!(await authorizeWrite(socket, 'push-note', update, update.digest, `${roomId}:${update.sessionId}`))) {
+          return;
+        }
+        encryptedData = bufferChunk(socket, meta, roomId, `note:${noteId}`, update);
+        if (encryptedData === null) {
+          return;
+        }
+      } else if (!consumeWriteQuota(socket, meta) ||
+        !(await authorizeWrite(socket, 'push-note', update, contentDigest(encryptedData)))) {
+        return;
+      }
+
+      const record = {
+        noteId,
+        encryptedData,
+        version: typeof version === 'number' && version >= 0 ? version : 0,
+        timestamp: typeof timestamp === 'number' && timestamp > 0 ? timestamp : Date.now(),
+        deviceName: meta.deviceName,
+        deleted: false,
+        updatedAt: Date.now(),
+      };
+      if (!(await commitNoteWrite(socket, roomId, record, baseVersion))) {
+        return;
+      }
+
+      socket.to(roomId).emit('note-update', record);
+      socket.emit('note-ack', { noteId, version: record.version, seq: record.seq, timestamp: record.timestamp, success: true });
+    } catch (error) {
+      console.error('Error in push-note:', error);
+      socket.emit('error', { message: 'Failed to push note' });
+    }
+  });
+
+  // Delete a single note, leaving a tombstone so offline devices learn about it.
+  // Like push-note, a stale baseVersion is rejected with version-conflict.
+  socket.on('delete-note', async (update = {}) => {
+    const { roomId, noteId, timestamp, baseVersion } = update;
+    try {
+      const meta = getWriterMeta(socket, roomId);
+      if (!meta) {
+        return;
+      }
+
+      if (!DataValidator.isValidNoteId(noteId)) {
+        socket.emit('error', { message: 'Invalid note ID' });
+        return;
+      }
+
+      if (!consumeWriteQuota(socket, meta) || !(await authorizeWrite(socket, 'delete-note', update, contentDigest('')))) {
+        return;
+      }
+
+      const record = {
+        noteId,
+        encryptedData: '',
+        version: 0,
+        timestamp: typeof timestamp === 'number' && timestamp > 0 ? timestamp : Date.now(),
+        deviceName: meta.deviceName,
+        deleted: true,
+        updatedAt: Date.now(),
+      };
+      if (!(await commitNoteWrite(socket, roomId, record, baseVersion))) {
+        return;
+      }
+
+      socket.to(roomId).emit('note-delete', {
+        noteId,
+        timestamp: record.timestamp,
+        deviceName: record.deviceName,
+        seq: record.seq,
+      });
+      socket.emit('note-ack', { noteId, deleted: true, seq: record.seq, timestamp: record.timestamp, success: true });
+    } catch (error) {
+      console.error('Error in delete-note:', error);
+      socket.emit('error', { message: 'Failed to delete note' });
+    }
+  });
+
+  // Rotate the chain after its mnemonic leaked: the room is purged and replaced by a
+  // tombstone. The rotating device moves the data to the new room itself, so the
+  // server never learns which room replaced this one.
+  socket.on('rotate-chain', async (request = {}) => {
+    const { roomId } = request;
+    try {
+      const meta = getWriterMeta(socket, roomId);
+      if (!meta || !consumeWriteQuota(socket, meta) || !(await authorizeWrite(socket, 'rotate-chain', request, contentDigest('')))) {
+        return;
+      }
+
+      const tombstone = await withRoomLock(roomId, () => rotateRoom(roomId, meta.deviceName));
+      const notice = { rotatedAt: tombstone.timestamp, deviceName: tombstone.deviceName };
+
+      socket.to(roomId).emit('chain-rotated', notice);
+      socket.emit('chain-rotated', notice);
+
+      // Every member leaves the old room
+      for (const [socketId, entry] of socketMeta.entries()) {
+        if (entry.roomId === roomId) {
+          socketMeta.delete(socketId);
+        }
+      }
+      io.in(roomId).socketsLeave(roomId);
+      console.log(`[${new Date().toISOString()}] Chain rotated: ${roomId.substring(0, 8)}...`);
+    } catch (error) {
+      console.error('Error in rotate-chain:', error);
+      socket.emit('error', { message: 'Failed to rotate chain' });
+    }
+  });
+
+  // List the devices registered in the room, including removed ones
+  socket.on('list-devices', async ({ roomId } = {}) => {
+    try {
+      const meta = getWriterMeta(socket, roomId);
+      if (!meta || !consumeWriteQuota(socket, meta, 'read', MAX_READS_PER_MINUTE)) {
+        return;
+      }
+
+      socket.emit('devices-list', { devices: await describeDevices(roomId) });
+    } catch (error) {
+      console.error('Error in list-devices:', error);
+      socket.emit('error', { message: 'Failed to list devices' });
+    }
+  });
+
+  // Remove a device: its key can no longer write or join, and its connections are dropped
+  socket.on('remove-device', async (request = {}) => {
+    const { roomId, deviceId } = request;
+    try {
+      const meta = getWriterMeta(socket, roomId);
+      if (!meta || !consumeWriteQuota(socket, meta)) {
+        return;
+      }
+      if (!DataValidator.isValidDeviceId(deviceId)) {
+        socket.emit('error', { message: 'Invalid device' });
+        return;
+      }
+      if (!(await authorizeWrite(socket, 'remove-device', { ...request, noteId: deviceId }, contentDigest('')))) {
+        return;
+      }
+      if (deviceId === meta.deviceId) {
+        socket.emit('error', { message: 'Cannot remove the current device' });
+        return;
+      }
+
+      const device = (await loadRoomDevices(roomId)).get(deviceId);
+      if (!device) {
+        socket.emit('error', { message: 'Unknown device' });
+        return;
+      }
+      const removed = device.revokedAt ? device : { ...device, revokedAt: Date.now() };
+      if (removed !== device) {
+        await storeDevice(roomId, removed);
+      }
+
+      socket.to(roomId).emit('device-removed', { deviceId, removedAt: removed.revokedAt, deviceName: meta.deviceName });
+      for (const [socketId, entry] of socketMeta.entries()) {
+        if (entry.roomId === roomId && entry.deviceId === deviceId) {
+          socketMeta.delete(socketId);
+          io.in(socketId).socketsLeave(roomId);
+        }
+      }
+
+      socket.emit('devices-list', { devices: await describeDevices(roomId) });
+      updateRoomMembers(roomId);
+      console.log(`[${new Date().toISOString()}] Device removed from chain: ${roomId.substring(0, 8)}...`);
+    } catch (error) {
+      console.error('Error in remove-device:', error);
+      socket.emit('error', { message: 'Failed to remove device' });
+    }
+  });
+
+  // Relay encrypted Yjs messages (CRDT mode). The server only forwards them to
+  // the other members; durable state still goes through push-note.
+  const relayCrdtMessage = (event) => ({ roomId, noteId, encryptedData } = {}) => {
+    const meta = getWriterMeta(socket, roomId);
+    if (!meta) {
+      return;
+    }
+
+    if (!DataValidator.isValidNoteId(noteId)) {
+      socket.emit('error', { message: 'Invalid note ID' });
+      return;
+    }
+
+    if (
+      !isAcceptableEncryptedData(socket, encryptedData) ||
+      !consumeWriteQuota(socket, meta, 'relay', MAX_RELAYS_PER_MINUTE)
+    ) {
+      return;
+    }
+
+    socket.to(roomId).emit(event, {
+      noteId,
+      encryptedData,
+      deviceName: meta.deviceName,
+    });
+  };
+
+  socket.on('yjs-update', relayCrdtMessage('yjs-update'));
+  socket.on('yjs-sync', relayCrdtMessage('yjs-sync'));
+
+  // Relay encrypted presence (active note, cursor, typing state) to the other members.
+  // Presence is ephemeral: it is never stored, and a socket's entry ends with its room-info membership.
+  socket.on('presence', ({ roomId, encryptedData } = {}) => {
+    const meta = getWriterMeta(socket, roomId);
+    if (!meta) {
+      return;
+    }
+
+    if (typeof encryptedData !== 'string' || !encryptedData || encryptedData.length > MAX_PRESENCE_BYTES) {
+      socket.emit('error', { message: 'Invalid presence' });
+      return;
+    }
+
+    if (!consumeWriteQuota(socket, meta, 'presence', MAX_PRESENCE_PER_MINUTE)) {
+      return;
+    }
+
+    socket.to(roomId).emit('presence', {
+      socketId: socket.id,
+      deviceName: meta.deviceName,
+      encryptedData,
+    });
+  });
+
+  // Receive one encrypted chunk of an attachment. Each chunk is signed like a write, with
+  // `${attachmentId}:${chunkIndex}` as the note id; complete attachments cannot be overwritten.
+  socket.on('upload-attachment', async (request = {}) => {
+    const { roomId, attachmentId, chunkIndex, totalChunks, encryptedData } = request;
+    try {
+      const meta = getWriterMeta(socket, roomId);
+      if (!meta || !consumeWriteQuota(socket, meta, 'attachment', MAX_ATTACHMENT_CHUNKS_PER_MINUTE)) {
+        return;
+      }
+
+      if (
+        !DataValidator.isValidAttachmentId(attachmentId) ||
+        !Number.isInteger(totalChunks) || totalChunks < 1 || totalChunks > MAX_ATTACHMENT_CHUNKS ||
+        !Number.isInteger(chunkIndex) || chunkIndex < 0 || chunkIndex >= totalChunks
+      ) {
+        socket.emit('error', { message: 'Invalid attachment' });
+        return;
+      }
+      if (typeof encryptedData !== 'string' || !encryptedData || encryptedData.length > MAX_ATTACHMENT_CHUNK_BYTES) {
+        socket.emit('error', { message: 'Attachment chunk too large' });
+        return;
+      }
+
+      const signed = { ...request, noteId: `${attachmentId}:${chunkIndex}` };
+      if (!(await authorizeWrite(socket, 'upload-attachment', signed, contentDigest(encryptedData)))) {
+        return;
+      }
+
+      const existing = await attachmentStore.getAttachment(roomId, attachmentId);
+      if (existing && existing.totalChunks !== totalChunks) {
+        socket.emit('error', { message: 'Invalid attachment' });
+        return;
+      }
+      const received = existing?.complete
+        ? existing.receivedChunks
+        : await attachmentStore.saveChunk(roomId, attachmentId, { chunkIndex, totalChunks, data: encryptedData });
+
+      socket.emit('attachment-ack', { attachmentId, chunkIndex, received, total: totalChunks });
+    } catch (error) {
+      if (error instanceof BlobStoreFullError) {
+        socket.emit('error', { message: error.message });
+        return;
+      }
+      console.error('Error in upload-attachment:', error);
+      socket.emit('error', { message: 'Failed to store attachment' });
+    }
+  });
+
+  // Send one encrypted chunk of a complete attachment; encryptedData is null when it does not exist
+  socket.on('fetch-attachment', async ({ roomId, attachmentId, chunkIndex } = {}) => {
+    try {
+      const meta = getWriterMeta(socket, roomId);
+      if (!meta || !consumeWriteQuota(socket, meta, 'attachment-read', MAX_ATTACHMENT_CHUNKS_PER_MINUTE)) {
+        return;
+      }
+
+      if (!DataValidator.isValidAttachmentId(attachmentId) || !Number.isInteger(chunkIndex) || chunkIndex < 0) {
+        socket.emit('error', { message: 'Invalid attachment' });
+        return;
+      }
+
+      const attachment = await attachmentStore.getAttachment(roomId, attachmentId);
+      const encryptedData = attachment?.complete && chunkIndex < attachment.totalChunks
+        ? await attachmentStore.getChunk(roomId, attachmentId, chunkIndex)
+        : null;
+
+      socket.emit('attachment-chunk', {
+        attachmentId,
+        chunkIndex,
+        totalChunks: encryptedData ? attachment.totalChunks : null,
+        encryptedData,
+      });
+    } catch (error) {
+      console.error('Error in fetch-attachment:', error);
+      socket.emit('error', { message: 'Failed to fetch attachment' });
+    }
+  });
+
+  // List the server-side history of the room blob, or of a single note when noteId is given
+  socket.on('list-versions', async ({ roomId, noteId } = {}) => {
+    try {
+      const meta = getWriterMeta(socket, roomId);
+      if (!meta) {
+        return;
+      }
+
+      if (noteId !== undefined && noteId !== null && !DataValidator.isValidNoteId(noteId)) {
+        socket.emit('error', { message: 'Invalid note ID' });
+        return;
+      }
+
+      if (!consumeWriteQuota(socket, meta, 'read', MAX_READS_PER_MINUTE)) {
+        return;
+      }
+
+      const versions = await loadVersions(roomId, noteId || null);
+      socket.emit('versions-list', { noteId: noteId || null, versions });
+    } catch (error) {
+      console.error('Error in list-versions:', error);
+      socket.emit('error', { message: 'Failed to list versions' });
+    }
+  });
+
+  // Fetch the ciphertext of a single history entry
+  socket.on('fetch-version', async ({ roomId, versionId } = {}) => {
+    try {
+      const meta = getWriterMeta(socket, roomId);
+      if (!meta) {
+        return;
+      }
+
+      if (!DataValidator.isValidVersionId(versionId)) {
+        socket.emit('error', { message: 'Invalid version ID' });
+        return;
+      }
+
+      if (!consumeWriteQuota(socket, meta, 'read', MAX_READS_PER_MINUTE)) {
+        return;
+      }
+
+      const version = await loadVersion(roomId, versionId);
+      if (!version) {
+        socket.emit('error', { message: 'Version not found' });
+        return;
+      }
+
+      socket.emit('version-data', version);
+    } catch (error) {
+      console.error('Error in fetch-version:', error);
+      socket.emit('error', { message: 'Failed to fetch version' });
+    }
+  });
+
+  // Request sync (for reconnection scenarios)
+  socket.on('request-sync', async ({ roomId }) => {
+    try {
+      await sendRoomState(socket, roomId);
+    } catch (error) {
+      console.error('Error in request-sync:', error);
+    }
+  });
+
+  // Catch up after a reconnect: replay operations after the client's last known sequence
+  socket.on('request-sync-since', async ({ roomId, since } = {}) => {
+    try {
+      const meta = getWriterMeta(socket, roomId);
+      if (!meta || !consumeWriteQuota(socket, meta, 'read', MAX_READS_PER_MINUTE)) {
+        return;
+      }
+
+      if (isValidSequence(since)) {
+        await sendRoomUpdatesSince(socket, roomId, since);
+      } else {
+        await sendRoomState(socket, roomId);
+      }
+    } catch (error) {
+      console.error('Error in request-sync-since:', error);
+      socket.emit('error', { message: 'Failed to sync' });
+    }
+  });
+
+  // Resumable uploads: after a reconnect the client asks which chunks the server
+  // already holds and only resends the missing ones
+  socket.on('chunk-status', ({ roomId, sessionId } = {}) => {
+    const meta = getWriterMeta(socket, roomId);
+    if (!meta) {
+      return;
+    }
+
+    if (typeof sessionId !== 'string' || !CHUNK_SESSION_ID_PATTERN.test(sessionId)) {
+      socket.emit('error', { message: 'Invalid chunk session' });
+      return;
+    }
+
+    if (!consumeWriteQuota(socket, meta, 'chunk', MAX_CHUNKS_PER_MINUTE)) {
+      return;
+    }
+
+    socket.emit('chunk-status', describeChunkSession(sessionId, chunkStore.get(`${roomId}:${sessionId}`)));
   });
 
   // Ping for latency measurement
@@ -357,6 +2140,8 @@ function handleSocketConnection(socket) {
     if (socketMeta.has(socket.id)) {
       const { roomId } = socketMeta.get(socket.id);
       socketMeta.delete(socket.id);
+      // The TTL of an idle room counts from when its last device left
+      touchRoom(roomId);
       // Notify others that this device left
       updateRoomMembers(roomId);
     }
@@ -380,6 +2165,7 @@ function updateRoomMembers(roomId) {
     if (meta) {
       members.push({
         id: clientId,
+        deviceId: meta.deviceId || null,
         name: meta.deviceName,
         status: 'online',
         joinedAt: meta.joinedAt
@@ -415,6 +2201,7 @@ async function gracefulShutdown(signal) {
       console.log('Persistence layer closed');
       persistenceManager = null;
     }
+    await attachmentStore.close();
 
     console.log('Graceful shutdown completed');
     if (require.main === module) {
@@ -434,6 +2221,7 @@ async function startServer() {
   try {
     // 初始化持久化存储
     await initializePersistence();
+    await initializeAttachmentStore();
 
     await new Promise((resolve, reject) => {
       server.once('error', reject);
@@ -469,13 +2257,25 @@ module.exports = {
   io,
   startServer,
   initializePersistence,
+  initializeAttachmentStore,
+  getAttachmentStore: () => attachmentStore,
   updateRoomMembers,
   gracefulShutdown,
   handleSocketConnection,
+  cleanupRooms,
   stores: {
     chainStore,
     socketMeta,
     chunkStore,
+    noteStore,
+    versionStore,
+    logStore,
+    sequenceStore,
+    roomKeyStore,
+    deviceStore,
+    shareStore,
+    shareRateLimits,
+    roomActivity,
   },
 };
 
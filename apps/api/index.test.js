@@ -1,3 +1,4 @@
+const crypto = require('crypto');
 const request = require('supertest');
 
 jest.mock('./src/persistence/PersistenceManager', () => {
@@ -8,6 +9,12 @@ jest.mock('./src/persistence/PersistenceManager', () => {
         getStats: jest.fn().mockResolvedValue({ adapter: 'mock' }),
         getRoom: jest.fn().mockResolvedValue(null),
         saveRoom: jest.fn().mockResolvedValue(undefined),
+        getNotes: jest.fn().mockResolvedValue([]),
+        getNote: jest.fn().mockResolvedValue(null),
+        saveNote: jest.fn().mockResolvedValue(undefined),
+        deleteRoom: jest.fn().mockResolvedValue(undefined),
+        getRoomPublicKey: jest.fn().mockResolvedValue(null),
+        claimRoomPublicKey: jest.fn((_roomId, publicKey) => Promise.resolve(publicKey)),
         close: jest.fn().mockResolvedValue(undefined),
     }));
 });
@@ -19,23 +26,53 @@ describe('server sync flow', () => {
     let startServer;
     let gracefulShutdown;
     let handleSocketConnection;
+    let cleanupRooms;
 
-    const roomId = 'valid-room-12345';
+    // Only sockets that present the proof behind the room id may claim the room key
+    const roomProof = 'proof-of-the-test-room';
+    const roomId = crypto.createHash('sha256').update(roomProof).digest('hex');
+    // Every chunk carries the digest of the complete ciphertext
+    const digestOf = (encryptedData) => crypto.createHash('sha256').update(encryptedData).digest('hex');
 
     beforeEach(() => {
         jest.resetModules();
         process.env.PORT = '3102';
-        ({ app, server, stores, startServer, gracefulShutdown, handleSocketConnection } = require('./index'));
+        process.env.ATTACHMENT_STORAGE = 'memory';
+        ({ app, server, stores, startServer, gracefulShutdown, handleSocketConnection, cleanupRooms } = require('./index'));
         stores.chainStore.clear();
         stores.socketMeta.clear();
         stores.chunkStore.clear();
+        stores.noteStore.clear();
+        stores.versionStore.clear();
+        stores.logStore.clear();
+        stores.sequenceStore.clear();
+        stores.roomKeyStore.clear();
+        stores.roomActivity.clear();
     });
 
+    const createSocket = (id) => {
+        const broadcast = jest.fn();
+        const socket = {
+            id,
+            on: jest.fn((event, handler) => {
+                socket.handlers[event] = handler;
+            }),
+            emit: jest.fn(),
+            join: jest.fn(),
+            leave: jest.fn(),
+            handlers: {},
+            broadcast,
+            to: jest.fn(() => ({ emit: broadcast })),
+        };
+        return socket;
+    };
+
     afterEach(async () => {
         if (server.listening) {
             await gracefulShutdown('TEST');
         }
         delete process.env.PORT;
+        delete process.env.ATTACHMENT_STORAGE;
     });
 
     test('exposes health endpoint after startup', async () => {
@@ -48,6 +85,63 @@ describe('server sync flow', () => {
         expect(response.body.persistence.adapter).toBe('mock');
     });
 
+    test('stores read-only shares and hides them once they expire', async () => {
+        const created = await request(app).post('/shares').send({ encryptedData: 'share-cipher', expiresIn: 60000 });
+
+        expect(created.status).toBe(201);
+        expect(created.body.shareId).toMatch(/^[A-Za-z0-9_-]{22}$/);
+        expect(created.body.expiresAt).toBeGreaterThan(Date.now());
+
+        const fetched = await request(app).get(`/shares/${created.body.shareId}`);
+        expect(fetched.status).toBe(200);
+        expect(fetched.body).toMatchObject({ encryptedData: 'share-cipher', expiresAt: created.body.expiresAt });
+
+        stores.shareStore.get(created.body.shareId).expiresAt = Date.now() - 1;
+        expect((await request(app).get(`/shares/${created.body.shareId}`)).status).toBe(404);
+        expect((await request(app).get('/shares/unknown-share-id-0000')).status).toBe(404);
+
+        expect((await request(app).post('/shares').send({ encryptedData: 'x', expiresIn: 10 })).status).toBe(400);
+        expect((await request(app).post('/shares').send({})).status).toBe(400);
+        expect((await request(app).post('/shares').send({ encryptedData: 'x', expiresIn: 31 * 24 * 60 * 60 * 1000 })).status).toBe(400);
+        // Shares without an expiry get the longest one
+        const unlimited = await request(app).post('/shares').send({ encryptedData: 'share-cipher' });
+        expect(unlimited.body.expiresAt - Date.now()).toBeGreaterThan(29 * 24 * 60 * 60 * 1000);
+        expect(unlimited.body.expiresAt - Date.now()).toBeLessThanOrEqual(30 * 24 * 60 * 60 * 1000);
+    });
+
+    test('limits the share bytes a client can upload per day', async () => {
+        // Stays under the per-minute request limit: 10 shares of 5MB fill the 50MB daily quota
+        const encryptedData = 'x'.repeat(5 * 1024 * 1024);
+        for (let i = 0; i < 10; i++) {
+            expect((await request(app).post('/shares').send({ encryptedData, expiresIn: 60000 })).status).toBe(201);
+        }
+        stores.shareRateLimits.clear();
+
+        const rejected = await request(app).post('/shares').send({ encryptedData: 'x', expiresIn: 60000 });
+        expect(rejected.status).toBe(429);
+        expect(rejected.body).toEqual({ error: 'Share quota exceeded' });
+    });
+
+    test('burn-after-reading shares are deleted by the first fetch', async () => {
+        const created = await request(app).post('/shares').send({ encryptedData: 'burn-cipher', burnAfterReading: true });
+        const { shareId } = created.body;
+
+        const info = await request(app).get(`/shares/${shareId}/info`);
+        expect(info.body).toMatchObject({ burnAfterReading: true, expiresAt: expect.any(Number) });
+        expect(info.body.encryptedData).toBeUndefined();
+
+        const [first, second] = await Promise.all([
+            request(app).get(`/shares/${shareId}`),
+            request(app).get(`/shares/${shareId}`),
+        ]);
+        expect([first.status, second.status].sort()).toEqual([200, 404]);
+        expect([first, second].find((response) => response.status === 200).body.encryptedData).toBe('burn-cipher');
+        expect(stores.shareStore.has(shareId)).toBe(false);
+        expect((await request(app).get(`/shares/${shareId}/info`)).status).toBe(404);
+
+        expect((await request(app).post('/shares').send({ encryptedData: 'x', burnAfterReading: 'yes' })).status).toBe(400);
+    });
+
     test('join-chain rejects invalid room id', async () => {
         const emit = jest.fn();
         const join = jest.fn();
@@ -111,7 +205,7 @@ describe('server sync flow', () => {
             timestamp: 2,
             deviceName: 'Device B',
         });
-        expect(emit).toHaveBeenCalledWith('update-ack', { timestamp: 2, success: true });
+        expect(emit).toHaveBeenCalledWith('update-ack', { timestamp: 2, success: true, version: 1 });
     });
 
     test('request-sync returns existing room data', async () => {
@@ -145,4 +239,794 @@ describe('server sync flow', () => {
             version: 99,
         }));
     });
+
+    test('push-note stores a single note and broadcasts it to the room', async () => {
+        const socket = createSocket('socket-4');
+        handleSocketConnection(socket);
+
+        await socket.handlers['join-chain']({ roomId, deviceName: 'Device C' });
+        await socket.handlers['push-note']({
+            roomId,
+            noteId: 'note_1',
+            encryptedData: 'note-cipher',
+            version: 3,
+            timestamp: 10,
+        });
+
+        const stored = stores.noteStore.get(roomId).get('note_1');
+        expect(stored).toMatchObject({
+            noteId: 'note_1',
+            encryptedData: 'note-cipher',
+            version: 3,
+            deviceName: 'Device C',
+            deleted: false,
+        });
+        expect(stores.chainStore.has(roomId)).toBe(false);
+        expect(socket.broadcast).toHaveBeenCalledWith('note-update', stored);
+        expect(socket.emit).toHaveBeenCalledWith('note-ack', { noteId: 'note_1', version: 3, seq: 1, timestamp: 10, success: true });
+    });
+
+    test('evicts idle notebook rooms from every store but keeps claimed keys', async () => {
+        const owner = crypto.generateKeyPairSync('ed25519');
+        const socket = createSocket('socket-idle');
+        handleSocketConnection(socket);
+
+        await socket.handlers['join-chain']({ roomId, roomProof, deviceName: 'Device C' });
+        await socket.handlers['push-note'](sign(owner, 'push-note', {
+            roomId,
+            noteId: 'note_1',
+            encryptedData: 'note-cipher',
+            version: 1,
+            timestamp: Date.now(),
+        }));
+        expect(stores.noteStore.get(roomId).has('note_1')).toBe(true);
+        expect(stores.chainStore.has(roomId)).toBe(false);
+        socket.handlers.disconnect('transport close');
+
+        // Still within the TTL counted from the last activity
+        expect(await cleanupRooms(Date.now() + 60 * 1000)).toMatchObject({ evictedTTL: 0, evictedCap: 0 });
+        expect(stores.noteStore.has(roomId)).toBe(true);
+
+        expect(await cleanupRooms(Date.now() + 25 * 60 * 60 * 1000)).toMatchObject({ evictedTTL: 1, evictedCap: 0 });
+        for (const store of ['noteStore', 'versionStore', 'logStore', 'sequenceStore', 'deviceStore', 'roomActivity']) {
+            expect(stores[store].has(roomId)).toBe(false);
+        }
+        expect(stores.roomKeyStore.get(roomId)).toBe(rawPublicKey(owner));
+    });
+
+    test('push-note and delete-note reject writes based on a stale note version', async () => {
+        const writer = createSocket('socket-stale-1');
+        const stale = createSocket('socket-stale-2');
+        handleSocketConnection(writer);
+        handleSocketConnection(stale);
+        await writer.handlers['join-chain']({ roomId, deviceName: 'Fresh' });
+        await stale.handlers['join-chain']({ roomId, deviceName: 'Stale' });
+
+        await writer.handlers['push-note']({ roomId, noteId: 'note_1', encryptedData: 'v1', version: 1, timestamp: 10, baseVersion: 0 });
+        await writer.handlers['push-note']({ roomId, noteId: 'note_1', encryptedData: 'v2', version: 2, timestamp: 20, baseVersion: 1 });
+
+        // The stale device only saw seq 1
+        await stale.handlers['push-note']({ roomId, noteId: 'note_1', encryptedData: 'old edit', version: 2, timestamp: 30, baseVersion: 1 });
+        await stale.handlers['delete-note']({ roomId, noteId: 'note_1', timestamp: 40, baseVersion: 1 });
+
+        const conflicts = stale.emit.mock.calls.filter(([event]) => event === 'version-conflict');
+        expect(conflicts).toHaveLength(2);
+        expect(conflicts[0][1]).toEqual({
+            noteId: 'note_1',
+            baseVersion: 1,
+            currentVersion: 2,
+            encryptedData: 'v2',
+            deleted: false,
+            timestamp: 20,
+            deviceName: 'Fresh',
+        });
+        expect(stores.noteStore.get(roomId).get('note_1')).toMatchObject({ encryptedData: 'v2', seq: 2 });
+        expect(stale.broadcast).not.toHaveBeenCalled();
+
+        // Based on the current version the write goes through; clients without baseVersion are not checked
+        await stale.handlers['delete-note']({ roomId, noteId: 'note_1', timestamp: 50, baseVersion: 2 });
+        expect(stale.emit).toHaveBeenCalledWith('note-ack', { noteId: 'note_1', deleted: true, seq: 3, timestamp: 50, success: true });
+        await writer.handlers['push-note']({ roomId, noteId: 'note_1', encryptedData: 'legacy', version: 3, timestamp: 60 });
+        expect(stores.noteStore.get(roomId).get('note_1')).toMatchObject({ encryptedData: 'legacy', seq: 4 });
+    });
+
+    test('push-note rejects invalid note ids', async () => {
+        const socket = createSocket('socket-5');
+        handleSocketConnection(socket);
+
+        await socket.handlers['join-chain']({ roomId, deviceName: 'Device D' });
+        await socket.handlers['push-note']({ roomId, noteId: '../bad', encryptedData: 'x' });
+
+        expect(socket.emit).toHaveBeenCalledWith('error', { message: 'Invalid note ID' });
+        expect(stores.noteStore.has(roomId)).toBe(false);
+    });
+
+    test('delete-note leaves a tombstone that new devices receive on join', async () => {
+        const writer = createSocket('socket-6');
+        handleSocketConnection(writer);
+
+        await writer.handlers['join-chain']({ roomId, deviceName: 'Device E' });
+        await writer.handlers['push-note']({ roomId, noteId: 'keep', encryptedData: 'kept', version: 1, timestamp: 5 });
+        await writer.handlers['delete-note']({ roomId, noteId: 'gone', timestamp: 20 });
+
+        expect(writer.broadcast).toHaveBeenCalledWith('note-delete', {
+            noteId: 'gone',
+            timestamp: 20,
+            deviceName: 'Device E',
+            seq: 2,
+        });
+
+        const reader = createSocket('socket-7');
+        handleSocketConnection(reader);
+        await reader.handlers['join-chain']({ roomId, deviceName: 'Device F' });
+
+        const snapshotCall = reader.emit.mock.calls.find(([event]) => event === 'notes-snapshot');
+        expect(snapshotCall).toBeDefined();
+        const notes = snapshotCall[1].notes;
+        expect(notes).toHaveLength(2);
+        expect(notes.find((note) => note.noteId === 'gone')).toMatchObject({ deleted: true, encryptedData: '' });
+        expect(notes.find((note) => note.noteId === 'keep')).toMatchObject({ deleted: false, encryptedData: 'kept' });
+    });
+
+    test('yjs-update is relayed to the room without being stored', async () => {
+        const socket = createSocket('socket-8');
+        handleSocketConnection(socket);
+
+        await socket.handlers['join-chain']({ roomId, deviceName: 'Device G' });
+        socket.handlers['yjs-update']({ roomId, noteId: 'note_1', encryptedData: 'yjs-cipher' });
+
+        expect(socket.broadcast).toHaveBeenCalledWith('yjs-update', {
+            noteId: 'note_1',
+            encryptedData: 'yjs-cipher',
+            deviceName: 'Device G',
+        });
+        expect(stores.noteStore.has(roomId)).toBe(false);
+        expect(stores.chainStore.has(roomId)).toBe(false);
+    });
+
+    test('presence is relayed with the sender socket and never stored', async () => {
+        const socket = createSocket('socket-presence');
+        handleSocketConnection(socket);
+
+        socket.handlers.presence({ roomId, encryptedData: 'presence-cipher' });
+        expect(socket.broadcast).not.toHaveBeenCalled();
+
+        await socket.handlers['join-chain']({ roomId, deviceName: 'Device P' });
+        socket.handlers.presence({ roomId, encryptedData: 'presence-cipher' });
+        expect(socket.broadcast).toHaveBeenCalledWith('presence', {
+            socketId: 'socket-presence',
+            deviceName: 'Device P',
+            encryptedData: 'presence-cipher',
+        });
+
+        socket.handlers.presence({ roomId, encryptedData: 'x'.repeat(5000) });
+        expect(socket.emit).toHaveBeenCalledWith('error', { message: 'Invalid presence' });
+        expect(stores.chainStore.has(roomId)).toBe(false);
+        expect(stores.logStore.has(roomId)).toBe(false);
+    });
+
+    test('yjs relay uses its own rate limit bucket', async () => {
+        const socket = createSocket('socket-9');
+        handleSocketConnection(socket);
+
+        await socket.handlers['join-chain']({ roomId, deviceName: 'Device H' });
+        for (let i = 0; i < 50; i += 1) {
+            socket.handlers['yjs-sync']({ roomId, noteId: 'note_1', encryptedData: 'sv' });
+        }
+        await socket.handlers['push-note']({ roomId, noteId: 'note_1', encryptedData: 'cipher', version: 1 });
+
+        expect(socket.emit).not.toHaveBeenCalledWith('error', { message: 'Rate limit exceeded' });
+        expect(socket.broadcast).toHaveBeenCalledTimes(51);
+    });
+
+    test('list-versions and fetch-version expose past ciphertexts of a note', async () => {
+        const socket = createSocket('socket-10');
+        handleSocketConnection(socket);
+
+        await socket.handlers['join-chain']({ roomId, deviceName: 'Device I' });
+        await socket.handlers['push-note']({ roomId, noteId: 'note_1', encryptedData: 'first', version: 1, timestamp: 10 });
+        await socket.handlers['push-note']({ roomId, noteId: 'note_1', encryptedData: 'second', version: 2, timestamp: 20 });
+        await socket.handlers['push-update']({ roomId, encryptedData: 'blob', timestamp: 30 });
+
+        await socket.handlers['list-versions']({ roomId, noteId: 'note_1' });
+
+        const listCall = socket.emit.mock.calls.find(([event]) => event === 'versions-list');
+        const { noteId, versions } = listCall[1];
+        expect(noteId).toBe('note_1');
+        expect(versions.map((entry) => entry.version)).toEqual([2, 1]);
+        expect(versions[0]).not.toHaveProperty('encryptedData');
+        expect(versions[0].versionId).not.toBe(versions[1].versionId);
+
+        await socket.handlers['fetch-version']({ roomId, versionId: versions[1].versionId });
+
+        expect(socket.emit).toHaveBeenCalledWith('version-data', expect.objectContaining({
+            noteId: 'note_1',
+            encryptedData: 'first',
+            deviceName: 'Device I',
+        }));
+    });
+
+    test('fetch-version rejects non-members and unknown versions', async () => {
+        const socket = createSocket('socket-11');
+        handleSocketConnection(socket);
+
+        await socket.handlers['fetch-version']({ roomId, versionId: 'missing' });
+        expect(socket.emit).toHaveBeenCalledWith('error', { message: 'Not a member of this room' });
+
+        await socket.handlers['join-chain']({ roomId, deviceName: 'Device J' });
+        await socket.handlers['fetch-version']({ roomId, versionId: 'missing' });
+        expect(socket.emit).toHaveBeenCalledWith('error', { message: 'Version not found' });
+    });
+
+    test('request-sync-since replays only the operations a device missed', async () => {
+        const writer = createSocket('socket-12');
+        handleSocketConnection(writer);
+
+        await writer.handlers['join-chain']({ roomId, deviceName: 'Device K' });
+        await writer.handlers['push-update']({ roomId, encryptedData: 'blob-1', timestamp: 10 });
+        await writer.handlers['push-note']({ roomId, noteId: 'note_1', encryptedData: 'note-1', version: 1, timestamp: 20 });
+        await writer.handlers['delete-note']({ roomId, noteId: 'note_2', timestamp: 30 });
+
+        const reader = createSocket('socket-13');
+        handleSocketConnection(reader);
+        await reader.handlers['join-chain']({ roomId, deviceName: 'Device L', since: 1 });
+
+        expect(reader.emit).not.toHaveBeenCalledWith('notes-snapshot', expect.anything());
+        const opsCall = reader.emit.mock.calls.find(([event]) => event === 'sync-ops');
+        expect(opsCall[1].seq).toBe(3);
+        expect(opsCall[1].operations).toEqual([
+            expect.objectContaining({ version: 2, type: 'replace', noteId: 'note_1', content: 'note-1', deviceId: 'Device K' }),
+            expect.objectContaining({ version: 3, type: 'delete', noteId: 'note_2' }),
+        ]);
+
+        reader.emit.mockClear();
+        await reader.handlers['request-sync-since']({ roomId, since: 3 });
+        expect(reader.emit).toHaveBeenCalledWith('sync-ops', { operations: [], seq: 3 });
+    });
+
+    test('request-sync-since falls back to the full state when the log cannot cover the gap', async () => {
+        const socket = createSocket('socket-14');
+        handleSocketConnection(socket);
+
+        await socket.handlers['join-chain']({ roomId, deviceName: 'Device M' });
+        await socket.handlers['push-update']({ roomId, encryptedData: 'blob-1', timestamp: 10 });
+        socket.emit.mockClear();
+
+        // The device knows a sequence the server never issued (e.g. the server restarted)
+        await socket.handlers['request-sync-since']({ roomId, since: 50 });
+
+        expect(socket.emit).not.toHaveBeenCalledWith('sync-ops', expect.anything());
+        expect(socket.emit).toHaveBeenCalledWith('sync-update', expect.objectContaining({ encryptedData: 'blob-1', seq: 1 }));
+        expect(socket.emit).toHaveBeenCalledWith('notes-snapshot', { notes: [], seq: 1 });
+    });
+
+    test('push-update rejects a stale baseVersion with the current server version', async () => {
+        const first = createSocket('socket-15');
+        const second = createSocket('socket-16');
+        handleSocketConnection(first);
+        handleSocketConnection(second);
+
+        await first.handlers['join-chain']({ roomId, deviceName: 'Device N' });
+        await second.handlers['join-chain']({ roomId, deviceName: 'Device O' });
+
+        // Both devices edit on top of version 0 at the same time
+        await Promise.all([
+            first.handlers['push-update']({ roomId, encryptedData: 'from-n', timestamp: 10, baseVersion: 0 }),
+            second.handlers['push-update']({ roomId, encryptedData: 'from-o', timestamp: 11, baseVersion: 0 }),
+        ]);
+
+        expect(first.emit).toHaveBeenCalledWith('update-ack', { timestamp: 10, success: true, version: 1 });
+        expect(second.emit).toHaveBeenCalledWith('version-conflict', {
+            baseVersion: 0,
+            currentVersion: 1,
+            encryptedData: 'from-n',
+            timestamp: 10,
+            deviceName: 'Device N',
+        });
+        expect(second.emit).not.toHaveBeenCalledWith('update-ack', expect.anything());
+        expect(stores.chainStore.get(roomId)).toMatchObject({ encryptedData: 'from-n', version: 1 });
+
+        await second.handlers['push-update']({ roomId, encryptedData: 'merged', timestamp: 12, baseVersion: 1 });
+        expect(second.emit).toHaveBeenCalledWith('update-ack', { timestamp: 12, success: true, version: 2 });
+    });
+
+    test('push-update reassembles chunks and stores only the complete ciphertext', async () => {
+        const socket = createSocket('socket-17');
+        handleSocketConnection(socket);
+
+        await socket.handlers['join-chain']({ roomId, deviceName: 'Device P' });
+        const chunk = (chunkIndex, encryptedData) => socket.handlers['push-update']({
+            roomId,
+            encryptedData,
+            timestamp: 40,
+            baseVersion: 0,
+            sessionId: 'session_0001',
+            digest: digestOf('AAABBBCCC'),
+            chunkIndex,
+            totalChunks: 3,
+        });
+
+        // Out of order, with a duplicate after a reconnect
+        await chunk(2, 'CCC');
+        await chunk(0, 'AAA');
+        await chunk(0, 'AAA');
+
+        expect(stores.chainStore.has(roomId)).toBe(false);
+        expect(socket.broadcast).not.toHaveBeenCalled();
+        expect(socket.emit).toHaveBeenCalledWith('chunk-ack', { sessionId: 'session_0001', chunkIndex: 0, received: 2, total: 3 });
+
+        await chunk(1, 'BBB');
+
+        expect(stores.chainStore.get(roomId)).toMatchObject({ encryptedData: 'AAABBBCCC', version: 1 });
+        expect(socket.broadcast).toHaveBeenCalledTimes(1);
+        expect(socket.broadcast).toHaveBeenCalledWith('sync-update', expect.objectContaining({ encryptedData: 'AAABBBCCC' }));
+        expect(socket.emit).toHaveBeenCalledWith('update-ack', { timestamp: 40, success: true, version: 1 });
+        // Only a completion marker is kept, without the chunk data
+        expect(stores.chunkStore.get(`${roomId}:session_0001`)).toMatchObject({ completed: true, chunks: null });
+    });
+
+    test('chunk-status reports held chunks so a reconnected client resends only the missing ones', async () => {
+        const first = createSocket('socket-19');
+        handleSocketConnection(first);
+        await first.handlers['join-chain']({ roomId, deviceName: 'Device R' });
+
+        const chunk = (socket, chunkIndex, encryptedData) => socket.handlers['push-update']({
+            roomId,
+            encryptedData,
+            timestamp: 50,
+            sessionId: 'session_0003',
+            digest: digestOf('AAABBBCCC'),
+            chunkIndex,
+            totalChunks: 3,
+        });
+        await chunk(first, 0, 'AAA');
+        await chunk(first, 2, 'CCC');
+
+        // The connection drops; the same device comes back on a new socket
+        const second = createSocket('socket-20');
+        handleSocketConnection(second);
+        await second.handlers['join-chain']({ roomId, deviceName: 'Device R' });
+
+        await second.handlers['chunk-status']({ roomId, sessionId: 'session_0003' });
+        expect(second.emit).toHaveBeenCalledWith('chunk-status', {
+            sessionId: 'session_0003',
+            received: [0, 2],
+            total: 3,
+            complete: false,
+        });
+
+        await chunk(second, 1, 'BBB');
+        expect(stores.chainStore.get(roomId)).toMatchObject({ encryptedData: 'AAABBBCCC' });
+
+        // The final ack was lost: a resent chunk is acknowledged without writing again
+        await chunk(second, 1, 'BBB');
+        expect(second.emit).toHaveBeenLastCalledWith('chunk-ack', { sessionId: 'session_0003', chunkIndex: 1, received: 3, total: 3 });
+        expect(second.broadcast).toHaveBeenCalledTimes(1);
+
+        await second.handlers['chunk-status']({ roomId, sessionId: 'session_0003' });
+        expect(second.emit).toHaveBeenLastCalledWith('chunk-status', {
+            sessionId: 'session_0003',
+            received: [0, 1, 2],
+            total: 3,
+            complete: true,
+        });
+
+        await second.handlers['chunk-status']({ roomId, sessionId: 'session_unknown' });
+        expect(second.emit).toHaveBeenLastCalledWith('chunk-status', {
+            sessionId: 'session_unknown',
+            received: [],
+            total: 0,
+            complete: false,
+        });
+    });
+
+    test('chunked push-note rejects chunks that do not fit the session', async () => {
+        const socket = createSocket('socket-18');
+        handleSocketConnection(socket);
+
+        await socket.handlers['join-chain']({ roomId, deviceName: 'Device Q' });
+        const base = { roomId, noteId: 'note_1', version: 1, sessionId: 'session_0002', digest: digestOf('AAABBB') };
+
+        await socket.handlers['push-note']({ ...base, encryptedData: 'AAA', chunkIndex: 0, totalChunks: 2 });
+        await socket.handlers['push-note']({ ...base, encryptedData: 'BBB', chunkIndex: 1, totalChunks: 3 });
+        expect(socket.emit).toHaveBeenCalledWith('error', { message: 'Chunk session mismatch' });
+
+        await socket.handlers['push-note']({ ...base, encryptedData: 'BBB', chunkIndex: 2, totalChunks: 2 });
+        expect(socket.emit).toHaveBeenCalledWith('error', { message: 'Invalid chunk index' });
+
+        await socket.handlers['push-note']({ ...base, digest: digestOf('AAAXXX'), encryptedData: 'XXX', chunkIndex: 1, totalChunks: 2 });
+        expect(socket.emit).toHaveBeenLastCalledWith('error', { message: 'Chunk session mismatch' });
+
+        await socket.handlers['push-note']({ ...base, encryptedData: 'BBB', chunkIndex: 1, totalChunks: 2 });
+        expect(stores.noteStore.get(roomId).get('note_1')).toMatchObject({ encryptedData: 'AAABBB', version: 1 });
+        expect(socket.broadcast).toHaveBeenCalledWith('note-update', expect.objectContaining({ encryptedData: 'AAABBB' }));
+    });
+
+    test('rotate-chain purges the room and leaves a tombstone that rejects joins', async () => {
+        const rotating = createSocket('socket-21');
+        const other = createSocket('socket-22');
+        handleSocketConnection(rotating);
+        handleSocketConnection(other);
+
+        await rotating.handlers['join-chain']({ roomId, deviceName: 'Device S' });
+        await other.handlers['join-chain']({ roomId, deviceName: 'Device T' });
+        await rotating.handlers['push-note']({ roomId, noteId: 'note_1', encryptedData: 'secret', version: 1 });
+
+        await rotating.handlers['rotate-chain']({ roomId });
+
+        const notice = { rotatedAt: expect.any(Number), deviceName: 'Device S' };
+        expect(rotating.emit).toHaveBeenCalledWith('chain-rotated', notice);
+        expect(rotating.broadcast).toHaveBeenCalledWith('chain-rotated', notice);
+        expect(stores.chainStore.get(roomId)).toMatchObject({ encryptedData: '', rotated: true });
+        expect(stores.noteStore.has(roomId)).toBe(false);
+        expect(stores.logStore.has(roomId)).toBe(false);
+        expect(stores.socketMeta.size).toBe(0);
+
+        await other.handlers['push-note']({ roomId, noteId: 'note_1', encryptedData: 'late', version: 2 });
+        expect(other.emit).toHaveBeenCalledWith('error', { message: 'Not a member of this room' });
+        expect(stores.noteStore.has(roomId)).toBe(false);
+
+        const late = createSocket('socket-23');
+        handleSocketConnection(late);
+        await late.handlers['join-chain']({ roomId, deviceName: 'Device U' });
+
+        expect(late.join).not.toHaveBeenCalled();
+        expect(late.emit).toHaveBeenCalledWith('chain-rotated', notice);
+        expect(late.emit).not.toHaveBeenCalledWith('notes-snapshot', expect.anything());
+    });
+
+    const rawPublicKey = ({ publicKey }) => Buffer.from(publicKey.export({ format: 'jwk' }).x, 'base64url').toString('base64');
+    const sign = (keyPair, event, update) => {
+        const digest = update.digest || crypto.createHash('sha256').update(update.encryptedData || '').digest('hex');
+        const message = JSON.stringify([
+            event, update.roomId, update.noteId ?? null, update.timestamp ?? null, digest, update.baseVersion ?? null,
+        ]);
+        return {
+            ...update,
+            publicKey: rawPublicKey(keyPair),
+            signature: crypto.sign(null, Buffer.from(message), keyPair.privateKey).toString('base64'),
+        };
+    };
+
+    test('only accepts writes signed by the key that first claimed the room', async () => {
+        const owner = crypto.generateKeyPairSync('ed25519');
+        const intruder = crypto.generateKeyPairSync('ed25519');
+        const now = Date.now();
+
+        const writer = createSocket('socket-31');
+        const attacker = createSocket('socket-32');
+        handleSocketConnection(writer);
+        handleSocketConnection(attacker);
+        await writer.handlers['join-chain']({ roomId, roomProof, deviceName: 'Device V' });
+        await attacker.handlers['join-chain']({ roomId, deviceName: 'Device W' });
+
+        await writer.handlers['push-update'](sign(owner, 'push-update', { roomId, encryptedData: 'cipher-1', timestamp: now }));
+        expect(writer.emit).toHaveBeenCalledWith('update-ack', { timestamp: now, success: true, version: 1 });
+        expect(stores.roomKeyStore.get(roomId)).toBe(rawPublicKey(owner));
+
+        // Unsigned, signed by another key, or a signature replayed onto other data
+        await attacker.handlers['push-update']({ roomId, encryptedData: 'garbage', timestamp: now + 1 });
+        await attacker.handlers['push-update'](sign(intruder, 'push-update', { roomId, encryptedData: 'garbage', timestamp: now + 2 }));
+        const replayed = sign(owner, 'push-update', { roomId, encryptedData: 'cipher-1', timestamp: now + 3 });
+        await attacker.handlers['push-update']({ ...replayed, encryptedData: 'garbage' });
+        await attacker.handlers['delete-note']({ roomId, noteId: 'note_1', timestamp: now + 4 });
+
+        expect(attacker.emit.mock.calls.filter(([event, payload]) => (
+            event === 'error' && payload.message === 'Invalid write signature'
+        ))).toHaveLength(4);
+        expect(stores.chainStore.get(roomId)).toMatchObject({ encryptedData: 'cipher-1', version: 1 });
+        expect(stores.noteStore.has(roomId)).toBe(false);
+
+        await writer.handlers['push-note'](sign(owner, 'push-note', { roomId, noteId: 'note_1', encryptedData: 'note-1', version: 1, timestamp: 6 }));
+        expect(writer.emit).toHaveBeenCalledWith('note-ack', { noteId: 'note_1', version: 1, seq: 2, timestamp: 6, success: true });
+    });
+
+    test('a room key can only be claimed with the room proof and is never evicted', async () => {
+        const owner = crypto.generateKeyPairSync('ed25519');
+        const intruder = crypto.generateKeyPairSync('ed25519');
+
+        const attacker = createSocket('socket-33');
+        handleSocketConnection(attacker);
+        await attacker.handlers['join-chain']({ roomId, roomProof: 'guessed-proof', deviceName: 'Device W' });
+        expect(attacker.emit).toHaveBeenCalledWith('error', { message: 'Invalid room proof' });
+        expect(attacker.join).not.toHaveBeenCalled();
+
+        // Knowing the room id is enough to join, but not to claim the room
+        await attacker.handlers['join-chain']({ roomId, deviceName: 'Device W' });
+        await attacker.handlers['push-update'](sign(intruder, 'push-update', { roomId, encryptedData: 'squat', timestamp: Date.now() }));
+        expect(stores.roomKeyStore.has(roomId)).toBe(false);
+
+        const writer = createSocket('socket-34');
+        handleSocketConnection(writer);
+        await writer.handlers['join-chain']({ roomId, roomProof, deviceName: 'Device V' });
+        await writer.handlers['push-update'](sign(owner, 'push-update', { roomId, encryptedData: 'cipher-1', timestamp: Date.now(), baseVersion: 1 }));
+        expect(stores.roomKeyStore.get(roomId)).toBe(rawPublicKey(owner));
+
+        await writer.handlers['rotate-chain'](sign(owner, 'rotate-chain', { roomId, timestamp: Date.now() }));
+        expect(stores.chainStore.get(roomId)).toMatchObject({ rotated: true });
+        expect(stores.roomKeyStore.get(roomId)).toBe(rawPublicKey(owner));
+    });
+
+    test('signed writes with an old timestamp are rejected as replays', async () => {
+        const owner = crypto.generateKeyPairSync('ed25519');
+        const writer = createSocket('socket-35');
+        handleSocketConnection(writer);
+        await writer.handlers['join-chain']({ roomId, roomProof, deviceName: 'Device V' });
+
+        const stale = sign(owner, 'push-update', { roomId, encryptedData: 'old', timestamp: Date.now() - 60 * 60 * 1000 });
+        await writer.handlers['push-update'](stale);
+        const unstamped = sign(owner, 'push-update', { roomId, encryptedData: 'old' });
+        await writer.handlers['push-update'](unstamped);
+        expect(stores.chainStore.has(roomId)).toBe(false);
+
+        // Note writes carry the note's own timestamp, which has to be newer than the stored one
+        const first = sign(owner, 'push-note', { roomId, noteId: 'note_1', encryptedData: 'v1', timestamp: 100 });
+        const second = sign(owner, 'push-note', { roomId, noteId: 'note_1', encryptedData: 'v2', timestamp: 200 });
+        await writer.handlers['push-note'](first);
+        await writer.handlers['push-note'](second);
+        await writer.handlers['push-note'](sign(owner, 'push-note', { roomId, noteId: 'note_1', encryptedData: 'v1b', timestamp: 150 }));
+
+        const errors = (message) => writer.emit.mock.calls.filter(([event, payload]) => (
+            event === 'error' && payload.message === message
+        ));
+        expect(errors('Stale write timestamp')).toHaveLength(3);
+        expect(stores.noteStore.get(roomId).get('note_1')).toMatchObject({ encryptedData: 'v2', seq: 2 });
+
+        // A signature is accepted only once, for every signed event
+        await writer.handlers['push-note'](first);
+        await writer.handlers['push-note'](second);
+        const update = sign(owner, 'push-update', { roomId, encryptedData: 'room', timestamp: Date.now(), baseVersion: 0 });
+        await writer.handlers['push-update'](update);
+        expect(writer.emit).toHaveBeenLastCalledWith('update-ack', expect.objectContaining({ success: true, version: 3 }));
+        await writer.handlers['push-update'](update);
+        expect(errors('Replayed write')).toHaveLength(3);
+        expect(stores.chainStore.get(roomId)).toMatchObject({ encryptedData: 'room', version: 3 });
+    });
+
+    test('the signature covers the base version', async () => {
+        const owner = crypto.generateKeyPairSync('ed25519');
+        const writer = createSocket('socket-39');
+        handleSocketConnection(writer);
+        await writer.handlers['join-chain']({ roomId, roomProof, deviceName: 'Device V' });
+
+        const signed = sign(owner, 'push-note', { roomId, noteId: 'note_1', encryptedData: 'v1', timestamp: 100, baseVersion: 0 });
+        await writer.handlers['push-note']({ ...signed, baseVersion: 5 });
+        expect(writer.emit).toHaveBeenCalledWith('error', { message: 'Invalid write signature' });
+        expect(stores.noteStore.has(roomId)).toBe(false);
+
+        await writer.handlers['push-note'](signed);
+        expect(stores.noteStore.get(roomId).get('note_1')).toMatchObject({ encryptedData: 'v1', seq: 1 });
+    });
+
+    test('chunks are authorized before they are buffered and buffered bytes are capped per socket', async () => {
+        const owner = crypto.generateKeyPairSync('ed25519');
+        const now = Date.now();
+        const writer = createSocket('socket-36');
+        const helper = createSocket('socket-37');
+        const intruder = createSocket('socket-38');
+        handleSocketConnection(writer);
+        handleSocketConnection(helper);
+        handleSocketConnection(intruder);
+        await writer.handlers['join-chain']({ roomId, roomProof, deviceName: 'Device V' });
+        await helper.handlers['join-chain']({ roomId, roomProof, deviceName: 'Device V' });
+        await intruder.handlers['join-chain']({ roomId, deviceName: 'Device W' });
+
+        // 5MB chunks, four to a session: three unfinished sessions fill the 40MB a socket may buffer
+        const part = 'A'.repeat(5 * 1024 * 1024);
+        const digest = digestOf(part.repeat(4));
+        // Each upload is signed once, with its own timestamp
+        const timestamps = { session_0004: now, session_0006: now + 1, session_0007: now + 2 };
+        const chunk = (socket, sessionId, chunkIndex) => socket.handlers['push-update'](sign(owner, 'push-update', {
+            roomId, encryptedData: part, timestamp: timestamps[sessionId], sessionId, digest, chunkIndex, totalChunks: 4,
+        }));
+
+        await chunk(writer, 'session_0004', 0);
+        expect(stores.roomKeyStore.get(roomId)).toBe(rawPublicKey(owner));
+
+        await intruder.handlers['push-update']({
+            roomId, encryptedData: part, timestamp: now, sessionId: 'session_0005', digest, chunkIndex: 0, totalChunks: 4,
+        });
+        expect(intruder.emit).toHaveBeenCalledWith('error', { message: 'Invalid write signature' });
+        expect(stores.chunkStore.has(`${roomId}:session_0005`)).toBe(false);
+
+        for (const [sessionId, chunks] of [['session_0004', [1, 2]], ['session_0006', [0, 1, 2]], ['session_0007', [0, 1]]]) {
+            for (const chunkIndex of chunks) {
+                await chunk(writer, sessionId, chunkIndex);
+            }
+        }
+        await chunk(writer, 'session_0007', 2);
+        expect(writer.emit).toHaveBeenLastCalledWith('error', { message: 'Too many pending uploads' });
+        expect(stores.chunkStore.get(`${roomId}:session_0007`).received).toBe(2);
+
+        // Another device finishes the first session, which frees what it buffered
+        await chunk(helper, 'session_0004', 3);
+        expect(stores.chainStore.get(roomId)).toMatchObject({ version: 1 });
+        await chunk(writer, 'session_0007', 2);
+        expect(writer.emit).toHaveBeenLastCalledWith('chunk-ack', { sessionId: 'session_0007', chunkIndex: 2, received: 3, total: 4 });
+    });
+
+    test('removed devices can no longer write or join', async () => {
+        const chainKey = crypto.generateKeyPairSync('ed25519');
+        const desktopKey = crypto.generateKeyPairSync('ed25519');
+        const laptopKey = crypto.generateKeyPairSync('ed25519');
+        const desktopId = 'a'.repeat(32);
+        const laptopId = 'b'.repeat(32);
+        const device = (deviceId, keyPair) => {
+            const publicKey = rawPublicKey(keyPair);
+            const { publicKey: endorser, signature } = sign(chainKey, 'register-device', { roomId, noteId: deviceId, encryptedData: publicKey });
+            return { deviceId, publicKey, platform: 'Linux', endorsement: { publicKey: endorser, signature } };
+        };
+
+        const desktop = createSocket('socket-41');
+        const laptop = createSocket('socket-42');
+        handleSocketConnection(desktop);
+        handleSocketConnection(laptop);
+        await desktop.handlers['join-chain']({ roomId, roomProof, deviceName: 'Desktop', device: device(desktopId, desktopKey) });
+        await laptop.handlers['join-chain']({ roomId, roomProof, deviceName: 'Laptop', device: device(laptopId, laptopKey) });
+        expect(stores.roomKeyStore.get(roomId)).toBe(rawPublicKey(chainKey));
+
+        await laptop.handlers['push-update'](sign(laptopKey, 'push-update', { roomId, encryptedData: 'from-laptop', timestamp: Date.now() }));
+        expect(stores.chainStore.get(roomId)).toMatchObject({ encryptedData: 'from-laptop' });
+
+        await desktop.handlers['list-devices']({ roomId });
+        expect(desktop.emit).toHaveBeenCalledWith('devices-list', {
+            devices: [
+                expect.objectContaining({ deviceId: desktopId, deviceName: 'Desktop', platform: 'Linux', online: true, revokedAt: null }),
+                expect.objectContaining({ deviceId: laptopId, deviceName: 'Laptop', online: true, revokedAt: null }),
+            ],
+        });
+
+        await desktop.handlers['remove-device'](sign(desktopKey, 'remove-device', { roomId, noteId: desktopId, deviceId: desktopId, timestamp: Date.now() }));
+        expect(desktop.emit).toHaveBeenCalledWith('error', { message: 'Cannot remove the current device' });
+
+        await desktop.handlers['remove-device'](sign(desktopKey, 'remove-device', { roomId, noteId: laptopId, deviceId: laptopId, timestamp: Date.now() }));
+        expect(desktop.broadcast).toHaveBeenCalledWith('device-removed', expect.objectContaining({ deviceId: laptopId }));
+        expect(stores.deviceStore.get(roomId).get(laptopId).revokedAt).toEqual(expect.any(Number));
+        expect(stores.socketMeta.has('socket-42')).toBe(false);
+
+        // Rejoining with the removed device, or only its key, is refused
+        await laptop.handlers['join-chain']({ roomId, deviceName: 'Laptop', device: device(laptopId, laptopKey) });
+        await laptop.handlers['join-chain']({ roomId, deviceName: 'Laptop', device: device('c'.repeat(32), laptopKey) });
+        expect(laptop.emit.mock.calls.filter(([event]) => event === 'device-removed')).toHaveLength(2);
+        expect(stores.socketMeta.has('socket-42')).toBe(false);
+
+        // Joining as an unregistered client cannot write, neither with the removed key nor with the chain key
+        await laptop.handlers['join-chain']({ roomId, roomProof, deviceName: 'Laptop' });
+        await laptop.handlers['push-update'](sign(laptopKey, 'push-update', { roomId, encryptedData: 'stolen', timestamp: Date.now() }));
+        await laptop.handlers['push-update'](sign(chainKey, 'push-update', { roomId, encryptedData: 'stolen', timestamp: Date.now() }));
+        await laptop.handlers['delete-note'](sign(chainKey, 'delete-note', { roomId, noteId: 'note_1', timestamp: Date.now() }));
+        expect(laptop.emit.mock.calls.filter(([event, payload]) => (
+            event === 'error' && payload.message === 'Device not registered'
+        ))).toHaveLength(3);
+        expect(stores.chainStore.get(roomId)).toMatchObject({ encryptedData: 'from-laptop' });
+        expect(stores.noteStore.has(roomId)).toBe(false);
+    });
+
+    test('attachments are stored chunk by chunk and served only once complete', async () => {
+        const owner = crypto.generateKeyPairSync('ed25519');
+        const attachmentId = 'attachment-0000000001';
+        const uploader = createSocket('socket-51');
+        const reader = createSocket('socket-52');
+        handleSocketConnection(uploader);
+        handleSocketConnection(reader);
+        await uploader.handlers['join-chain']({ roomId, roomProof, deviceName: 'Device X' });
+        await reader.handlers['join-chain']({ roomId, deviceName: 'Device Y' });
+
+        const chunk = (chunkIndex, encryptedData, keyPair = owner) => sign(keyPair, 'upload-attachment', {
+            roomId,
+            attachmentId,
+            noteId: `${attachmentId}:${chunkIndex}`,
+            chunkIndex,
+            totalChunks: 2,
+            encryptedData,
+            timestamp: Date.now(),
+        });
+
+        await uploader.handlers['upload-attachment'](chunk(0, 'Y2lwaGVyLTA='));
+        expect(uploader.emit).toHaveBeenCalledWith('attachment-ack', { attachmentId, chunkIndex: 0, received: 1, total: 2 });
+
+        await reader.handlers['fetch-attachment']({ roomId, attachmentId, chunkIndex: 0 });
+        expect(reader.emit).toHaveBeenLastCalledWith('attachment-chunk', {
+            attachmentId, chunkIndex: 0, totalChunks: null, encryptedData: null,
+        });
+
+        // Unsigned chunks, or chunks signed by another key, are rejected once the room key is claimed
+        const { signature: _signature, ...unsigned } = chunk(1, 'Z2FyYmFnZQ==');
+        await reader.handlers['upload-attachment'](unsigned);
+        await reader.handlers['upload-attachment'](chunk(1, 'Z2FyYmFnZQ==', crypto.generateKeyPairSync('ed25519')));
+        expect(reader.emit.mock.calls.filter(([event, payload]) => (
+            event === 'error' && payload.message === 'Invalid write signature'
+        ))).toHaveLength(2);
+
+        await uploader.handlers['upload-attachment'](chunk(1, 'Y2lwaGVyLTE='));
+        expect(uploader.emit).toHaveBeenCalledWith('attachment-ack', { attachmentId, chunkIndex: 1, received: 2, total: 2 });
+
+        await reader.handlers['fetch-attachment']({ roomId, attachmentId, chunkIndex: 1 });
+        expect(reader.emit).toHaveBeenLastCalledWith('attachment-chunk', {
+            attachmentId, chunkIndex: 1, totalChunks: 2, encryptedData: 'Y2lwaGVyLTE=',
+        });
+
+        // A complete attachment cannot be overwritten
+        await uploader.handlers['upload-attachment'](chunk(1, 'b3ZlcndyaXRl'));
+        await reader.handlers['fetch-attachment']({ roomId, attachmentId, chunkIndex: 1 });
+        expect(reader.emit).toHaveBeenLastCalledWith('attachment-chunk', expect.objectContaining({ encryptedData: 'Y2lwaGVyLTE=' }));
+
+        await uploader.handlers['upload-attachment']({ ...chunk(0, 'Y2lwaGVyLTA='), chunkIndex: 2 });
+        expect(uploader.emit).toHaveBeenCalledWith('error', { message: 'Invalid attachment' });
+    });
+
+    test('join-chain copies the legacy room of an upgraded notebook into the proven room', async () => {
+        const legacyRoomId = crypto.createHash('sha256').update('legacy mnemonic').digest('hex');
+        const attachmentStore = require('./index').getAttachmentStore();
+        const legacy = createSocket('socket-54');
+        handleSocketConnection(legacy);
+        await legacy.handlers['join-chain']({ roomId: legacyRoomId, deviceName: 'Old Phone' });
+        await legacy.handlers['push-update']({ roomId: legacyRoomId, encryptedData: 'blob', timestamp: 5 });
+        await legacy.handlers['push-note']({ roomId: legacyRoomId, noteId: 'note_1', encryptedData: 'first', version: 1, timestamp: 10 });
+        await legacy.handlers['push-note']({ roomId: legacyRoomId, noteId: 'note_1', encryptedData: 'second', version: 2, timestamp: 20 });
+        await legacy.handlers['upload-attachment']({
+            roomId: legacyRoomId,
+            attachmentId: 'attachment-0000000001',
+            chunkIndex: 0,
+            totalChunks: 1,
+            encryptedData: 'Y2lwaGVyLTA=',
+            timestamp: Date.now(),
+        });
+
+        // Without the proof of the new room nothing is copied
+        const stranger = createSocket('socket-55');
+        handleSocketConnection(stranger);
+        await stranger.handlers['join-chain']({ roomId, legacyRoomId, deviceName: 'Stranger' });
+        expect(stranger.emit).toHaveBeenCalledWith('error', { message: 'Invalid legacy room ID' });
+
+        const upgraded = createSocket('socket-56');
+        handleSocketConnection(upgraded);
+        await upgraded.handlers['join-chain']({ roomId, roomProof, legacyRoomId, deviceName: 'New Phone' });
+
+        expect(upgraded.emit).toHaveBeenCalledWith('legacy-room-imported', { legacyRoomId });
+        expect(upgraded.emit).toHaveBeenCalledWith('sync-update', expect.objectContaining({ encryptedData: 'blob' }));
+        const snapshot = upgraded.emit.mock.calls.find(([event]) => event === 'notes-snapshot')[1];
+        expect(snapshot.notes).toEqual([expect.objectContaining({ noteId: 'note_1', encryptedData: 'second', timestamp: 20 })]);
+        expect(await attachmentStore.getAttachment(roomId, 'attachment-0000000001')).toMatchObject({ complete: true });
+
+        await upgraded.handlers['list-versions']({ roomId, noteId: 'note_1' });
+        const { versions } = upgraded.emit.mock.calls.find(([event]) => event === 'versions-list')[1];
+        expect(versions.map((entry) => entry.timestamp)).toEqual([20, 10]);
+
+        // Importing again neither duplicates nor overwrites what the new room already holds
+        await upgraded.handlers['push-note']({ roomId, noteId: 'note_1', encryptedData: 'third', version: 3, timestamp: 30 });
+        await upgraded.handlers['join-chain']({ roomId, roomProof, legacyRoomId, deviceName: 'New Phone' });
+        expect([...stores.noteStore.get(roomId).values()]).toEqual([expect.objectContaining({ encryptedData: 'third' })]);
+        expect(stores.versionStore.get(roomId).get('note_1')).toHaveLength(3);
+        expect(stores.noteStore.get(legacyRoomId).get('note_1')).toMatchObject({ encryptedData: 'second' });
+    });
+
+    test('attachments are deleted when their room is evicted', async () => {
+        const owner = crypto.generateKeyPairSync('ed25519');
+        const attachmentStore = require('./index').getAttachmentStore();
+        const socket = createSocket('socket-53');
+        handleSocketConnection(socket);
+        await socket.handlers['join-chain']({ roomId, roomProof, deviceName: 'Device X' });
+
+        const upload = (attachmentId) => socket.handlers['upload-attachment'](sign(owner, 'upload-attachment', {
+            roomId,
+            attachmentId,
+            noteId: `${attachmentId}:0`,
+            chunkIndex: 0,
+            totalChunks: 1,
+            encryptedData: 'Y2lwaGVyLTA=',
+            timestamp: Date.now(),
+        }));
+        await upload('attachment-0000000001');
+        await upload('attachment-0000000002');
+
+        expect(await attachmentStore.getAttachment(roomId, 'attachment-0000000001')).not.toBeNull();
+
+        // Without persistence nothing refers to the attachments of an evicted room any more
+        socket.handlers.disconnect('transport close');
+        expect(await cleanupRooms(Date.now() + 25 * 60 * 60 * 1000)).toMatchObject({ evictedTTL: 1 });
+        expect(await attachmentStore.getAttachment(roomId, 'attachment-0000000001')).toBeNull();
+        expect(await attachmentStore.getAttachment(roomId, 'attachment-0000000002')).toBeNull();
+        expect(await attachmentStore.listRooms()).toEqual([]);
+    });
 });
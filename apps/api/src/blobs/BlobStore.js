@@ -0,0 +1,205 @@
+/**
+ * 附件存储接口
+ * 附件在客户端分块加密后上传，服务器只保存密文块，不知道文件名、类型和密钥
+ */
+
+/**
+ * 附件元数据（不含密文）
+ * @typedef {Object} AttachmentInfo
+ * @property {string} attachmentId - 附件ID
+ * @property {number} totalChunks - 密文块总数
+ * @property {number} receivedChunks - 已保存的密文块数量
+ * @property {number} size - 已保存的密文字节数
+ * @property {number} createdAt - 第一个块的保存时间
+ * @property {boolean} complete - 是否已收齐所有块
+ */
+
+/**
+ * 附件存储基类
+ * 所有附件存储实现都必须实现以下方法
+ */
+class BlobStore {
+    /**
+     * 连接/初始化存储
+     * @returns {Promise<void>}
+     */
+    async connect() {
+        throw new Error('connect method must be implemented');
+    }
+
+    /**
+     * 保存一个密文块；附件的块总数以第一个块为准
+     * @param {string} roomId - 房间ID
+     * @param {string} attachmentId - 附件ID
+     * @param {{chunkIndex: number, totalChunks: number, data: string}} chunk - data 为 base64 密文
+     * @returns {Promise<number>} 该附件已保存的块数量
+     */
+    async saveChunk(_roomId, _attachmentId, _chunk) {
+        throw new Error('saveChunk method must be implemented');
+    }
+
+    /**
+     * 获取附件元数据
+     * @param {string} roomId - 房间ID
+     * @param {string} attachmentId - 附件ID
+     * @returns {Promise<AttachmentInfo|null>}
+     */
+    async getAttachment(_roomId, _attachmentId) {
+        throw new Error('getAttachment method must be implemented');
+    }
+
+    /**
+     * 获取一个密文块
+     * @param {string} roomId - 房间ID
+     * @param {string} attachmentId - 附件ID
+     * @param {number} chunkIndex - 块序号
+     * @returns {Promise<string|null>} base64 密文
+     */
+    async getChunk(_roomId, _attachmentId, _chunkIndex) {
+        throw new Error('getChunk method must be implemented');
+    }
+
+    /**
+     * 列出房间的附件（含尚未收齐的）
+     * @param {string} roomId - 房间ID
+     * @returns {Promise<string[]>} 附件ID
+     */
+    async listAttachments(_roomId) {
+        throw new Error('listAttachments method must be implemented');
+    }
+
+    /**
+     * 列出保存了附件的房间
+     * @returns {Promise<Array<{roomId: string, updatedAt: number}>>} updatedAt 为房间最新附件的保存时间
+     */
+    async listRooms() {
+        throw new Error('listRooms method must be implemented');
+    }
+
+    /**
+     * 删除房间的所有附件（轮换同步链或房间过期时）
+     * @param {string} roomId - 房间ID
+     * @returns {Promise<void>}
+     */
+    async deleteRoom(_roomId) {
+        throw new Error('deleteRoom method must be implemented');
+    }
+
+    /**
+     * 删除在指定时间之前开始、至今仍未收齐的上传
+     * @param {number} before - 时间戳
+     * @returns {Promise<number>} 删除的附件数量
+     */
+    async deleteIncomplete(_before) {
+        throw new Error('deleteIncomplete method must be implemented');
+    }
+
+    /**
+     * 检查存储是否可用
+     * @returns {Promise<boolean>}
+     */
+    async isHealthy() {
+        throw new Error('isHealthy method must be implemented');
+    }
+
+    /**
+     * 关闭存储
+     * @returns {Promise<void>}
+     */
+    async close() {
+        throw new Error('close method must be implemented');
+    }
+
+    /**
+     * 获取存储统计信息
+     * @returns {Promise<Object>}
+     */
+    async getStats() {
+        throw new Error('getStats method must be implemented');
+    }
+}
+
+/**
+ * 附件存储容量不足
+ */
+class BlobStoreFullError extends Error {
+    constructor(message = 'Attachment storage is full') {
+        super(message);
+        this.name = 'BlobStoreFullError';
+    }
+}
+
+/**
+ * 附件容量统计：总用量和每个房间的用量
+ * 保存前先预留空间，超出上限时抛出 BlobStoreFullError，写入失败时再释放
+ */
+class BlobQuota {
+    /**
+     * @param {Object} [options]
+     * @param {number} [options.maxBytes] - 总容量上限，不设置表示不限
+     * @param {number} [options.maxRoomBytes] - 每个房间的容量上限，不设置表示不限
+     */
+    constructor({ maxBytes, maxRoomBytes } = {}) {
+        this.maxBytes = maxBytes || Infinity;
+        this.maxRoomBytes = maxRoomBytes || Infinity;
+        this.totalBytes = 0;
+        // roomId -> bytes
+        this.roomBytes = new Map();
+    }
+
+    getRoomBytes(roomId) {
+        return this.roomBytes.get(roomId) || 0;
+    }
+
+    /**
+     * 为即将写入的字节预留空间；bytes 为负数（替换为更小的块）时直接释放
+     * @param {string} roomId - 房间ID
+     * @param {number} bytes - 增加的字节数
+     */
+    reserve(roomId, bytes) {
+        if (bytes > 0) {
+            if (this.totalBytes + bytes > this.maxBytes) {
+                throw new BlobStoreFullError();
+            }
+            if (this.getRoomBytes(roomId) + bytes > this.maxRoomBytes) {
+                throw new BlobStoreFullError('Room attachment quota exceeded');
+            }
+        }
+        this.add(roomId, bytes);
+    }
+
+    /**
+     * 记录已保存的字节，不检查上限（启动时统计已有的附件）
+     * @param {string} roomId - 房间ID
+     * @param {number} bytes - 字节数，负数表示释放
+     */
+    add(roomId, bytes) {
+        const roomBytes = this.getRoomBytes(roomId) + bytes;
+        this.totalBytes += bytes;
+        if (roomBytes > 0) {
+            this.roomBytes.set(roomId, roomBytes);
+        } else {
+            this.roomBytes.delete(roomId);
+        }
+    }
+
+    release(roomId, bytes) {
+        this.add(roomId, -bytes);
+    }
+
+    releaseRoom(roomId) {
+        this.totalBytes -= this.getRoomBytes(roomId);
+        this.roomBytes.delete(roomId);
+    }
+
+    reset() {
+        this.totalBytes = 0;
+        this.roomBytes.clear();
+    }
+}
+
+module.exports = {
+    BlobStore,
+    BlobStoreFullError,
+    BlobQuota
+};
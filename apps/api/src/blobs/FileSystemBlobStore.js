@@ -0,0 +1,284 @@
+const { BlobStore, BlobQuota } = require('./BlobStore');
+const { DataValidator } = require('../persistence/PersistenceAdapter');
+const crypto = require('crypto');
+const path = require('path');
+const fs = require('fs').promises;
+const { logger } = require('../utils/logger');
+
+const MANIFEST_FILE = 'manifest.json';
+
+/**
+ * 文件系统附件存储
+ * 目录结构：<dir>/<roomId>/<attachmentId>/manifest.json 和 <chunkIndex>.bin
+ * 用量在启动时统计一次，之后随写入和删除更新
+ */
+class FileSystemBlobStore extends BlobStore {
+    constructor(options = {}) {
+        super();
+
+        this.options = {
+            dir: options.dir || './data/attachments',
+            ...options
+        };
+
+        this.quota = new BlobQuota(this.options);
+    }
+
+    async connect() {
+        await fs.mkdir(this.options.dir, { recursive: true });
+
+        this.quota.reset();
+        for (const { roomId, roomDir } of await this._listRoomDirs()) {
+            for (const attachmentId of await fs.readdir(roomDir)) {
+                this.quota.add(roomId, await this._attachmentSize(path.join(roomDir, attachmentId)));
+            }
+        }
+    }
+
+    /**
+     * 附件目录；ID 在这里再校验一次，保证不会拼出根目录之外的路径
+     * @private
+     */
+    _attachmentDir(roomId, attachmentId) {
+        if (!DataValidator.isValidRoomId(roomId) || !DataValidator.isValidAttachmentId(attachmentId)) {
+            throw new Error('Invalid attachment path');
+        }
+        return path.join(this.options.dir, roomId, attachmentId);
+    }
+
+    /**
+     * @private
+     */
+    async _readManifest(dir) {
+        try {
+            return JSON.parse(await fs.readFile(path.join(dir, MANIFEST_FILE), 'utf8'));
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return null;
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * 先写临时文件再重命名，读取方不会看到写了一半的文件
+     * @private
+     */
+    async _writeFileAtomic(file, data) {
+        const tempFile = `${file}.${crypto.randomBytes(6).toString('hex')}.tmp`;
+        await fs.writeFile(tempFile, data);
+        await fs.rename(tempFile, file);
+    }
+
+    /**
+     * @private
+     */
+    async _listChunks(dir) {
+        const entries = await fs.readdir(dir, { withFileTypes: true });
+        return entries.filter((entry) => entry.isFile() && /^\d+\.bin$/.test(entry.name));
+    }
+
+    /**
+     * @private
+     */
+    async _listRoomDirs() {
+        const rooms = await fs.readdir(this.options.dir, { withFileTypes: true });
+        return rooms
+            .filter((entry) => entry.isDirectory())
+            .map((entry) => ({ roomId: entry.name, roomDir: path.join(this.options.dir, entry.name) }));
+    }
+
+    /**
+     * 文件大小，文件不存在时为 0
+     * @private
+     */
+    async _fileSize(file) {
+        try {
+            return (await fs.stat(file)).size;
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return 0;
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * 附件所有密文块的大小
+     * @private
+     */
+    async _attachmentSize(dir) {
+        let size = 0;
+        try {
+            for (const chunk of await this._listChunks(dir)) {
+                size += await this._fileSize(path.join(dir, chunk.name));
+            }
+        } catch (error) {
+            if (error.code !== 'ENOENT' && error.code !== 'ENOTDIR') {
+                throw error;
+            }
+        }
+        return size;
+    }
+
+    /**
+     * 删除附件目录并释放它占用的容量
+     * @private
+     */
+    async _removeAttachment(roomId, dir) {
+        const size = await this._attachmentSize(dir);
+        await fs.rm(dir, { recursive: true, force: true });
+        this.quota.release(roomId, size);
+    }
+
+    async saveChunk(roomId, attachmentId, { chunkIndex, totalChunks, data }) {
+        const dir = this._attachmentDir(roomId, attachmentId);
+        const file = path.join(dir, `${chunkIndex}.bin`);
+        const bytes = Buffer.from(data, 'base64');
+        // 重传的块替换原来的块，只计算差值
+        const growth = bytes.length - (await this._fileSize(file));
+        this.quota.reserve(roomId, growth);
+
+        try {
+            await this._writeChunk(dir, file, bytes, totalChunks);
+        } catch (error) {
+            this.quota.release(roomId, growth);
+            throw error;
+        }
+        return (await this._listChunks(dir)).length;
+    }
+
+    /**
+     * 写入一个密文块，附件的第一个块同时写入清单
+     * @private
+     */
+    async _writeChunk(dir, file, bytes, totalChunks) {
+        await fs.mkdir(dir, { recursive: true });
+
+        if (!(await this._readManifest(dir))) {
+            await this._writeFileAtomic(
+                path.join(dir, MANIFEST_FILE),
+                JSON.stringify({ totalChunks, createdAt: Date.now() })
+            );
+        }
+        await this._writeFileAtomic(file, bytes);
+    }
+
+    async getAttachment(roomId, attachmentId) {
+        const dir = this._attachmentDir(roomId, attachmentId);
+        const manifest = await this._readManifest(dir);
+        if (!manifest) {
+            return null;
+        }
+
+        const chunks = await this._listChunks(dir);
+        let size = 0;
+        for (const chunk of chunks) {
+            size += (await fs.stat(path.join(dir, chunk.name))).size;
+        }
+        return {
+            attachmentId,
+            totalChunks: manifest.totalChunks,
+            receivedChunks: chunks.length,
+            size,
+            createdAt: manifest.createdAt,
+            complete: chunks.length === manifest.totalChunks
+        };
+    }
+
+    async getChunk(roomId, attachmentId, chunkIndex) {
+        const file = path.join(this._attachmentDir(roomId, attachmentId), `${chunkIndex}.bin`);
+        try {
+            return (await fs.readFile(file)).toString('base64');
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return null;
+            }
+            throw error;
+        }
+    }
+
+    async listAttachments(roomId) {
+        if (!DataValidator.isValidRoomId(roomId)) {
+            throw new Error('Invalid attachment path');
+        }
+        try {
+            const entries = await fs.readdir(path.join(this.options.dir, roomId), { withFileTypes: true });
+            return entries.filter((entry) => entry.isDirectory()).map((entry) => entry.name);
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return [];
+            }
+            throw error;
+        }
+    }
+
+    async listRooms() {
+        const rooms = [];
+        for (const { roomId, roomDir } of await this._listRoomDirs()) {
+            let updatedAt = 0;
+            for (const attachmentId of await fs.readdir(roomDir)) {
+                const dir = path.join(roomDir, attachmentId);
+                const manifest = await this._readManifest(dir).catch(() => null);
+                updatedAt = Math.max(updatedAt, manifest?.createdAt || (await fs.stat(dir)).mtimeMs);
+            }
+            rooms.push({ roomId, updatedAt });
+        }
+        return rooms;
+    }
+
+    async deleteRoom(roomId) {
+        if (!DataValidator.isValidRoomId(roomId)) {
+            throw new Error('Invalid attachment path');
+        }
+        await fs.rm(path.join(this.options.dir, roomId), { recursive: true, force: true });
+        this.quota.releaseRoom(roomId);
+    }
+
+    async deleteIncomplete(before) {
+        let deleted = 0;
+        for (const { roomId, roomDir } of await this._listRoomDirs()) {
+            for (const attachmentId of await fs.readdir(roomDir)) {
+                const dir = path.join(roomDir, attachmentId);
+                try {
+                    const manifest = await this._readManifest(dir);
+                    // 没有清单的目录是写入清单前中断的上传
+                    const stale = manifest
+                        ? manifest.createdAt < before && (await this._listChunks(dir)).length < manifest.totalChunks
+                        : (await fs.stat(dir)).mtimeMs < before;
+                    if (stale) {
+                        await this._removeAttachment(roomId, dir);
+                        deleted++;
+                    }
+                } catch (error) {
+                    logger.error('Failed to clean up attachment:', { error: error.message, dir });
+                }
+            }
+        }
+        return deleted;
+    }
+
+    async isHealthy() {
+        try {
+            await fs.access(this.options.dir);
+            return true;
+        } catch (error) {
+            logger.error('Attachment directory is not accessible:', { error: error.message });
+            return false;
+        }
+    }
+
+    async close() {}
+
+    async getStats() {
+        return {
+            type: 'filesystem',
+            dir: this.options.dir,
+            totalBytes: this.quota.totalBytes,
+            maxBytes: this.options.maxBytes || null,
+            maxRoomBytes: this.options.maxRoomBytes || null
+        };
+    }
+}
+
+module.exports = FileSystemBlobStore;
@@ -0,0 +1,132 @@
+const { BlobStore, BlobQuota } = require('./BlobStore');
+
+/**
+ * 内存附件存储
+ * 未配置或无法初始化其他存储时使用；总容量和每个房间的用量有上限，重启后丢失
+ */
+class MemoryBlobStore extends BlobStore {
+    constructor(options = {}) {
+        super();
+
+        this.options = {
+            ...options,
+            maxBytes: options.maxBytes || 100 * 1024 * 1024
+        };
+
+        // `${roomId}:${attachmentId}` -> { roomId, totalChunks, createdAt, chunks: Map(chunkIndex -> Buffer) }
+        this.attachments = new Map();
+        this.quota = new BlobQuota(this.options);
+    }
+
+    async connect() {}
+
+    _key(roomId, attachmentId) {
+        return `${roomId}:${attachmentId}`;
+    }
+
+    async saveChunk(roomId, attachmentId, { chunkIndex, totalChunks, data }) {
+        const key = this._key(roomId, attachmentId);
+        const attachment = this.attachments.get(key) || {
+            roomId,
+            totalChunks,
+            createdAt: Date.now(),
+            chunks: new Map()
+        };
+
+        const bytes = Buffer.from(data, 'base64');
+        const previous = attachment.chunks.get(chunkIndex);
+        this.quota.reserve(roomId, bytes.length - (previous ? previous.length : 0));
+
+        attachment.chunks.set(chunkIndex, bytes);
+        this.attachments.set(key, attachment);
+        return attachment.chunks.size;
+    }
+
+    async getAttachment(roomId, attachmentId) {
+        const attachment = this.attachments.get(this._key(roomId, attachmentId));
+        if (!attachment) {
+            return null;
+        }
+
+        let size = 0;
+        for (const bytes of attachment.chunks.values()) {
+            size += bytes.length;
+        }
+        return {
+            attachmentId,
+            totalChunks: attachment.totalChunks,
+            receivedChunks: attachment.chunks.size,
+            size,
+            createdAt: attachment.createdAt,
+            complete: attachment.chunks.size === attachment.totalChunks
+        };
+    }
+
+    async getChunk(roomId, attachmentId, chunkIndex) {
+        const bytes = this.attachments.get(this._key(roomId, attachmentId))?.chunks.get(chunkIndex);
+        return bytes ? bytes.toString('base64') : null;
+    }
+
+    _delete(key) {
+        const attachment = this.attachments.get(key);
+        for (const bytes of attachment.chunks.values()) {
+            this.quota.release(attachment.roomId, bytes.length);
+        }
+        this.attachments.delete(key);
+    }
+
+    async listAttachments(roomId) {
+        const prefix = this._key(roomId, '');
+        return [...this.attachments.keys()]
+            .filter((key) => key.startsWith(prefix))
+            .map((key) => key.slice(prefix.length));
+    }
+
+    async listRooms() {
+        const rooms = new Map();
+        for (const { roomId, createdAt } of this.attachments.values()) {
+            rooms.set(roomId, Math.max(rooms.get(roomId) || 0, createdAt));
+        }
+        return [...rooms].map(([roomId, updatedAt]) => ({ roomId, updatedAt }));
+    }
+
+    async deleteRoom(roomId) {
+        for (const [key, attachment] of this.attachments.entries()) {
+            if (attachment.roomId === roomId) {
+                this._delete(key);
+            }
+        }
+    }
+
+    async deleteIncomplete(before) {
+        let deleted = 0;
+        for (const [key, attachment] of this.attachments.entries()) {
+            if (attachment.createdAt < before && attachment.chunks.size < attachment.totalChunks) {
+                this._delete(key);
+                deleted++;
+            }
+        }
+        return deleted;
+    }
+
+    async isHealthy() {
+        return true;
+    }
+
+    async close() {
+        this.attachments.clear();
+        this.quota.reset();
+    }
+
+    async getStats() {
+        return {
+            type: 'memory',
+            attachmentCount: this.attachments.size,
+            totalBytes: this.quota.totalBytes,
+            maxBytes: this.options.maxBytes,
+            maxRoomBytes: this.options.maxRoomBytes || null
+        };
+    }
+}
+
+module.exports = MemoryBlobStore;
@@ -0,0 +1,282 @@
+const { BlobStore, BlobQuota } = require('./BlobStore');
+const sqlite3 = require('sqlite3').verbose();
+const path = require('path');
+const fs = require('fs').promises;
+const { logger } = require('../utils/logger');
+
+/**
+ * SQLite 附件存储
+ * 使用独立的数据库文件，避免大块数据影响笔记数据库
+ * 用量在连接时统计一次，之后随写入和删除更新
+ */
+class SQLiteBlobStore extends BlobStore {
+    constructor(options = {}) {
+        super();
+
+        this.options = {
+            dbPath: options.dbPath || './data/attachments.db',
+            busyTimeout: options.busyTimeout || 30000,
+            ...options
+        };
+
+        this.db = null;
+        this.connectionPromise = null;
+        this.quota = new BlobQuota(this.options);
+    }
+
+    async connect() {
+        if (!this.connectionPromise) {
+            this.connectionPromise = this._doConnect().catch((error) => {
+                this.connectionPromise = null;
+                throw error;
+            });
+        }
+        return this.connectionPromise;
+    }
+
+    async _doConnect() {
+        await fs.mkdir(path.dirname(this.options.dbPath), { recursive: true });
+        this.db = await new Promise((resolve, reject) => {
+            const db = new sqlite3.Database(this.options.dbPath, (err) => (err ? reject(err) : resolve(db)));
+        });
+
+        // PRAGMA 不支持参数绑定
+        await this._runQuery(`PRAGMA busy_timeout = ${Number(this.options.busyTimeout) || 0}`);
+        await this._runQuery('PRAGMA journal_mode = WAL');
+
+        await this._runQuery(`
+      CREATE TABLE IF NOT EXISTS attachments (
+        room_id TEXT NOT NULL,
+        attachment_id TEXT NOT NULL,
+        total_chunks INTEGER NOT NULL,
+        created_at INTEGER NOT NULL,
+        PRIMARY KEY (room_id, attachment_id)
+      )
+    `);
+        await this._runQuery(`
+      CREATE TABLE IF NOT EXISTS attachment_chunks (
+        room_id TEXT NOT NULL,
+        attachment_id TEXT NOT NULL,
+        chunk_index INTEGER NOT NULL,
+        data BLOB NOT NULL,
+        PRIMARY KEY (room_id, attachment_id, chunk_index)
+      )
+    `);
+        await this._loadUsage();
+    }
+
+    /**
+     * 从数据库重新统计每个房间的用量
+     * @private
+     */
+    async _loadUsage() {
+        const rows = await this._allQuery(
+            'SELECT room_id, SUM(LENGTH(data)) AS size FROM attachment_chunks GROUP BY room_id'
+        );
+        this.quota.reset();
+        for (const row of rows) {
+            this.quota.add(row.room_id, row.size);
+        }
+    }
+
+    /**
+     * 执行 SQL 查询
+     * @private
+     */
+    async _runQuery(sql, params = []) {
+        return new Promise((resolve, reject) => {
+            this.db.run(sql, params, function (err) {
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve({ changes: this.changes });
+                }
+            });
+        });
+    }
+
+    /**
+     * 执行 SQL 查询并获取单行结果
+     * @private
+     */
+    async _getQuery(sql, params = []) {
+        return new Promise((resolve, reject) => {
+            this.db.get(sql, params, (err, row) => (err ? reject(err) : resolve(row)));
+        });
+    }
+
+    /**
+     * 执行 SQL 查询并获取所有行
+     * @private
+     */
+    async _allQuery(sql, params = []) {
+        return new Promise((resolve, reject) => {
+            this.db.all(sql, params, (err, rows) => (err ? reject(err) : resolve(rows)));
+        });
+    }
+
+    async saveChunk(roomId, attachmentId, { chunkIndex, totalChunks, data }) {
+        await this.connect();
+
+        const bytes = Buffer.from(data, 'base64');
+        const previous = await this._getQuery(
+            'SELECT LENGTH(data) AS size FROM attachment_chunks WHERE room_id = ? AND attachment_id = ? AND chunk_index = ?',
+            [roomId, attachmentId, chunkIndex]
+        );
+        // 重传的块替换原来的块，只计算差值
+        const growth = bytes.length - (previous ? previous.size : 0);
+        this.quota.reserve(roomId, growth);
+
+        try {
+            await this._runQuery(
+                'INSERT OR IGNORE INTO attachments (room_id, attachment_id, total_chunks, created_at) VALUES (?, ?, ?, ?)',
+                [roomId, attachmentId, totalChunks, Date.now()]
+            );
+            await this._runQuery(
+                `INSERT OR REPLACE INTO attachment_chunks (room_id, attachment_id, chunk_index, data)
+       VALUES (?, ?, ?, ?)`,
+                [roomId, attachmentId, chunkIndex, bytes]
+            );
+        } catch (error) {
+            this.quota.release(roomId, growth);
+            throw error;
+        }
+        const row = await this._getQuery(
+            'SELECT COUNT(*) AS count FROM attachment_chunks WHERE room_id = ? AND attachment_id = ?',
+            [roomId, attachmentId]
+        );
+        return row.count;
+    }
+
+    async getAttachment(roomId, attachmentId) {
+        await this.connect();
+
+        const row = await this._getQuery(
+            `SELECT a.total_chunks, a.created_at,
+              COUNT(c.chunk_index) AS received_chunks, COALESCE(SUM(LENGTH(c.data)), 0) AS size
+       FROM attachments a
+       LEFT JOIN attachment_chunks c ON c.room_id = a.room_id AND c.attachment_id = a.attachment_id
+       WHERE a.room_id = ? AND a.attachment_id = ?
+       GROUP BY a.room_id, a.attachment_id`,
+            [roomId, attachmentId]
+        );
+        if (!row) {
+            return null;
+        }
+        return {
+            attachmentId,
+            totalChunks: row.total_chunks,
+            receivedChunks: row.received_chunks,
+            size: row.size,
+            createdAt: row.created_at,
+            complete: row.received_chunks === row.total_chunks
+        };
+    }
+
+    async getChunk(roomId, attachmentId, chunkIndex) {
+        await this.connect();
+
+        const row = await this._getQuery(
+            'SELECT data FROM attachment_chunks WHERE room_id = ? AND attachment_id = ? AND chunk_index = ?',
+            [roomId, attachmentId, chunkIndex]
+        );
+        return row ? Buffer.from(row.data).toString('base64') : null;
+    }
+
+    async listAttachments(roomId) {
+        await this.connect();
+
+        const rows = await this._allQuery('SELECT attachment_id FROM attachments WHERE room_id = ?', [roomId]);
+        return rows.map((row) => row.attachment_id);
+    }
+
+    async listRooms() {
+        await this.connect();
+
+        const rows = await this._allQuery(
+            'SELECT room_id, MAX(created_at) AS updated_at FROM attachments GROUP BY room_id'
+        );
+        return rows.map((row) => ({ roomId: row.room_id, updatedAt: row.updated_at }));
+    }
+
+    async deleteRoom(roomId) {
+        await this.connect();
+
+        await this._runQuery('DELETE FROM attachment_chunks WHERE room_id = ?', [roomId]);
+        await this._runQuery('DELETE FROM attachments WHERE room_id = ?', [roomId]);
+        this.quota.releaseRoom(roomId);
+    }
+
+    async deleteIncomplete(before) {
+        await this.connect();
+
+        const incomplete = `
+      SELECT a.room_id, a.attachment_id FROM attachments a
+      WHERE a.created_at < ? AND a.total_chunks > (
+        SELECT COUNT(*) FROM attachment_chunks c
+        WHERE c.room_id = a.room_id AND c.attachment_id = a.attachment_id
+      )`;
+        await this._runQuery(
+            `DELETE FROM attachment_chunks WHERE (room_id, attachment_id) IN (${incomplete})`,
+            [before]
+        );
+        // 块已删除，剩下的就是那些未完成的附件记录
+        const result = await this._runQuery(
+            `DELETE FROM attachments WHERE created_at < ? AND NOT EXISTS (
+        SELECT 1 FROM attachment_chunks c
+        WHERE c.room_id = attachments.room_id AND c.attachment_id = attachments.attachment_id
+      )`,
+            [before]
+        );
+        await this._loadUsage();
+        return result.changes;
+    }
+
+    async isHealthy() {
+        try {
+            if (!this.db) {
+                return false;
+            }
+            await this._getQuery('SELECT 1 AS test');
+            return true;
+        } catch (error) {
+            logger.error('Attachment database health check failed:', { error: error.message });
+            return false;
+        }
+    }
+
+    async close() {
+        if (!this.db) {
+            return;
+        }
+        await new Promise((resolve) => {
+            this.db.close((err) => {
+                if (err) {
+                    logger.error('Error closing attachment database:', { error: err.message });
+                }
+                resolve();
+            });
+        });
+        this.db = null;
+        this.connectionPromise = null;
+        this.quota = new BlobQuota(this.options);
+    }
+
+    async getStats() {
+        await this.connect();
+
+        const row = await this._getQuery(
+            'SELECT COUNT(*) AS count, (SELECT COALESCE(SUM(LENGTH(data)), 0) FROM attachment_chunks) AS size FROM attachments'
+        );
+        return {
+            type: 'sqlite',
+            attachmentCount: row.count,
+            totalBytes: row.size,
+            maxBytes: this.options.maxBytes || null,
+            maxRoomBytes: this.options.maxRoomBytes || null,
+            databasePath: this.options.dbPath
+        };
+    }
+}
+
+module.exports = SQLiteBlobStore;
@@ -0,0 +1,166 @@
+const os = require('os');
+const path = require('path');
+const fs = require('fs').promises;
+const { MemoryBlobStore, FileSystemBlobStore, SQLiteBlobStore, BlobStoreFullError } = require('..');
+
+const roomId = 'valid-room-12345';
+const attachmentId = 'attachment-0000000001';
+const chunk = (chunkIndex, totalChunks, text = `chunk-${chunkIndex}`) => ({
+    chunkIndex,
+    totalChunks,
+    data: Buffer.from(text).toString('base64')
+});
+
+describe.each([
+    ['MemoryBlobStore', async (options) => ({ store: new MemoryBlobStore(options) })],
+    ['FileSystemBlobStore', async (options) => {
+        const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'blob-store-'));
+        return { store: new FileSystemBlobStore({ dir, ...options }), dir };
+    }],
+    ['SQLiteBlobStore', async (options) => ({ store: new SQLiteBlobStore({ dbPath: ':memory:', ...options }) })]
+])('%s', (_name, create) => {
+    let store;
+    let dir;
+
+    beforeEach(async () => {
+        ({ store, dir } = await create());
+        await store.connect();
+    });
+
+    afterEach(async () => {
+        await store.close();
+        if (dir) {
+            await fs.rm(dir, { recursive: true, force: true });
+        }
+    });
+
+    test('should save chunks and report completion', async () => {
+        expect(await store.getAttachment(roomId, attachmentId)).toBeNull();
+
+        expect(await store.saveChunk(roomId, attachmentId, chunk(1, 2))).toBe(1);
+        let info = await store.getAttachment(roomId, attachmentId);
+        expect(info).toMatchObject({ attachmentId, totalChunks: 2, receivedChunks: 1, complete: false });
+
+        // 重传同一个块不会重复计数
+        expect(await store.saveChunk(roomId, attachmentId, chunk(1, 2))).toBe(1);
+        expect(await store.saveChunk(roomId, attachmentId, chunk(0, 2))).toBe(2);
+
+        info = await store.getAttachment(roomId, attachmentId);
+        expect(info).toMatchObject({ totalChunks: 2, receivedChunks: 2, complete: true });
+        expect(info.size).toBe('chunk-0'.length + 'chunk-1'.length);
+        expect(typeof info.createdAt).toBe('number');
+
+        expect(Buffer.from(await store.getChunk(roomId, attachmentId, 0), 'base64').toString()).toBe('chunk-0');
+        expect(await store.getChunk(roomId, attachmentId, 5)).toBeNull();
+    });
+
+    test('should delete all attachments of a room', async () => {
+        await store.saveChunk(roomId, attachmentId, chunk(0, 1));
+        await store.saveChunk('other-room-12345', attachmentId, chunk(0, 1));
+
+        await store.deleteRoom(roomId);
+
+        expect(await store.getAttachment(roomId, attachmentId)).toBeNull();
+        expect(await store.getChunk(roomId, attachmentId, 0)).toBeNull();
+        expect(await store.getAttachment('other-room-12345', attachmentId)).not.toBeNull();
+    });
+
+    test('should list rooms with attachments', async () => {
+        await store.saveChunk(roomId, attachmentId, chunk(0, 1));
+        await store.saveChunk(roomId, 'attachment-0000000002', chunk(0, 1));
+
+        const rooms = await store.listRooms();
+        expect(rooms).toEqual([{ roomId, updatedAt: expect.any(Number) }]);
+    });
+
+    test('should list the attachments of a room', async () => {
+        await store.saveChunk(roomId, attachmentId, chunk(0, 1));
+        await store.saveChunk(roomId, 'attachment-0000000002', chunk(0, 2));
+        await store.saveChunk('other-room-12345', 'attachment-0000000003', chunk(0, 1));
+
+        expect((await store.listAttachments(roomId)).sort()).toEqual([attachmentId, 'attachment-0000000002'].sort());
+        expect(await store.listAttachments('third-room-12345')).toEqual([]);
+    });
+
+    test('should enforce the global and per-room quotas', async () => {
+        await store.close();
+        if (dir) {
+            await fs.rm(dir, { recursive: true, force: true });
+        }
+        ({ store, dir } = await create({ maxBytes: 20, maxRoomBytes: 12 }));
+        await store.connect();
+
+        await store.saveChunk(roomId, attachmentId, chunk(0, 2, '12345678'));
+        await expect(store.saveChunk(roomId, attachmentId, chunk(1, 2, '12345678')))
+            .rejects.toThrow('Room attachment quota exceeded');
+        // 重传同样大小的块不占用更多空间
+        await store.saveChunk(roomId, attachmentId, chunk(0, 2, '87654321'));
+
+        await store.saveChunk('other-room-12345', attachmentId, chunk(0, 2, '12345678'));
+        await expect(store.saveChunk('third-room-12345', attachmentId, chunk(0, 1, '12345678')))
+            .rejects.toBeInstanceOf(BlobStoreFullError);
+
+        // 删除后的空间可以再次使用
+        await store.deleteRoom('other-room-12345');
+        await store.saveChunk('third-room-12345', attachmentId, chunk(0, 1, '12345678'));
+        await store.deleteRoom(roomId);
+        await store.saveChunk(roomId, 'attachment-0000000002', chunk(0, 1, '123456789012'));
+    });
+
+    test('should only delete stale incomplete uploads', async () => {
+        await store.saveChunk(roomId, 'incomplete-00000000001', chunk(0, 3));
+        await store.saveChunk(roomId, 'complete-0000000000001', chunk(0, 1));
+
+        expect(await store.deleteIncomplete(Date.now() - 60000)).toBe(0);
+        expect(await store.deleteIncomplete(Date.now() + 60000)).toBe(1);
+
+        expect(await store.getAttachment(roomId, 'incomplete-00000000001')).toBeNull();
+        expect(await store.getAttachment(roomId, 'complete-0000000000001')).toMatchObject({ complete: true });
+    });
+
+    test('should report health and stats', async () => {
+        expect(await store.isHealthy()).toBe(true);
+        expect(await store.getStats()).toHaveProperty('type');
+    });
+});
+
+describe('MemoryBlobStore capacity', () => {
+    test('should reject chunks beyond the configured capacity', async () => {
+        const store = new MemoryBlobStore({ maxBytes: 10 });
+
+        await store.saveChunk(roomId, attachmentId, chunk(0, 2, '12345678'));
+        await expect(store.saveChunk(roomId, attachmentId, chunk(1, 2, '12345678')))
+            .rejects.toBeInstanceOf(BlobStoreFullError);
+
+        await store.deleteRoom(roomId);
+        expect((await store.getStats()).totalBytes).toBe(0);
+    });
+});
+
+describe('FileSystemBlobStore usage', () => {
+    test('should count the attachments already on disk when connecting', async () => {
+        const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'blob-store-'));
+        try {
+            const first = new FileSystemBlobStore({ dir });
+            await first.connect();
+            await first.saveChunk(roomId, attachmentId, chunk(0, 1, '12345678'));
+
+            const store = new FileSystemBlobStore({ dir, maxRoomBytes: 12 });
+            await store.connect();
+            expect((await store.getStats()).totalBytes).toBe(8);
+            await expect(store.saveChunk(roomId, 'attachment-0000000002', chunk(0, 1, '12345678')))
+                .rejects.toBeInstanceOf(BlobStoreFullError);
+        } finally {
+            await fs.rm(dir, { recursive: true, force: true });
+        }
+    });
+});
+
+describe('FileSystemBlobStore paths', () => {
+    test('should refuse ids that could escape the storage directory', async () => {
+        const store = new FileSystemBlobStore({ dir: path.join(os.tmpdir(), 'blob-store-unused') });
+
+        await expect(store.saveChunk('../../escape', attachmentId, chunk(0, 1))).rejects.toThrow('Invalid attachment path');
+        await expect(store.getChunk(roomId, '../../../etc/passwd', 0)).rejects.toThrow('Invalid attachment path');
+    });
+});
@@ -0,0 +1,36 @@
+const { BlobStore, BlobStoreFullError, BlobQuota } = require('./BlobStore');
+const FileSystemBlobStore = require('./FileSystemBlobStore');
+const SQLiteBlobStore = require('./SQLiteBlobStore');
+const MemoryBlobStore = require('./MemoryBlobStore');
+
+/**
+ * 按配置创建附件存储
+ * @param {Object} options
+ * @param {'filesystem'|'sqlite'|'memory'} [options.type='filesystem'] - 存储类型
+ * @param {string} [options.path] - 文件系统目录或 SQLite 数据库文件
+ * @param {number} [options.maxBytes] - 总容量上限
+ * @param {number} [options.maxRoomBytes] - 每个房间的容量上限
+ * @returns {BlobStore}
+ */
+function createBlobStore({ type = 'filesystem', path, maxBytes, maxRoomBytes } = {}) {
+    switch (type) {
+        case 'filesystem':
+            return new FileSystemBlobStore({ dir: path || './data/attachments', maxBytes, maxRoomBytes });
+        case 'sqlite':
+            return new SQLiteBlobStore({ dbPath: path || './data/attachments.db', maxBytes, maxRoomBytes });
+        case 'memory':
+            return new MemoryBlobStore({ maxBytes, maxRoomBytes });
+        default:
+            throw new Error(`Unknown attachment storage: ${type}`);
+    }
+}
+
+module.exports = {
+    BlobStore,
+    BlobStoreFullError,
+    BlobQuota,
+    FileSystemBlobStore,
+    SQLiteBlobStore,
+    MemoryBlobStore,
+    createBlobStore
+};
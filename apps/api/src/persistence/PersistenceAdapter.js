@@ -13,17 +13,69 @@
  * @property {string} hash - 数据完整性校验哈希
  */
 
+/**
+ * 加密的单条笔记数据结构
+ * @typedef {Object} EncryptedNoteData
+ * @property {string} noteId - 笔记ID
+ * @property {string} encryptedData - 加密的笔记内容（删除记录为空字符串）
+ * @property {number} version - 客户端笔记版本号
+ * @property {number} timestamp - 客户端更新时间戳
+ * @property {string} deviceName - 最后更新的设备名称
+ * @property {boolean} deleted - 是否为删除记录
+ * @property {number} [seq] - 写入时分配的房间操作序号（客户端据此提交 baseVersion）
+ * @property {number} updatedAt - 服务端写入时间
+ */
+
+/**
+ * 历史版本元数据（不含密文）
+ * @typedef {Object} VersionInfo
+ * @property {string} versionId - 版本唯一标识符
+ * @property {string|null} noteId - 笔记ID，整库数据（push-update）为 null
+ * @property {number} version - 保存时的数据版本号
+ * @property {number} timestamp - 客户端更新时间戳
+ * @property {string} deviceName - 保存该版本的设备名称
+ * @property {number} createdAt - 服务端保存时间
+ * @property {number} size - 密文长度
+ */
+
+/**
+ * 房间内登记过的设备
+ * @typedef {Object} DeviceRecord
+ * @property {string} deviceId - 设备ID（每个设备在每个房间各不相同）
+ * @property {string} deviceName - 设备名称
+ * @property {string} platform - 设备平台
+ * @property {string} publicKey - 设备写入公钥（Ed25519，base64）
+ * @property {number} firstSeen - 第一次加入时间
+ * @property {number} lastSeen - 最近一次加入时间
+ * @property {number|null} revokedAt - 被移除的时间，null 表示仍有效
+ */
+
+/**
+ * 只读分享的单条笔记（用链接中的随机密钥加密，与房间密钥无关）
+ * @typedef {Object} EncryptedShareData
+ * @property {string} encryptedData - 加密的笔记内容
+ * @property {number} createdAt - 服务端创建时间
+ * @property {number|null} expiresAt - 过期时间；新保存的分享必须有，旧版本保存的可能为 null（不过期）
+ * @property {boolean} burnAfterReading - 阅后即焚：第一次读取后删除
+ */
+
+/**
+ * 历史版本（含密文）
+ * @typedef {VersionInfo & {encryptedData: string}} EncryptedVersion
+ */
+
 /**
  * 操作记录结构
  * @typedef {Object} Operation
  * @property {string} id - 操作唯一标识符
  * @property {string} type - 操作类型 ('insert', 'delete', 'replace')
  * @property {number} position - 操作位置
- * @property {string} [content] - 插入或替换的内容
+ * @property {string} [content] - 插入或替换的内容（同步时为加密数据）
  * @property {number} [length] - 删除的长度
  * @property {number} timestamp - 操作时间戳
  * @property {string} deviceId - 执行操作的设备ID
- * @property {number} version - 操作版本号
+ * @property {number} version - 操作版本号（房间内单调递增的序号）
+ * @property {string|null} [noteId] - 操作针对的笔记ID，整库数据为 null
  */
 
 /**
@@ -50,6 +102,68 @@ class PersistenceAdapter {
         throw new Error('getRoom method must be implemented');
     }
 
+    /**
+     * 保存单条笔记数据（覆盖同一笔记的旧数据）
+     * @param {string} roomId - 房间ID
+     * @param {string} noteId - 笔记ID
+     * @param {EncryptedNoteData} data - 加密的笔记数据
+     * @returns {Promise<void>}
+     */
+    async saveNote(_roomId, _noteId, _data) {
+        throw new Error('saveNote method must be implemented');
+    }
+
+    /**
+     * 获取单条笔记数据（包括删除记录）
+     * @param {string} roomId - 房间ID
+     * @param {string} noteId - 笔记ID
+     * @returns {Promise<EncryptedNoteData|null>}
+     */
+    async getNote(_roomId, _noteId) {
+        throw new Error('getNote method must be implemented');
+    }
+
+    /**
+     * 获取房间内所有笔记数据（包括删除记录）
+     * @param {string} roomId - 房间ID
+     * @returns {Promise<EncryptedNoteData[]>}
+     */
+    async getNotes(_roomId) {
+        throw new Error('getNotes method must be implemented');
+    }
+
+    /**
+     * 获取历史版本列表（按保存时间倒序）
+     * saveRoom / saveNote 每次写入都会保留一个历史版本，每条历史（整库或单条笔记）只保留最近 N 个
+     * @param {string} roomId - 房间ID
+     * @param {string|null} [noteId] - 笔记ID，不传时返回整库数据的历史
+     * @returns {Promise<VersionInfo[]>}
+     */
+    async listVersions(_roomId, _noteId) {
+        throw new Error('listVersions method must be implemented');
+    }
+
+    /**
+     * 获取单个历史版本
+     * @param {string} roomId - 房间ID
+     * @param {string} versionId - 版本ID
+     * @returns {Promise<EncryptedVersion|null>}
+     */
+    async getVersion(_roomId, _versionId) {
+        throw new Error('getVersion method must be implemented');
+    }
+
+    /**
+     * 追加一个已有的历史版本（迁移旧房间时使用），不修改笔记本身
+     * 与 saveRoom / saveNote 产生的版本一样只保留最近 N 个；版本ID重新生成
+     * @param {string} roomId - 房间ID
+     * @param {EncryptedVersion} version - noteId 为 null 时属于整库数据的历史
+     * @returns {Promise<void>}
+     */
+    async saveVersion(_roomId, _version) {
+        throw new Error('saveVersion method must be implemented');
+    }
+
     /**
      * 删除过期数据
      * @param {Date} olderThan - 删除早于此时间的数据
@@ -59,6 +173,82 @@ class PersistenceAdapter {
         throw new Error('cleanupExpired method must be implemented');
     }
 
+    /**
+     * 删除房间的全部数据（整库数据、笔记、历史版本、操作日志、序号和设备登记）。
+     * 写入公钥保留，删除后的房间不能被其他公钥重新认领
+     * @param {string} roomId - 房间ID
+     * @returns {Promise<void>}
+     */
+    async deleteRoom(_roomId) {
+        throw new Error('deleteRoom method must be implemented');
+    }
+
+    /**
+     * 获取房间的写入公钥（Ed25519，base64）
+     * @param {string} roomId - 房间ID
+     * @returns {Promise<string|null>}
+     */
+    async getRoomPublicKey(_roomId) {
+        throw new Error('getRoomPublicKey method must be implemented');
+    }
+
+    /**
+     * 房间还没有写入公钥时记住该公钥；已有时保持不变
+     * @param {string} roomId - 房间ID
+     * @param {string} publicKey - Ed25519 公钥（base64）
+     * @returns {Promise<string>} 房间实际生效的公钥
+     */
+    async claimRoomPublicKey(_roomId, _publicKey) {
+        throw new Error('claimRoomPublicKey method must be implemented');
+    }
+
+    /**
+     * 保存（新增或更新）房间内的设备记录
+     * @param {string} roomId - 房间ID
+     * @param {DeviceRecord} device - 设备记录
+     * @returns {Promise<void>}
+     */
+    async saveDevice(_roomId, _device) {
+        throw new Error('saveDevice method must be implemented');
+    }
+
+    /**
+     * 获取房间内登记过的所有设备（包括已移除的）
+     * @param {string} roomId - 房间ID
+     * @returns {Promise<DeviceRecord[]>}
+     */
+    async getDevices(_roomId) {
+        throw new Error('getDevices method must be implemented');
+    }
+
+    /**
+     * 保存只读分享
+     * @param {string} shareId - 分享ID
+     * @param {EncryptedShareData} share - 加密的分享数据
+     * @returns {Promise<void>}
+     */
+    async saveShare(_shareId, _share) {
+        throw new Error('saveShare method must be implemented');
+    }
+
+    /**
+     * 获取只读分享（已过期的视为不存在）
+     * @param {string} shareId - 分享ID
+     * @returns {Promise<EncryptedShareData|null>}
+     */
+    async getShare(_shareId) {
+        throw new Error('getShare method must be implemented');
+    }
+
+    /**
+     * 读取并删除只读分享（原子操作，并发读取只有一个能拿到数据）
+     * @param {string} shareId - 分享ID
+     * @returns {Promise<EncryptedShareData|null>}
+     */
+    async takeShare(_shareId) {
+        throw new Error('takeShare method must be implemented');
+    }
+
     /**
      * 保存操作日志
      * @param {string} roomId - 房间ID
@@ -79,6 +269,15 @@ class PersistenceAdapter {
         throw new Error('getLog method must be implemented');
     }
 
+    /**
+     * 分配房间内下一个操作序号（单调递增，从 1 开始）
+     * @param {string} roomId - 房间ID
+     * @returns {Promise<number>}
+     */
+    async nextSequence(_roomId) {
+        throw new Error('nextSequence method must be implemented');
+    }
+
     /**
      * 检查存储连接状态
      * @returns {Promise<boolean>}
@@ -104,8 +303,14 @@ class PersistenceAdapter {
     }
 }
 
+/**
+ * 每条历史默认保留的版本数量
+ */
+const DEFAULT_MAX_VERSIONS = 20;
+
 module.exports = {
     PersistenceAdapter,
+    DEFAULT_MAX_VERSIONS,
     /**
      * 数据序列化工具
      */
@@ -244,6 +449,113 @@ module.exports = {
                 data.version >= 0;
         },
 
+        /**
+         * 验证笔记ID格式
+         * @param {string} noteId
+         * @returns {boolean}
+         */
+        isValidNoteId(noteId) {
+            return typeof noteId === 'string' &&
+                noteId.length >= 1 &&
+                noteId.length <= 100 &&
+                /^[a-zA-Z0-9_-]+$/.test(noteId);
+        },
+
+        /**
+         * 验证历史版本ID格式
+         * @param {string} versionId
+         * @returns {boolean}
+         */
+        isValidVersionId(versionId) {
+            return typeof versionId === 'string' &&
+                versionId.length >= 1 &&
+                versionId.length <= 100 &&
+                /^[a-zA-Z0-9_-]+$/.test(versionId);
+        },
+
+        /**
+         * 验证设备ID格式
+         * @param {string} deviceId
+         * @returns {boolean}
+         */
+        isValidDeviceId(deviceId) {
+            return typeof deviceId === 'string' && /^[0-9a-f]{32}$/.test(deviceId);
+        },
+
+        /**
+         * 验证设备记录格式
+         * @param {DeviceRecord} device
+         * @returns {boolean}
+         */
+        isValidDevice(device) {
+            if (!device || typeof device !== 'object') {
+                return false;
+            }
+            return this.isValidDeviceId(device.deviceId) &&
+                typeof device.deviceName === 'string' &&
+                typeof device.platform === 'string' &&
+                typeof device.publicKey === 'string' &&
+                typeof device.firstSeen === 'number' &&
+                typeof device.lastSeen === 'number' &&
+                (device.revokedAt === null || typeof device.revokedAt === 'number');
+        },
+
+        /**
+         * 验证分享ID格式
+         * @param {string} shareId
+         * @returns {boolean}
+         */
+        isValidShareId(shareId) {
+            return typeof shareId === 'string' &&
+                /^[a-zA-Z0-9_-]{16,64}$/.test(shareId);
+        },
+
+        /**
+         * 验证附件ID格式
+         * @param {string} attachmentId
+         * @returns {boolean}
+         */
+        isValidAttachmentId(attachmentId) {
+            return typeof attachmentId === 'string' &&
+                /^[a-zA-Z0-9_-]{16,64}$/.test(attachmentId);
+        },
+
+        /**
+         * 验证分享数据格式
+         * @param {EncryptedShareData} data
+         * @returns {boolean}
+         */
+        isValidShareData(data) {
+            if (!data || typeof data !== 'object') {
+                return false;
+            }
+            return typeof data.encryptedData === 'string' &&
+                data.encryptedData.length > 0 &&
+                typeof data.createdAt === 'number' &&
+                typeof data.burnAfterReading === 'boolean' &&
+                typeof data.expiresAt === 'number' &&
+                data.expiresAt > data.createdAt;
+        },
+
+        /**
+         * 验证笔记数据格式
+         * @param {EncryptedNoteData} data
+         * @returns {boolean}
+         */
+        isValidNoteData(data) {
+            if (!data || typeof data !== 'object') {
+                return false;
+            }
+            return typeof data.encryptedData === 'string' &&
+                typeof data.version === 'number' &&
+                typeof data.timestamp === 'number' &&
+                typeof data.deviceName === 'string' &&
+                typeof data.deleted === 'boolean' &&
+                (data.deleted || data.encryptedData.length > 0) &&
+                data.timestamp > 0 &&
+                data.version >= 0;
+        },
+
         /**
          * 验证操作记录格式
          * @param {Operation} operation 
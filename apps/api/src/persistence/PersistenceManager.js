@@ -181,6 +181,54 @@ class PersistenceManager {
         return this.currentAdapter.getRoom(roomId);
     }
 
+    /**
+     * 保存单条笔记数据
+     */
+    async saveNote(roomId, noteId, data) {
+        this._ensureInitialized();
+        return this.currentAdapter.saveNote(roomId, noteId, data);
+    }
+
+    /**
+     * 获取单条笔记数据
+     */
+    async getNote(roomId, noteId) {
+        this._ensureInitialized();
+        return this.currentAdapter.getNote(roomId, noteId);
+    }
+
+    /**
+     * 获取房间内所有笔记数据
+     */
+    async getNotes(roomId) {
+        this._ensureInitialized();
+        return this.currentAdapter.getNotes(roomId);
+    }
+
+    /**
+     * 获取历史版本列表
+     */
+    async listVersions(roomId, noteId) {
+        this._ensureInitialized();
+        return this.currentAdapter.listVersions(roomId, noteId);
+    }
+
+    /**
+     * 获取单个历史版本
+     */
+    async getVersion(roomId, versionId) {
+        this._ensureInitialized();
+        return this.currentAdapter.getVersion(roomId, versionId);
+    }
+
+    /**
+     * 追加一个已有的历史版本
+     */
+    async saveVersion(roomId, version) {
+        this._ensureInitialized();
+        return this.currentAdapter.saveVersion(roomId, version);
+    }
+
     /**
      * 删除过期数据
      */
@@ -189,6 +237,70 @@ class PersistenceManager {
         return this.currentAdapter.cleanupExpired(olderThan);
     }
 
+    /**
+     * 删除房间的全部数据
+     */
+    async deleteRoom(roomId) {
+        this._ensureInitialized();
+        return this.currentAdapter.deleteRoom(roomId);
+    }
+
+    /**
+     * 获取房间的写入公钥
+     */
+    async getRoomPublicKey(roomId) {
+        this._ensureInitialized();
+        return this.currentAdapter.getRoomPublicKey(roomId);
+    }
+
+    /**
+     * 记住房间的写入公钥（已有时保持不变）
+     */
+    async claimRoomPublicKey(roomId, publicKey) {
+        this._ensureInitialized();
+        return this.currentAdapter.claimRoomPublicKey(roomId, publicKey);
+    }
+
+    /**
+     * 保存房间内的设备记录
+     */
+    async saveDevice(roomId, device) {
+        this._ensureInitialized();
+        return this.currentAdapter.saveDevice(roomId, device);
+    }
+
+    /**
+     * 获取房间内登记过的所有设备
+     */
+    async getDevices(roomId) {
+        this._ensureInitialized();
+        return this.currentAdapter.getDevices(roomId);
+    }
+
+    /**
+     * 保存只读分享
+     */
+    async saveShare(shareId, share) {
+        this._ensureInitialized();
+        return this.currentAdapter.saveShare(shareId, share);
+    }
+
+    /**
+     * 获取只读分享
+     */
+    async getShare(shareId) {
+        this._ensureInitialized();
+        return this.currentAdapter.getShare(shareId);
+    }
+
+    /**
+     * 读取并删除只读分享
+     */
+    async takeShare(shareId) {
+        this._ensureInitialized();
+        return this.currentAdapter.takeShare(shareId);
+    }
+
     /**
      * 保存操作日志
      */
@@ -205,6 +317,14 @@ class PersistenceManager {
         return this.currentAdapter.getLog(roomId, since);
     }
 
+    /**
+     * 分配房间内下一个操作序号
+     */
+    async nextSequence(roomId) {
+        this._ensureInitialized();
+        return this.currentAdapter.nextSequence(roomId);
+    }
+
     /**
      * 检查存储连接状态
      */
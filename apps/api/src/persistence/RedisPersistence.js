@@ -1,9 +1,11 @@
-const { PersistenceAdapter, DataSerializer, DataValidator } = require('./PersistenceAdapter');
+const { PersistenceAdapter, DataSerializer, DataValidator, DEFAULT_MAX_VERSIONS } = require('./PersistenceAdapter');
 const Redis = require('redis');
+const crypto = require('crypto');
 
 /**
  * Redis 持久化存储实现
  * 使用 Redis Hash 存储房间数据，Redis List 存储操作日志
+ * 历史版本：Hash 保存版本内容，每条历史一个 List 保存版本ID（最新在前）
  */
 class RedisPersistence extends PersistenceAdapter {
     constructor(options = {}) {
@@ -18,6 +20,7 @@ class RedisPersistence extends PersistenceAdapter {
             defaultTTL: options.defaultTTL || 7 * 24 * 60 * 60, // 7天
             maxRetries: options.maxRetries || 3,
             retryDelay: options.retryDelay || 1000,
+            maxVersions: options.maxVersions || DEFAULT_MAX_VERSIONS,
             ...options
         };
 
@@ -114,6 +117,71 @@ class RedisPersistence extends PersistenceAdapter {
         return `${this.options.keyPrefix}log:${roomId}`;
     }
 
+    /**
+     * 生成操作序号计数器的 Redis key
+     * @param {string} roomId
+     * @returns {string}
+     */
+    _getSequenceKey(roomId) {
+        return `${this.options.keyPrefix}seq:${roomId}`;
+    }
+
+    /**
+     * 生成笔记数据的 Redis key
+     * @param {string} roomId
+     * @returns {string}
+     */
+    _getNotesKey(roomId) {
+        return `${this.options.keyPrefix}notes:${roomId}`;
+    }
+
+    /**
+     * 生成历史版本内容的 Redis key
+     * @param {string} roomId
+     * @returns {string}
+     */
+    _getVersionsKey(roomId) {
+        return `${this.options.keyPrefix}versions:${roomId}`;
+    }
+
+    /**
+     * 生成房间写入公钥的 Redis key
+     * @param {string} roomId
+     * @returns {string}
+     */
+    _getPublicKeyKey(roomId) {
+        return `${this.options.keyPrefix}pubkey:${roomId}`;
+    }
+
+    /**
+     * 生成房间设备登记的 Redis key
+     * @param {string} roomId
+     * @returns {string}
+     */
+    _getDevicesKey(roomId) {
+        return `${this.options.keyPrefix}devices:${roomId}`;
+    }
+
+    /**
+     * 生成只读分享的 Redis key
+     * @param {string} shareId
+     * @returns {string}
+     */
+    _getShareKey(shareId) {
+        return `${this.options.keyPrefix}share:${shareId}`;
+    }
+
+    /**
+     * 生成单条历史（整库数据或某条笔记）版本ID列表的 Redis key
+     * @param {string} roomId
+     * @param {string|null} noteId
+     * @returns {string}
+     */
+    _getVersionListKey(roomId, noteId) {
+        const stream = noteId ? `note:${noteId}` : 'room';
+        return `${this.options.keyPrefix}versionlist:${roomId}:${stream}`;
+    }
+
     /**
      * 保存同步链数据
      * @param {string} roomId - 房间ID
@@ -146,6 +214,8 @@ class RedisPersistence extends PersistenceAdapter {
             });
 
             await this.client.expire(key, this.options.defaultTTL);
+
+            await this._appendVersion(roomId, null, data);
         } catch (error) {
             console.error(`Failed to save room ${roomId}:`, error);
             throw new Error(`Failed to save room data: ${error.message}`);
@@ -187,6 +257,246 @@ class RedisPersistence extends PersistenceAdapter {
         }
     }
 
+    /**
+     * 保存单条笔记数据
+     * @param {string} roomId - 房间ID
+     * @param {string} noteId - 笔记ID
+     * @param {EncryptedNoteData} data - 加密的笔记数据
+     * @returns {Promise<void>}
+     */
+    async saveNote(roomId, noteId, data) {
+        if (!DataValidator.isValidRoomId(roomId)) {
+            throw new Error('Invalid room ID');
+        }
+
+        if (!DataValidator.isValidNoteId(noteId)) {
+            throw new Error('Invalid note ID');
+        }
+
+        if (!DataValidator.isValidNoteData(data)) {
+            throw new Error('Invalid note data');
+        }
+
+        await this._ensureConnection();
+
+        const key = this._getNotesKey(roomId);
+        const serializedData = DataSerializer.serialize({ ...data, noteId });
+
+        try {
+            // 每个房间一个 Hash，field 为笔记ID
+            await this.client.hSet(key, noteId, DataSerializer.compress(serializedData));
+            await this.client.expire(key, this.options.defaultTTL);
+
+            // 删除记录没有内容，不产生历史版本
+            if (!data.deleted) {
+                await this._appendVersion(roomId, noteId, data);
+            }
+        } catch (error) {
+            console.error(`Failed to save note ${noteId} in room ${roomId}:`, error);
+            throw new Error(`Failed to save note data: ${error.message}`);
+        }
+    }
+
+    /**
+     * 获取单条笔记数据
+     * @param {string} roomId - 房间ID
+     * @param {string} noteId - 笔记ID
+     * @returns {Promise<EncryptedNoteData|null>}
+     */
+    async getNote(roomId, noteId) {
+        if (!DataValidator.isValidRoomId(roomId)) {
+            throw new Error('Invalid room ID');
+        }
+
+        if (!DataValidator.isValidNoteId(noteId)) {
+            throw new Error('Invalid note ID');
+        }
+
+        await this._ensureConnection();
+
+        try {
+            const value = await this.client.hGet(this._getNotesKey(roomId), noteId);
+            return value ? DataSerializer.deserialize(DataSerializer.decompress(value)) : null;
+        } catch (error) {
+            console.error(`Failed to get note ${noteId} in room ${roomId}:`, error);
+            throw new Error(`Failed to get note data: ${error.message}`);
+        }
+    }
+
+    /**
+     * 获取房间内所有笔记数据
+     * @param {string} roomId - 房间ID
+     * @returns {Promise<EncryptedNoteData[]>}
+     */
+    async getNotes(roomId) {
+        if (!DataValidator.isValidRoomId(roomId)) {
+            throw new Error('Invalid room ID');
+        }
+
+        await this._ensureConnection();
+
+        const key = this._getNotesKey(roomId);
+
+        try {
+            const entries = await this.client.hGetAll(key);
+            const notes = [];
+
+            for (const value of Object.values(entries || {})) {
+                try {
+                    notes.push(DataSerializer.deserialize(DataSerializer.decompress(value)));
+                } catch (error) {
+                    console.error('Failed to parse note entry:', error);
+                }
+            }
+
+            if (notes.length > 0) {
+                await this.client.expire(key, this.options.defaultTTL);
+            }
+
+            return notes;
+        } catch (error) {
+            console.error(`Failed to get notes for room ${roomId}:`, error);
+            throw new Error(`Failed to get note data: ${error.message}`);
+        }
+    }
+
+    /**
+     * 追加历史版本，并只保留该历史最近的 maxVersions 个版本
+     * @private
+     */
+    async _appendVersion(roomId, noteId, data, createdAt = Date.now()) {
+        const versionsKey = this._getVersionsKey(roomId);
+        const listKey = this._getVersionListKey(roomId, noteId);
+        const entry = {
+            versionId: crypto.randomUUID(),
+            noteId: noteId || null,
+            encryptedData: data.encryptedData,
+            version: data.version,
+            timestamp: data.timestamp,
+            deviceName: data.deviceName,
+            createdAt,
+            size: data.encryptedData.length
+        };
+
+        await this.client.hSet(versionsKey, entry.versionId, DataSerializer.compress(DataSerializer.serialize(entry)));
+        await this.client.lPush(listKey, entry.versionId);
+
+        const dropped = await this.client.lRange(listKey, this.options.maxVersions, -1);
+        if (dropped && dropped.length > 0) {
+            await this.client.hDel(versionsKey, dropped);
+            await this.client.lTrim(listKey, 0, this.options.maxVersions - 1);
+        }
+
+        await this.client.expire(versionsKey, this.options.defaultTTL);
+        await this.client.expire(listKey, this.options.defaultTTL);
+    }
+
+    /**
+     * 获取历史版本列表（按保存时间倒序）
+     * @param {string} roomId - 房间ID
+     * @param {string|null} [noteId] - 笔记ID，不传时返回整库数据的历史
+     * @returns {Promise<VersionInfo[]>}
+     */
+    async listVersions(roomId, noteId = null) {
+        if (!DataValidator.isValidRoomId(roomId)) {
+            throw new Error('Invalid room ID');
+        }
+
+        if (noteId !== null && !DataValidator.isValidNoteId(noteId)) {
+            throw new Error('Invalid note ID');
+        }
+
+        await this._ensureConnection();
+
+        try {
+            const versionIds = await this.client.lRange(this._getVersionListKey(roomId, noteId), 0, -1);
+            if (!versionIds || versionIds.length === 0) {
+                return [];
+            }
+
+            const values = await this.client.hmGet(this._getVersionsKey(roomId), versionIds);
+            const versions = [];
+
+            for (const value of values) {
+                if (!value) {
+                    continue;
+                }
+                try {
+                    const entry = DataSerializer.deserialize(DataSerializer.decompress(value));
+                    delete entry.encryptedData;
+                    versions.push(entry);
+                } catch (error) {
+                    console.error('Failed to parse version entry:', error);
+                }
+            }
+
+            return versions;
+        } catch (error) {
+            console.error(`Failed to list versions for room ${roomId}:`, error);
+            throw new Error(`Failed to list versions: ${error.message}`);
+        }
+    }
+
+    /**
+     * 获取单个历史版本
+     * @param {string} roomId - 房间ID
+     * @param {string} versionId - 版本ID
+     * @returns {Promise<EncryptedVersion|null>}
+     */
+    async getVersion(roomId, versionId) {
+        if (!DataValidator.isValidRoomId(roomId)) {
+            throw new Error('Invalid room ID');
+        }
+
+        if (!DataValidator.isValidVersionId(versionId)) {
+            throw new Error('Invalid version ID');
+        }
+
+        await this._ensureConnection();
+
+        try {
+            const value = await this.client.hGet(this._getVersionsKey(roomId), versionId);
+            if (!value) {
+                return null;
+            }
+
+            return DataSerializer.deserialize(DataSerializer.decompress(value));
+        } catch (error) {
+            console.error(`Failed to get version ${versionId} in room ${roomId}:`, error);
+            throw new Error(`Failed to get version: ${error.message}`);
+        }
+    }
+
+    /**
+     * 追加一个已有的历史版本，不修改笔记本身
+     * @param {string} roomId - 房间ID
+     * @param {EncryptedVersion} version - 历史版本
+     * @returns {Promise<void>}
+     */
+    async saveVersion(roomId, version) {
+        if (!DataValidator.isValidRoomId(roomId)) {
+            throw new Error('Invalid room ID');
+        }
+
+        const noteId = version?.noteId ?? null;
+        if (noteId !== null && !DataValidator.isValidNoteId(noteId)) {
+            throw new Error('Invalid note ID');
+        }
+
+        if (!DataValidator.isValidNoteData({ ...version, deleted: false })) {
+            throw new Error('Invalid version data');
+        }
+
+        await this._ensureConnection();
+
+        try {
+            await this._appendVersion(roomId, noteId, version, version.createdAt || Date.now());
+        } catch (error) {
+            console.error(`Failed to save version in room ${roomId}:`, error);
+            throw new Error(`Failed to save version: ${error.message}`);
+        }
+    }
+
     /**
      * 删除过期数据
      * @param {Date} olderThan - 删除早于此时间的数据
@@ -215,6 +525,15 @@ class RedisPersistence extends PersistenceAdapter {
 
                             await this.client.del(key);
                             await this.client.del(logKey);
+                            await this.client.del(this._getNotesKey(roomId));
+                            await this.client.del(this._getVersionsKey(roomId));
+
+                            const versionListKeys = await this.client.keys(
+                                `${this.options.keyPrefix}versionlist:${roomId}:*`
+                            );
+                            for (const versionListKey of versionListKeys) {
+                                await this.client.del(versionListKey);
+                            }
                             deletedCount++;
                         }
                     }
@@ -230,6 +549,205 @@ class RedisPersistence extends PersistenceAdapter {
         }
     }
 
+    /**
+     * 删除房间的全部数据（整库数据、笔记、历史版本、操作日志、序号和设备登记）。
+     * 写入公钥保留，删除后的房间不能被其他公钥重新认领
+     * @param {string} roomId - 房间ID
+     * @returns {Promise<void>}
+     */
+    async deleteRoom(roomId) {
+        if (!DataValidator.isValidRoomId(roomId)) {
+            throw new Error('Invalid room ID');
+        }
+
+        await this._ensureConnection();
+
+        try {
+            const versionListKeys = await this.client.keys(
+                `${this.options.keyPrefix}versionlist:${roomId}:*`
+            );
+            await this.client.del([
+                this._getRoomKey(roomId),
+                this._getNotesKey(roomId),
+                this._getVersionsKey(roomId),
+                this._getLogKey(roomId),
+                this._getSequenceKey(roomId),
+                this._getDevicesKey(roomId),
+                ...versionListKeys,
+            ]);
+        } catch (error) {
+            console.error(`Failed to delete room ${roomId}:`, error);
+            throw new Error(`Failed to delete room data: ${error.message}`);
+        }
+    }
+
+    /**
+     * 获取房间的写入公钥
+     * @param {string} roomId - 房间ID
+     * @returns {Promise<string|null>}
+     */
+    async getRoomPublicKey(roomId) {
+        if (!DataValidator.isValidRoomId(roomId)) {
+            throw new Error('Invalid room ID');
+        }
+
+        await this._ensureConnection();
+
+        try {
+            return await this.client.get(this._getPublicKeyKey(roomId));
+        } catch (error) {
+            console.error(`Failed to get public key of room ${roomId}:`, error);
+            throw new Error(`Failed to get room public key: ${error.message}`);
+        }
+    }
+
+    /**
+     * 房间还没有写入公钥时记住该公钥（SET NX，不设过期）；已有时保持不变
+     * @param {string} roomId - 房间ID
+     * @param {string} publicKey - Ed25519 公钥（base64）
+     * @returns {Promise<string>} 房间实际生效的公钥
+     */
+    async claimRoomPublicKey(roomId, publicKey) {
+        if (!DataValidator.isValidRoomId(roomId)) {
+            throw new Error('Invalid room ID');
+        }
+
+        await this._ensureConnection();
+
+        const key = this._getPublicKeyKey(roomId);
+
+        try {
+            await this.client.set(key, publicKey, { NX: true });
+            return await this.client.get(key);
+        } catch (error) {
+            console.error(`Failed to claim public key of room ${roomId}:`, error);
+            throw new Error(`Failed to claim room public key: ${error.message}`);
+        }
+    }
+
+    /**
+     * 保存（新增或更新）房间内的设备记录（与写入公钥一样不设过期）
+     * @param {string} roomId - 房间ID
+     * @param {DeviceRecord} device - 设备记录
+     * @returns {Promise<void>}
+     */
+    async saveDevice(roomId, device) {
+        if (!DataValidator.isValidRoomId(roomId)) {
+            throw new Error('Invalid room ID');
+        }
+        if (!DataValidator.isValidDevice(device)) {
+            throw new Error('Invalid device data');
+        }
+
+        await this._ensureConnection();
+
+        try {
+            await this.client.hSet(this._getDevicesKey(roomId), device.deviceId, JSON.stringify(device));
+        } catch (error) {
+            console.error(`Failed to save device ${device.deviceId} in room ${roomId}:`, error);
+            throw new Error(`Failed to save device: ${error.message}`);
+        }
+    }
+
+    /**
+     * 获取房间内登记过的所有设备（包括已移除的）
+     * @param {string} roomId - 房间ID
+     * @returns {Promise<DeviceRecord[]>}
+     */
+    async getDevices(roomId) {
+        if (!DataValidator.isValidRoomId(roomId)) {
+            throw new Error('Invalid room ID');
+        }
+
+        await this._ensureConnection();
+
+        try {
+            const entries = await this.client.hGetAll(this._getDevicesKey(roomId));
+            return Object.values(entries || {})
+                .map(value => JSON.parse(value))
+                .sort((a, b) => a.firstSeen - b.firstSeen);
+        } catch (error) {
+            console.error(`Failed to get devices of room ${roomId}:`, error);
+            throw new Error(`Failed to get devices: ${error.message}`);
+        }
+    }
+
+    /**
+     * 保存只读分享（交给 Redis 按过期时间删除）
+     * @param {string} shareId - 分享ID
+     * @param {EncryptedShareData} share - 加密的分享数据
+     * @returns {Promise<void>}
+     */
+    async saveShare(shareId, share) {
+        if (!DataValidator.isValidShareId(shareId)) {
+            throw new Error('Invalid share ID');
+        }
+        if (!DataValidator.isValidShareData(share)) {
+            throw new Error('Invalid share data');
+        }
+
+        await this._ensureConnection();
+
+        try {
+            await this.client.set(this._getShareKey(shareId), JSON.stringify(share), { PXAT: share.expiresAt });
+        } catch (error) {
+            console.error(`Failed to save share ${shareId}:`, error);
+            throw new Error(`Failed to save share: ${error.message}`);
+        }
+    }
+
+    /**
+     * 获取只读分享（已过期的视为不存在）
+     * @param {string} shareId - 分享ID
+     * @returns {Promise<EncryptedShareData|null>}
+     */
+    async getShare(shareId) {
+        if (!DataValidator.isValidShareId(shareId)) {
+            throw new Error('Invalid share ID');
+        }
+
+        await this._ensureConnection();
+
+        try {
+            return this._parseShare(await this.client.get(this._getShareKey(shareId)));
+        } catch (error) {
+            console.error(`Failed to get share ${shareId}:`, error);
+            throw new Error(`Failed to get share: ${error.message}`);
+        }
+    }
+
+    /**
+     * 读取并删除只读分享（GETDEL，一条命令内完成）
+     * @param {string} shareId - 分享ID
+     * @returns {Promise<EncryptedShareData|null>}
+     */
+    async takeShare(shareId) {
+        if (!DataValidator.isValidShareId(shareId)) {
+            throw new Error('Invalid share ID');
+        }
+
+        await this._ensureConnection();
+
+        try {
+            return this._parseShare(await this.client.getDel(this._getShareKey(shareId)));
+        } catch (error) {
+            console.error(`Failed to take share ${shareId}:`, error);
+            throw new Error(`Failed to take share: ${error.message}`);
+        }
+    }
+
+    /**
+     * 解析分享数据；Redis 过期有延迟，已过期的同样视为不存在
+     * @private
+     */
+    _parseShare(value) {
+        if (!value) {
+            return null;
+        }
+        const share = JSON.parse(value);
+        return share.expiresAt !== null && share.expiresAt <= Date.now() ? null : share;
+    }
+
     /**
      * 保存操作日志
      * @param {string} roomId - 房间ID
@@ -306,6 +824,30 @@ class RedisPersistence extends PersistenceAdapter {
         }
     }
 
+    /**
+     * 分配房间内下一个操作序号
+     * @param {string} roomId - 房间ID
+     * @returns {Promise<number>}
+     */
+    async nextSequence(roomId) {
+        if (!DataValidator.isValidRoomId(roomId)) {
+            throw new Error('Invalid room ID');
+        }
+
+        await this._ensureConnection();
+
+        const key = this._getSequenceKey(roomId);
+
+        try {
+            const value = await this.client.incr(key);
+            await this.client.expire(key, this.options.defaultTTL);
+            return Number(value);
+        } catch (error) {
+            console.error(`Failed to allocate sequence for room ${roomId}:`, error);
+            throw new Error(`Failed to allocate sequence: ${error.message}`);
+        }
+    }
+
     /**
      * 检查存储连接状态
      * @returns {Promise<boolean>}
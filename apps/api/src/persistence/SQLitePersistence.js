@@ -1,9 +1,31 @@
-const { PersistenceAdapter, DataSerializer, DataValidator } = require('./PersistenceAdapter');
+const { PersistenceAdapter, DataSerializer, DataValidator, DEFAULT_MAX_VERSIONS } = require('./PersistenceAdapter');
+const crypto = require('crypto');
 const sqlite3 = require('sqlite3').verbose();
 const path = require('path');
 const fs = require('fs').promises;
 const { logger } = require('../utils/logger');
 
+// 操作日志表（note_id 为空表示整库数据的操作）
+const OPERATION_LOGS_TABLE_SQL = `
+      CREATE TABLE IF NOT EXISTS operation_logs (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        room_id TEXT NOT NULL,
+        note_id TEXT,
+        operation_id TEXT NOT NULL,
+        operation_type TEXT NOT NULL,
+        position INTEGER NOT NULL,
+        content TEXT,
+        length INTEGER,
+        timestamp INTEGER NOT NULL,
+        device_id TEXT NOT NULL,
+        version INTEGER NOT NULL,
+        created_at INTEGER NOT NULL DEFAULT (strftime('%s', 'now') * 1000)
+      )
+    `;
+
+// 读取分享时返回的列
+const SHARE_COLUMNS = 'encrypted_data, created_at, expires_at, burn_after_reading';
+
 /**
  * SQLite 持久化存储实现
  * 作为 Redis 的备用方案，使用文件数据库存储
@@ -17,6 +39,7 @@ class SQLitePersistence extends PersistenceAdapter {
             maxConnections: options.maxConnections || 10,
             busyTimeout: options.busyTimeout || 30000,
             defaultTTL: options.defaultTTL || 7 * 24 * 60 * 60 * 1000, // 7天（毫秒）
+            maxVersions: options.maxVersions || DEFAULT_MAX_VERSIONS,
             ...options
         };
 
@@ -53,7 +76,8 @@ class SQLitePersistence extends PersistenceAdapter {
             });
 
             // 设置数据库配置
-            await this._runQuery('PRAGMA busy_timeout = ?', [this.options.busyTimeout]);
+            // PRAGMA 不支持参数绑定
+            await this._runQuery(`PRAGMA busy_timeout = ${Number(this.options.busyTimeout) || 0}`);
             await this._runQuery('PRAGMA journal_mode = WAL');
             await this._runQuery('PRAGMA synchronous = NORMAL');
             await this._runQuery('PRAGMA cache_size = 10000');
@@ -91,20 +115,82 @@ class SQLitePersistence extends PersistenceAdapter {
     `);
 
         // 操作日志表
+        await this._runQuery(OPERATION_LOGS_TABLE_SQL);
+        await this._migrateOperationLogs();
+
+        // 操作序号表（每个房间单调递增）
         await this._runQuery(`
-      CREATE TABLE IF NOT EXISTS operation_logs (
+      CREATE TABLE IF NOT EXISTS room_sequences (
+        room_id TEXT PRIMARY KEY,
+        value INTEGER NOT NULL DEFAULT 0
+      )
+    `);
+
+        // 笔记数据表（逐条笔记同步，不依赖 rooms 表中是否存在整库数据）
+        await this._runQuery(`
+      CREATE TABLE IF NOT EXISTS room_notes (
+        room_id TEXT NOT NULL,
+        note_id TEXT NOT NULL,
+        encrypted_data TEXT NOT NULL,
+        version INTEGER NOT NULL DEFAULT 0,
+        timestamp INTEGER NOT NULL,
+        device_name TEXT NOT NULL,
+        deleted INTEGER NOT NULL DEFAULT 0,
+        seq INTEGER NOT NULL DEFAULT 0,
+        updated_at INTEGER NOT NULL DEFAULT (strftime('%s', 'now') * 1000),
+        PRIMARY KEY (room_id, note_id)
+      )
+    `);
+        await this._migrateNoteSequences();
+
+        // 历史版本表（note_id 为空字符串表示整库数据）
+        await this._runQuery(`
+      CREATE TABLE IF NOT EXISTS room_versions (
         id INTEGER PRIMARY KEY AUTOINCREMENT,
+        version_id TEXT NOT NULL UNIQUE,
         room_id TEXT NOT NULL,
-        operation_id TEXT NOT NULL,
-        operation_type TEXT NOT NULL,
-        position INTEGER NOT NULL,
-        content TEXT,
-        length INTEGER,
+        note_id TEXT NOT NULL DEFAULT '',
+        encrypted_data TEXT NOT NULL,
+        version INTEGER NOT NULL DEFAULT 0,
         timestamp INTEGER NOT NULL,
+        device_name TEXT NOT NULL,
+        size INTEGER NOT NULL DEFAULT 0,
+        created_at INTEGER NOT NULL DEFAULT (strftime('%s', 'now') * 1000)
+      )
+    `);
+
+        // 房间写入公钥（第一次签名写入时记住，不随数据过期）
+        await this._runQuery(`
+      CREATE TABLE IF NOT EXISTS room_keys (
+        room_id TEXT PRIMARY KEY,
+        public_key TEXT NOT NULL,
+        created_at INTEGER NOT NULL DEFAULT (strftime('%s', 'now') * 1000)
+      )
+    `);
+
+        // 设备登记（移除设备后仍保留记录，用于拒绝它再次加入和写入）
+        await this._runQuery(`
+      CREATE TABLE IF NOT EXISTS room_devices (
+        room_id TEXT NOT NULL,
         device_id TEXT NOT NULL,
-        version INTEGER NOT NULL,
-        created_at INTEGER NOT NULL DEFAULT (strftime('%s', 'now') * 1000),
-        FOREIGN KEY (room_id) REFERENCES rooms (room_id) ON DELETE CASCADE
+        device_name TEXT NOT NULL,
+        platform TEXT NOT NULL,
+        public_key TEXT NOT NULL,
+        first_seen INTEGER NOT NULL,
+        last_seen INTEGER NOT NULL,
+        revoked_at INTEGER,
+        PRIMARY KEY (room_id, device_id)
+      )
+    `);
+
+        // 只读分享（expires_at 为空表示不过期）
+        await this._runQuery(`
+      CREATE TABLE IF NOT EXISTS shares (
+        share_id TEXT PRIMARY KEY,
+        encrypted_data TEXT NOT NULL,
+        created_at INTEGER NOT NULL,
+        expires_at INTEGER,
+        burn_after_reading INTEGER NOT NULL DEFAULT 0
       )
     `);
 
@@ -114,6 +200,51 @@ class SQLitePersistence extends PersistenceAdapter {
         await this._runQuery('CREATE INDEX IF NOT EXISTS idx_logs_room_id ON operation_logs (room_id)');
         await this._runQuery('CREATE INDEX IF NOT EXISTS idx_logs_version ON operation_logs (room_id, version)');
         await this._runQuery('CREATE INDEX IF NOT EXISTS idx_logs_timestamp ON operation_logs (timestamp)');
+        await this._runQuery('CREATE INDEX IF NOT EXISTS idx_notes_updated_at ON room_notes (updated_at)');
+        await this._runQuery('CREATE INDEX IF NOT EXISTS idx_versions_stream ON room_versions (room_id, note_id, id)');
+        await this._runQuery('CREATE INDEX IF NOT EXISTS idx_versions_created_at ON room_versions (created_at)');
+        await this._runQuery('CREATE INDEX IF NOT EXISTS idx_shares_expires_at ON shares (expires_at)');
+    }
+
+    /**
+     * 迁移旧版操作日志表：增加 note_id 列，并去掉指向 rooms 的外键
+     * （逐条笔记同步的房间在 rooms 表中可能没有记录）
+     * @private
+     */
+    async _migrateOperationLogs() {
+        const columns = await this._allQuery('PRAGMA table_info(operation_logs)');
+        const foreignKeys = await this._allQuery('PRAGMA foreign_key_list(operation_logs)');
+
+        if (columns.some(column => column.name === 'note_id') && foreignKeys.length === 0) {
+            return;
+        }
+
+        const copiedColumns = 'id, room_id, operation_id, operation_type, position, content, length, timestamp, device_id, version, created_at';
+
+        await this._runQuery('BEGIN TRANSACTION');
+        try {
+            await this._runQuery('ALTER TABLE operation_logs RENAME TO operation_logs_legacy');
+            await this._runQuery(OPERATION_LOGS_TABLE_SQL);
+            await this._runQuery(
+                `INSERT INTO operation_logs (${copiedColumns}) SELECT ${copiedColumns} FROM operation_logs_legacy`
+            );
+            await this._runQuery('DROP TABLE operation_logs_legacy');
+            await this._runQuery('COMMIT');
+        } catch (error) {
+            await this._runQuery('ROLLBACK');
+            throw error;
+        }
+    }
+
+    /**
+     * 迁移旧版笔记表：增加 seq 列（写入时分配的操作序号，用于拒绝基于旧版本的写入）
+     * @private
+     */
+    async _migrateNoteSequences() {
+        const columns = await this._allQuery('PRAGMA table_info(room_notes)');
+        if (!columns.some(column => column.name === 'seq')) {
+            await this._runQuery('ALTER TABLE room_notes ADD COLUMN seq INTEGER NOT NULL DEFAULT 0');
+        }
     }
 
     /**
@@ -209,6 +340,7 @@ class SQLitePersistence extends PersistenceAdapter {
           updated_at = excluded.updated_at
       `, [roomId, compressedData, data.timestamp, data.version, data.deviceName, data.hash || '', now]);
 
+            await this._appendVersion(roomId, '', data);
         } catch (error) {
             logger.error(`Failed to save room ${roomId}:`, { error: error.message });
             throw new Error(`Failed to save room data: ${error.message}`);
@@ -254,6 +386,284 @@ class SQLitePersistence extends PersistenceAdapter {
         }
     }
 
+    /**
+     * 保存单条笔记数据
+     * @param {string} roomId - 房间ID
+     * @param {string} noteId - 笔记ID
+     * @param {EncryptedNoteData} data - 加密的笔记数据
+     * @returns {Promise<void>}
+     */
+    async saveNote(roomId, noteId, data) {
+        if (!DataValidator.isValidRoomId(roomId)) {
+            throw new Error('Invalid room ID');
+        }
+
+        if (!DataValidator.isValidNoteId(noteId)) {
+            throw new Error('Invalid note ID');
+        }
+
+        if (!DataValidator.isValidNoteData(data)) {
+            throw new Error('Invalid note data');
+        }
+
+        await this._ensureConnection();
+
+        try {
+            await this._runQuery(`
+        INSERT INTO room_notes (room_id, note_id, encrypted_data, version, timestamp, device_name, deleted, seq, updated_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+        ON CONFLICT(room_id, note_id) DO UPDATE SET
+          encrypted_data = excluded.encrypted_data,
+          version = excluded.version,
+          timestamp = excluded.timestamp,
+          device_name = excluded.device_name,
+          deleted = excluded.deleted,
+          seq = excluded.seq,
+          updated_at = excluded.updated_at
+      `, [
+                roomId,
+                noteId,
+                DataSerializer.compress(data.encryptedData),
+                data.version,
+                data.timestamp,
+                data.deviceName,
+                data.deleted ? 1 : 0,
+                data.seq || 0,
+                data.updatedAt || Date.now()
+            ]);
+
+            // 删除记录没有内容，不产生历史版本
+            if (!data.deleted) {
+                await this._appendVersion(roomId, noteId, data);
+            }
+        } catch (error) {
+            logger.error(`Failed to save note ${noteId} in room ${roomId}:`, { error: error.message });
+            throw new Error(`Failed to save note data: ${error.message}`);
+        }
+    }
+
+    /**
+     * 获取房间内所有笔记数据
+     * @param {string} roomId - 房间ID
+     * @returns {Promise<EncryptedNoteData[]>}
+     */
+    async getNotes(roomId) {
+        if (!DataValidator.isValidRoomId(roomId)) {
+            throw new Error('Invalid room ID');
+        }
+
+        await this._ensureConnection();
+
+        try {
+            const rows = await this._allQuery(`
+        SELECT note_id, encrypted_data, version, timestamp, device_name, deleted, seq, updated_at
+        FROM room_notes
+        WHERE room_id = ?
+        ORDER BY updated_at ASC
+      `, [roomId]);
+
+            return rows.map(row => this._toNoteData(row));
+        } catch (error) {
+            logger.error(`Failed to get notes for room ${roomId}:`, { error: error.message });
+            throw new Error(`Failed to get note data: ${error.message}`);
+        }
+    }
+
+    /**
+     * 获取单条笔记数据
+     * @param {string} roomId - 房间ID
+     * @param {string} noteId - 笔记ID
+     * @returns {Promise<EncryptedNoteData|null>}
+     */
+    async getNote(roomId, noteId) {
+        if (!DataValidator.isValidRoomId(roomId)) {
+            throw new Error('Invalid room ID');
+        }
+
+        if (!DataValidator.isValidNoteId(noteId)) {
+            throw new Error('Invalid note ID');
+        }
+
+        await this._ensureConnection();
+
+        try {
+            const row = await this._getQuery(`
+        SELECT note_id, encrypted_data, version, timestamp, device_name, deleted, seq, updated_at
+        FROM room_notes
+        WHERE room_id = ? AND note_id = ?
+      `, [roomId, noteId]);
+
+            return row ? this._toNoteData(row) : null;
+        } catch (error) {
+            logger.error(`Failed to get note ${noteId} in room ${roomId}:`, { error: error.message });
+            throw new Error(`Failed to get note data: ${error.message}`);
+        }
+    }
+
+    /**
+     * 数据库行转换为笔记数据
+     * @private
+     */
+    _toNoteData(row) {
+        return {
+            noteId: row.note_id,
+            encryptedData: DataSerializer.decompress(row.encrypted_data),
+            version: row.version,
+            timestamp: row.timestamp,
+            deviceName: row.device_name,
+            deleted: row.deleted === 1,
+            seq: row.seq,
+            updatedAt: row.updated_at
+        };
+    }
+
+    /**
+     * 追加历史版本，并只保留该历史最近的 maxVersions 个版本
+     * @private
+     */
+    async _appendVersion(roomId, noteId, data, createdAt = Date.now()) {
+        await this._runQuery(`
+      INSERT INTO room_versions (version_id, room_id, note_id, encrypted_data, version, timestamp, device_name, size, created_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `, [
+            crypto.randomUUID(),
+            roomId,
+            noteId,
+            DataSerializer.compress(data.encryptedData),
+            data.version,
+            data.timestamp,
+            data.deviceName,
+            data.encryptedData.length,
+            createdAt
+        ]);
+
+        await this._runQuery(`
+      DELETE FROM room_versions
+      WHERE room_id = ? AND note_id = ? AND id NOT IN (
+        SELECT id FROM room_versions
+        WHERE room_id = ? AND note_id = ?
+        ORDER BY id DESC
+        LIMIT ?
+      )
+    `, [roomId, noteId, roomId, noteId, this.options.maxVersions]);
+    }
+
+    /**
+     * 数据库行转换为历史版本元数据
+     * @private
+     */
+    _toVersionInfo(row) {
+        return {
+            versionId: row.version_id,
+            noteId: row.note_id || null,
+            version: row.version,
+            timestamp: row.timestamp,
+            deviceName: row.device_name,
+            createdAt: row.created_at,
+            size: row.size
+        };
+    }
+
+    /**
+     * 获取历史版本列表（按保存时间倒序）
+     * @param {string} roomId - 房间ID
+     * @param {string|null} [noteId] - 笔记ID，不传时返回整库数据的历史
+     * @returns {Promise<VersionInfo[]>}
+     */
+    async listVersions(roomId, noteId = null) {
+        if (!DataValidator.isValidRoomId(roomId)) {
+            throw new Error('Invalid room ID');
+        }
+
+        if (noteId !== null && !DataValidator.isValidNoteId(noteId)) {
+            throw new Error('Invalid note ID');
+        }
+
+        await this._ensureConnection();
+
+        try {
+            const rows = await this._allQuery(`
+        SELECT version_id, note_id, version, timestamp, device_name, size, created_at
+        FROM room_versions
+        WHERE room_id = ? AND note_id = ?
+        ORDER BY id DESC
+      `, [roomId, noteId || '']);
+
+            return rows.map(row => this._toVersionInfo(row));
+        } catch (error) {
+            logger.error(`Failed to list versions for room ${roomId}:`, { error: error.message });
+            throw new Error(`Failed to list versions: ${error.message}`);
+        }
+    }
+
+    /**
+     * 获取单个历史版本
+     * @param {string} roomId - 房间ID
+     * @param {string} versionId - 版本ID
+     * @returns {Promise<EncryptedVersion|null>}
+     */
+    async getVersion(roomId, versionId) {
+        if (!DataValidator.isValidRoomId(roomId)) {
+            throw new Error('Invalid room ID');
+        }
+
+        if (!DataValidator.isValidVersionId(versionId)) {
+            throw new Error('Invalid version ID');
+        }
+
+        await this._ensureConnection();
+
+        try {
+            const row = await this._getQuery(`
+        SELECT version_id, note_id, encrypted_data, version, timestamp, device_name, size, created_at
+        FROM room_versions
+        WHERE room_id = ? AND version_id = ?
+      `, [roomId, versionId]);
+
+            if (!row) {
+                return null;
+            }
+
+            return {
+                ...this._toVersionInfo(row),
+                encryptedData: DataSerializer.decompress(row.encrypted_data)
+            };
+        } catch (error) {
+            logger.error(`Failed to get version ${versionId} in room ${roomId}:`, { error: error.message });
+            throw new Error(`Failed to get version: ${error.message}`);
+        }
+    }
+
+    /**
+     * 追加一个已有的历史版本，不修改笔记本身
+     * @param {string} roomId - 房间ID
+     * @param {EncryptedVersion} version - 历史版本
+     * @returns {Promise<void>}
+     */
+    async saveVersion(roomId, version) {
+        if (!DataValidator.isValidRoomId(roomId)) {
+            throw new Error('Invalid room ID');
+        }
+
+        const noteId = version?.noteId ?? null;
+        if (noteId !== null && !DataValidator.isValidNoteId(noteId)) {
+            throw new Error('Invalid note ID');
+        }
+
+        if (!DataValidator.isValidNoteData({ ...version, deleted: false })) {
+            throw new Error('Invalid version data');
+        }
+
+        await this._ensureConnection();
+
+        try {
+            await this._appendVersion(roomId, noteId || '', version, version.createdAt || Date.now());
+        } catch (error) {
+            logger.error(`Failed to save version in room ${roomId}:`, { error: error.message });
+            throw new Error(`Failed to save version: ${error.message}`);
+        }
+    }
+
     /**
      * 删除过期数据
      * @param {Date} olderThan - 删除早于此时间的数据
@@ -265,19 +675,266 @@ class SQLitePersistence extends PersistenceAdapter {
         const cutoffTimestamp = olderThan.getTime();
 
         try {
-            // 删除过期的房间数据（级联删除会自动删除相关日志）
+            // 删除过期的房间数据
             const result = await this._runQuery(
                 'DELETE FROM rooms WHERE updated_at < ?',
                 [cutoffTimestamp]
             );
+            const noteResult = await this._runQuery(
+                'DELETE FROM room_notes WHERE updated_at < ?',
+                [cutoffTimestamp]
+            );
+
+            const versionResult = await this._runQuery(
+                'DELETE FROM room_versions WHERE created_at < ?',
+                [cutoffTimestamp]
+            );
+
+            const logResult = await this._runQuery(
+                'DELETE FROM operation_logs WHERE created_at < ?',
+                [cutoffTimestamp]
+            );
+
+            // 分享按自己的过期时间清理，与 olderThan 无关
+            const shareResult = await this._runQuery(
+                'DELETE FROM shares WHERE expires_at IS NOT NULL AND expires_at <= ?',
+                [Date.now()]
+            );
 
-            return result.changes;
+            return result.changes + noteResult.changes + versionResult.changes + logResult.changes + shareResult.changes;
         } catch (error) {
             logger.error('Failed to cleanup expired data:', { error: error.message });
             throw new Error(`Failed to cleanup expired data: ${error.message}`);
         }
     }
 
+    /**
+     * 删除房间的全部数据（整库数据、笔记、历史版本、操作日志、序号和设备登记）。
+     * 写入公钥保留，删除后的房间不能被其他公钥重新认领
+     * @param {string} roomId - 房间ID
+     * @returns {Promise<void>}
+     */
+    async deleteRoom(roomId) {
+        if (!DataValidator.isValidRoomId(roomId)) {
+            throw new Error('Invalid room ID');
+        }
+
+        await this._ensureConnection();
+
+        try {
+            await this._runQuery('BEGIN TRANSACTION');
+            try {
+                for (const table of ['rooms', 'room_notes', 'room_versions', 'operation_logs', 'room_sequences', 'room_devices']) {
+                    await this._runQuery(`DELETE FROM ${table} WHERE room_id = ?`, [roomId]);
+                }
+                await this._runQuery('COMMIT');
+            } catch (error) {
+                await this._runQuery('ROLLBACK');
+                throw error;
+            }
+        } catch (error) {
+            logger.error(`Failed to delete room ${roomId}:`, { error: error.message });
+            throw new Error(`Failed to delete room data: ${error.message}`);
+        }
+    }
+
+    /**
+     * 获取房间的写入公钥
+     * @param {string} roomId - 房间ID
+     * @returns {Promise<string|null>}
+     */
+    async getRoomPublicKey(roomId) {
+        if (!DataValidator.isValidRoomId(roomId)) {
+            throw new Error('Invalid room ID');
+        }
+
+        await this._ensureConnection();
+
+        try {
+            const row = await this._getQuery('SELECT public_key FROM room_keys WHERE room_id = ?', [roomId]);
+            return row ? row.public_key : null;
+        } catch (error) {
+            logger.error(`Failed to get public key of room ${roomId}:`, { error: error.message });
+            throw new Error(`Failed to get room public key: ${error.message}`);
+        }
+    }
+
+    /**
+     * 房间还没有写入公钥时记住该公钥；已有时保持不变
+     * @param {string} roomId - 房间ID
+     * @param {string} publicKey - Ed25519 公钥（base64）
+     * @returns {Promise<string>} 房间实际生效的公钥
+     */
+    async claimRoomPublicKey(roomId, publicKey) {
+        if (!DataValidator.isValidRoomId(roomId)) {
+            throw new Error('Invalid room ID');
+        }
+
+        await this._ensureConnection();
+
+        try {
+            await this._runQuery(
+                'INSERT OR IGNORE INTO room_keys (room_id, public_key) VALUES (?, ?)',
+                [roomId, publicKey]
+            );
+            const row = await this._getQuery('SELECT public_key FROM room_keys WHERE room_id = ?', [roomId]);
+            return row.public_key;
+        } catch (error) {
+            logger.error(`Failed to claim public key of room ${roomId}:`, { error: error.message });
+            throw new Error(`Failed to claim room public key: ${error.message}`);
+        }
+    }
+
+    /**
+     * 保存（新增或更新）房间内的设备记录
+     * @param {string} roomId - 房间ID
+     * @param {DeviceRecord} device - 设备记录
+     * @returns {Promise<void>}
+     */
+    async saveDevice(roomId, device) {
+        if (!DataValidator.isValidRoomId(roomId)) {
+            throw new Error('Invalid room ID');
+        }
+        if (!DataValidator.isValidDevice(device)) {
+            throw new Error('Invalid device data');
+        }
+
+        await this._ensureConnection();
+
+        try {
+            await this._runQuery(
+                `INSERT OR REPLACE INTO room_devices
+                 (room_id, device_id, device_name, platform, public_key, first_seen, last_seen, revoked_at)
+                 VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+                [roomId, device.deviceId, device.deviceName, device.platform, device.publicKey,
+                    device.firstSeen, device.lastSeen, device.revokedAt]
+            );
+        } catch (error) {
+            logger.error(`Failed to save device ${device.deviceId} in room ${roomId}:`, { error: error.message });
+            throw new Error(`Failed to save device: ${error.message}`);
+        }
+    }
+
+    /**
+     * 获取房间内登记过的所有设备（包括已移除的）
+     * @param {string} roomId - 房间ID
+     * @returns {Promise<DeviceRecord[]>}
+     */
+    async getDevices(roomId) {
+        if (!DataValidator.isValidRoomId(roomId)) {
+            throw new Error('Invalid room ID');
+        }
+
+        await this._ensureConnection();
+
+        try {
+            const rows = await this._allQuery(
+                `SELECT device_id, device_name, platform, public_key, first_seen, last_seen, revoked_at
+                 FROM room_devices WHERE room_id = ? ORDER BY first_seen ASC`,
+                [roomId]
+            );
+            return rows.map(row => ({
+                deviceId: row.device_id,
+                deviceName: row.device_name,
+                platform: row.platform,
+                publicKey: row.public_key,
+                firstSeen: row.first_seen,
+                lastSeen: row.last_seen,
+                revokedAt: row.revoked_at,
+            }));
+        } catch (error) {
+            logger.error(`Failed to get devices of room ${roomId}:`, { error: error.message });
+            throw new Error(`Failed to get devices: ${error.message}`);
+        }
+    }
+
+    /**
+     * 保存只读分享
+     * @param {string} shareId - 分享ID
+     * @param {EncryptedShareData} share - 加密的分享数据
+     * @returns {Promise<void>}
+     */
+    async saveShare(shareId, share) {
+        if (!DataValidator.isValidShareId(shareId)) {
+            throw new Error('Invalid share ID');
+        }
+        if (!DataValidator.isValidShareData(share)) {
+            throw new Error('Invalid share data');
+        }
+
+        await this._ensureConnection();
+
+        try {
+            await this._runQuery(
+                'INSERT INTO shares (share_id, encrypted_data, created_at, expires_at, burn_after_reading) VALUES (?, ?, ?, ?, ?)',
+                [shareId, share.encryptedData, share.createdAt, share.expiresAt, share.burnAfterReading ? 1 : 0]
+            );
+        } catch (error) {
+            logger.error(`Failed to save share ${shareId}:`, { error: error.message });
+            throw new Error(`Failed to save share: ${error.message}`);
+        }
+    }
+
+    /**
+     * 获取只读分享（已过期的视为不存在）
+     * @param {string} shareId - 分享ID
+     * @returns {Promise<EncryptedShareData|null>}
+     */
+    async getShare(shareId) {
+        if (!DataValidator.isValidShareId(shareId)) {
+            throw new Error('Invalid share ID');
+        }
+
+        await this._ensureConnection();
+
+        try {
+            const row = await this._getQuery(
+                `SELECT ${SHARE_COLUMNS} FROM shares WHERE share_id = ? AND (expires_at IS NULL OR expires_at > ?)`,
+                [shareId, Date.now()]
+            );
+            return row ? this._rowToShare(row) : null;
+        } catch (error) {
+            logger.error(`Failed to get share ${shareId}:`, { error: error.message });
+            throw new Error(`Failed to get share: ${error.message}`);
+        }
+    }
+
+    /**
+     * 读取并删除只读分享（DELETE ... RETURNING，一条语句内完成）
+     * @param {string} shareId - 分享ID
+     * @returns {Promise<EncryptedShareData|null>}
+     */
+    async takeShare(shareId) {
+        if (!DataValidator.isValidShareId(shareId)) {
+            throw new Error('Invalid share ID');
+        }
+
+        await this._ensureConnection();
+
+        try {
+            const row = await this._getQuery(
+                `DELETE FROM shares WHERE share_id = ? AND (expires_at IS NULL OR expires_at > ?) RETURNING ${SHARE_COLUMNS}`,
+                [shareId, Date.now()]
+            );
+            return row ? this._rowToShare(row) : null;
+        } catch (error) {
+            logger.error(`Failed to take share ${shareId}:`, { error: error.message });
+            throw new Error(`Failed to take share: ${error.message}`);
+        }
+    }
+
+    /**
+     * @private
+     */
+    _rowToShare(row) {
+        return {
+            encryptedData: row.encrypted_data,
+            createdAt: row.created_at,
+            expiresAt: row.expires_at,
+            burnAfterReading: row.burn_after_reading === 1,
+        };
+    }
+
     /**
      * 保存操作日志
      * @param {string} roomId - 房间ID
@@ -298,10 +955,11 @@ class SQLitePersistence extends PersistenceAdapter {
         try {
             await this._runQuery(`
         INSERT INTO operation_logs 
-        (room_id, operation_id, operation_type, position, content, length, timestamp, device_id, version)
-        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+        (room_id, note_id, operation_id, operation_type, position, content, length, timestamp, device_id, version)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
       `, [
                 roomId,
+                operation.noteId || null,
                 operation.id,
                 operation.type,
                 operation.position,
@@ -344,7 +1002,7 @@ class SQLitePersistence extends PersistenceAdapter {
 
         try {
             const rows = await this._allQuery(`
-        SELECT operation_id, operation_type, position, content, length, timestamp, device_id, version
+        SELECT note_id, operation_id, operation_type, position, content, length, timestamp, device_id, version
         FROM operation_logs 
         WHERE room_id = ? AND version > ?
         ORDER BY version ASC, timestamp ASC
@@ -358,7 +1016,8 @@ class SQLitePersistence extends PersistenceAdapter {
                 length: row.length,
                 timestamp: row.timestamp,
                 deviceId: row.device_id,
-                version: row.version
+                version: row.version,
+                noteId: row.note_id
             }));
 
             return operations;
@@ -368,6 +1027,32 @@ class SQLitePersistence extends PersistenceAdapter {
         }
     }
 
+    /**
+     * 分配房间内下一个操作序号
+     * @param {string} roomId - 房间ID
+     * @returns {Promise<number>}
+     */
+    async nextSequence(roomId) {
+        if (!DataValidator.isValidRoomId(roomId)) {
+            throw new Error('Invalid room ID');
+        }
+
+        await this._ensureConnection();
+
+        try {
+            const row = await this._getQuery(`
+        INSERT INTO room_sequences (room_id, value) VALUES (?, 1)
+        ON CONFLICT(room_id) DO UPDATE SET value = value + 1
+        RETURNING value
+      `, [roomId]);
+
+            return row.value;
+        } catch (error) {
+            logger.error(`Failed to allocate sequence for room ${roomId}:`, { error: error.message });
+            throw new Error(`Failed to allocate sequence: ${error.message}`);
+        }
+    }
+
     /**
      * 检查存储连接状态
      * @returns {Promise<boolean>}
@@ -417,12 +1102,16 @@ class SQLitePersistence extends PersistenceAdapter {
         try {
             const roomCount = await this._getQuery('SELECT COUNT(*) as count FROM rooms');
             const logCount = await this._getQuery('SELECT COUNT(*) as count FROM operation_logs');
+            const noteCount = await this._getQuery('SELECT COUNT(*) as count FROM room_notes');
+            const versionCount = await this._getQuery('SELECT COUNT(*) as count FROM room_versions');
             const dbSize = await this._getQuery('SELECT page_count * page_size as size FROM pragma_page_count(), pragma_page_size()');
 
             return {
                 connected: this.isConnected,
                 roomCount: roomCount.count,
                 logCount: logCount.count,
+                noteCount: noteCount.count,
+                versionCount: versionCount.count,
                 databaseSize: dbSize.size,
                 databasePath: this.options.dbPath
             };
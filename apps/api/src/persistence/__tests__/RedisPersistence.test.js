@@ -13,6 +13,13 @@ jest.mock('redis', () => ({
     keys: jest.fn().mockResolvedValue([]),
     hSet: jest.fn().mockResolvedValue('OK'),
     hGetAll: jest.fn().mockResolvedValue({}),
+    hGet: jest.fn().mockResolvedValue(null),
+    hmGet: jest.fn().mockResolvedValue([]),
+    hDel: jest.fn().mockResolvedValue(1),
+    lPush: jest.fn().mockResolvedValue(1),
+    lRange: jest.fn().mockResolvedValue([]),
+    lTrim: jest.fn().mockResolvedValue('OK'),
+    incr: jest.fn().mockResolvedValue(1),
     expire: jest.fn().mockResolvedValue(1),
     info: jest.fn().mockResolvedValue(''),
     dbSize: jest.fn().mockResolvedValue(0),
@@ -86,6 +93,68 @@ describe('RedisPersistence', () => {
     });
   });
 
+  describe('version history', () => {
+    const data = {
+      encryptedData: 'encrypted-content',
+      timestamp: 100,
+      deviceName: 'Test Device',
+      version: 1,
+    };
+
+    it('should record a version for every room save', async () => {
+      await redisPersistence.connect();
+      const { client } = redisPersistence;
+
+      await redisPersistence.saveRoom('test-room-123', data);
+
+      expect(client.lPush).toHaveBeenCalledWith('notesync:versionlist:test-room-123:room', expect.any(String));
+      const [versionId] = client.lPush.mock.calls[0].slice(1);
+      expect(client.hSet).toHaveBeenCalledWith('notesync:versions:test-room-123', versionId, expect.any(String));
+      expect(client.hDel).not.toHaveBeenCalled();
+    });
+
+    it('should drop versions beyond the retention limit', async () => {
+      redisPersistence = new RedisPersistence({ maxVersions: 2 });
+      await redisPersistence.connect();
+      const { client } = redisPersistence;
+      client.lRange.mockResolvedValueOnce(['old-version']);
+
+      await redisPersistence.saveNote('test-room-123', 'note-a', { ...data, deleted: false });
+
+      expect(client.lRange).toHaveBeenCalledWith('notesync:versionlist:test-room-123:note:note-a', 2, -1);
+      expect(client.hDel).toHaveBeenCalledWith('notesync:versions:test-room-123', ['old-version']);
+      expect(client.lTrim).toHaveBeenCalledWith('notesync:versionlist:test-room-123:note:note-a', 0, 1);
+    });
+
+    it('should list version metadata without ciphertext', async () => {
+      await redisPersistence.connect();
+      const { client } = redisPersistence;
+      await redisPersistence.saveRoom('test-room-123', data);
+      const stored = client.hSet.mock.calls.find(([key]) => key === 'notesync:versions:test-room-123')[2];
+
+      client.lRange.mockResolvedValueOnce(['v1']);
+      client.hmGet.mockResolvedValueOnce([stored]);
+
+      const versions = await redisPersistence.listVersions('test-room-123');
+
+      expect(versions).toHaveLength(1);
+      expect(versions[0]).toMatchObject({ noteId: null, version: 1, deviceName: 'Test Device' });
+      expect(versions[0]).not.toHaveProperty('encryptedData');
+    });
+  });
+
+  describe('nextSequence', () => {
+    it('should increment the room sequence counter', async () => {
+      await redisPersistence.connect();
+      const { client } = redisPersistence;
+      client.incr.mockResolvedValueOnce(7);
+
+      await expect(redisPersistence.nextSequence('test-room-123')).resolves.toBe(7);
+      expect(client.incr).toHaveBeenCalledWith('notesync:seq:test-room-123');
+      expect(client.expire).toHaveBeenCalledWith('notesync:seq:test-room-123', expect.any(Number));
+    });
+  });
+
   describe('close', () => {
     it('should close connection gracefully', async () => {
       await redisPersistence.connect();
@@ -0,0 +1,282 @@
+const SQLitePersistence = require('../SQLitePersistence');
+
+describe('SQLitePersistence', () => {
+    let sqlitePersistence;
+    const roomId = 'sqlite-room-12345';
+
+    beforeEach(async () => {
+        sqlitePersistence = new SQLitePersistence({ dbPath: ':memory:' });
+        await sqlitePersistence.connect();
+    });
+
+    afterEach(async () => {
+        await sqlitePersistence.close();
+    });
+
+    describe('saveNote and getNotes', () => {
+        const note = (overrides = {}) => ({
+            encryptedData: 'note-cipher',
+            version: 1,
+            timestamp: 100,
+            deviceName: 'Device',
+            deleted: false,
+            updatedAt: 1000,
+            ...overrides,
+        });
+
+        test('should store notes per room and overwrite by note id', async () => {
+            await sqlitePersistence.saveNote(roomId, 'note-a', note());
+            await sqlitePersistence.saveNote(roomId, 'note-a', note({ encryptedData: 'updated', version: 2 }));
+            await sqlitePersistence.saveNote(roomId, 'note-b', note({ encryptedData: '', deleted: true }));
+            await sqlitePersistence.saveNote('other-room-12345', 'note-c', note());
+
+            const notes = await sqlitePersistence.getNotes(roomId);
+
+            expect(notes).toHaveLength(2);
+            expect(notes.find((entry) => entry.noteId === 'note-a')).toMatchObject({
+                encryptedData: 'updated',
+                version: 2,
+                deleted: false,
+            });
+            expect(notes.find((entry) => entry.noteId === 'note-b')).toMatchObject({
+                encryptedData: '',
+                deleted: true,
+            });
+        });
+
+        test('should keep the write sequence and read a single note', async () => {
+            await sqlitePersistence.saveNote(roomId, 'note-a', note({ seq: 7 }));
+
+            await expect(sqlitePersistence.getNote(roomId, 'note-a')).resolves.toMatchObject({
+                noteId: 'note-a',
+                encryptedData: 'note-cipher',
+                seq: 7,
+            });
+            await expect(sqlitePersistence.getNote(roomId, 'missing')).resolves.toBeNull();
+        });
+
+        test('should reject invalid note data', async () => {
+            await expect(sqlitePersistence.saveNote(roomId, 'bad id!', note())).rejects.toThrow('Invalid note ID');
+            await expect(sqlitePersistence.saveNote(roomId, 'note-a', note({ encryptedData: '' }))).rejects.toThrow('Invalid note data');
+        });
+
+        test('should remove expired notes during cleanup', async () => {
+            await sqlitePersistence.saveNote(roomId, 'old', note({ updatedAt: 1000 }));
+            await sqlitePersistence.saveNote(roomId, 'fresh', note({ updatedAt: Date.now() }));
+
+            const deleted = await sqlitePersistence.cleanupExpired(new Date(5000));
+
+            expect(deleted).toBe(1);
+            const notes = await sqlitePersistence.getNotes(roomId);
+            expect(notes.map((entry) => entry.noteId)).toEqual(['fresh']);
+        });
+    });
+
+    describe('version history', () => {
+        const room = (overrides = {}) => ({
+            encryptedData: 'room-cipher',
+            timestamp: 100,
+            deviceName: 'Device',
+            version: 1,
+            ...overrides,
+        });
+
+        test('should keep the last N versions of each history, newest first', async () => {
+            await sqlitePersistence.close();
+            sqlitePersistence = new SQLitePersistence({ dbPath: ':memory:', maxVersions: 2 });
+            await sqlitePersistence.connect();
+
+            await sqlitePersistence.saveRoom(roomId, room({ encryptedData: 'v1', version: 1 }));
+            await sqlitePersistence.saveRoom(roomId, room({ encryptedData: 'v2', version: 2 }));
+            await sqlitePersistence.saveRoom(roomId, room({ encryptedData: 'v3', version: 3 }));
+            await sqlitePersistence.saveNote(roomId, 'note-a', {
+                encryptedData: 'note-v1',
+                version: 1,
+                timestamp: 100,
+                deviceName: 'Phone',
+                deleted: false,
+            });
+            await sqlitePersistence.saveNote(roomId, 'note-a', {
+                encryptedData: '',
+                version: 0,
+                timestamp: 200,
+                deviceName: 'Phone',
+                deleted: true,
+            });
+
+            const roomVersions = await sqlitePersistence.listVersions(roomId);
+            expect(roomVersions.map((entry) => entry.version)).toEqual([3, 2]);
+            expect(roomVersions[0]).not.toHaveProperty('encryptedData');
+            expect(roomVersions[0].noteId).toBeNull();
+
+            const noteVersions = await sqlitePersistence.listVersions(roomId, 'note-a');
+            expect(noteVersions).toHaveLength(1);
+            expect(noteVersions[0]).toMatchObject({ noteId: 'note-a', deviceName: 'Phone', size: 7 });
+
+            const fetched = await sqlitePersistence.getVersion(roomId, noteVersions[0].versionId);
+            expect(fetched.encryptedData).toBe('note-v1');
+        });
+
+        test('should copy a version without changing the note', async () => {
+            await sqlitePersistence.saveVersion(roomId, {
+                noteId: 'note-a',
+                encryptedData: 'note-v0',
+                version: 1,
+                timestamp: 50,
+                deviceName: 'Laptop',
+                createdAt: 1234,
+            });
+
+            const [entry] = await sqlitePersistence.listVersions(roomId, 'note-a');
+            expect(entry).toMatchObject({ noteId: 'note-a', timestamp: 50, deviceName: 'Laptop', createdAt: 1234 });
+            await expect(sqlitePersistence.getVersion(roomId, entry.versionId)).resolves.toMatchObject({ encryptedData: 'note-v0' });
+            await expect(sqlitePersistence.getNote(roomId, 'note-a')).resolves.toBeNull();
+        });
+
+        test('should not return versions of another room', async () => {
+            await sqlitePersistence.saveRoom(roomId, room());
+            const [entry] = await sqlitePersistence.listVersions(roomId);
+
+            await expect(sqlitePersistence.getVersion('other-room-12345', entry.versionId)).resolves.toBeNull();
+            await expect(sqlitePersistence.getVersion(roomId, '../bad')).rejects.toThrow('Invalid version ID');
+        });
+
+        test('should delete everything stored for a room', async () => {
+            await sqlitePersistence.saveRoom(roomId, room());
+            await sqlitePersistence.saveRoom('other-room-12345', room());
+            await sqlitePersistence.saveNote(roomId, 'note-a', {
+                encryptedData: 'note-v1',
+                version: 1,
+                timestamp: 100,
+                deviceName: 'Phone',
+                deleted: false,
+            });
+            await sqlitePersistence.nextSequence(roomId);
+
+            await sqlitePersistence.deleteRoom(roomId);
+
+            await expect(sqlitePersistence.getRoom(roomId)).resolves.toBeNull();
+            await expect(sqlitePersistence.getNotes(roomId)).resolves.toEqual([]);
+            await expect(sqlitePersistence.listVersions(roomId)).resolves.toEqual([]);
+            await expect(sqlitePersistence.nextSequence(roomId)).resolves.toBe(1);
+            await expect(sqlitePersistence.getRoom('other-room-12345')).resolves.toMatchObject({ encryptedData: 'room-cipher' });
+        });
+
+        test('should keep the first claimed public key of a room', async () => {
+            await expect(sqlitePersistence.getRoomPublicKey(roomId)).resolves.toBeNull();
+
+            await expect(sqlitePersistence.claimRoomPublicKey(roomId, 'key-a')).resolves.toBe('key-a');
+            await expect(sqlitePersistence.claimRoomPublicKey(roomId, 'key-b')).resolves.toBe('key-a');
+            await expect(sqlitePersistence.getRoomPublicKey(roomId)).resolves.toBe('key-a');
+
+            // Deleting the room keeps its key, so nobody else can claim it afterwards
+            await sqlitePersistence.deleteRoom(roomId);
+            await expect(sqlitePersistence.getRoomPublicKey(roomId)).resolves.toBe('key-a');
+        });
+    });
+
+    describe('operation log', () => {
+        const operation = (version, overrides = {}) => ({
+            id: `op-${version}`,
+            type: 'replace',
+            position: 0,
+            content: `cipher-${version}`,
+            timestamp: 100 + version,
+            deviceId: 'Phone',
+            version,
+            ...overrides,
+        });
+
+        test('should allocate increasing sequences per room', async () => {
+            await expect(sqlitePersistence.nextSequence(roomId)).resolves.toBe(1);
+            await expect(sqlitePersistence.nextSequence(roomId)).resolves.toBe(2);
+            await expect(sqlitePersistence.nextSequence('other-room-12345')).resolves.toBe(1);
+        });
+
+        test('should log note operations for rooms without room data', async () => {
+            await sqlitePersistence.appendLog(roomId, operation(1, { noteId: 'note-a' }));
+            await sqlitePersistence.appendLog(roomId, operation(2));
+            await sqlitePersistence.appendLog(roomId, operation(3, { type: 'delete', content: undefined, noteId: 'note-a' }));
+
+            const operations = await sqlitePersistence.getLog(roomId, 1);
+
+            expect(operations.map((entry) => entry.version)).toEqual([2, 3]);
+            expect(operations[0]).toMatchObject({ noteId: null, content: 'cipher-2' });
+            expect(operations[1]).toMatchObject({ noteId: 'note-a', type: 'delete' });
+        });
+    });
+
+    describe('shares', () => {
+        const shareId = 'share_0123456789abcdef';
+
+        test('should return a share until it expires', async () => {
+            const now = Date.now();
+            await sqlitePersistence.saveShare(shareId, {
+                encryptedData: 'cipher', createdAt: now, expiresAt: now + 60000, burnAfterReading: false,
+            });
+            await sqlitePersistence.saveShare('share_expired_000000', {
+                encryptedData: 'old', createdAt: now - 2000, expiresAt: now - 1000, burnAfterReading: false,
+            });
+
+            await expect(sqlitePersistence.getShare(shareId)).resolves.toEqual({
+                encryptedData: 'cipher',
+                createdAt: now,
+                expiresAt: now + 60000,
+                burnAfterReading: false,
+            });
+            await expect(sqlitePersistence.getShare('share_expired_000000')).resolves.toBeNull();
+            await expect(sqlitePersistence.cleanupExpired(new Date(0))).resolves.toBe(1);
+        });
+
+        test('should reject shares without an expiry', async () => {
+            await expect(sqlitePersistence.saveShare(shareId, {
+                encryptedData: 'cipher', createdAt: Date.now(), expiresAt: null, burnAfterReading: false,
+            })).rejects.toThrow('Invalid share data');
+        });
+
+        test('should hand a taken share to exactly one reader', async () => {
+            await sqlitePersistence.saveShare(shareId, {
+                encryptedData: 'cipher', createdAt: Date.now(), expiresAt: Date.now() + 60000, burnAfterReading: true,
+            });
+
+            const [first, second] = await Promise.all([
+                sqlitePersistence.takeShare(shareId),
+                sqlitePersistence.takeShare(shareId),
+            ]);
+
+            expect(first).toMatchObject({ encryptedData: 'cipher', burnAfterReading: true });
+            expect(second).toBeNull();
+            await expect(sqlitePersistence.getShare(shareId)).resolves.toBeNull();
+        });
+
+        test('should reject invalid share ids', async () => {
+            await expect(sqlitePersistence.getShare('short')).rejects.toThrow('Invalid share ID');
+        });
+    });
+
+    describe('devices', () => {
+        const device = (overrides = {}) => ({
+            deviceId: 'a'.repeat(32),
+            deviceName: 'Laptop',
+            platform: 'MacIntel',
+            publicKey: 'device-public-key',
+            firstSeen: 100,
+            lastSeen: 100,
+            revokedAt: null,
+            ...overrides,
+        });
+
+        test('should upsert devices and keep removed ones until the room is deleted', async () => {
+            await sqlitePersistence.saveDevice(roomId, device());
+            await sqlitePersistence.saveDevice(roomId, device({ deviceId: 'b'.repeat(32), firstSeen: 200, lastSeen: 200 }));
+            await sqlitePersistence.saveDevice(roomId, device({ lastSeen: 300, revokedAt: 300 }));
+
+            const devices = await sqlitePersistence.getDevices(roomId);
+            expect(devices.map((entry) => entry.deviceId)).toEqual(['a'.repeat(32), 'b'.repeat(32)]);
+            expect(devices[0]).toEqual(device({ lastSeen: 300, revokedAt: 300 }));
+
+            await sqlitePersistence.deleteRoom(roomId);
+            await expect(sqlitePersistence.getDevices(roomId)).resolves.toEqual([]);
+        });
+    });
+});
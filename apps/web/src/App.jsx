@@ -6,12 +6,18 @@ import { useSocket } from './hooks/useSocket';
 import { useStorage } from './hooks/useStorage';
 import { useAutoSave } from './hooks/useAutoSave';
 import { restoreNotebookState } from './utils/notebooks';
+import { deriveKeys, deriveRoom, generateSyncChain } from './utils/crypto';
 import { useTranslation } from './utils/translations';
+import { getRemoteCursors } from './utils/presence';
+import { MAX_ATTACHMENT_SIZE, createAttachmentMarkdown } from './utils/attachments';
+import { compressImage } from './utils/images';
 import ErrorBoundary from './components/ErrorBoundary/ErrorBoundary';
 import { LoadingOverlay, EditorSkeleton } from './components/Loading/LoadingSpinner';
 import { ConflictDialog, ConflictIndicator } from './components/Conflict';
 import OfflineIndicator from './components/OfflineIndicator/OfflineIndicator';
 import NoteList from './components/NoteList/NoteList';
+import BacklinksPanel from './components/Backlinks/BacklinksPanel';
+import { AttachmentProvider } from './components/Attachments/AttachmentProvider';
 import { Eye, Edit3, Columns, AlertCircle } from 'lucide-react';
 
 // Lazy load heavy components
@@ -32,7 +38,9 @@ function App() {
   const showSidebar = useAppStore((state) => state.showSidebar);
   const setStorageInitialized = useAppStore((state) => state.setStorageInitialized);
   const notebooks = useAppStore((state) => state.notebooks);
+  const notes = useAppStore((state) => state.notes);
   const activeNotebookId = useAppStore((state) => state.activeNotebookId);
+  const activeNoteId = useAppStore((state) => state.activeNoteId);
   const deviceName = useAppStore((state) => state.deviceName);
 
   // Storage initialization
@@ -55,6 +63,19 @@ function App() {
     getSocketId,
     getCurrentRoomId,
     requestSync,
+    listServerVersions,
+    restoreServerVersion,
+    cacheNotebookAttachments,
+    rotateChain,
+    changeKdfProfile,
+    presence,
+    updatePresence,
+    devices,
+    currentDeviceId,
+    listDevices,
+    removeDevice,
+    uploadAttachment,
+    fetchAttachment,
     conflictCount,
     pendingConflicts,
     resolveConflict,
@@ -86,6 +107,10 @@ function App() {
     () => notebooks.find((entry) => entry.id === activeNotebookId) || null,
     [notebooks, activeNotebookId]
   );
+  const remoteCursors = useMemo(
+    () => (presence ? getRemoteCursors(presence, activeNoteId ?? null) : []),
+    [presence, activeNoteId]
+  );
 
   // Create storage object for useAutoSave
   const storageForAutoSave = useMemo(() => ({
@@ -200,13 +225,28 @@ function App() {
   const handleResolveConflict = useCallback(async (resolvedContent) => {
     if (!activeConflictId) return;
 
+    const conflictNoteId = activeConflict?.noteId;
     const resolved = await resolveConflict(activeConflictId, resolvedContent);
     if (typeof resolved === 'string') {
-      setNote(resolved);
-      pushUpdate(resolved);
+      const state = useAppStore.getState();
+      const note = conflictNoteId && conflictNoteId !== state.activeNoteId
+        ? state.notes.find((entry) => entry.id === conflictNoteId)
+        : null;
+      // The conflict belongs to a note that is no longer open: write the result into that note
+      if (note) {
+        state.updateNote(note.id, { content: resolved });
+        if (storageReady) {
+          saveNote(note.notebookId, useAppStore.getState().notes.find((entry) => entry.id === note.id))
+            .catch((error) => console.error('Failed to save resolved note:', error));
+        }
+        pushUpdate();
+      } else {
+        setNote(resolved);
+        pushUpdate(resolved);
+      }
     }
     setActiveConflictId(null);
-  }, [activeConflictId, resolveConflict, setNote, pushUpdate]);
+  }, [activeConflictId, activeConflict, resolveConflict, setNote, pushUpdate, storageReady, saveNote]);
 
   // Apply dark mode to document
   useEffect(() => {
@@ -235,10 +275,198 @@ function App() {
     pushUpdate(newContent);
   }, [setNote, pushUpdate]);
 
+  // Upload an encrypted attachment and reference it at the end of the note
+  const handleAttachFile = useCallback(async (file) => {
+    const { url } = await uploadAttachment(file);
+    const current = useAppStore.getState().note;
+    const separator = current && !current.endsWith('\n') ? '\n\n' : '';
+    handleNoteChange(`${current}${separator}${createAttachmentMarkdown(file, url)}\n`);
+  }, [uploadAttachment, handleNoteChange]);
+
+  // Pasted or dropped images: compress, upload encrypted and return the markdown the editor inserts.
+  // If the user switched notes (or the editor was remounted) during the upload, the image is
+  // appended to the note it was pasted into instead of wherever the placeholder ended up
+  const handlePasteImage = useCallback(async (file, { isDetached }) => {
+    const noteId = useAppStore.getState().activeNoteId;
+    try {
+      const image = await compressImage(file);
+      if (image.size > MAX_ATTACHMENT_SIZE) {
+        toast.error(t.attachmentTooLarge);
+        return null;
+      }
+      const { url } = await uploadAttachment(image);
+      const markdown = createAttachmentMarkdown(image, url);
+
+      const state = useAppStore.getState();
+      if (!noteId || (state.activeNoteId === noteId && !isDetached())) {
+        return markdown;
+      }
+
+      const appendImage = (content) => {
+        const separator = content && !content.endsWith('\n') ? '\n\n' : '';
+        return `${content}${separator}${markdown}\n`;
+      };
+      if (state.activeNoteId === noteId) {
+        handleNoteChange(appendImage(state.note));
+        return null;
+      }
+
+      const target = state.notes.find((entry) => entry.id === noteId);
+      if (target) {
+        state.updateNote(noteId, { content: appendImage(target.content || '') });
+        if (storageReady) {
+          saveNote(target.notebookId, useAppStore.getState().notes.find((entry) => entry.id === noteId))
+            .catch((error) => console.error('Failed to save note:', error));
+        }
+        pushUpdate();
+      }
+      return null;
+    } catch (error) {
+      console.error('Failed to add image:', error);
+      toast.error(t.imagePasteError);
+      return null;
+    }
+  }, [uploadAttachment, handleNoteChange, pushUpdate, storageReady, saveNote, t]);
+
+  // Push notebook structure changes (new, renamed, deleted or moved notes, folders) to the room
+  const notebookStructureKey = useMemo(() => {
+    if (!activeNotebook) return '';
+    const noteKeys = notes
+      .filter((entry) => entry.notebookId === activeNotebook.id)
+      .map((entry) => `${entry.id}:${entry.title}:${(entry.tags || []).join(',')}:${entry.folderId || ''}`)
+      .sort();
+    const folderKeys = (activeNotebook.folders || [])
+      .map((folder) => `${folder.id}:${folder.name}:${folder.parentId || ''}`)
+      .sort();
+    return `${noteKeys.join('|')}#${Object.keys(activeNotebook.deletedNotes || {}).sort().join(',')}#${folderKeys.join('|')}`;
+  }, [notes, activeNotebook]);
+  const lastStructureKeyRef = useRef(null);
+
+  useEffect(() => {
+    if (view !== 'app' || !notebookStructureKey) return;
+    if (lastStructureKeyRef.current !== null && lastStructureKeyRef.current !== notebookStructureKey) {
+      pushUpdate();
+    }
+    lastStructureKeyRef.current = notebookStructureKey;
+  }, [view, notebookStructureKey, pushUpdate]);
+
+  // Folders live on the notebook and moved notes may not be the active one, so auto-save
+  // alone misses them; persist both whenever the folder layout changes
+  const folderLayout = useMemo(() => {
+    if (!activeNotebook) return null;
+    const folderIds = new Map(
+      notes
+        .filter((entry) => entry.notebookId === activeNotebook.id)
+        .map((entry) => [entry.id, entry.folderId || null])
+    );
+    return { notebookId: activeNotebook.id, folders: activeNotebook.folders, folderIds };
+  }, [notes, activeNotebook]);
+  const savedFolderLayoutRef = useRef(null);
+
+  useEffect(() => {
+    if (!storageReady || !folderLayout) return;
+    const saved = savedFolderLayoutRef.current;
+    savedFolderLayoutRef.current = folderLayout;
+    if (!saved || saved.notebookId !== folderLayout.notebookId) return;
+
+    const movedIds = [...folderLayout.folderIds]
+      .filter(([noteId, folderId]) => saved.folderIds.has(noteId) && saved.folderIds.get(noteId) !== folderId)
+      .map(([noteId]) => noteId);
+    if (saved.folders === folderLayout.folders && movedIds.length === 0) return;
+
+    const persistFolderLayout = async () => {
+      const state = useAppStore.getState();
+      const notebook = state.notebooks.find((entry) => entry.id === folderLayout.notebookId);
+      if (notebook && saved.folders !== folderLayout.folders) {
+        await saveNotebook(notebook);
+      }
+      for (const noteId of movedIds) {
+        const note = state.notes.find((entry) => entry.id === noteId);
+        if (note) {
+          await saveNote(note.notebookId, note);
+        }
+      }
+    };
+    persistFolderLayout().catch((error) => {
+      console.error('Failed to save folders:', error);
+    });
+  }, [storageReady, folderLayout, saveNotebook, saveNote]);
+
   // Handle join chain
-  const handleJoinChain = useCallback(async (mnemonic, deviceName) => {
-    return joinChain(mnemonic, deviceName);
-  }, [joinChain]);
+  const handleJoinChain = useCallback(async (mnemonic, deviceName, passphrase = '') => {
+    // Every joined chain is backed by a notebook so the whole note list can sync
+    const { notebooks: currentNotebooks, addNotebook, updateNotebook } = useAppStore.getState();
+    const existing = currentNotebooks.find((entry) => entry.mnemonic === mnemonic);
+    if (!existing) {
+      addNotebook({
+        name: lang === 'zh' ? '同步笔记本' : 'Synced Notebook',
+        mnemonic,
+        passphrase,
+        // Devices that have not been updated yet may still keep this chain in its legacy room
+        legacyRoomId: deriveRoom(mnemonic).legacyRoomId,
+      });
+    } else if ((existing.passphrase || '') !== passphrase) {
+      // 口令按笔记本记住，重新输入的口令会替换旧的密钥
+      updateNotebook(existing.id, { passphrase, encryptionKey: deriveKeys(mnemonic, passphrase).encryptionKey });
+    }
+
+    const joinedNotebook = useAppStore.getState().notebooks.find((entry) => entry.mnemonic === mnemonic);
+    if (storageReady && joinedNotebook && joinedNotebook !== existing) {
+      await saveNotebook(joinedNotebook);
+    }
+
+    return joinChain(mnemonic, deviceName, passphrase);
+  }, [joinChain, lang, storageReady, saveNotebook]);
+
+  // 轮换同步链：笔记本换到新助记词对应的房间，本地数据和附件用新密钥重新上传，服务器确认后旧房间才只留下墓碑。
+  // 轮换失败时旧链保持原样，笔记本换回旧链继续同步
+  const handleRotateChain = useCallback(async () => {
+    if (!activeNotebook) return false;
+
+    // 附件只能从旧房间下载，切换之前先全部保存到本地
+    let attachmentIds;
+    try {
+      attachmentIds = await cacheNotebookAttachments();
+    } catch (error) {
+      console.error('Failed to save attachments before rotating the chain:', error);
+      return false;
+    }
+
+    // 口令保持不变，新链同样需要它才能解密
+    const passphrase = activeNotebook.passphrase || '';
+    const name = deviceName?.trim() || 'Local Device';
+    const previous = {
+      mnemonic: activeNotebook.mnemonic,
+      roomId: activeNotebook.roomId,
+      encryptionKey: activeNotebook.encryptionKey,
+    };
+    const nextMnemonic = generateSyncChain();
+    const { roomId, encryptionKey } = deriveKeys(nextMnemonic, passphrase);
+    const { updateNotebook, setMnemonic } = useAppStore.getState();
+
+    // 先切换笔记本再同步加入，活动笔记本的同步 effect 看到的已是新房间
+    updateNotebook(activeNotebook.id, { mnemonic: nextMnemonic, roomId, encryptionKey });
+    setMnemonic(nextMnemonic);
+    let rotated = null;
+    try {
+      rotated = await rotateChain(nextMnemonic, name, passphrase, attachmentIds);
+    } catch (error) {
+      console.error('Failed to rotate chain:', error);
+    }
+
+    if (!rotated) {
+      updateNotebook(activeNotebook.id, previous);
+      setMnemonic(previous.mnemonic);
+      await joinChain(previous.mnemonic, name, passphrase);
+      return false;
+    }
+
+    const notebook = useAppStore.getState().notebooks.find((entry) => entry.id === activeNotebook.id);
+    if (storageReady && notebook) {
+      await saveNotebook(notebook);
+    }
+    return true;
+  }, [activeNotebook, cacheNotebookAttachments, rotateChain, joinChain, deviceName, storageReady, saveNotebook]);
 
   // Handle leave
   const handleLeave = useCallback(() => {
@@ -258,7 +486,7 @@ function App() {
       }
 
       const nextDeviceName = deviceName?.trim() || 'Local Device';
-      const joined = await joinChain(activeNotebook.mnemonic, nextDeviceName);
+      const joined = await joinChain(activeNotebook.mnemonic, nextDeviceName, activeNotebook.passphrase || '');
       if (joined) {
         requestSync();
       }
@@ -339,6 +567,7 @@ function App() {
   // Main App
   return (
     <ErrorBoundary lang={lang}>
+      <AttachmentProvider fetchAttachment={fetchAttachment}>
       <div className={`h-screen flex flex-col overflow-hidden transition-colors duration-300 ${
         darkMode ? 'bg-slate-900 text-slate-100' : 'bg-slate-50 text-slate-900'
       }`}>
@@ -346,7 +575,7 @@ function App() {
         <OfflineIndicator />
 
         <Suspense fallback={<div className="h-14 bg-slate-800" />}>
-          <Header onLeave={handleLeave} />
+          <Header onLeave={handleLeave} onChangeKdf={changeKdfProfile} onAttachFile={handleAttachFile} />
         </Suspense>
 
         <ConflictIndicator
@@ -364,7 +593,16 @@ function App() {
 
         <div className="flex flex-1 overflow-hidden relative">
           <Suspense fallback={<div className="w-64 bg-slate-800" />}>
-            <Sidebar socketId={getSocketId()} />
+            <Sidebar
+              socketId={getSocketId()}
+              onListServerVersions={listServerVersions}
+              onRestoreServerVersion={restoreServerVersion}
+              onRotateChain={handleRotateChain}
+              devices={devices}
+              currentDeviceId={currentDeviceId}
+              onListDevices={listDevices}
+              onRemoveDevice={removeDevice}
+            />
           </Suspense>
 
           <div className={`hidden lg:block w-80 shrink-0 border-r ${
@@ -445,9 +683,13 @@ function App() {
                 >
                   <Suspense fallback={<EditorSkeleton darkMode={darkMode} />}>
                     <CodeEditor
+                      key={activeNoteId}
                       value={note}
                       onChange={handleNoteChange}
                       placeholder={t.notePlaceholder}
+                      remoteCursors={remoteCursors}
+                      onSelectionChange={updatePresence}
+                      onPasteImage={handlePasteImage}
                     />
                   </Suspense>
                 </motion.div>
@@ -484,9 +726,13 @@ function App() {
                   }`}>
                     <Suspense fallback={<EditorSkeleton darkMode={darkMode} />}>
                       <CodeEditor
+                        key={activeNoteId}
                         value={note}
                         onChange={handleNoteChange}
                         placeholder={t.notePlaceholder}
+                        remoteCursors={remoteCursors}
+                        onSelectionChange={updatePresence}
+                        onPasteImage={handlePasteImage}
                       />
                     </Suspense>
                   </div>
@@ -501,6 +747,9 @@ function App() {
               )}
             </AnimatePresence>
           </div>
+
+          {/* Notes linking to the current one */}
+          <BacklinksPanel />
         </main>
         </div>
 
@@ -512,6 +761,7 @@ function App() {
           }}
         />
       </div>
+      </AttachmentProvider>
     </ErrorBoundary>
   );
 }
@@ -14,6 +14,7 @@ const notebook = createNotebook({
   id: 'nb-work',
   name: 'Work',
   mnemonic: 'test test test test test test test test test test test ball',
+  passphrase: 'correct horse',
 });
 
 const notes = [
@@ -151,6 +152,6 @@ describe('App notebook restore flow', () => {
 
     expect(useAppStore.getState().activeNotebookId).toBe(notebook.id);
     expect(useAppStore.getState().note).toBe('restored note');
-    expect(joinChain).toHaveBeenCalledWith(notebook.mnemonic, 'Desktop');
+    expect(joinChain).toHaveBeenCalledWith(notebook.mnemonic, 'Desktop', 'correct horse');
   });
 });
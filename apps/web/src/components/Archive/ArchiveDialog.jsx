@@ -0,0 +1,246 @@
+import React, { useState } from 'react';
+import { motion, AnimatePresence } from 'framer-motion';
+import { X, Archive, Download, Upload, Loader2 } from 'lucide-react';
+import toast from 'react-hot-toast';
+import { useAppStore } from '../../store/useStore';
+import { useTranslation } from '../../utils/translations';
+import { getStorageManager } from '../../utils/storage';
+import {
+  MIN_ARCHIVE_PASSWORD_LENGTH,
+  exportArchive,
+  importArchive,
+  openArchive,
+  parseArchive,
+} from '../../utils/archive';
+
+const getStorage = async () => {
+  const storage = getStorageManager();
+  await storage.initialize();
+  return storage;
+};
+
+const downloadText = (text, filename) => {
+  const url = URL.createObjectURL(new Blob([text], { type: 'application/json' }));
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  a.click();
+  URL.revokeObjectURL(url);
+};
+
+/**
+ * Export notebooks to an (optionally password-encrypted) archive and import one back
+ */
+const ArchiveDialog = ({ onClose }) => {
+  const { darkMode, lang, activeNotebookId } = useAppStore();
+  const t = useTranslation(lang);
+  const [scope, setScope] = useState(activeNotebookId ? 'current' : 'all');
+  const [exportPassword, setExportPassword] = useState('');
+  const [pendingArchive, setPendingArchive] = useState(null);
+  const [importPassword, setImportPassword] = useState('');
+  const [busy, setBusy] = useState(false);
+
+  const inputClass = `w-full px-3 py-2 rounded-lg text-sm ${
+    darkMode ? 'bg-slate-700 text-white' : 'bg-slate-100 text-slate-900'
+  }`;
+  const labelClass = `block text-sm font-medium mb-2 ${darkMode ? 'text-slate-300' : 'text-slate-700'}`;
+  const hintClass = `mt-1 text-xs ${darkMode ? 'text-slate-500' : 'text-slate-400'}`;
+
+  const handleExport = async () => {
+    if (exportPassword && exportPassword.length < MIN_ARCHIVE_PASSWORD_LENGTH) {
+      toast.error(t.archivePasswordTooShort);
+      return;
+    }
+
+    setBusy(true);
+    try {
+      const text = await exportArchive(await getStorage(), {
+        notebookIds: scope === 'current' ? [activeNotebookId] : undefined,
+        password: exportPassword || undefined,
+      });
+      downloadText(text, `notebooks-${new Date().toISOString().split('T')[0]}.json`);
+      toast.success(t.exportSuccess);
+    } catch (error) {
+      console.error('Failed to export archive:', error);
+      toast.error(t.archiveExportError);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const runImport = async (archive, password) => {
+    setBusy(true);
+    try {
+      const archivedNotebooks = await openArchive(archive, password);
+      const { notebooks, notes } = useAppStore.getState();
+      const result = await importArchive(await getStorage(), archivedNotebooks, { notebooks, notes });
+
+      // New notes of the active notebook are pushed to its room by the structure sync in App
+      useAppStore.setState((state) => ({
+        notebooks: [...state.notebooks, ...result.notebooks],
+        notes: [...state.notes, ...result.notes],
+      }));
+      toast.success(t.archiveImported
+        .replace('{imported}', result.imported)
+        .replace('{duplicates}', result.duplicates));
+      onClose();
+    } catch (error) {
+      console.error('Failed to import archive:', error);
+      toast.error(error.message === 'Wrong password' ? t.archiveWrongPassword : t.archiveImportError);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleChooseFile = () => {
+    const input = document.createElement('input');
+    input.type = 'file';
+    input.accept = '.json,application/json';
+    input.onchange = async (e) => {
+      const file = e.target.files?.[0];
+      if (!file) {
+        return;
+      }
+
+      let archive;
+      try {
+        archive = parseArchive(await file.text());
+      } catch (error) {
+        console.error('Invalid archive:', error);
+        toast.error(t.archiveInvalid);
+        return;
+      }
+
+      if (archive.encrypted) {
+        setPendingArchive(archive);
+      } else {
+        runImport(archive);
+      }
+    };
+    input.click();
+  };
+
+  return (
+    <AnimatePresence>
+      <motion.div
+        initial={{ opacity: 0 }}
+        animate={{ opacity: 1 }}
+        exit={{ opacity: 0 }}
+        className="fixed inset-0 z-50 flex items-center justify-center p-4 bg-black/50"
+        onClick={onClose}
+      >
+        <motion.div
+          initial={{ scale: 0.95, opacity: 0 }}
+          animate={{ scale: 1, opacity: 1 }}
+          exit={{ scale: 0.95, opacity: 0 }}
+          className={`w-full max-w-md rounded-2xl shadow-2xl overflow-hidden ${
+            darkMode ? 'bg-slate-800 text-white' : 'bg-white text-slate-900'
+          }`}
+          onClick={(e) => e.stopPropagation()}
+          role="dialog"
+          aria-label={t.notebookArchive}
+        >
+          <div className={`flex items-center justify-between p-4 border-b ${
+            darkMode ? 'border-slate-700' : 'border-slate-200'
+          }`}>
+            <h2 className="text-lg font-bold flex items-center gap-2">
+              <Archive size={18} className="text-orange-500" />
+              {t.notebookArchive}
+            </h2>
+            <button
+              onClick={onClose}
+              className={`p-1.5 rounded-lg transition-colors ${
+                darkMode ? 'hover:bg-slate-700' : 'hover:bg-slate-100'
+              }`}
+              aria-label={t.cancel}
+            >
+              <X size={20} />
+            </button>
+          </div>
+
+          <div className="p-4 space-y-4">
+            {/* Export */}
+            <div>
+              <label htmlFor="archive-scope" className={labelClass}>{t.archiveScope}</label>
+              <select
+                id="archive-scope"
+                value={scope}
+                onChange={(e) => setScope(e.target.value)}
+                className={inputClass}
+              >
+                {activeNotebookId && <option value="current">{t.archiveScopeCurrent}</option>}
+                <option value="all">{t.archiveScopeAll}</option>
+              </select>
+            </div>
+            <div>
+              <label htmlFor="archive-password" className={labelClass}>{t.archivePassword}</label>
+              <input
+                id="archive-password"
+                type="password"
+                autoComplete="new-password"
+                value={exportPassword}
+                onChange={(e) => setExportPassword(e.target.value)}
+                className={inputClass}
+              />
+              <p className={hintClass}>{t.archivePasswordHint}</p>
+            </div>
+            <button
+              onClick={handleExport}
+              disabled={busy}
+              className="w-full py-2 rounded-lg text-sm font-medium bg-orange-500 text-white hover:bg-orange-600 disabled:opacity-50 flex items-center justify-center gap-2"
+            >
+              {busy ? <Loader2 size={16} className="animate-spin" /> : <Download size={16} />}
+              {t.exportArchive}
+            </button>
+
+            {/* Import */}
+            <div className={`pt-4 border-t space-y-3 ${darkMode ? 'border-slate-700' : 'border-slate-200'}`}>
+              <p className={hintClass}>{t.importArchiveHint}</p>
+              {pendingArchive ? (
+                <form
+                  onSubmit={(e) => {
+                    e.preventDefault();
+                    runImport(pendingArchive, importPassword);
+                  }}
+                  className="flex gap-2"
+                >
+                  <input
+                    type="password"
+                    autoComplete="current-password"
+                    value={importPassword}
+                    onChange={(e) => setImportPassword(e.target.value)}
+                    placeholder={t.archivePassword}
+                    aria-label={t.archivePassword}
+                    className={inputClass}
+                  />
+                  <button
+                    type="submit"
+                    disabled={busy || !importPassword}
+                    className="px-3 py-2 rounded-lg text-sm font-medium bg-orange-500 text-white hover:bg-orange-600 disabled:opacity-50"
+                  >
+                    {t.importArchive}
+                  </button>
+                </form>
+              ) : (
+                <button
+                  onClick={handleChooseFile}
+                  disabled={busy}
+                  className={`w-full py-2 rounded-lg text-sm font-medium transition-colors flex items-center justify-center gap-2 disabled:opacity-50 ${
+                    darkMode
+                      ? 'bg-slate-700 text-slate-300 hover:bg-slate-600'
+                      : 'bg-slate-100 text-slate-600 hover:bg-slate-200'
+                  }`}
+                >
+                  <Upload size={16} />
+                  {t.importArchive}
+                </button>
+              )}
+            </div>
+          </div>
+        </motion.div>
+      </motion.div>
+    </AnimatePresence>
+  );
+};
+
+export default ArchiveDialog;
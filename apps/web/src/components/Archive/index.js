@@ -0,0 +1 @@
+export { default as ArchiveDialog } from './ArchiveDialog';
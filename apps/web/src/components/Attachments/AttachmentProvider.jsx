@@ -0,0 +1,84 @@
+import React, { createContext, useCallback, useContext, useEffect, useRef, useState } from 'react';
+import { parseAttachmentUrl } from '../../utils/attachments';
+
+/**
+ * Attachment Context
+ */
+const AttachmentContext = createContext(null);
+
+/**
+ * Attachment Provider
+ * Downloads and decrypts attachments referenced by notes, caching one object URL per attachment
+ */
+export function AttachmentProvider({ children, fetchAttachment }) {
+  // url -> Promise<objectURL>
+  const cacheRef = useRef(new Map());
+
+  // Revoke object URLs on unmount
+  useEffect(() => {
+    const cache = cacheRef.current;
+    return () => {
+      cache.forEach((pending) => {
+        pending.then((objectUrl) => URL.revokeObjectURL(objectUrl)).catch(() => {});
+      });
+      cache.clear();
+    };
+  }, []);
+
+  const loadAttachment = useCallback((url) => {
+    const reference = parseAttachmentUrl(url);
+    if (!reference) {
+      return Promise.reject(new Error('Invalid attachment link'));
+    }
+
+    if (!cacheRef.current.has(url)) {
+      const pending = fetchAttachment(reference).then((blob) => URL.createObjectURL(blob));
+      // Failed downloads are retried the next time the attachment is rendered
+      pending.catch(() => cacheRef.current.delete(url));
+      cacheRef.current.set(url, pending);
+    }
+    return cacheRef.current.get(url);
+  }, [fetchAttachment]);
+
+  return <AttachmentContext.Provider value={loadAttachment}>{children}</AttachmentContext.Provider>;
+}
+
+/**
+ * Hook to get the loader of the current provider
+ * @returns {Function|null} (url) => Promise<objectURL>, or null outside AttachmentProvider (e.g. shared notes)
+ */
+export function useAttachmentLoader() {
+  return useContext(AttachmentContext);
+}
+
+/**
+ * Hook to decrypt an attachment for display
+ * @param {string} url - attachment:// link
+ * @returns {{src: string|null, error: Error|null}} src is an object URL once decrypted
+ */
+export function useAttachment(url) {
+  const loadAttachment = useAttachmentLoader();
+  const [state, setState] = useState({ src: null, error: null });
+
+  useEffect(() => {
+    if (!loadAttachment) {
+      setState({ src: null, error: new Error('Attachments are not available here') });
+      return undefined;
+    }
+
+    let cancelled = false;
+    setState({ src: null, error: null });
+    loadAttachment(url).then(
+      (src) => !cancelled && setState({ src, error: null }),
+      (error) => !cancelled && setState({ src: null, error })
+    );
+
+    return () => {
+      cancelled = true;
+    };
+  }, [url, loadAttachment]);
+
+  return state;
+}
+
+export default AttachmentProvider;
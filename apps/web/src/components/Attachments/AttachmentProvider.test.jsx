@@ -0,0 +1,66 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { render, screen, waitFor } from '@testing-library/react';
+import MarkdownPreview from '../Editor/MarkdownPreview';
+import { AttachmentProvider } from './AttachmentProvider';
+import { useAppStore } from '../../store/useStore';
+
+const KEY = 'ab'.repeat(32);
+const IMAGE_URL = `attachment://${'a'.repeat(32)}?type=image%2Fpng#${KEY}`;
+const FILE_URL = `attachment://${'b'.repeat(32)}?type=application%2Fpdf#${KEY}`;
+
+describe('AttachmentProvider', () => {
+  beforeEach(() => {
+    useAppStore.setState({ darkMode: false, lang: 'en' });
+    URL.createObjectURL = vi.fn(() => 'blob:decrypted-image');
+    URL.revokeObjectURL = vi.fn();
+  });
+
+  afterEach(() => {
+    delete URL.createObjectURL;
+    delete URL.revokeObjectURL;
+  });
+
+  it('decrypts embedded images once and keeps other links safe', async () => {
+    const fetchAttachment = vi.fn(async () => new Blob(['png'], { type: 'image/png' }));
+    const content = `![diagram](${IMAGE_URL})\n\n![again](${IMAGE_URL})\n\n[report.pdf](${FILE_URL})\n\n[bad](javascript:alert(1))`;
+
+    const { unmount } = render(
+      <AttachmentProvider fetchAttachment={fetchAttachment}>
+        <MarkdownPreview content={content} />
+      </AttachmentProvider>
+    );
+
+    expect((await screen.findByAltText('diagram')).getAttribute('src')).toBe('blob:decrypted-image');
+    expect(screen.getByAltText('again').getAttribute('src')).toBe('blob:decrypted-image');
+    expect(fetchAttachment).toHaveBeenCalledTimes(1);
+    expect(fetchAttachment).toHaveBeenCalledWith({ attachmentId: 'a'.repeat(32), key: KEY, type: 'image/png' });
+
+    // Files are only downloaded when their link is clicked
+    expect(screen.getByText('report.pdf').closest('a').getAttribute('href')).toBe(FILE_URL);
+    expect(screen.getByText('bad').closest('a').getAttribute('href')).toBe('');
+
+    unmount();
+    await waitFor(() => expect(URL.revokeObjectURL).toHaveBeenCalledWith('blob:decrypted-image'));
+  });
+
+  it('shows a placeholder when an attachment cannot be loaded', async () => {
+    const fetchAttachment = vi.fn(async () => {
+      throw new Error('Attachment not found');
+    });
+
+    render(
+      <AttachmentProvider fetchAttachment={fetchAttachment}>
+        <MarkdownPreview content={`![missing](${IMAGE_URL})`} />
+      </AttachmentProvider>
+    );
+
+    expect(await screen.findByText('Attachment unavailable')).not.toBeNull();
+    expect(screen.queryByRole('img')).toBeNull();
+  });
+
+  it('does not load attachments outside a provider', async () => {
+    render(<MarkdownPreview content={`![shared](${IMAGE_URL})`} />);
+
+    expect(await screen.findByText('Attachment unavailable')).not.toBeNull();
+  });
+});
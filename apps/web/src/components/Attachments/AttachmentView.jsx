@@ -0,0 +1,64 @@
+import React from 'react';
+import { ImageOff, Loader2, Paperclip } from 'lucide-react';
+import toast from 'react-hot-toast';
+import { useAppStore } from '../../store/useStore';
+import { useTranslation } from '../../utils/translations';
+import { useAttachment, useAttachmentLoader } from './AttachmentProvider';
+
+/**
+ * Encrypted image embedded in a note
+ */
+export function AttachmentImage({ url, alt, className }) {
+  const lang = useAppStore((state) => state.lang);
+  const t = useTranslation(lang);
+  const { src, error } = useAttachment(url);
+
+  if (src) {
+    return <img src={src} alt={alt} className={className} />;
+  }
+
+  return (
+    <span
+      className="inline-flex items-center gap-2 px-3 py-2 my-2 rounded-lg text-sm text-slate-500 bg-slate-500/10"
+      title={alt}
+    >
+      {error ? <ImageOff size={16} /> : <Loader2 size={16} className="animate-spin" />}
+      {error ? t.attachmentUnavailable : t.attachmentLoading}
+    </span>
+  );
+}
+
+/**
+ * Link to an encrypted file; it is only downloaded and decrypted when clicked
+ */
+export function AttachmentLink({ url, children, className }) {
+  const lang = useAppStore((state) => state.lang);
+  const t = useTranslation(lang);
+  const loadAttachment = useAttachmentLoader();
+
+  const handleClick = async (e) => {
+    e.preventDefault();
+    if (!loadAttachment) {
+      toast.error(t.attachmentUnavailable);
+      return;
+    }
+
+    try {
+      const objectUrl = await loadAttachment(url);
+      const a = document.createElement('a');
+      a.href = objectUrl;
+      a.download = typeof children === 'string' ? children : 'attachment';
+      a.click();
+    } catch (error) {
+      console.error('Failed to open attachment:', error);
+      toast.error(t.attachmentUnavailable);
+    }
+  };
+
+  return (
+    <a href={url} onClick={handleClick} className={className}>
+      <Paperclip size={14} className="inline mr-1 -mt-0.5" />
+      {children}
+    </a>
+  );
+}
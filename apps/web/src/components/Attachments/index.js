@@ -0,0 +1,2 @@
+export { AttachmentProvider, useAttachment, useAttachmentLoader } from './AttachmentProvider';
+export { AttachmentImage, AttachmentLink } from './AttachmentView';
@@ -0,0 +1,90 @@
+import React, { useMemo, useState } from 'react';
+import { ChevronDown, ChevronUp, Link2 } from 'lucide-react';
+import { useAppStore } from '../../store/useStore';
+import { useTranslation } from '../../utils/translations';
+import { getBacklinks } from '../../utils/wikiLinks';
+
+/**
+ * Notes of the active notebook that link to the active note with [[Title]]
+ * Collapsed to a single bar until opened; clicking a backlink opens that note
+ */
+const BacklinksPanel = () => {
+  const darkMode = useAppStore((state) => state.darkMode);
+  const lang = useAppStore((state) => state.lang);
+  const notes = useAppStore((state) => state.notes);
+  const activeNoteId = useAppStore((state) => state.activeNoteId);
+  const setActiveNoteId = useAppStore((state) => state.setActiveNoteId);
+  const t = useTranslation(lang);
+  const [expanded, setExpanded] = useState(false);
+
+  const activeNote = notes.find((note) => note.id === activeNoteId);
+  const backlinks = useMemo(
+    () => (activeNote ? getBacklinks(notes, activeNote) : []),
+    [notes, activeNote]
+  );
+
+  if (!activeNote) {
+    return null;
+  }
+
+  return (
+    <div className={`shrink-0 border-t ${
+      darkMode ? 'bg-slate-800/50 border-slate-700' : 'bg-white border-slate-200'
+    }`}>
+      <button
+        onClick={() => setExpanded(!expanded)}
+        aria-expanded={expanded}
+        title={t.backlinksHint}
+        className={`w-full flex items-center gap-2 px-4 py-2 text-xs font-semibold uppercase ${
+          darkMode ? 'text-slate-400 hover:text-slate-200' : 'text-slate-500 hover:text-slate-700'
+        }`}
+      >
+        <Link2 size={14} />
+        {t.backlinks}
+        <span className={`px-1.5 rounded-full ${darkMode ? 'bg-slate-700' : 'bg-slate-100'}`}>
+          {backlinks.length}
+        </span>
+        <span className="ml-auto">
+          {expanded ? <ChevronDown size={14} /> : <ChevronUp size={14} />}
+        </span>
+      </button>
+
+      {expanded && (
+        <div className="max-h-48 overflow-y-auto px-2 pb-2">
+          {backlinks.length === 0 ? (
+            <p className={`px-2 py-1 text-xs ${darkMode ? 'text-slate-500' : 'text-slate-400'}`}>
+              {t.noBacklinks}
+            </p>
+          ) : (
+            <ul className="space-y-1">
+              {backlinks.map(({ note, count, context }) => (
+                <li key={note.id}>
+                  <button
+                    onClick={() => setActiveNoteId(note.id)}
+                    className={`w-full text-left px-2 py-1.5 rounded-lg transition-colors ${
+                      darkMode ? 'text-slate-200 hover:bg-slate-700' : 'text-slate-700 hover:bg-slate-100'
+                    }`}
+                  >
+                    <span className="block text-sm font-medium truncate">
+                      {note.title}
+                      {count > 1 && (
+                        <span className={`ml-1 text-xs ${darkMode ? 'text-slate-500' : 'text-slate-400'}`}>
+                          ×{count}
+                        </span>
+                      )}
+                    </span>
+                    <span className={`block text-xs truncate ${darkMode ? 'text-slate-400' : 'text-slate-500'}`}>
+                      {context}
+                    </span>
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default BacklinksPanel;
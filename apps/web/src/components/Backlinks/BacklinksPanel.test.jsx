@@ -0,0 +1,34 @@
+import { describe, expect, it } from 'vitest';
+import { fireEvent, render, screen } from '@testing-library/react';
+import BacklinksPanel from './BacklinksPanel';
+import { useAppStore } from '../../store/useStore';
+
+describe('BacklinksPanel', () => {
+  it('lists notes linking to the active note and opens them', () => {
+    useAppStore.setState({
+      darkMode: true,
+      lang: 'en',
+      activeNotebookId: 'nb-1',
+      activeNoteId: 'plan',
+      notes: [
+        { id: 'plan', notebookId: 'nb-1', title: 'Project Plan', content: '', version: 1, updatedAt: 1 },
+        { id: 'meeting', notebookId: 'nb-1', title: 'Meeting', content: 'Agreed on [[Project Plan]]', version: 1, updatedAt: 2 },
+        { id: 'todo', notebookId: 'nb-1', title: 'Todo', content: 'nothing', version: 1, updatedAt: 3 },
+      ],
+    });
+
+    render(<BacklinksPanel />);
+
+    const toggle = screen.getByRole('button', { name: /Backlinks/ });
+    expect(toggle.textContent).toContain('1');
+    expect(screen.queryByText('Meeting')).toBeNull();
+
+    fireEvent.click(toggle);
+    expect(screen.getByText('Agreed on [[Project Plan]]')).not.toBeNull();
+
+    fireEvent.click(screen.getByText('Meeting'));
+    expect(useAppStore.getState().activeNoteId).toBe('meeting');
+    // The opened note has no backlinks of its own
+    expect(screen.getByText(/No other note links to this one yet/)).not.toBeNull();
+  });
+});
@@ -0,0 +1 @@
+export { default as BacklinksPanel } from './BacklinksPanel';
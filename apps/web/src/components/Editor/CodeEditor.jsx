@@ -1,7 +1,12 @@
-import React, { useMemo, useCallback, Suspense, lazy, useState, useEffect } from 'react';
+import React, { useMemo, useCallback, Suspense, lazy, useState, useEffect, useRef } from 'react';
 import { EditorView } from '@codemirror/view';
+import { Transaction } from '@codemirror/state';
 import { useAppStore } from '../../store/useStore';
 import { EditorSkeleton } from '../Loading/LoadingSpinner';
+import { useTranslation } from '../../utils/translations';
+import { remoteCursors as remoteCursorsExtension, setRemoteCursors } from './remoteCursors';
+import { imagePaste } from './imagePaste';
+import { wikiLinkCompletion } from './wikiLinkCompletion';
 
 // Lazy load CodeMirror for better initial load performance
 const CodeMirror = lazy(() => import('@uiw/react-codemirror'));
@@ -11,17 +16,35 @@ const loadMarkdown = () => import('@codemirror/lang-markdown').then(m => m.markd
 const loadJavaScript = () => import('@codemirror/lang-javascript').then(m => m.javascript({ jsx: true, typescript: true }));
 const loadOneDark = () => import('@codemirror/theme-one-dark').then(m => m.oneDark);
 
-const CodeEditor = ({ value, onChange, placeholder }) => {
+const NO_CURSORS = [];
+
+// Titles offered after [[ : the other notes of the active notebook, read when completing
+// so the editor does not re-render on every note change
+const getLinkableTitles = () => {
+  const { notes, activeNotebookId, activeNoteId } = useAppStore.getState();
+  return notes
+    .filter((note) => note.notebookId === activeNotebookId && note.id !== activeNoteId)
+    .map((note) => note.title);
+};
+
+const CodeEditor = ({ value, onChange, placeholder, remoteCursors = NO_CURSORS, onSelectionChange, onPasteImage }) => {
   const darkMode = useAppStore((state) => state.darkMode);
   const fontSize = useAppStore((state) => state.fontSize);
   const tabSize = useAppStore((state) => state.tabSize);
   const lineNumbers = useAppStore((state) => state.lineNumbers);
   const wordWrap = useAppStore((state) => state.wordWrap);
   const editorMode = useAppStore((state) => state.editorMode);
+  const lang = useAppStore((state) => state.lang);
+  const t = useTranslation(lang);
 
   const [extensions, setExtensions] = useState([]);
   const [theme, setTheme] = useState(null);
   const [isReady, setIsReady] = useState(false);
+  const [view, setView] = useState(null);
+  const onSelectionChangeRef = useRef(onSelectionChange);
+  onSelectionChangeRef.current = onSelectionChange;
+  const onPasteImageRef = useRef(onPasteImage);
+  onPasteImageRef.current = onPasteImage;
 
   // Load extensions asynchronously
   useEffect(() => {
@@ -35,6 +58,8 @@ const CodeEditor = ({ value, onChange, placeholder }) => {
         if (editorMode === 'markdown') {
           const mdExt = await loadMarkdown();
           exts.push(mdExt);
+          // [[ completes note titles
+          exts.push(wikiLinkCompletion({ getTitles: getLinkableTitles }));
         } else {
           const jsExt = await loadJavaScript();
           exts.push(jsExt);
@@ -44,6 +69,12 @@ const CodeEditor = ({ value, onChange, placeholder }) => {
         if (wordWrap) {
           exts.push(EditorView.lineWrapping);
         }
+
+        // Other devices' cursors and selections
+        exts.push(remoteCursorsExtension());
+
+        // Pasted or dropped images are uploaded as encrypted attachments
+        exts.push(imagePaste({ getHandler: () => onPasteImageRef.current, label: t.imageUploading }));
         
         // Custom styling
         exts.push(EditorView.theme({
@@ -81,7 +112,7 @@ const CodeEditor = ({ value, onChange, placeholder }) => {
     return () => {
       mounted = false;
     };
-  }, [editorMode, wordWrap, fontSize, darkMode]);
+  }, [editorMode, wordWrap, fontSize, darkMode, t]);
 
   // Load theme asynchronously
   useEffect(() => {
@@ -151,7 +182,7 @@ const CodeEditor = ({ value, onChange, placeholder }) => {
     syntaxHighlighting: true,
     bracketMatching: true,
     closeBrackets: true,
-    autocompletion: false, // Disable for performance
+    autocompletion: false, // Only [[note link]] completion, added with the markdown extensions
     rectangularSelection: true,
     crosshairCursor: false,
     highlightActiveLine: true,
@@ -161,7 +192,7 @@ const CodeEditor = ({ value, onChange, placeholder }) => {
     searchKeymap: true,
     historyKeymap: true,
     foldKeymap: true,
-    completionKeymap: false, // Disable for performance
+    completionKeymap: false, // autocompletion() brings its own keymap
     lintKeymap: false, // Disable for performance
     tabSize,
   }), [lineNumbers, tabSize]);
@@ -171,6 +202,21 @@ const CodeEditor = ({ value, onChange, placeholder }) => {
     onChange(val);
   }, [onChange]);
 
+  // Report local selection changes; remote content replacements are not the user's own edits
+  const handleUpdate = useCallback((update) => {
+    const typing = update.transactions.some((tr) => tr.docChanged && tr.annotation(Transaction.userEvent));
+    if (!onSelectionChangeRef.current || (!update.selectionSet && !typing)) {
+      return;
+    }
+    const { anchor, head } = update.state.selection.main;
+    onSelectionChangeRef.current({ anchor, head, typing });
+  }, []);
+
+  // Redraw remote cursors when they move and after the content is replaced from outside
+  useEffect(() => {
+    view?.dispatch({ effects: setRemoteCursors.of(remoteCursors) });
+  }, [view, remoteCursors, value]);
+
   if (!isReady || extensions.length === 0 || !theme) {
     return <EditorSkeleton darkMode={darkMode} />;
   }
@@ -181,6 +227,8 @@ const CodeEditor = ({ value, onChange, placeholder }) => {
         <CodeMirror
           value={value}
           onChange={handleChange}
+          onUpdate={handleUpdate}
+          onCreateEditor={setView}
           extensions={extensions}
           theme={theme}
           placeholder={placeholder}
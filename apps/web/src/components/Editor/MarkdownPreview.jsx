@@ -1,17 +1,24 @@
-import React from 'react';
+import React, { useMemo } from 'react';
 import ReactMarkdown from 'react-markdown';
-import remarkGfm from 'remark-gfm';
 import { Prism as SyntaxHighlighter } from 'react-syntax-highlighter';
-import { oneDark, oneLight } from 'react-syntax-highlighter/dist/esm/styles/prism';
 import { useAppStore } from '../../store/useStore';
+import { isAttachmentUrl } from '../../utils/attachments';
+import { findNoteByTitle, isWikiLinkUrl, parseWikiLinkUrl } from '../../utils/wikiLinks';
+import { AttachmentImage, AttachmentLink } from '../Attachments/AttachmentView';
+import { getCodeLanguage, getCodeTheme, remarkPlugins, urlTransform } from './markdownPipeline';
 
 const MarkdownPreview = ({ content }) => {
-  const { darkMode } = useAppStore();
+  const { darkMode, lang, notes, activeNotebookId, setActiveNoteId } = useAppStore();
+
+  // [[links]] resolve to notes of the active notebook by title
+  const notebookNotes = useMemo(
+    () => notes.filter((note) => note.notebookId === activeNotebookId),
+    [notes, activeNotebookId]
+  );
 
   const components = {
     code({ node: _node, inline, className, children, ...props }) {
-      const match = /language-(\w+)/.exec(className || '');
-      const language = match ? match[1] : '';
+      const language = getCodeLanguage(className);
       
       if (!inline && language) {
         return (
@@ -22,7 +29,7 @@ const MarkdownPreview = ({ content }) => {
               {language}
             </div>
             <SyntaxHighlighter
-              style={darkMode ? oneDark : oneLight}
+              style={getCodeTheme(darkMode)}
               language={language}
               PreTag="div"
               customStyle={{
@@ -109,12 +116,34 @@ const MarkdownPreview = ({ content }) => {
     },
     
     a({ href, children }) {
+      const linkClassName = 'text-orange-500 hover:text-orange-600 underline decoration-orange-500/30 hover:decoration-orange-500 transition-colors';
+      if (isAttachmentUrl(href)) {
+        return <AttachmentLink url={href} className={linkClassName}>{children}</AttachmentLink>;
+      }
+      if (isWikiLinkUrl(href)) {
+        const target = findNoteByTitle(notebookNotes, parseWikiLinkUrl(href));
+        if (!target) {
+          return (
+            <span
+              className={`border-b border-dashed ${darkMode ? 'text-slate-400 border-slate-500' : 'text-slate-500 border-slate-400'}`}
+              title={lang === 'zh' ? '笔记不存在' : 'Note not found'}
+            >
+              {children}
+            </span>
+          );
+        }
+        return (
+          <button type="button" onClick={() => setActiveNoteId(target.id)} className={linkClassName}>
+            {children}
+          </button>
+        );
+      }
       return (
         <a
           href={href}
           target="_blank"
           rel="noopener noreferrer"
-          className="text-orange-500 hover:text-orange-600 underline decoration-orange-500/30 hover:decoration-orange-500 transition-colors"
+          className={linkClassName}
         >
           {children}
         </a>
@@ -122,6 +151,9 @@ const MarkdownPreview = ({ content }) => {
     },
     
     img({ src, alt }) {
+      if (isAttachmentUrl(src)) {
+        return <AttachmentImage url={src} alt={alt} className="max-w-full h-auto rounded-lg my-4 shadow-lg" />;
+      }
       return (
         <img
           src={src}
@@ -209,8 +241,9 @@ const MarkdownPreview = ({ content }) => {
       darkMode ? 'prose-invert' : ''
     }`}>
       <ReactMarkdown
-        remarkPlugins={[remarkGfm]}
+        remarkPlugins={remarkPlugins}
         components={components}
+        urlTransform={urlTransform}
       >
         {content || '*No content yet...*'}
       </ReactMarkdown>
@@ -0,0 +1,30 @@
+import { describe, expect, it } from 'vitest';
+import { fireEvent, render, screen } from '@testing-library/react';
+import MarkdownPreview from './MarkdownPreview';
+import { useAppStore } from '../../store/useStore';
+
+describe('MarkdownPreview', () => {
+  it('renders [[links]] that open the linked note', () => {
+    useAppStore.setState({
+      darkMode: false,
+      lang: 'en',
+      activeNotebookId: 'nb-1',
+      activeNoteId: 'note-1',
+      notes: [
+        { id: 'note-1', notebookId: 'nb-1', title: 'Index', content: '', version: 1 },
+        { id: 'note-2', notebookId: 'nb-1', title: 'Project Plan', content: 'plan', version: 1 },
+        { id: 'note-3', notebookId: 'nb-2', title: 'Elsewhere', content: '', version: 1 },
+      ],
+    });
+
+    render(<MarkdownPreview content={'Read [[project plan|the plan]], [[Project Plan#Goals]] and [[Elsewhere]].\n\n`[[Project Plan]]`'} />);
+
+    fireEvent.click(screen.getByRole('button', { name: 'the plan' }));
+    expect(useAppStore.getState().activeNoteId).toBe('note-2');
+    expect(screen.getByRole('button', { name: 'Project Plan > Goals' })).not.toBeNull();
+
+    // Notes from other notebooks do not resolve
+    expect(screen.getByText('Elsewhere').getAttribute('title')).toBe('Note not found');
+    expect(screen.getByText('[[Project Plan]]').tagName).toBe('CODE');
+  });
+});
@@ -0,0 +1,148 @@
+import { StateEffect, StateField } from '@codemirror/state';
+import { Decoration, EditorView, WidgetType } from '@codemirror/view';
+
+// 开始上传一张图片：{ id, pos, label }
+const addImageUpload = StateEffect.define({
+  map: (value, mapping) => ({ ...value, pos: mapping.mapPos(value.pos) }),
+});
+// 上传结束（成功或失败）：id
+const removeImageUpload = StateEffect.define();
+
+let nextUploadId = 0;
+
+class ImageUploadWidget extends WidgetType {
+  constructor(label) {
+    super();
+    this.label = label;
+  }
+
+  eq(other) {
+    return other.label === this.label;
+  }
+
+  toDOM() {
+    const placeholder = document.createElement('span');
+    placeholder.className = 'cm-image-upload';
+    placeholder.textContent = this.label;
+    return placeholder;
+  }
+
+  ignoreEvent() {
+    return true;
+  }
+}
+
+// 上传中的占位只是装饰，不写入文档，所以不会同步给其他设备
+const imageUploadField = StateField.define({
+  create: () => Decoration.none,
+  update(uploads, tr) {
+    let next = uploads.map(tr.changes);
+    tr.effects.forEach((effect) => {
+      if (effect.is(addImageUpload)) {
+        const { id, pos, label } = effect.value;
+        next = next.update({
+          add: [Decoration.widget({ widget: new ImageUploadWidget(label), side: 1, id }).range(pos)],
+        });
+      } else if (effect.is(removeImageUpload)) {
+        next = next.update({ filter: (_from, _to, decoration) => decoration.spec.id !== effect.value });
+      }
+    });
+    return next;
+  },
+  provide: (field) => EditorView.decorations.from(field),
+});
+
+const findImageUpload = (state, id) => {
+  let position = null;
+  state.field(imageUploadField).between(0, state.doc.length, (from, _to, decoration) => {
+    if (decoration.spec.id === id) {
+      position = from;
+      return false;
+    }
+    return undefined;
+  });
+  return position;
+};
+
+const imageFiles = (fileList) => Array.from(fileList || []).filter((file) => file.type?.startsWith('image/'));
+
+/**
+ * 在 pos 处为每张图片显示上传占位，处理完成后用返回的 Markdown 替换占位
+ * 上传期间的编辑会移动占位，插入位置随之变化
+ * 编辑器在上传期间被销毁时占位随之消失，onImage 可以通过 isDetached() 得知并自行写入笔记
+ * @param {EditorView} view
+ * @param {File[]} files
+ * @param {number} pos
+ * @param {Function} onImage - (file, {isDetached}) => Promise<string|null>，返回要插入的 Markdown
+ * @param {string} label - 占位显示的文字
+ */
+export const insertImages = (view, files, pos, onImage, label) => {
+  files.forEach((file) => {
+    const id = `image-upload-${++nextUploadId}`;
+    view.dispatch({ effects: addImageUpload.of({ id, pos, label }) });
+
+    const isDetached = () => view.destroyed || findImageUpload(view.state, id) === null;
+
+    const finish = (markdown) => {
+      if (isDetached()) {
+        return;
+      }
+      const position = findImageUpload(view.state, id);
+      view.dispatch({
+        effects: removeImageUpload.of(id),
+        ...(markdown ? { changes: { from: position, insert: markdown }, userEvent: 'input.paste' } : {}),
+      });
+    };
+
+    Promise.resolve()
+      .then(() => onImage(file, { isDetached }))
+      .then(finish, () => finish(null));
+  });
+};
+
+const imageUploadTheme = EditorView.baseTheme({
+  '.cm-image-upload': {
+    padding: '0 6px',
+    borderRadius: '4px',
+    backgroundColor: 'rgba(249, 115, 22, 0.15)',
+    color: '#f97316',
+    fontStyle: 'italic',
+    userSelect: 'none',
+  },
+});
+
+/**
+ * 粘贴或拖入图片时交给 getHandler() 返回的回调处理（压缩、加密、上传），完成后插入 Markdown
+ * 没有回调或没有图片时保持编辑器的默认行为
+ * @param {{getHandler: Function, label: string}} options
+ * @returns {Extension[]}
+ */
+export const imagePaste = ({ getHandler, label }) => [
+  imageUploadField,
+  imageUploadTheme,
+  EditorView.domEventHandlers({
+    paste(event, view) {
+      const onImage = getHandler();
+      const files = imageFiles(event.clipboardData?.files);
+      if (!onImage || files.length === 0) {
+        return false;
+      }
+
+      event.preventDefault();
+      insertImages(view, files, view.state.selection.main.head, onImage, label);
+      return true;
+    },
+    drop(event, view) {
+      const onImage = getHandler();
+      const files = imageFiles(event.dataTransfer?.files);
+      if (!onImage || files.length === 0) {
+        return false;
+      }
+
+      event.preventDefault();
+      const pos = view.posAtCoords({ x: event.clientX, y: event.clientY }) ?? view.state.selection.main.head;
+      insertImages(view, files, pos, onImage, label);
+      return true;
+    },
+  }),
+];
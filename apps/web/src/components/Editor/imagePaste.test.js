@@ -0,0 +1,106 @@
+import { afterEach, describe, expect, it, vi } from 'vitest';
+import { EditorState } from '@codemirror/state';
+import { EditorView } from '@codemirror/view';
+import { imagePaste } from './imagePaste';
+
+const createView = (doc, getHandler) => new EditorView({
+  state: EditorState.create({
+    doc,
+    selection: { anchor: doc.length },
+    extensions: imagePaste({ getHandler, label: 'Uploading image...' }),
+  }),
+  parent: document.body,
+});
+
+const paste = (view, files) => {
+  const event = new Event('paste', { bubbles: true, cancelable: true });
+  Object.defineProperty(event, 'clipboardData', { value: { files, getData: () => '' } });
+  view.contentDOM.dispatchEvent(event);
+  return event;
+};
+
+const deferred = () => {
+  let resolve;
+  let reject;
+  const promise = new Promise((res, rej) => {
+    resolve = res;
+    reject = rej;
+  });
+  return { promise, resolve, reject };
+};
+
+describe('image paste', () => {
+  let view;
+
+  afterEach(() => {
+    view?.destroy();
+    view = null;
+  });
+
+  it('shows a placeholder while uploading and inserts the markdown where it ended up', async () => {
+    const upload = deferred();
+    const onImage = vi.fn(() => upload.promise);
+    view = createView('see: ', () => onImage);
+    const screenshot = new File(['png'], 'image.png', { type: 'image/png' });
+
+    const event = paste(view, [screenshot]);
+
+    expect(event.defaultPrevented).toBe(true);
+    await vi.waitFor(() => expect(onImage).toHaveBeenCalledWith(screenshot, expect.any(Object)));
+    expect(view.contentDOM.querySelector('.cm-image-upload').textContent).toBe('Uploading image...');
+    expect(view.state.doc.toString()).toBe('see: ');
+
+    // Typing before the placeholder moves it along
+    view.dispatch({ changes: { from: 0, insert: 'Note, ' } });
+    upload.resolve('![image.png](attachment://x)');
+
+    await vi.waitFor(() => expect(view.state.doc.toString()).toBe('Note, see: ![image.png](attachment://x)'));
+    expect(view.contentDOM.querySelector('.cm-image-upload')).toBeNull();
+  });
+
+  it('drops the placeholder when the upload fails', async () => {
+    const upload = deferred();
+    view = createView('text', () => () => upload.promise);
+
+    paste(view, [new File(['png'], 'image.png', { type: 'image/png' })]);
+    await vi.waitFor(() => expect(view.contentDOM.querySelector('.cm-image-upload')).not.toBeNull());
+    upload.reject(new Error('Not connected'));
+
+    await vi.waitFor(() => expect(view.contentDOM.querySelector('.cm-image-upload')).toBeNull());
+    expect(view.state.doc.toString()).toBe('text');
+  });
+
+  it('tells the handler when the editor went away during the upload', async () => {
+    const upload = deferred();
+    const onImage = vi.fn(() => upload.promise);
+    view = createView('text', () => onImage);
+
+    paste(view, [new File(['png'], 'image.png', { type: 'image/png' })]);
+    await vi.waitFor(() => expect(onImage).toHaveBeenCalled());
+    const { isDetached } = onImage.mock.calls[0][1];
+    expect(isDetached()).toBe(false);
+
+    // Switching notes remounts the editor
+    view.destroy();
+    expect(isDetached()).toBe(true);
+    upload.resolve('![image.png](attachment://x)');
+
+    await upload.promise;
+    await Promise.resolve();
+    expect(view.state.doc.toString()).toBe('text');
+  });
+
+  it('leaves pastes without images or without a handler to the editor', () => {
+    const onImage = vi.fn();
+    view = createView('text', () => onImage);
+
+    paste(view, [new File(['pdf'], 'report.pdf', { type: 'application/pdf' })]);
+    expect(onImage).not.toHaveBeenCalled();
+    view.destroy();
+
+    view = createView('text', () => null);
+    paste(view, [new File(['png'], 'image.png', { type: 'image/png' })]);
+    expect(view.contentDOM.querySelector('.cm-image-upload')).toBeNull();
+    expect(view.state.doc.toString()).toBe('text');
+  });
+});
@@ -0,0 +1,69 @@
+import remarkGfm from 'remark-gfm';
+import { defaultUrlTransform } from 'react-markdown';
+import { oneDark, oneLight } from 'react-syntax-highlighter/dist/esm/styles/prism';
+import { isAttachmentUrl } from '../../utils/attachments';
+import { isWikiLinkUrl, matchWikiLinks, toWikiLinkUrl } from '../../utils/wikiLinks';
+
+// Split a text node around [[wiki links]], turning each link into a wiki: link node
+const splitWikiLinks = (node) => {
+  const links = matchWikiLinks(node.value);
+  if (links.length === 0) {
+    return [node];
+  }
+
+  const parts = [];
+  let offset = 0;
+  links.forEach((link) => {
+    if (link.from > offset) {
+      parts.push({ type: 'text', value: node.value.slice(offset, link.from) });
+    }
+    const label = link.alias?.trim() || (link.heading ? `${link.title} > ${link.heading}` : link.title);
+    parts.push({ type: 'link', url: toWikiLinkUrl(link.title), children: [{ type: 'text', value: label }] });
+    offset = link.to;
+  });
+  if (offset < node.value.length) {
+    parts.push({ type: 'text', value: node.value.slice(offset) });
+  }
+  return parts;
+};
+
+/**
+ * [[Note Title]] links; code spans and blocks are not text nodes, so they stay untouched
+ */
+export const remarkWikiLinks = () => (tree) => {
+  const visit = (node) => {
+    if (!node.children || node.type === 'link' || node.type === 'linkReference') {
+      return;
+    }
+    node.children = node.children.flatMap((child) => {
+      if (child.type === 'text') {
+        return splitWikiLinks(child);
+      }
+      visit(child);
+      return [child];
+    });
+  };
+  visit(tree);
+};
+
+/**
+ * Markdown pipeline shared by the live preview and exported documents
+ */
+export const remarkPlugins = [remarkGfm, remarkWikiLinks];
+
+// 附件和笔记链接在渲染时解析，其余链接仍按默认规则过滤危险协议
+export const urlTransform = (url) => (
+  isAttachmentUrl(url) || isWikiLinkUrl(url) ? url : defaultUrlTransform(url)
+);
+
+export const getCodeTheme = (darkMode) => (darkMode ? oneDark : oneLight);
+
+/**
+ * Language of a fenced code block from its className (string or hast class list)
+ * @param {string|string[]} className
+ * @returns {string}
+ */
+export const getCodeLanguage = (className) => {
+  const match = /language-(\w+)/.exec(String(className || ''));
+  return match ? match[1] : '';
+};
@@ -0,0 +1,101 @@
+import { StateEffect, StateField } from '@codemirror/state';
+import { Decoration, EditorView, WidgetType } from '@codemirror/view';
+
+// 替换全部远程光标：[{ id, name, color, anchor, head, typing }]
+export const setRemoteCursors = StateEffect.define();
+
+class RemoteCaretWidget extends WidgetType {
+  constructor(name, color, typing) {
+    super();
+    this.name = name;
+    this.color = color;
+    this.typing = typing;
+  }
+
+  eq(other) {
+    return other.name === this.name && other.color === this.color && other.typing === this.typing;
+  }
+
+  toDOM() {
+    const caret = document.createElement('span');
+    caret.className = 'cm-remote-caret';
+    caret.style.borderLeftColor = this.color;
+
+    const label = document.createElement('span');
+    label.className = 'cm-remote-caret-label';
+    label.style.backgroundColor = this.color;
+    label.textContent = this.typing ? `${this.name} …` : this.name;
+    caret.appendChild(label);
+    return caret;
+  }
+
+  ignoreEvent() {
+    return true;
+  }
+}
+
+const buildDecorations = (cursors, docLength) => {
+  const ranges = [];
+  cursors.forEach(({ name, color, anchor, head, typing }) => {
+    // 对方的文档可能与本地略有不同，位置截断到当前文档范围内
+    const clampedHead = Math.min(Math.max(head, 0), docLength);
+    const clampedAnchor = Math.min(Math.max(anchor, 0), docLength);
+    const from = Math.min(clampedAnchor, clampedHead);
+    const to = Math.max(clampedAnchor, clampedHead);
+
+    if (from < to) {
+      ranges.push(Decoration.mark({
+        class: 'cm-remote-selection',
+        attributes: { style: `background-color: ${color}33` },
+      }).range(from, to));
+    }
+    ranges.push(Decoration.widget({
+      widget: new RemoteCaretWidget(name, color, typing),
+      side: 1,
+    }).range(clampedHead));
+  });
+  return Decoration.set(ranges, true);
+};
+
+const remoteCursorField = StateField.define({
+  create: () => Decoration.none,
+  update(decorations, tr) {
+    let next = decorations.map(tr.changes);
+    tr.effects.forEach((effect) => {
+      if (effect.is(setRemoteCursors)) {
+        next = buildDecorations(effect.value, tr.state.doc.length);
+      }
+    });
+    return next;
+  },
+  provide: (field) => EditorView.decorations.from(field),
+});
+
+const remoteCursorTheme = EditorView.baseTheme({
+  '.cm-remote-caret': {
+    position: 'relative',
+    borderLeft: '2px solid',
+    marginLeft: '-1px',
+    marginRight: '-1px',
+  },
+  '.cm-remote-caret-label': {
+    position: 'absolute',
+    bottom: '100%',
+    left: '-2px',
+    padding: '0 4px',
+    borderRadius: '3px 3px 3px 0',
+    color: '#ffffff',
+    fontSize: '10px',
+    lineHeight: '1.4',
+    whiteSpace: 'nowrap',
+    pointerEvents: 'none',
+    userSelect: 'none',
+  },
+});
+
+/**
+ * 在编辑器中显示其他设备的光标和选区
+ * 通过 setRemoteCursors effect 更新；本地编辑时位置随文档变化映射
+ * @returns {Extension[]}
+ */
+export const remoteCursors = () => [remoteCursorField, remoteCursorTheme];
@@ -0,0 +1,34 @@
+import { describe, expect, it } from 'vitest';
+import { EditorState } from '@codemirror/state';
+import { EditorView } from '@codemirror/view';
+import { remoteCursors, setRemoteCursors } from './remoteCursors';
+
+const decorationRanges = (state) => {
+  const ranges = [];
+  state.facet(EditorView.decorations).forEach((source) => {
+    const set = typeof source === 'function' ? source() : source;
+    set.between(0, state.doc.length, (from, to) => {
+      ranges.push([from, to]);
+    });
+  });
+  return ranges;
+};
+
+describe('remote cursors', () => {
+  it('draws remote selections and keeps them in place while the local user types', () => {
+    let state = EditorState.create({ doc: 'hello world', extensions: remoteCursors() });
+    state = state.update({
+      effects: setRemoteCursors.of([{ id: 's1', name: 'iPhone', color: '#3b82f6', anchor: 6, head: 11, typing: false }]),
+    }).state;
+    expect(decorationRanges(state)).toEqual([[6, 11], [11, 11]]);
+
+    state = state.update({ changes: { from: 0, insert: '>> ' } }).state;
+    expect(decorationRanges(state)).toEqual([[9, 14], [14, 14]]);
+
+    // Positions past the end of the local document are clamped
+    state = state.update({
+      effects: setRemoteCursors.of([{ id: 's1', name: 'iPhone', color: '#3b82f6', anchor: 40, head: 40, typing: true }]),
+    }).state;
+    expect(decorationRanges(state)).toEqual([[14, 14]]);
+  });
+});
@@ -0,0 +1,43 @@
+import { autocompletion } from '@codemirror/autocomplete';
+
+// 光标前未闭合的 [[ 及已输入的标题
+const OPEN_LINK_PATTERN = /\[\[[^[\]|#\n]*$/;
+
+/**
+ * 输入 [[ 后补全笔记标题
+ * closeBrackets 已经补上 ]] 时只插入标题，否则连同 ]] 一起插入
+ * @param {Function} getTitles - () => string[]，可链接的笔记标题
+ * @returns {Function} CodeMirror 补全源
+ */
+export const wikiLinkCompletionSource = (getTitles) => (context) => {
+  const match = context.matchBefore(OPEN_LINK_PATTERN);
+  if (!match) {
+    return null;
+  }
+
+  const closed = context.state.sliceDoc(context.pos, context.pos + 2) === ']]';
+  const titles = [...new Set(getTitles().filter(Boolean))];
+  if (titles.length === 0) {
+    return null;
+  }
+
+  return {
+    from: match.from + 2,
+    options: titles.map((title) => ({
+      label: title,
+      type: 'text',
+      apply: closed ? title : `${title}]]`,
+    })),
+    validFor: /^[^[\]|#\n]*$/,
+  };
+};
+
+/**
+ * 笔记标题补全扩展；其余位置不弹出补全
+ * @param {{getTitles: Function}} options
+ * @returns {Extension}
+ */
+export const wikiLinkCompletion = ({ getTitles }) => autocompletion({
+  override: [wikiLinkCompletionSource(getTitles)],
+  icons: false,
+});
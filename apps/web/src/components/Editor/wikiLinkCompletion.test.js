@@ -0,0 +1,30 @@
+import { describe, expect, it } from 'vitest';
+import { CompletionContext } from '@codemirror/autocomplete';
+import { EditorState } from '@codemirror/state';
+import { wikiLinkCompletionSource } from './wikiLinkCompletion';
+
+const complete = (doc, pos = doc.length) => {
+  const source = wikiLinkCompletionSource(() => ['Project Plan', 'Meeting Notes', 'Project Plan', '']);
+  return source(new CompletionContext(EditorState.create({ doc }), pos, false));
+};
+
+describe('wiki link completion', () => {
+  it('offers note titles after [[', () => {
+    const result = complete('See [[Pro');
+
+    expect(result.from).toBe(6);
+    expect(result.options.map((option) => option.label)).toEqual(['Project Plan', 'Meeting Notes']);
+    expect(result.options[0].apply).toBe('Project Plan]]');
+  });
+
+  it('does not add brackets that were already closed', () => {
+    const result = complete('See [[]]', 6);
+    expect(result.options[0].apply).toBe('Project Plan');
+  });
+
+  it('stays quiet outside of an open link', () => {
+    expect(complete('plain text')).toBeNull();
+    expect(complete('[[Done]] and more')).toBeNull();
+    expect(complete('[[Title|alias')).toBeNull();
+  });
+});
@@ -0,0 +1,159 @@
+import React from 'react';
+import { renderToStaticMarkup } from 'react-dom/server';
+import ReactMarkdown from 'react-markdown';
+import { Prism as SyntaxHighlighter } from 'react-syntax-highlighter';
+import { isAttachmentUrl } from '../../utils/attachments';
+import { isWikiLinkUrl } from '../../utils/wikiLinks';
+import { getCodeLanguage, getCodeTheme, remarkPlugins, urlTransform } from '../Editor/markdownPipeline';
+
+// Exported images are inlined as data URLs, which the preview's transform would strip
+const exportUrlTransform = (url) => (url.startsWith('data:image/') ? url : urlTransform(url));
+
+const THEMES = {
+  light: `
+    --bg: #ffffff; --text: #1e293b; --muted: #475569; --border: #cbd5e1;
+    --code-bg: #f1f5f9; --code-text: #c2410c; --accent: #f97316;`,
+  dark: `
+    --bg: #0f172a; --text: #e2e8f0; --muted: #94a3b8; --border: #334155;
+    --code-bg: #1e293b; --code-text: #fb923c; --accent: #f97316;`,
+};
+
+const STYLESHEET = `
+  * { box-sizing: border-box; }
+  body {
+    margin: 0; background: var(--bg); color: var(--text);
+    font: 16px/1.7 -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, "Noto Sans", "PingFang SC", "Microsoft YaHei", sans-serif;
+  }
+  main { max-width: 48rem; margin: 0 auto; padding: 2.5rem 1.5rem; }
+  h1, h2 { padding-bottom: 0.3em; border-bottom: 1px solid var(--border); }
+  h1, h2, h3, h4, h5, h6 { line-height: 1.3; margin: 1.6em 0 0.6em; }
+  main > :first-child { margin-top: 0; }
+  a { color: var(--accent); }
+  img { max-width: 100%; height: auto; border-radius: 0.5rem; }
+  blockquote { margin: 1em 0; padding-left: 1em; border-left: 4px solid var(--accent); color: var(--muted); font-style: italic; }
+  hr { border: 0; border-top: 1px solid var(--border); margin: 2em 0; }
+  code { font-family: ui-monospace, SFMono-Regular, Menlo, Consolas, monospace; font-size: 0.875em; }
+  :not(pre) > code { padding: 0.15em 0.4em; border-radius: 0.25rem; background: var(--code-bg); color: var(--code-text); }
+  pre { padding: 1rem; border-radius: 0.5rem; overflow-x: auto; background: var(--code-bg); font-size: 0.875rem; }
+  table { border-collapse: collapse; margin: 1em 0; min-width: 100%; }
+  th, td { padding: 0.5rem 1rem; border: 1px solid var(--border); text-align: left; }
+  th { background: var(--code-bg); }
+  li.task-list-item { list-style: none; }
+  li.task-list-item input { margin: 0 0.5em 0 -1.4em; accent-color: var(--accent); }
+  .missing-attachment { color: var(--muted); }
+
+  @page { margin: 2cm 1.8cm; }
+  @media print {
+    :root { ${THEMES.light} }
+    body { font-size: 11pt; }
+    main { max-width: none; padding: 0; }
+    a { color: inherit; }
+    a[href^="http"]::after { content: " (" attr(href) ")"; font-size: 0.85em; color: var(--muted); }
+    h1, h2, h3, h4, h5, h6 { break-after: avoid; page-break-after: avoid; }
+    pre, blockquote, table, img, li { break-inside: avoid; page-break-inside: avoid; }
+    pre { white-space: pre-wrap; overflow-wrap: anywhere; }
+    thead { display: table-header-group; }
+    p { orphans: 3; widows: 3; }
+  }
+`;
+
+/**
+ * Static rendering of a note for export: same markdown pipeline as the preview,
+ * but plain elements styled by the document's own stylesheet
+ */
+export const NoteDocument = ({ content, darkMode }) => {
+  const components = {
+    pre({ children }) {
+      const { className, children: code } = children?.props || {};
+      const language = getCodeLanguage(className);
+
+      if (language) {
+        return (
+          <SyntaxHighlighter
+            style={getCodeTheme(darkMode)}
+            language={language}
+            customStyle={{ borderRadius: '0.5rem', fontSize: '0.875rem' }}
+          >
+            {String(code).replace(/\n$/, '')}
+          </SyntaxHighlighter>
+        );
+      }
+      return <pre>{children}</pre>;
+    },
+
+    // Attachments and [[note links]] only open inside the app, so they keep just their text
+    a({ href, children }) {
+      if (isAttachmentUrl(href) || isWikiLinkUrl(href)) {
+        return <span>{children}</span>;
+      }
+      return <a href={href}>{children}</a>;
+    },
+
+    img({ src, alt }) {
+      if (isAttachmentUrl(src)) {
+        return <span className="missing-attachment">[{alt}]</span>;
+      }
+      return <img src={src} alt={alt} />;
+    },
+  };
+
+  return (
+    <ReactMarkdown remarkPlugins={remarkPlugins} components={components} urlTransform={exportUrlTransform}>
+      {content}
+    </ReactMarkdown>
+  );
+};
+
+/**
+ * Render a note as a standalone HTML document
+ * @param {Object} options
+ * @param {string} options.title - Document title
+ * @param {string} options.content - Markdown content (attachment images already inlined)
+ * @param {boolean} options.darkMode - Screen theme; printing always uses the light theme
+ * @param {string} [options.lang] - Document language
+ * @returns {string}
+ */
+export const renderNoteHtml = ({ title, content, darkMode, lang = 'en' }) => {
+  const body = renderToStaticMarkup(<NoteDocument content={content} darkMode={darkMode} />);
+
+  return `<!DOCTYPE html>
+<html lang="${lang === 'zh' ? 'zh-CN' : 'en'}">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<meta name="color-scheme" content="${darkMode ? 'dark' : 'light'}">
+${renderToStaticMarkup(<title>{title || 'Note'}</title>)}
+<style>
+  :root { ${darkMode ? THEMES.dark : THEMES.light} }
+${STYLESHEET}</style>
+</head>
+<body>
+<main>
+${body}
+</main>
+</body>
+</html>
+`;
+};
+
+/**
+ * Open the browser's print dialog for a rendered document (users save it as PDF from there)
+ * The document is printed from a hidden frame so the app itself is left untouched
+ * @param {string} html - renderNoteHtml result
+ */
+export const printNoteHtml = (html) => {
+  const frame = document.createElement('iframe');
+  frame.setAttribute('aria-hidden', 'true');
+  frame.style.cssText = 'position:fixed;right:0;bottom:0;width:0;height:0;border:0';
+
+  frame.onload = () => {
+    const win = frame.contentWindow;
+    win.addEventListener('afterprint', () => frame.remove());
+    win.focus();
+    win.print();
+  };
+  frame.srcdoc = html;
+  document.body.appendChild(frame);
+};
+
+export default NoteDocument;
@@ -0,0 +1,80 @@
+import { afterEach, describe, expect, it, vi } from 'vitest';
+import { printNoteHtml, renderNoteHtml } from './NoteDocument';
+
+const CONTENT = [
+  '# Release <notes>',
+  '',
+  '| Step | Done |',
+  '| --- | --- |',
+  '| Build | yes |',
+  '',
+  '- [x] tag',
+  '',
+  '```js',
+  'const answer = 42;',
+  '```',
+  '',
+  '![chart](data:image/png;base64,AAAA) ![secret](attachment://aaaaaaaaaaaaaaaa#' + 'b'.repeat(64) + ')',
+  '[site](https://example.com) [bad](javascript:alert(1))',
+  '',
+  'Next: [[Roadmap|the roadmap]]',
+].join('\n');
+
+describe('NoteDocument', () => {
+  afterEach(() => {
+    document.body.innerHTML = '';
+  });
+
+  it('renders a standalone document with GFM, highlighted code and print styles', () => {
+    const html = renderNoteHtml({ title: 'Plan <draft>', content: CONTENT, darkMode: false, lang: 'en' });
+    const doc = new DOMParser().parseFromString(html, 'text/html');
+
+    expect(html.startsWith('<!DOCTYPE html>')).toBe(true);
+    expect(doc.title).toBe('Plan <draft>');
+    expect(doc.querySelector('h1').textContent).toBe('Release <notes>');
+    expect(doc.querySelectorAll('table td')).toHaveLength(2);
+    expect(doc.querySelector('input[type="checkbox"]').hasAttribute('checked')).toBe(true);
+
+    // Syntax highlighting is inlined so it survives outside the app
+    const code = doc.querySelector('pre code');
+    expect(code.textContent).toBe('const answer = 42;');
+    expect(code.querySelector('span[style]')).not.toBeNull();
+
+    expect(doc.querySelector('img').getAttribute('src')).toBe('data:image/png;base64,AAAA');
+    expect(doc.querySelector('.missing-attachment').textContent).toBe('[secret]');
+    expect(doc.querySelector('a[href="https://example.com"]')).not.toBeNull();
+    expect(Array.from(doc.querySelectorAll('a')).map((a) => a.getAttribute('href'))).not.toContain('javascript:alert(1)');
+    // Note links only work inside the app
+    expect(doc.querySelector('a[href^="wiki:"]')).toBeNull();
+    expect(doc.body.textContent).toContain('Next: the roadmap');
+
+    const style = doc.querySelector('style').textContent;
+    expect(style).toContain('@media print');
+    expect(style).toContain('break-inside: avoid');
+  });
+
+  it('uses the dark theme on screen when requested', () => {
+    const light = renderNoteHtml({ title: 'a', content: 'x', darkMode: false });
+    const dark = renderNoteHtml({ title: 'a', content: 'x', darkMode: true, lang: 'zh' });
+
+    expect(light).toContain('<meta name="color-scheme" content="light">');
+    expect(dark).toContain('<meta name="color-scheme" content="dark">');
+    expect(dark).toContain('--bg: #0f172a');
+    expect(dark).toContain('<html lang="zh-CN">');
+  });
+
+  it('prints from a hidden frame and removes it afterwards', () => {
+    printNoteHtml('<!DOCTYPE html><p>hi</p>');
+    const frame = document.querySelector('iframe');
+    expect(frame.srcdoc).toContain('<p>hi</p>');
+
+    const print = vi.fn();
+    Object.defineProperty(frame.contentWindow, 'print', { value: print, configurable: true });
+    Object.defineProperty(frame.contentWindow, 'focus', { value: vi.fn(), configurable: true });
+    frame.onload();
+    expect(print).toHaveBeenCalled();
+
+    frame.contentWindow.dispatchEvent(new Event('afterprint'));
+    expect(document.querySelector('iframe')).toBeNull();
+  });
+});
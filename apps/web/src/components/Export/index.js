@@ -0,0 +1 @@
+export { default as NoteDocument, renderNoteHtml, printNoteHtml } from './NoteDocument';
@@ -18,12 +18,40 @@ import {
   Check,
   Loader2,
   HardDrive,
+  Paperclip,
+  Archive,
+  FolderInput,
+  Printer,
 } from 'lucide-react';
 import { useAppStore } from '../../store/useStore';
 import { useTranslation } from '../../utils/translations';
+import { getKdfProfileId } from '../../utils/crypto';
+import { MAX_ATTACHMENT_SIZE, inlineAttachmentImages } from '../../utils/attachments';
+import { getStorageManager } from '../../utils/storage';
+import { importNotebook, parseImport } from '../../utils/importers';
 import toast from 'react-hot-toast';
+import ArchiveDialog from '../Archive/ArchiveDialog';
+import { useAttachmentLoader } from '../Attachments/AttachmentProvider';
+import { printNoteHtml, renderNoteHtml } from '../Export/NoteDocument';
 
-const Header = ({ onLeave }) => {
+const KDF_OPTIONS = [
+  { id: 'pbkdf2', label: 'PBKDF2-SHA256 (600k)' },
+  { id: 'scrypt', label: 'scrypt (N=2^17)' },
+  { id: 'argon2id', label: 'Argon2id (64 MiB)' },
+];
+
+// 解密后的附件是 object URL，导出的文件里要换成 data URL 才能离开应用显示
+const objectUrlToDataUrl = async (objectUrl) => {
+  const blob = await (await fetch(objectUrl)).blob();
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(blob);
+  });
+};
+
+const Header = ({ onLeave, onChangeKdf, onAttachFile }) => {
   const {
     darkMode,
     toggleDarkMode,
@@ -43,14 +71,46 @@ const Header = ({ onLeave }) => {
     setWordWrap,
     autoSave,
     setAutoSave,
+    syncMode,
+    setSyncMode,
     storageType,
     storageInitialized,
+    uploadProgress,
+    notebooks,
+    activeNotebookId,
+    notes,
+    activeNoteId,
   } = useAppStore();
+  const loadAttachment = useAttachmentLoader();
 
   const t = useTranslation(lang);
   const [showSettings, setShowSettings] = useState(false);
   const [showLeaveConfirm, setShowLeaveConfirm] = useState(false);
   const [saveStatus] = useState('saved'); // 'saved' | 'saving' | 'error'
+  const [changingKdf, setChangingKdf] = useState(false);
+  const [attaching, setAttaching] = useState(false);
+  const [showArchive, setShowArchive] = useState(false);
+  const [importing, setImporting] = useState(false);
+  const [rendering, setRendering] = useState(false);
+
+  const activeNotebook = notebooks.find((notebook) => notebook.id === activeNotebookId);
+  const kdfProfileId = getKdfProfileId(activeNotebook?.kdf);
+
+  const handleKdfChange = async (profileId) => {
+    setChangingKdf(true);
+    try {
+      if (await onChangeKdf(profileId)) {
+        toast.success(t.kdfChanged);
+      } else {
+        toast.error(t.kdfChangeError);
+      }
+    } catch (error) {
+      console.error('Failed to change KDF profile:', error);
+      toast.error(t.kdfChangeError);
+    } finally {
+      setChangingKdf(false);
+    }
+  };
 
   const statusConfig = {
     connected: {
@@ -105,16 +165,119 @@ const Header = ({ onLeave }) => {
     toast.success(t.exportSuccess);
   };
 
+  // 用预览相同的 Markdown 渲染生成独立的 HTML：下载为文件，或打开打印对话框另存为 PDF
+  const handleExportRendered = async (target) => {
+    setRendering(true);
+    try {
+      const title = notes.find((entry) => entry.id === activeNoteId)?.title || 'note';
+      const content = loadAttachment
+        ? await inlineAttachmentImages(note, (url) => loadAttachment(url).then(objectUrlToDataUrl))
+        : note;
+
+      if (target === 'print') {
+        printNoteHtml(renderNoteHtml({ title, content, darkMode: false, lang }));
+        return;
+      }
+
+      const html = renderNoteHtml({ title, content, darkMode, lang });
+      const url = URL.createObjectURL(new Blob([html], { type: 'text/html;charset=utf-8' }));
+      const a = document.createElement('a');
+      a.href = url;
+      a.download = `${title.replace(/[\\/:*?"<>|]+/g, '_')}.html`;
+      a.click();
+      URL.revokeObjectURL(url);
+      toast.success(t.exportSuccess);
+    } catch (error) {
+      console.error('Failed to export note:', error);
+      toast.error(t.exportRenderError);
+    } finally {
+      setRendering(false);
+    }
+  };
+
+  // 其他笔记应用的导出（Obsidian、Joplin、Evernote）导入为新笔记本
+  const importAsNotebook = async (files) => {
+    setImporting(true);
+    const toastId = toast.loading(t.importingNotebook);
+    try {
+      const parsed = await parseImport(files);
+      if (parsed.notes.length === 0) {
+        toast.error(t.importUnsupported, { id: toastId });
+        return;
+      }
+
+      const storage = getStorageManager();
+      await storage.initialize();
+      const { notebook, count } = await importNotebook(parsed, { store: useAppStore, storage });
+      toast.success(t.importedNotebook.replace('{count}', count).replace('{name}', notebook.name), { id: toastId });
+      setShowSettings(false);
+    } catch (error) {
+      console.error('Failed to import notes:', error);
+      toast.error(error.message === 'Unsupported import format' ? t.importUnsupported : t.importError, { id: toastId });
+    } finally {
+      setImporting(false);
+    }
+  };
+
   const handleImport = () => {
     const input = document.createElement('input');
     input.type = 'file';
-    input.accept = '.txt,.md,.markdown';
+    input.accept = '.txt,.md,.markdown,.zip,.jex,.enex';
     input.onchange = async (e) => {
       const file = e.target.files?.[0];
-      if (file) {
+      if (!file) {
+        return;
+      }
+
+      // 单个 Markdown 或文本文件仍然导入到当前笔记
+      if (/\.(txt|md|markdown)$/i.test(file.name)) {
         const text = await file.text();
         setNote(text);
         toast.success(t.importSuccess);
+      } else {
+        importAsNotebook([file]);
+      }
+    };
+    input.click();
+  };
+
+  const handleImportFolder = () => {
+    const input = document.createElement('input');
+    input.type = 'file';
+    input.webkitdirectory = true;
+    input.onchange = (e) => {
+      const files = e.target.files;
+      if (files?.length) {
+        importAsNotebook(files);
+      }
+    };
+    input.click();
+  };
+
+  // 附件在本地加密后上传，笔记里只保存带密钥的引用
+  const handleAttach = () => {
+    const input = document.createElement('input');
+    input.type = 'file';
+    input.onchange = async (e) => {
+      const file = e.target.files?.[0];
+      if (!file) {
+        return;
+      }
+      if (file.size > MAX_ATTACHMENT_SIZE) {
+        toast.error(t.attachmentTooLarge);
+        return;
+      }
+
+      setAttaching(true);
+      const toastId = toast.loading(t.attachmentUploading);
+      try {
+        await onAttachFile(file);
+        toast.success(t.attachmentUploaded, { id: toastId });
+      } catch (error) {
+        console.error('Failed to attach file:', error);
+        toast.error(t.attachmentError, { id: toastId });
+      } finally {
+        setAttaching(false);
       }
     };
     input.click();
@@ -214,6 +377,21 @@ const Header = ({ onLeave }) => {
               </div>
             )}
 
+            {/* Upload Progress */}
+            {uploadProgress && (
+              <div
+                className="flex items-center gap-1.5 px-2 py-1 rounded-lg text-xs font-medium text-blue-500 bg-blue-500/10"
+                title={`${t.uploadProgress}: ${uploadProgress.sent}/${uploadProgress.total}`}
+                role="progressbar"
+                aria-valuemin={0}
+                aria-valuemax={uploadProgress.total}
+                aria-valuenow={uploadProgress.sent}
+              >
+                <Upload size={14} className="animate-pulse" />
+                <span>{Math.floor((uploadProgress.sent / uploadProgress.total) * 100)}%</span>
+              </div>
+            )}
+
             {/* Status */}
             <div className={`flex items-center gap-2 px-3 py-1.5 rounded-full text-sm font-medium ${currentStatus.color}`}>
               <StatusIcon size={16} />
@@ -390,12 +568,74 @@ const Header = ({ onLeave }) => {
                   </button>
                 </div>
 
+                {/* Sync Mode */}
+                <div className="flex items-center justify-between">
+                  <div>
+                    <label className={`text-sm font-medium ${
+                      darkMode ? 'text-slate-300' : 'text-slate-700'
+                    }`}>
+                      {t.crdtSync}
+                    </label>
+                    <p className={`text-xs ${
+                      darkMode ? 'text-slate-500' : 'text-slate-400'
+                    }`}>
+                      {t.crdtSyncHint}
+                    </p>
+                  </div>
+                  <button
+                    onClick={() => setSyncMode(syncMode === 'crdt' ? 'snapshot' : 'crdt')}
+                    className={`w-12 h-6 rounded-full transition-colors relative ${
+                      syncMode === 'crdt' ? 'bg-orange-500' : darkMode ? 'bg-slate-600' : 'bg-slate-300'
+                    }`}
+                  >
+                    <div className={`absolute top-1 w-4 h-4 rounded-full bg-white transition-transform ${
+                      syncMode === 'crdt' ? 'translate-x-7' : 'translate-x-1'
+                    }`} />
+                  </button>
+                </div>
+
+                {/* Key Derivation */}
+                {onChangeKdf && activeNotebook && (
+                  <div>
+                    <label htmlFor="kdf-profile" className={`block text-sm font-medium mb-2 ${
+                      darkMode ? 'text-slate-300' : 'text-slate-700'
+                    }`}>
+                      {t.kdfProfile}
+                    </label>
+                    <select
+                      id="kdf-profile"
+                      value={kdfProfileId}
+                      disabled={changingKdf}
+                      onChange={(e) => handleKdfChange(e.target.value)}
+                      className={`w-full rounded-lg p-2 text-sm border focus:ring-2 focus:ring-orange-500 focus:outline-none disabled:opacity-50 ${
+                        darkMode
+                          ? 'bg-slate-900 border-slate-700 text-slate-200'
+                          : 'bg-white border-slate-200 text-slate-700'
+                      }`}
+                    >
+                      {kdfProfileId === 'legacy' && (
+                        <option value="legacy" disabled>{t.kdfLegacy}</option>
+                      )}
+                      {KDF_OPTIONS.map((option) => (
+                        <option key={option.id} value={option.id}>{option.label}</option>
+                      ))}
+                    </select>
+                    <p className={`mt-1 text-xs ${
+                      darkMode ? 'text-slate-500' : 'text-slate-400'
+                    }`}>
+                      {t.kdfProfileHint}
+                    </p>
+                  </div>
+                )}
+
                 {/* Import/Export */}
                 <div className={`pt-4 border-t ${darkMode ? 'border-slate-700' : 'border-slate-200'}`}>
                   <div className="flex gap-2">
                     <button
                       onClick={handleImport}
-                      className={`flex-1 py-2 px-3 rounded-lg text-sm font-medium transition-colors flex items-center justify-center gap-2 ${
+                      disabled={importing}
+                      title={t.importFileHint}
+                      className={`flex-1 py-2 px-3 rounded-lg text-sm font-medium transition-colors flex items-center justify-center gap-2 disabled:opacity-50 ${
                         darkMode
                           ? 'bg-slate-700 text-slate-300 hover:bg-slate-600'
                           : 'bg-slate-100 text-slate-600 hover:bg-slate-200'
@@ -404,6 +644,21 @@ const Header = ({ onLeave }) => {
                       <Upload size={16} />
                       {t.importFile}
                     </button>
+                    {onAttachFile && (
+                      <button
+                        onClick={handleAttach}
+                        disabled={attaching}
+                        className={`flex-1 py-2 px-3 rounded-lg text-sm font-medium transition-colors flex items-center justify-center gap-2 disabled:opacity-50 ${
+                          darkMode
+                            ? 'bg-slate-700 text-slate-300 hover:bg-slate-600'
+                            : 'bg-slate-100 text-slate-600 hover:bg-slate-200'
+                        }`}
+                        title={t.attachFileHint}
+                      >
+                        {attaching ? <Loader2 size={16} className="animate-spin" /> : <Paperclip size={16} />}
+                        {t.attachFile}
+                      </button>
+                    )}
                     <button
                       onClick={() => handleExport('md')}
                       className={`flex-1 py-2 px-3 rounded-lg text-sm font-medium transition-colors flex items-center justify-center gap-2 ${
@@ -416,6 +671,62 @@ const Header = ({ onLeave }) => {
                       {t.exportFile}
                     </button>
                   </div>
+                  <div className="mt-2 flex gap-2">
+                    <button
+                      onClick={() => handleExportRendered('html')}
+                      disabled={rendering}
+                      className={`flex-1 py-2 px-3 rounded-lg text-sm font-medium transition-colors flex items-center justify-center gap-2 disabled:opacity-50 ${
+                        darkMode
+                          ? 'bg-slate-700 text-slate-300 hover:bg-slate-600'
+                          : 'bg-slate-100 text-slate-600 hover:bg-slate-200'
+                      }`}
+                      title={t.exportHtmlHint}
+                    >
+                      {rendering ? <Loader2 size={16} className="animate-spin" /> : <FileText size={16} />}
+                      {t.exportHtml}
+                    </button>
+                    <button
+                      onClick={() => handleExportRendered('print')}
+                      disabled={rendering}
+                      className={`flex-1 py-2 px-3 rounded-lg text-sm font-medium transition-colors flex items-center justify-center gap-2 disabled:opacity-50 ${
+                        darkMode
+                          ? 'bg-slate-700 text-slate-300 hover:bg-slate-600'
+                          : 'bg-slate-100 text-slate-600 hover:bg-slate-200'
+                      }`}
+                      title={t.exportPdfHint}
+                    >
+                      <Printer size={16} />
+                      {t.exportPdf}
+                    </button>
+                  </div>
+                  <button
+                    onClick={handleImportFolder}
+                    disabled={importing}
+                    className={`mt-2 w-full py-2 px-3 rounded-lg text-sm font-medium transition-colors flex items-center justify-center gap-2 disabled:opacity-50 ${
+                      darkMode
+                        ? 'bg-slate-700 text-slate-300 hover:bg-slate-600'
+                        : 'bg-slate-100 text-slate-600 hover:bg-slate-200'
+                    }`}
+                    title={t.importFolderHint}
+                  >
+                    {importing ? <Loader2 size={16} className="animate-spin" /> : <FolderInput size={16} />}
+                    {t.importFolder}
+                  </button>
+                  <button
+                    onClick={() => {
+                      setShowSettings(false);
+                      setShowArchive(true);
+                    }}
+                    className={`mt-2 w-full py-2 px-3 rounded-lg text-sm font-medium transition-colors flex items-center justify-center gap-2 ${
+                      darkMode
+                        ? 'bg-slate-700 text-slate-300 hover:bg-slate-600'
+                        : 'bg-slate-100 text-slate-600 hover:bg-slate-200'
+                    }`}
+                    title={t.notebookArchiveHint}
+                  >
+                    <Archive size={16} />
+                    {t.notebookArchive}
+                  </button>
                 </div>
               </div>
             </motion.div>
@@ -423,6 +734,9 @@ const Header = ({ onLeave }) => {
         )}
       </AnimatePresence>
 
+      {/* Notebook Archive */}
+      {showArchive && <ArchiveDialog onClose={() => setShowArchive(false)} />}
+
       {/* Leave Confirmation Modal */}
       <AnimatePresence>
         {showLeaveConfirm && (
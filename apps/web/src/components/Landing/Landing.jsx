@@ -12,6 +12,7 @@ import {
   Globe,
   Eye,
   EyeOff,
+  KeyRound,
 } from 'lucide-react';
 import { useAppStore } from '../../store/useStore';
 import { useTranslation } from '../../utils/translations';
@@ -31,6 +32,7 @@ const Landing = ({ onJoinChain }) => {
   
   const t = useTranslation(lang);
   const [inputMnemonic, setInputMnemonic] = useState('');
+  const [passphrase, setPassphrase] = useState('');
   const [showMnemonic, setShowMnemonic] = useState(false);
   const [isLoading, setIsLoading] = useState(false);
 
@@ -52,7 +54,7 @@ const Landing = ({ onJoinChain }) => {
       setMnemonic(newMnemonic);
       const autoName = deviceName.trim() || `Device-${Math.floor(Math.random() * 1000)}`;
       setDeviceName(autoName);
-      await onJoinChain(newMnemonic, autoName);
+      await onJoinChain(newMnemonic, autoName, passphrase);
     } catch (error) {
       console.error('Failed to start new chain:', error);
       toast.error(lang === 'zh' ? '创建同步链失败' : 'Failed to create sync chain');
@@ -78,7 +80,7 @@ const Landing = ({ onJoinChain }) => {
       const nameToUse = deviceName.trim() || `Device-${Math.floor(Math.random() * 1000)}`;
       setDeviceName(nameToUse);
       setMnemonic(inputMnemonic.trim());
-      await onJoinChain(inputMnemonic.trim(), nameToUse);
+      await onJoinChain(inputMnemonic.trim(), nameToUse, passphrase);
     } catch (error) {
       console.error('Failed to join chain:', error);
       toast.error(lang === 'zh' ? '加入同步链失败' : 'Failed to join sync chain');
@@ -199,6 +201,36 @@ const Landing = ({ onJoinChain }) => {
                 </div>
               </div>
 
+              {/* Optional Passphrase */}
+              <div>
+                <label htmlFor="chain-passphrase" className={`block text-xs font-bold uppercase mb-2 ${
+                  darkMode ? 'text-slate-500' : 'text-slate-400'
+                }`}>
+                  {t.passphraseLabel}
+                </label>
+                <div className="relative">
+                  <input
+                    id="chain-passphrase"
+                    type="password"
+                    autoComplete="off"
+                    placeholder={t.passphrasePlaceholder}
+                    value={passphrase}
+                    onChange={(e) => setPassphrase(e.target.value)}
+                    className={`w-full rounded-xl p-3.5 pl-11 text-sm transition-all focus:ring-2 focus:ring-orange-500 focus:outline-none ${
+                      darkMode
+                        ? 'bg-slate-900 border-slate-700 text-white placeholder-slate-500'
+                        : 'bg-slate-50 border-slate-200 text-slate-900 placeholder-slate-400'
+                    } border`}
+                  />
+                  <KeyRound size={18} className={`absolute left-3.5 top-1/2 -translate-y-1/2 ${
+                    darkMode ? 'text-slate-500' : 'text-slate-400'
+                  }`} />
+                </div>
+                <p className={`mt-1.5 text-xs ${darkMode ? 'text-slate-500' : 'text-slate-400'}`}>
+                  {t.passphraseHint}
+                </p>
+              </div>
+
               {/* Start New Chain */}
               <motion.button
                 whileHover={{ scale: 1.02 }}
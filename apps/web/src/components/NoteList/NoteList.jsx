@@ -5,15 +5,33 @@ import {
   Plus,
   Trash2,
   Edit3,
+  Folder,
   FolderOpen,
+  FolderPlus,
+  ChevronDown,
+  ChevronRight,
   Search,
   MoreHorizontal,
   Clock,
   Loader2,
   X,
+  Link2,
+  Tag,
 } from 'lucide-react';
+import toast from 'react-hot-toast';
 import { useAppStore } from '../../store/useStore';
+import { useTranslation } from '../../utils/translations';
+import { getStorageManager } from '../../utils/storage';
+import { isLinkableTitle } from '../../utils/wikiLinks';
+import { collectTags, hasTag, tagKey } from '../../utils/tags';
+import { buildFolderTree } from '../../utils/notebooks';
 import { SearchIndexProvider, useSearch } from '../Search/SearchIndexProvider';
+import ShareDialog from '../Share/ShareDialog';
+
+// Drag-and-drop payload types for moving notes and folders
+const NOTE_DRAG_TYPE = 'application/x-note-id';
+const FOLDER_DRAG_TYPE = 'application/x-folder-id';
+const ROOT_DROP_TARGET = 'root';
 
 /**
  * NoteListInner Component
@@ -28,15 +46,24 @@ const NoteListInner = () => {
     notebooks,
     activeNotebookId,
     addNote,
-    updateNote,
+    renameNote,
+    setNoteTags,
     removeNote,
     setActiveNoteId,
     addNotebook,
     updateNotebook,
     removeNotebook,
     setActiveNotebookId,
+    collapsedFolders,
+    addFolder,
+    renameFolder,
+    moveFolder,
+    removeFolder,
+    toggleFolderCollapsed,
+    moveNoteToFolder,
   } = useAppStore();
 
+  const t = useTranslation(lang);
   const { searchResults, isSearching, search, clearSearch } = useSearch();
 
   const [searchQuery, setSearchQuery] = useState('');
@@ -45,6 +72,12 @@ const NoteListInner = () => {
   const [showNotebookMenu, setShowNotebookMenu] = useState(false);
   const [editingNotebookId, setEditingNotebookId] = useState(null);
   const [editingNotebookName, setEditingNotebookName] = useState('');
+  const [sharingNote, setSharingNote] = useState(null);
+  const [activeTag, setActiveTag] = useState(null);
+  const [tagInput, setTagInput] = useState('');
+  const [editingFolderId, setEditingFolderId] = useState(null);
+  const [editingFolderName, setEditingFolderName] = useState('');
+  const [dropTargetId, setDropTargetId] = useState(null);
 
   // Handle search input with debounce
   const handleSearchChange = useCallback(
@@ -67,11 +100,23 @@ const NoteListInner = () => {
     clearSearch();
   }, [clearSearch]);
 
-  // Filter notes based on search query and active notebook
+  // Tags used in the active notebook, for the filter pane
+  const notebookTags = useMemo(
+    () => collectTags(notes.filter((note) => note.notebookId === activeNotebookId)),
+    [notes, activeNotebookId]
+  );
+
+  // A tag filter only applies while some note in the notebook still has the tag
+  const selectedTag = activeTag && notebookTags.some((tag) => tagKey(tag.name) === tagKey(activeTag))
+    ? activeTag
+    : null;
+
+  // Filter notes based on search query, selected tag and active notebook
   const filteredNotes = useMemo(() => {
     if (!activeNotebookId) {
       return [];
     }
+    const matchesTag = (note) => !selectedTag || hasTag(note, selectedTag);
 
     // If there's a search query and search results, use them
     if (searchQuery.trim() && searchResults.length > 0) {
@@ -83,7 +128,7 @@ const NoteListInner = () => {
       // Convert search results to notes format
       const resultNoteIds = new Set(notebookResults.map((r) => r.noteId));
       const matchedNotes = notes.filter(
-        (note) => resultNoteIds.has(note.id) && note.notebookId === activeNotebookId
+        (note) => resultNoteIds.has(note.id) && note.notebookId === activeNotebookId && matchesTag(note)
       );
 
       // Sort by last updated
@@ -91,7 +136,7 @@ const NoteListInner = () => {
     }
 
     // Otherwise, filter notes normally
-    let result = notes.filter((note) => note.notebookId === activeNotebookId);
+    let result = notes.filter((note) => note.notebookId === activeNotebookId && matchesTag(note));
 
     // Filter by simple search query (fallback)
     if (searchQuery.trim() && searchResults.length === 0) {
@@ -105,7 +150,7 @@ const NoteListInner = () => {
 
     // Sort by last updated
     return result.sort((a, b) => b.updatedAt - a.updatedAt);
-  }, [notes, activeNotebookId, searchQuery, searchResults]);
+  }, [notes, activeNotebookId, searchQuery, searchResults, selectedTag]);
 
   // Get notes count per notebook
   const notebookNoteCounts = useMemo(() => {
@@ -116,6 +161,29 @@ const NoteListInner = () => {
     return counts;
   }, [notes]);
 
+  const activeNotebook = notebooks.find((notebook) => notebook.id === activeNotebookId);
+  const folders = useMemo(() => activeNotebook?.folders || [], [activeNotebook]);
+  const folderTree = useMemo(() => buildFolderTree(folders), [folders]);
+
+  // Searching or filtering by tag shows a flat list; otherwise notes sit in their folders
+  const isFiltering = Boolean(searchQuery.trim() || selectedTag);
+
+  // Notes grouped by folder; notes whose folder no longer exists show at the top level
+  const notesByFolder = useMemo(() => {
+    const folderIds = new Set(folders.map((folder) => folder.id));
+    const groups = new Map();
+    filteredNotes.forEach((note) => {
+      const folderId = folderIds.has(note.folderId) ? note.folderId : null;
+      groups.set(folderId, [...(groups.get(folderId) || []), note]);
+    });
+    return groups;
+  }, [filteredNotes, folders]);
+
+  const countFolderNotes = ({ folder, children }) => children.reduce(
+    (count, child) => count + countFolderNotes(child),
+    (notesByFolder.get(folder.id) || []).length
+  );
+
   // Handle creating a new note
   const handleAddNote = () => {
     if (!activeNotebookId) {
@@ -129,15 +197,42 @@ const NoteListInner = () => {
     });
   };
 
+  const persistNotes = (noteIds) => {
+    if (noteIds.length === 0) {
+      return;
+    }
+    const save = async () => {
+      const storage = getStorageManager();
+      await storage.initialize();
+      const { notes: currentNotes } = useAppStore.getState();
+      for (const noteId of noteIds) {
+        const note = currentNotes.find((entry) => entry.id === noteId);
+        if (note) {
+          await storage.saveNote(note.notebookId, note);
+        }
+      }
+    };
+    save().catch((error) => {
+      console.error('Failed to save renamed notes:', error);
+    });
+  };
+
   // Handle note title edit
   const handleStartEditTitle = (note) => {
     setEditingNoteId(note.id);
     setEditingTitle(note.title);
   };
 
+  // Renaming also rewrites [[links]] to the note in the rest of the notebook,
+  // so every rewritten note is saved locally, not only the renamed one
   const handleSaveTitle = (noteId) => {
-    if (editingTitle.trim()) {
-      updateNote(noteId, { title: editingTitle.trim() });
+    const title = editingTitle.trim();
+    if (title && !isLinkableTitle(title)) {
+      toast.error(t.invalidNoteTitle);
+      return;
+    }
+    if (title) {
+      persistNotes(renameNote(noteId, title));
     }
     setEditingNoteId(null);
     setEditingTitle('');
@@ -148,6 +243,18 @@ const NoteListInner = () => {
     setEditingTitle('');
   };
 
+  // Tag editing on the active note
+  const handleAddTag = (note) => {
+    if (tagInput.trim()) {
+      setNoteTags(note.id, [...(note.tags || []), tagInput]);
+    }
+    setTagInput('');
+  };
+
+  const handleRemoveTag = (note, tag) => {
+    setNoteTags(note.id, (note.tags || []).filter((entry) => entry !== tag));
+  };
+
   // Handle note deletion
   const handleDeleteNote = (noteId) => {
     if (window.confirm(lang === 'zh' ? '确定要删除这个笔记吗？' : 'Are you sure you want to delete this note?')) {
@@ -155,6 +262,87 @@ const NoteListInner = () => {
     }
   };
 
+  // Folder operations
+  const handleAddFolder = (parentId = null) => {
+    if (!activeNotebookId) {
+      return;
+    }
+
+    const folder = addFolder(activeNotebookId, {
+      name: lang === 'zh' ? '新建文件夹' : 'New Folder',
+      parentId,
+    });
+    if (parentId && collapsedFolders.includes(parentId)) {
+      toggleFolderCollapsed(parentId);
+    }
+    setEditingFolderId(folder.id);
+    setEditingFolderName(folder.name);
+  };
+
+  const handleSaveFolderName = (folder) => {
+    const name = editingFolderName.trim();
+    if (name && name !== folder.name) {
+      renameFolder(activeNotebookId, folder.id, name);
+    }
+    setEditingFolderId(null);
+    setEditingFolderName('');
+  };
+
+  const handleDeleteFolder = (folder) => {
+    const confirmMsg = lang === 'zh'
+      ? `确定要删除文件夹"${folder.name}"吗？其中的笔记会移到上一级。`
+      : `Delete folder "${folder.name}"? Notes inside move up one level.`;
+
+    if (window.confirm(confirmMsg)) {
+      removeFolder(activeNotebookId, folder.id);
+    }
+  };
+
+  // Drag notes and folders onto a folder, or onto the list itself for the top level
+  const handleDragStart = (e, type, id) => {
+    e.stopPropagation();
+    e.dataTransfer.setData(type, id);
+    e.dataTransfer.effectAllowed = 'move';
+  };
+
+  const handleDragOver = (e, folderId) => {
+    const types = Array.from(e.dataTransfer?.types || []);
+    if (isFiltering || (!types.includes(NOTE_DRAG_TYPE) && !types.includes(FOLDER_DRAG_TYPE))) {
+      return;
+    }
+    e.preventDefault();
+    e.stopPropagation();
+    e.dataTransfer.dropEffect = 'move';
+    setDropTargetId(folderId || ROOT_DROP_TARGET);
+  };
+
+  const handleDragLeave = (e) => {
+    if (!e.currentTarget.contains(e.relatedTarget)) {
+      setDropTargetId(null);
+    }
+  };
+
+  const handleDrop = (e, folderId) => {
+    if (isFiltering) {
+      return;
+    }
+    e.preventDefault();
+    e.stopPropagation();
+    setDropTargetId(null);
+
+    const noteId = e.dataTransfer.getData(NOTE_DRAG_TYPE);
+    const draggedFolderId = e.dataTransfer.getData(FOLDER_DRAG_TYPE);
+    const note = notes.find((entry) => entry.id === noteId);
+    const draggedFolder = folders.find((folder) => folder.id === draggedFolderId);
+
+    if (note && (note.folderId || null) !== folderId) {
+      moveNoteToFolder(note.id, folderId);
+    } else if (draggedFolder && (draggedFolder.parentId || null) !== folderId) {
+      // Dropping a folder into itself or one of its subfolders is ignored
+      moveFolder(activeNotebookId, draggedFolder.id, folderId);
+    }
+  };
+
   // Handle notebook operations
   const handleAddNotebook = () => {
     addNotebook({
@@ -219,6 +407,286 @@ const NoteListInner = () => {
       : stripped;
   };
 
+  const renderNote = (note) => (
+    <motion.div
+      key={note.id}
+      layout
+      initial={{ opacity: 0, x: -10 }}
+      animate={{ opacity: 1, x: 0 }}
+      exit={{ opacity: 0, x: 10 }}
+      className={`group relative rounded-lg p-2 cursor-pointer transition-colors ${
+        activeNoteId === note.id
+          ? 'bg-orange-500 text-white'
+          : darkMode
+          ? 'hover:bg-slate-700 text-slate-200'
+          : 'hover:bg-slate-100 text-slate-700'
+      }`}
+      onClick={() => setActiveNoteId(note.id)}
+    >
+      {editingNoteId === note.id ? (
+        <input
+          type="text"
+          value={editingTitle}
+          onChange={(e) => setEditingTitle(e.target.value)}
+          onBlur={() => handleSaveTitle(note.id)}
+          onKeyDown={(e) => {
+            if (e.key === 'Enter') handleSaveTitle(note.id);
+            if (e.key === 'Escape') handleCancelEdit();
+          }}
+          className={`w-full px-1 py-0.5 rounded text-sm ${
+            darkMode ? 'bg-slate-600 text-white' : 'bg-white text-slate-900'
+          }`}
+          autoFocus
+          onClick={(e) => e.stopPropagation()}
+        />
+      ) : (
+        <div
+          draggable
+          onDragStart={(e) => handleDragStart(e, NOTE_DRAG_TYPE, note.id)}
+          onDragEnd={() => setDropTargetId(null)}
+        >
+          <div className="flex items-start justify-between gap-2">
+            <div className="flex-1 min-w-0">
+              <h4 className="font-medium text-sm truncate">{note.title}</h4>
+              <p
+                className={`text-xs mt-0.5 truncate ${
+                  activeNoteId === note.id
+                    ? 'text-white/70'
+                    : darkMode
+                    ? 'text-slate-400'
+                    : 'text-slate-500'
+                }`}
+              >
+                {truncateContent(note.content)}
+              </p>
+            </div>
+            <div className="hidden group-hover:flex items-center gap-1 shrink-0">
+              <button
+                onClick={(e) => {
+                  e.stopPropagation();
+                  handleStartEditTitle(note);
+                }}
+                className={`p-1 rounded ${
+                  activeNoteId === note.id
+                    ? 'hover:bg-white/20'
+                    : darkMode
+                    ? 'hover:bg-slate-600'
+                    : 'hover:bg-slate-200'
+                }`}
+              >
+                <Edit3 size={12} />
+              </button>
+              <button
+                onClick={(e) => {
+                  e.stopPropagation();
+                  setSharingNote(note);
+                }}
+                className={`p-1 rounded ${
+                  activeNoteId === note.id
+                    ? 'hover:bg-white/20'
+                    : darkMode
+                    ? 'hover:bg-slate-600'
+                    : 'hover:bg-slate-200'
+                }`}
+                title={lang === 'zh' ? '只读分享' : 'Share read-only'}
+                aria-label={lang === 'zh' ? '只读分享' : 'Share read-only'}
+              >
+                <Link2 size={12} />
+              </button>
+              <button
+                onClick={(e) => {
+                  e.stopPropagation();
+                  handleDeleteNote(note.id);
+                }}
+                className={`p-1 rounded ${
+                  activeNoteId === note.id
+                    ? 'hover:bg-white/20'
+                    : darkMode
+                    ? 'hover:bg-slate-600'
+                    : 'hover:bg-slate-200'
+                }`}
+              >
+                <Trash2 size={12} />
+              </button>
+            </div>
+          </div>
+          <div
+            className={`flex items-center gap-1 mt-1 text-xs ${
+              activeNoteId === note.id
+                ? 'text-white/50'
+                : darkMode
+                ? 'text-slate-500'
+                : 'text-slate-400'
+            }`}
+          >
+            <Clock size={10} />
+            <span>{formatRelativeTime(note.updatedAt)}</span>
+          </div>
+          {/* Tags: editable on the active note */}
+          {(activeNoteId === note.id || note.tags?.length > 0) && (
+            <div className="flex flex-wrap items-center gap-1 mt-1">
+              {(note.tags || []).map((tag) => (
+                <span
+                  key={tag}
+                  className={`flex items-center gap-0.5 px-1.5 py-0.5 rounded-full text-[10px] ${
+                    activeNoteId === note.id
+                      ? 'bg-white/20 text-white'
+                      : darkMode
+                      ? 'bg-slate-700 text-slate-300'
+                      : 'bg-slate-200 text-slate-600'
+                  }`}
+                >
+                  #{tag}
+                  {activeNoteId === note.id && (
+                    <button
+                      onClick={(e) => {
+                        e.stopPropagation();
+                        handleRemoveTag(note, tag);
+                      }}
+                      className="hover:text-white/70"
+                      aria-label={lang === 'zh' ? `移除标签 ${tag}` : `Remove tag ${tag}`}
+                    >
+                      <X size={10} />
+                    </button>
+                  )}
+                </span>
+              ))}
+              {activeNoteId === note.id && (
+                <input
+                  type="text"
+                  value={tagInput}
+                  onChange={(e) => setTagInput(e.target.value)}
+                  onKeyDown={(e) => {
+                    if (e.key === 'Enter' || e.key === ',') {
+                      e.preventDefault();
+                      handleAddTag(note);
+                    }
+                    if (e.key === 'Escape') setTagInput('');
+                  }}
+                  onBlur={() => handleAddTag(note)}
+                  onClick={(e) => e.stopPropagation()}
+                  placeholder={lang === 'zh' ? '添加标签' : 'Add tag'}
+                  aria-label={lang === 'zh' ? '添加标签' : 'Add tag'}
+                  className="flex-1 min-w-[4rem] px-1 py-0.5 rounded text-[10px] bg-white/20 text-white placeholder-white/60 focus:outline-none focus:bg-white/30"
+                />
+              )}
+            </div>
+          )}
+        </div>
+      )}
+    </motion.div>
+  );
+
+  const folderActionClass = `p-0.5 rounded ${darkMode ? 'hover:bg-slate-600' : 'hover:bg-slate-200'}`;
+
+  const renderFolder = (node) => {
+    const { folder, children } = node;
+    const collapsed = collapsedFolders.includes(folder.id);
+
+    return (
+      <div key={folder.id} role="group" aria-label={folder.name}>
+        <div
+          draggable={editingFolderId !== folder.id}
+          onDragStart={(e) => handleDragStart(e, FOLDER_DRAG_TYPE, folder.id)}
+          onDragEnd={() => setDropTargetId(null)}
+          onDragOver={(e) => handleDragOver(e, folder.id)}
+          onDragLeave={handleDragLeave}
+          onDrop={(e) => handleDrop(e, folder.id)}
+          className={`group flex items-center gap-1 px-1 py-1.5 rounded-lg text-sm transition-colors ${
+            dropTargetId === folder.id
+              ? 'ring-2 ring-orange-500 bg-orange-500/10'
+              : ''
+          } ${
+            darkMode ? 'text-slate-200 hover:bg-slate-700' : 'text-slate-700 hover:bg-slate-100'
+          }`}
+        >
+          {editingFolderId === folder.id ? (
+            <input
+              type="text"
+              value={editingFolderName}
+              onChange={(e) => setEditingFolderName(e.target.value)}
+              onBlur={() => handleSaveFolderName(folder)}
+              onKeyDown={(e) => {
+                if (e.key === 'Enter') handleSaveFolderName(folder);
+                if (e.key === 'Escape') {
+                  setEditingFolderId(null);
+                  setEditingFolderName('');
+                }
+              }}
+              aria-label={lang === 'zh' ? '文件夹名称' : 'Folder name'}
+              className={`flex-1 px-1 py-0.5 rounded text-sm ${
+                darkMode ? 'bg-slate-600 text-white' : 'bg-white text-slate-900'
+              }`}
+              autoFocus
+            />
+          ) : (
+            <>
+              <button
+                onClick={() => toggleFolderCollapsed(folder.id)}
+                aria-expanded={!collapsed}
+                className="flex items-center gap-1 flex-1 min-w-0"
+              >
+                {collapsed ? <ChevronRight size={14} /> : <ChevronDown size={14} />}
+                {collapsed ? <Folder size={14} /> : <FolderOpen size={14} />}
+                <span className="truncate">{folder.name}</span>
+                <span className={`ml-auto text-xs ${darkMode ? 'text-slate-400' : 'text-slate-500'}`}>
+                  {countFolderNotes(node)}
+                </span>
+              </button>
+              <div className="hidden group-hover:flex items-center gap-1">
+                <button
+                  onClick={() => handleAddFolder(folder.id)}
+                  className={folderActionClass}
+                  title={lang === 'zh' ? '新建子文件夹' : 'New subfolder'}
+                  aria-label={lang === 'zh' ? '新建子文件夹' : 'New subfolder'}
+                >
+                  <FolderPlus size={12} />
+                </button>
+                <button
+                  onClick={() => {
+                    setEditingFolderId(folder.id);
+                    setEditingFolderName(folder.name);
+                  }}
+                  className={folderActionClass}
+                  title={lang === 'zh' ? '重命名文件夹' : 'Rename folder'}
+                  aria-label={lang === 'zh' ? '重命名文件夹' : 'Rename folder'}
+                >
+                  <Edit3 size={12} />
+                </button>
+                <button
+                  onClick={() => handleDeleteFolder(folder)}
+                  className={folderActionClass}
+                  title={lang === 'zh' ? '删除文件夹' : 'Delete folder'}
+                  aria-label={lang === 'zh' ? '删除文件夹' : 'Delete folder'}
+                >
+                  <Trash2 size={12} />
+                </button>
+              </div>
+            </>
+          )}
+        </div>
+        {!collapsed && (
+          <div
+            onDragOver={(e) => handleDragOver(e, folder.id)}
+            onDragLeave={handleDragLeave}
+            onDrop={(e) => handleDrop(e, folder.id)}
+            className={`ml-3 pl-1 space-y-1 border-l ${darkMode ? 'border-slate-700' : 'border-slate-200'}`}
+          >
+            {children.map(renderFolder)}
+            {(notesByFolder.get(folder.id) || []).map(renderNote)}
+          </div>
+        )}
+      </div>
+    );
+  };
+
+  // Flat results while filtering, otherwise folders first and then top-level notes
+  const renderNoteTree = () => (
+    isFiltering
+      ? filteredNotes.map(renderNote)
+      : [...folderTree.map(renderFolder), ...(notesByFolder.get(null) || []).map(renderNote)]
+  );
+
   return (
     <div className={`h-full flex flex-col ${darkMode ? 'bg-slate-800' : 'bg-white'}`}>
       {/* Search Bar */}
@@ -232,7 +700,7 @@ const NoteListInner = () => {
           />
           <input
             type="text"
-            placeholder={lang === 'zh' ? '搜索笔记...' : 'Search notes...'}
+            placeholder={lang === 'zh' ? '搜索笔记或 tag:标签...' : 'Search notes or tag:name...'}
             value={searchQuery}
             onChange={handleSearchChange}
             className={`w-full pl-9 pr-16 py-2 rounded-lg text-sm transition-all ${
@@ -389,6 +857,52 @@ const NoteListInner = () => {
         </div>
       </div>
 
+      {/* Tag Filter */}
+      {notebookTags.length > 0 && (
+        <div className="p-3 border-b border-slate-200 dark:border-slate-700">
+          <div className="flex items-center justify-between mb-2">
+            <span
+              className={`text-xs font-semibold uppercase ${
+                darkMode ? 'text-slate-400' : 'text-slate-500'
+              }`}
+            >
+              {lang === 'zh' ? '标签' : 'Tags'}
+            </span>
+            {selectedTag && (
+              <button
+                onClick={() => setActiveTag(null)}
+                className={`text-xs ${darkMode ? 'text-slate-400 hover:text-slate-200' : 'text-slate-500 hover:text-slate-700'}`}
+              >
+                {lang === 'zh' ? '清除' : 'Clear'}
+              </button>
+            )}
+          </div>
+          <div className="flex flex-wrap gap-1 max-h-24 overflow-y-auto">
+            {notebookTags.map((tag) => {
+              const selected = selectedTag && tagKey(selectedTag) === tagKey(tag.name);
+              return (
+                <button
+                  key={tag.name}
+                  onClick={() => setActiveTag(selected ? null : tag.name)}
+                  aria-pressed={Boolean(selected)}
+                  className={`flex items-center gap-1 px-2 py-0.5 rounded-full text-xs transition-colors ${
+                    selected
+                      ? 'bg-orange-500 text-white'
+                      : darkMode
+                      ? 'bg-slate-700 text-slate-300 hover:bg-slate-600'
+                      : 'bg-slate-100 text-slate-600 hover:bg-slate-200'
+                  }`}
+                >
+                  <Tag size={10} />
+                  {tag.name}
+                  <span className={selected ? 'text-white/70' : 'opacity-60'}>{tag.count}</span>
+                </button>
+              );
+            })}
+          </div>
+        </div>
+      )}
+
       {/* Notes List */}
       <div className="flex-1 overflow-y-auto">
         <div className="p-3">
@@ -400,20 +914,40 @@ const NoteListInner = () => {
             >
               {lang === 'zh' ? '笔记' : 'Notes'}
             </span>
-            <button
-              onClick={handleAddNote}
-              disabled={!activeNotebookId}
-              className="flex items-center gap-1 px-2 py-1 text-xs bg-orange-500 text-white rounded-lg hover:bg-orange-600 transition-colors"
-            >
-              <Plus size={12} />
-              {lang === 'zh' ? '新建' : 'New'}
-            </button>
+            <div className="flex items-center gap-1">
+              <button
+                onClick={() => handleAddFolder()}
+                disabled={!activeNotebookId}
+                className={`p-1 rounded ${
+                  darkMode ? 'text-slate-400 hover:bg-slate-700' : 'text-slate-500 hover:bg-slate-200'
+                }`}
+                title={lang === 'zh' ? '新建文件夹' : 'New folder'}
+                aria-label={lang === 'zh' ? '新建文件夹' : 'New folder'}
+              >
+                <FolderPlus size={14} />
+              </button>
+              <button
+                onClick={handleAddNote}
+                disabled={!activeNotebookId}
+                className="flex items-center gap-1 px-2 py-1 text-xs bg-orange-500 text-white rounded-lg hover:bg-orange-600 transition-colors"
+              >
+                <Plus size={12} />
+                {lang === 'zh' ? '新建' : 'New'}
+              </button>
+            </div>
           </div>
 
-          {/* Note Items */}
-          <div className="space-y-1">
+          {/* Note Items; dropping on the list itself moves to the top level */}
+          <div
+            onDragOver={(e) => handleDragOver(e, null)}
+            onDragLeave={handleDragLeave}
+            onDrop={(e) => handleDrop(e, null)}
+            className={`space-y-1 min-h-[2rem] rounded-lg ${
+              dropTargetId === ROOT_DROP_TARGET ? 'ring-2 ring-orange-500/50' : ''
+            }`}
+          >
             <AnimatePresence mode="popLayout">
-              {filteredNotes.length === 0 ? (
+              {filteredNotes.length === 0 && (isFiltering || folderTree.length === 0) ? (
                 <motion.div
                   initial={{ opacity: 0 }}
                   animate={{ opacity: 1 }}
@@ -431,7 +965,7 @@ const NoteListInner = () => {
                       ? lang === 'zh'
                         ? '请选择一个笔记本'
                         : 'Select a notebook'
-                      : searchQuery
+                      : searchQuery || selectedTag
                       ? lang === 'zh'
                         ? '未找到匹配的笔记'
                         : 'No matching notes found'
@@ -441,109 +975,16 @@ const NoteListInner = () => {
                   </p>
                 </motion.div>
               ) : (
-                filteredNotes.map((note) => (
-                  <motion.div
-                    key={note.id}
-                    layout
-                    initial={{ opacity: 0, x: -10 }}
-                    animate={{ opacity: 1, x: 0 }}
-                    exit={{ opacity: 0, x: 10 }}
-                    className={`group relative rounded-lg p-2 cursor-pointer transition-colors ${
-                      activeNoteId === note.id
-                        ? 'bg-orange-500 text-white'
-                        : darkMode
-                        ? 'hover:bg-slate-700 text-slate-200'
-                        : 'hover:bg-slate-100 text-slate-700'
-                    }`}
-                    onClick={() => setActiveNoteId(note.id)}
-                  >
-                    {editingNoteId === note.id ? (
-                      <input
-                        type="text"
-                        value={editingTitle}
-                        onChange={(e) => setEditingTitle(e.target.value)}
-                        onBlur={() => handleSaveTitle(note.id)}
-                        onKeyDown={(e) => {
-                          if (e.key === 'Enter') handleSaveTitle(note.id);
-                          if (e.key === 'Escape') handleCancelEdit();
-                        }}
-                        className={`w-full px-1 py-0.5 rounded text-sm ${
-                          darkMode ? 'bg-slate-600 text-white' : 'bg-white text-slate-900'
-                        }`}
-                        autoFocus
-                        onClick={(e) => e.stopPropagation()}
-                      />
-                    ) : (
-                      <>
-                        <div className="flex items-start justify-between gap-2">
-                          <div className="flex-1 min-w-0">
-                            <h4 className="font-medium text-sm truncate">{note.title}</h4>
-                            <p
-                              className={`text-xs mt-0.5 truncate ${
-                                activeNoteId === note.id
-                                  ? 'text-white/70'
-                                  : darkMode
-                                  ? 'text-slate-400'
-                                  : 'text-slate-500'
-                              }`}
-                            >
-                              {truncateContent(note.content)}
-                            </p>
-                          </div>
-                          <div className="hidden group-hover:flex items-center gap-1 shrink-0">
-                            <button
-                              onClick={(e) => {
-                                e.stopPropagation();
-                                handleStartEditTitle(note);
-                              }}
-                              className={`p-1 rounded ${
-                                activeNoteId === note.id
-                                  ? 'hover:bg-white/20'
-                                  : darkMode
-                                  ? 'hover:bg-slate-600'
-                                  : 'hover:bg-slate-200'
-                              }`}
-                            >
-                              <Edit3 size={12} />
-                            </button>
-                            <button
-                              onClick={(e) => {
-                                e.stopPropagation();
-                                handleDeleteNote(note.id);
-                              }}
-                              className={`p-1 rounded ${
-                                activeNoteId === note.id
-                                  ? 'hover:bg-white/20'
-                                  : darkMode
-                                  ? 'hover:bg-slate-600'
-                                  : 'hover:bg-slate-200'
-                              }`}
-                            >
-                              <Trash2 size={12} />
-                            </button>
-                          </div>
-                        </div>
-                        <div
-                          className={`flex items-center gap-1 mt-1 text-xs ${
-                            activeNoteId === note.id
-                              ? 'text-white/50'
-                              : darkMode
-                              ? 'text-slate-500'
-                              : 'text-slate-400'
-                          }`}
-                        >
-                          <Clock size={10} />
-                          <span>{formatRelativeTime(note.updatedAt)}</span>
-                        </div>
-                      </>
-                    )}
-                  </motion.div>
-                ))
+                renderNoteTree()
               )}
             </AnimatePresence>
           </div>
         </div>
       </div>
+
+      {sharingNote && (
+        <ShareDialog note={sharingNote} onClose={() => setSharingNote(null)} />
+      )}
     </div>
   );
 };
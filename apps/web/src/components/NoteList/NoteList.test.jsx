@@ -1,7 +1,8 @@
 import { describe, expect, it } from 'vitest';
-import { render, screen } from '@testing-library/react';
+import { fireEvent, render, screen, waitFor, within } from '@testing-library/react';
 import NoteList from './NoteList';
 import { useAppStore } from '../../store/useStore';
+import { getStorageManager } from '../../utils/storage';
 
 describe('NoteList', () => {
   it('keeps note creation scoped to an active notebook', () => {
@@ -19,4 +20,142 @@ describe('NoteList', () => {
     expect(screen.queryByText('All Notes')).toBeNull();
     expect(screen.getByRole('button', { name: 'New' })).toHaveProperty('disabled', true);
   });
+
+  it('filters notes by tag and edits tags on the active note', async () => {
+    useAppStore.setState({
+      darkMode: true,
+      lang: 'en',
+      notebooks: [{ id: 'nb-1', name: 'Work' }],
+      activeNotebookId: 'nb-1',
+      activeNoteId: 'note-1',
+      notes: [
+        { id: 'note-1', notebookId: 'nb-1', title: 'Roadmap', content: '', tags: ['work'], version: 1, updatedAt: 2 },
+        { id: 'note-2', notebookId: 'nb-1', title: 'Groceries', content: '', tags: ['home'], version: 1, updatedAt: 1 },
+      ],
+    });
+
+    render(<NoteList />);
+
+    fireEvent.click(screen.getByRole('button', { name: /home/ }));
+    // Filtered-out notes leave after their exit animation
+    await waitFor(() => expect(screen.queryByText('Roadmap')).toBeNull());
+    expect(screen.getByText('Groceries')).not.toBeNull();
+
+    fireEvent.click(screen.getByRole('button', { name: 'Clear' }));
+    expect(screen.getByText('Roadmap')).not.toBeNull();
+
+    const input = screen.getByRole('textbox', { name: 'Add tag' });
+    fireEvent.change(input, { target: { value: '#Planning' } });
+    fireEvent.keyDown(input, { key: 'Enter' });
+    expect(useAppStore.getState().notes[0].tags).toEqual(['work', 'Planning']);
+
+    fireEvent.click(screen.getByRole('button', { name: 'Remove tag work' }));
+    expect(useAppStore.getState().notes[0].tags).toEqual(['Planning']);
+
+    const tagPane = screen.getByText('Tags').parentElement.parentElement;
+    expect(within(tagPane).getAllByRole('button').map((button) => button.textContent)).toEqual(['home1', 'Planning1']);
+  });
+
+  it('shows notes inside collapsible folders and moves them by drag and drop', async () => {
+    const dataTransfer = () => {
+      const data = {};
+      return {
+        get types() { return Object.keys(data); },
+        setData: (type, value) => { data[type] = value; },
+        getData: (type) => data[type] || '',
+      };
+    };
+
+    useAppStore.setState({
+      darkMode: true,
+      lang: 'en',
+      collapsedFolders: [],
+      notebooks: [{
+        id: 'nb-1',
+        name: 'Work',
+        folders: [
+          { id: 'f-projects', name: 'Projects', parentId: null, updatedAt: 1 },
+          { id: 'f-specs', name: 'Specs', parentId: 'f-projects', updatedAt: 1 },
+        ],
+      }],
+      activeNotebookId: 'nb-1',
+      activeNoteId: null,
+      notes: [
+        { id: 'note-1', notebookId: 'nb-1', title: 'Roadmap', content: '', tags: [], folderId: 'f-specs', version: 1, updatedAt: 2 },
+        { id: 'note-2', notebookId: 'nb-1', title: 'Groceries', content: '', tags: [], folderId: null, version: 1, updatedAt: 1 },
+      ],
+    });
+
+    render(<NoteList />);
+
+    const projects = screen.getByRole('group', { name: 'Projects' });
+    expect(within(projects).getByText('Roadmap')).not.toBeNull();
+    expect(within(projects).queryByText('Groceries')).toBeNull();
+
+    // Collapsing a folder hides everything below it
+    fireEvent.click(screen.getByRole('button', { name: /Projects/, expanded: true }));
+    expect(useAppStore.getState().collapsedFolders).toEqual(['f-projects']);
+    expect(screen.queryByText('Roadmap')).toBeNull();
+    fireEvent.click(screen.getByRole('button', { name: /Projects/, expanded: false }));
+
+    // Drag a top-level note into Specs
+    const transfer = dataTransfer();
+    fireEvent.dragStart(screen.getByText('Groceries'), { dataTransfer: transfer });
+    const specsRow = screen.getByRole('button', { name: /Specs/ }).parentElement;
+    fireEvent.dragOver(specsRow, { dataTransfer: transfer });
+    fireEvent.drop(specsRow, { dataTransfer: transfer });
+    expect(useAppStore.getState().notes.find((note) => note.id === 'note-2')).toMatchObject({ folderId: 'f-specs', version: 2 });
+
+    // Dropping Projects into its own subfolder is ignored; Specs can move to the top level
+    const folderTransfer = dataTransfer();
+    fireEvent.dragStart(screen.getByRole('button', { name: /Projects/ }).parentElement, { dataTransfer: folderTransfer });
+    fireEvent.drop(specsRow, { dataTransfer: folderTransfer });
+    expect(useAppStore.getState().notebooks[0].folders[0].parentId).toBe(null);
+
+    const specsTransfer = dataTransfer();
+    fireEvent.dragStart(specsRow, { dataTransfer: specsTransfer });
+    fireEvent.drop(screen.getByText('Notes').parentElement.nextElementSibling, { dataTransfer: specsTransfer });
+    expect(useAppStore.getState().notebooks[0].folders[1].parentId).toBe(null);
+    await waitFor(() => expect(screen.getAllByRole('group').map((group) => group.getAttribute('aria-label'))).toEqual(['Projects', 'Specs']));
+  });
+
+  it('saves every note whose links a rename rewrote', async () => {
+    useAppStore.setState({
+      darkMode: true,
+      lang: 'en',
+      collapsedFolders: [],
+      notebooks: [{ id: 'nb-1', name: 'Work', folders: [] }],
+      activeNotebookId: 'nb-1',
+      activeNoteId: 'plan',
+      notes: [
+        { id: 'plan', notebookId: 'nb-1', title: 'Plan', content: '', tags: [], version: 1, updatedAt: 2 },
+        { id: 'meeting', notebookId: 'nb-1', title: 'Meeting', content: 'See [[Plan]]', tags: [], version: 1, updatedAt: 1 },
+      ],
+    });
+
+    render(<NoteList />);
+
+    const startRename = () => {
+      const item = screen.getByText('Plan').closest('[draggable]');
+      fireEvent.click(within(item).getAllByRole('button')[0]);
+      return screen.getByDisplayValue('Plan');
+    };
+
+    // A title that would break [[links]] keeps the editor open and changes nothing
+    let input = startRename();
+    fireEvent.change(input, { target: { value: 'Plan | Q3' } });
+    fireEvent.keyDown(input, { key: 'Enter' });
+    expect(useAppStore.getState().notes[0].title).toBe('Plan');
+    fireEvent.keyDown(input, { key: 'Escape' });
+
+    input = startRename();
+    fireEvent.change(input, { target: { value: 'Roadmap' } });
+    fireEvent.keyDown(input, { key: 'Enter' });
+
+    const storage = getStorageManager();
+    await waitFor(async () => {
+      expect((await storage.getNote('nb-1', 'meeting'))?.content).toBe('See [[Roadmap]]');
+    });
+    expect((await storage.getNote('nb-1', 'plan')).title).toBe('Roadmap');
+  });
 });
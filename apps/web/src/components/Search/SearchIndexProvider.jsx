@@ -17,8 +17,8 @@ export function SearchIndexProvider({ children, notes }) {
   const [searchResults, setSearchResults] = useState([]);
   const [isSearching, setIsSearching] = useState(false);
 
-  // Track indexed note IDs to avoid re-indexing
-  const indexedNoteIdsRef = useRef(new Set());
+  // Track the indexed version of each note (noteId -> note object) so only changed notes are re-indexed
+  const indexedNotesRef = useRef(new Map());
 
   // Initialize search index
   useEffect(() => {
@@ -44,14 +44,14 @@ export function SearchIndexProvider({ children, notes }) {
       setIsIndexing(true);
 
       try {
-        // Find notes to add (new notes)
+        // Find notes to add (new or updated notes; the store replaces a note object when it changes)
         const notesToAdd = notes.filter(
-          (note) => !indexedNoteIdsRef.current.has(note.id)
+          (note) => indexedNotesRef.current.get(note.id) !== note
         );
 
         // Find notes to remove (deleted notes)
         const currentNoteIds = new Set(notes.map((n) => n.id));
-        const notesToRemove = Array.from(indexedNoteIdsRef.current).filter(
+        const notesToRemove = Array.from(indexedNotesRef.current.keys()).filter(
           (id) => !currentNoteIds.has(id)
         );
 
@@ -61,15 +61,16 @@ export function SearchIndexProvider({ children, notes }) {
             note.id,
             note.title || '',
             note.content || '',
-            note.notebookId
+            note.notebookId,
+            note.tags
           );
-          indexedNoteIdsRef.current.add(note.id);
+          indexedNotesRef.current.set(note.id, note);
         }
 
         // Remove deleted notes from index
         for (const noteId of notesToRemove) {
           searchIndex.removeNote(noteId);
-          indexedNoteIdsRef.current.delete(noteId);
+          indexedNotesRef.current.delete(noteId);
         }
       } catch (error) {
         console.error('Failed to update search index:', error);
@@ -0,0 +1,170 @@
+import React, { useState } from 'react';
+import { motion, AnimatePresence } from 'framer-motion';
+import { X, Link2, Copy, Check, Loader2 } from 'lucide-react';
+import toast from 'react-hot-toast';
+import { useAppStore } from '../../store/useStore';
+import { useTranslation } from '../../utils/translations';
+import { createShareLink, SHARE_EXPIRY_OPTIONS } from '../../utils/share';
+
+const EXPIRY_LABEL_KEYS = {
+  '1h': 'shareExpiry1h',
+  '1d': 'shareExpiry1d',
+  '7d': 'shareExpiry7d',
+  '30d': 'shareExpiry30d',
+};
+
+/**
+ * 为单条笔记创建只读分享链接
+ */
+const ShareDialog = ({ note, onClose }) => {
+  const { darkMode, lang } = useAppStore();
+  const t = useTranslation(lang);
+  const [expiryId, setExpiryId] = useState('7d');
+  const [burnAfterReading, setBurnAfterReading] = useState(false);
+  const [creating, setCreating] = useState(false);
+  const [link, setLink] = useState(null);
+  const [copied, setCopied] = useState(false);
+
+  const handleCreate = async () => {
+    const { expiresIn } = SHARE_EXPIRY_OPTIONS.find((option) => option.id === expiryId);
+    setCreating(true);
+    try {
+      setLink(await createShareLink(note, { expiresIn, burnAfterReading }));
+    } catch (error) {
+      console.error('Failed to create share link:', error);
+      toast.error(t.shareLinkError);
+    } finally {
+      setCreating(false);
+    }
+  };
+
+  const handleCopy = async () => {
+    await navigator.clipboard.writeText(link.url);
+    setCopied(true);
+    toast.success(t.shareLinkCopied);
+    setTimeout(() => setCopied(false), 2000);
+  };
+
+  return (
+    <AnimatePresence>
+      <motion.div
+        initial={{ opacity: 0 }}
+        animate={{ opacity: 1 }}
+        exit={{ opacity: 0 }}
+        className="fixed inset-0 z-50 flex items-center justify-center p-4 bg-black/50"
+        onClick={onClose}
+      >
+        <motion.div
+          initial={{ scale: 0.95, opacity: 0 }}
+          animate={{ scale: 1, opacity: 1 }}
+          exit={{ scale: 0.95, opacity: 0 }}
+          className={`w-full max-w-md rounded-2xl shadow-2xl overflow-hidden ${
+            darkMode ? 'bg-slate-800 text-white' : 'bg-white text-slate-900'
+          }`}
+          onClick={(e) => e.stopPropagation()}
+          role="dialog"
+          aria-label={t.shareNote}
+        >
+          <div className={`flex items-center justify-between p-4 border-b ${
+            darkMode ? 'border-slate-700' : 'border-slate-200'
+          }`}>
+            <h2 className="text-lg font-bold flex items-center gap-2">
+              <Link2 size={18} className="text-orange-500" />
+              {t.shareNote}
+            </h2>
+            <button
+              onClick={onClose}
+              className={`p-1.5 rounded-lg transition-colors ${
+                darkMode ? 'hover:bg-slate-700' : 'hover:bg-slate-100'
+              }`}
+              aria-label={t.cancel}
+            >
+              <X size={20} />
+            </button>
+          </div>
+
+          <div className="p-4 space-y-4">
+            <p className="text-sm font-medium truncate">{note.title}</p>
+            <p className={`text-xs ${darkMode ? 'text-slate-400' : 'text-slate-500'}`}>
+              {t.shareNoteHint}
+            </p>
+
+            {link ? (
+              <div className="flex gap-2">
+                <input
+                  type="text"
+                  readOnly
+                  value={link.url}
+                  onFocus={(e) => e.target.select()}
+                  className={`flex-1 min-w-0 px-3 py-2 rounded-lg text-xs font-mono ${
+                    darkMode ? 'bg-slate-700 text-slate-200' : 'bg-slate-100 text-slate-700'
+                  }`}
+                />
+                <button
+                  onClick={handleCopy}
+                  className="px-3 py-2 rounded-lg text-sm font-medium bg-orange-500 text-white hover:bg-orange-600 flex items-center gap-1"
+                >
+                  {copied ? <Check size={16} /> : <Copy size={16} />}
+                  {t.copyLink}
+                </button>
+              </div>
+            ) : (
+              <>
+                <div>
+                  <label
+                    htmlFor="share-expiry"
+                    className={`block text-sm font-medium mb-2 ${
+                      darkMode ? 'text-slate-300' : 'text-slate-700'
+                    }`}
+                  >
+                    {t.shareExpiry}
+                  </label>
+                  <select
+                    id="share-expiry"
+                    value={expiryId}
+                    onChange={(e) => setExpiryId(e.target.value)}
+                    className={`w-full px-3 py-2 rounded-lg text-sm ${
+                      darkMode ? 'bg-slate-700 text-white' : 'bg-slate-100 text-slate-900'
+                    }`}
+                  >
+                    {SHARE_EXPIRY_OPTIONS.map((option) => (
+                      <option key={option.id} value={option.id}>
+                        {t[EXPIRY_LABEL_KEYS[option.id]]}
+                      </option>
+                    ))}
+                  </select>
+                </div>
+                <label className="flex items-start gap-2 text-sm cursor-pointer">
+                  <input
+                    type="checkbox"
+                    checked={burnAfterReading}
+                    onChange={(e) => setBurnAfterReading(e.target.checked)}
+                    className="mt-0.5 accent-orange-500"
+                  />
+                  <span>
+                    <span className={`font-medium ${darkMode ? 'text-slate-300' : 'text-slate-700'}`}>
+                      {t.burnAfterReading}
+                    </span>
+                    <span className={`block text-xs ${darkMode ? 'text-slate-500' : 'text-slate-400'}`}>
+                      {t.burnAfterReadingHint}
+                    </span>
+                  </span>
+                </label>
+                <button
+                  onClick={handleCreate}
+                  disabled={creating}
+                  className="w-full py-2 rounded-lg text-sm font-medium bg-orange-500 text-white hover:bg-orange-600 disabled:opacity-50 flex items-center justify-center gap-2"
+                >
+                  {creating && <Loader2 size={16} className="animate-spin" />}
+                  {t.createShareLink}
+                </button>
+              </>
+            )}
+          </div>
+        </motion.div>
+      </motion.div>
+    </AnimatePresence>
+  );
+};
+
+export default ShareDialog;
@@ -0,0 +1,134 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { Shield, Eye, Clock, Loader2, Flame } from 'lucide-react';
+import { useAppStore } from '../../store/useStore';
+import { useTranslation } from '../../utils/translations';
+import { fetchShareInfo, fetchSharedNote } from '../../utils/share';
+import MarkdownPreview from '../Editor/MarkdownPreview';
+
+/**
+ * 只读分享页：用链接 # 片段里的密钥解密并展示单条笔记
+ * 阅后即焚的分享先只查询元数据，用户确认后才下载（避免链接预览等自动访问把它销毁）
+ */
+const ShareViewer = ({ share }) => {
+  const { darkMode, lang } = useAppStore();
+  const t = useTranslation(lang);
+  const [state, setState] = useState({ status: 'loading' });
+
+  const openNote = useCallback(async () => {
+    setState({ status: 'loading' });
+    try {
+      const result = await fetchSharedNote(share);
+      setState(result ? { status: 'ready', ...result } : { status: 'not-found' });
+    } catch (error) {
+      console.error('Failed to open shared note:', error);
+      setState({ status: 'error' });
+    }
+  }, [share]);
+
+  useEffect(() => {
+    if (!share.key) {
+      setState({ status: 'missing-key' });
+      return undefined;
+    }
+
+    let cancelled = false;
+    fetchShareInfo(share)
+      .then((info) => {
+        if (cancelled) return;
+        if (!info) {
+          setState({ status: 'not-found' });
+        } else if (info.burnAfterReading) {
+          setState({ status: 'confirm-burn' });
+        } else {
+          openNote();
+        }
+      })
+      .catch((error) => {
+        console.error('Failed to open shared note:', error);
+        if (!cancelled) {
+          setState({ status: 'error' });
+        }
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [share, openNote]);
+
+  useEffect(() => {
+    document.documentElement.classList.toggle('dark', darkMode);
+  }, [darkMode]);
+
+  const messages = {
+    'missing-key': t.sharedNoteMissingKey,
+    'not-found': t.sharedNoteNotFound,
+    error: t.sharedNoteError,
+  };
+
+  return (
+    <div className={`min-h-screen ${darkMode ? 'bg-slate-900 text-slate-100' : 'bg-slate-50 text-slate-900'}`}>
+      <header className={`border-b ${darkMode ? 'border-slate-700 bg-slate-800' : 'border-slate-200 bg-white'}`}>
+        <div className="max-w-3xl mx-auto flex items-center justify-between h-14 px-4">
+          <div className="flex items-center gap-2">
+            <Shield className="text-orange-500" size={24} />
+            <span className="font-bold text-lg">{t.headerTitle}</span>
+          </div>
+          <span className="flex items-center gap-1 px-2 py-1 rounded-lg text-xs font-medium text-blue-500 bg-blue-500/10">
+            <Eye size={14} />
+            {t.sharedNoteReadOnly}
+          </span>
+        </div>
+      </header>
+
+      <main className="max-w-3xl mx-auto p-4">
+        {state.status === 'loading' && (
+          <div className="flex items-center justify-center gap-2 py-16 text-slate-500">
+            <Loader2 size={20} className="animate-spin" />
+            {t.sharedNoteLoading}
+          </div>
+        )}
+
+        {messages[state.status] && (
+          <p role="alert" className="py-16 text-center text-slate-500">
+            {messages[state.status]}
+          </p>
+        )}
+
+        {state.status === 'confirm-burn' && (
+          <div className="flex flex-col items-center gap-4 py-16 text-center">
+            <Flame size={32} className="text-orange-500" />
+            <p className={darkMode ? 'text-slate-300' : 'text-slate-600'}>{t.sharedNoteBurnWarning}</p>
+            <button
+              onClick={openNote}
+              className="px-4 py-2 rounded-lg text-sm font-medium bg-orange-500 text-white hover:bg-orange-600"
+            >
+              {t.sharedNoteOpen}
+            </button>
+          </div>
+        )}
+
+        {state.status === 'ready' && (
+          <article>
+            <h1 className="text-2xl font-bold mb-2">{state.note.title}</h1>
+            {state.burnAfterReading && (
+              <p className="flex items-center gap-1 text-sm mb-4 px-3 py-2 rounded-lg text-orange-600 bg-orange-500/10">
+                <Flame size={14} />
+                {t.sharedNoteBurned}
+              </p>
+            )}
+            {state.expiresAt && (
+              <p className={`flex items-center gap-1 text-xs mb-4 ${darkMode ? 'text-slate-400' : 'text-slate-500'}`}>
+                <Clock size={12} />
+                {t.sharedNoteExpires}: {new Date(state.expiresAt).toLocaleString()}
+              </p>
+            )}
+            <div className={`rounded-2xl border ${darkMode ? 'border-slate-700 bg-slate-800' : 'border-slate-200 bg-white'}`}>
+              <MarkdownPreview content={state.note.content} />
+            </div>
+          </article>
+        )}
+      </main>
+    </div>
+  );
+};
+
+export default ShareViewer;
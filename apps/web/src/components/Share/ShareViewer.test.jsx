@@ -0,0 +1,61 @@
+import { afterEach, describe, expect, it, vi } from 'vitest';
+import { fireEvent, render, screen } from '@testing-library/react';
+import ShareViewer from './ShareViewer';
+import { useAppStore } from '../../store/useStore';
+import * as shareUtils from '../../utils/share';
+
+describe('ShareViewer', () => {
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  const share = { shareId: 'share_0123456789abcdef', key: 'a'.repeat(64) };
+
+  it('renders the shared note read-only', async () => {
+    useAppStore.setState({ darkMode: false, lang: 'en' });
+    vi.spyOn(shareUtils, 'fetchShareInfo').mockResolvedValue({ createdAt: 1, expiresAt: null, burnAfterReading: false });
+    vi.spyOn(shareUtils, 'fetchSharedNote').mockResolvedValue({
+      note: { title: 'Trip plan', content: 'Pack **light**', tags: [], updatedAt: 1 },
+      expiresAt: null,
+      burnAfterReading: false,
+    });
+
+    render(<ShareViewer share={share} />);
+
+    expect(await screen.findByRole('heading', { name: 'Trip plan' })).not.toBeNull();
+    expect(screen.getByText('light')).not.toBeNull();
+    expect(screen.getByText('Read-only')).not.toBeNull();
+    expect(screen.queryByRole('textbox')).toBeNull();
+  });
+
+  it('explains expired links and links without a key', async () => {
+    useAppStore.setState({ darkMode: false, lang: 'en' });
+    vi.spyOn(shareUtils, 'fetchShareInfo').mockResolvedValue(null);
+
+    const { unmount } = render(<ShareViewer share={share} />);
+    expect((await screen.findByRole('alert')).textContent).toBe('This link has expired or does not exist.');
+    unmount();
+
+    render(<ShareViewer share={{ ...share, key: null }} />);
+    expect((await screen.findByRole('alert')).textContent).toContain('the key after "#" is missing');
+    expect(shareUtils.fetchShareInfo).toHaveBeenCalledTimes(1);
+  });
+
+  it('downloads a burn-after-reading note only after the reader confirms', async () => {
+    useAppStore.setState({ darkMode: false, lang: 'en' });
+    vi.spyOn(shareUtils, 'fetchShareInfo').mockResolvedValue({ createdAt: 1, expiresAt: null, burnAfterReading: true });
+    vi.spyOn(shareUtils, 'fetchSharedNote').mockResolvedValue({
+      note: { title: 'Door code', content: '1234', tags: [], updatedAt: 1 },
+      expiresAt: null,
+      burnAfterReading: true,
+    });
+
+    render(<ShareViewer share={share} />);
+
+    fireEvent.click(await screen.findByRole('button', { name: 'Open Note' }));
+
+    expect(await screen.findByRole('heading', { name: 'Door code' })).not.toBeNull();
+    expect(screen.getByText(/deleted from the server/)).not.toBeNull();
+    expect(shareUtils.fetchSharedNote).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,2 @@
+export { default as ShareDialog } from './ShareDialog';
+export { default as ShareViewer } from './ShareViewer';
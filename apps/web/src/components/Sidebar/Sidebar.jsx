@@ -1,4 +1,4 @@
-import React, { useMemo, useState } from 'react';
+import React, { useCallback, useEffect, useMemo, useState } from 'react';
 import { motion, AnimatePresence } from 'framer-motion';
 import { QRCodeSVG } from 'qrcode.react';
 import {
@@ -11,19 +11,33 @@ import {
   ChevronRight,
   Trash2,
   RotateCcw,
+  RefreshCw,
+  Server,
+  KeyRound,
+  Smartphone,
   X,
 } from 'lucide-react';
 import { useAppStore } from '../../store/useStore';
 import { useTranslation } from '../../utils/translations';
 import toast from 'react-hot-toast';
 
-const Sidebar = ({ socketId }) => {
+const Sidebar = ({
+  socketId,
+  onListServerVersions,
+  onRestoreServerVersion,
+  onRotateChain,
+  devices = [],
+  currentDeviceId = null,
+  onListDevices,
+  onRemoveDevice,
+}) => {
   const {
     darkMode,
     lang,
     mnemonic,
     notebooks,
     activeNotebookId,
+    activeNoteId,
     members,
     showSidebar,
     toggleSidebar,
@@ -40,11 +54,88 @@ const Sidebar = ({ socketId }) => {
   const t = useTranslation(lang);
   const [copyFeedback, setCopyFeedback] = useState(false);
   const [showClearConfirm, setShowClearConfirm] = useState(false);
+  const [showRotateConfirm, setShowRotateConfirm] = useState(false);
+  const [rotating, setRotating] = useState(false);
   const activeNotebook = useMemo(
     () => notebooks.find((notebook) => notebook.id === activeNotebookId) || null,
     [notebooks, activeNotebookId]
   );
   const activeMnemonic = activeNotebook?.mnemonic || mnemonic;
+  const [showServerHistory, setShowServerHistory] = useState(false);
+  const [serverVersions, setServerVersions] = useState([]);
+  const [loadingServerVersions, setLoadingServerVersions] = useState(false);
+  const serverHistoryNoteId = activeNotebook ? activeNoteId : null;
+  const [showDevices, setShowDevices] = useState(false);
+  const [loadingDevices, setLoadingDevices] = useState(false);
+  const [confirmRemoveId, setConfirmRemoveId] = useState(null);
+  const [removingDeviceId, setRemovingDeviceId] = useState(null);
+
+  const loadServerVersions = useCallback(async () => {
+    if (!onListServerVersions) {
+      return;
+    }
+
+    setLoadingServerVersions(true);
+    try {
+      setServerVersions(await onListServerVersions(serverHistoryNoteId));
+    } catch (error) {
+      console.error('Failed to load server history:', error);
+      setServerVersions([]);
+      toast.error(t.serverHistoryError);
+    } finally {
+      setLoadingServerVersions(false);
+    }
+  }, [onListServerVersions, serverHistoryNoteId, t]);
+
+  // 展开时以及切换笔记后重新加载
+  useEffect(() => {
+    if (showServerHistory) {
+      loadServerVersions();
+    }
+  }, [showServerHistory, loadServerVersions]);
+
+  const loadDevices = useCallback(async () => {
+    if (!onListDevices) {
+      return;
+    }
+
+    setLoadingDevices(true);
+    try {
+      await onListDevices();
+    } catch (error) {
+      console.error('Failed to load devices:', error);
+      toast.error(t.devicesError);
+    } finally {
+      setLoadingDevices(false);
+    }
+  }, [onListDevices, t]);
+
+  useEffect(() => {
+    if (showDevices) {
+      loadDevices();
+    }
+  }, [showDevices, loadDevices]);
+
+  // A removed device that still knows the mnemonic can register again under a new id,
+  // so removal can be followed by a chain rotation that actually locks it out
+  const handleRemoveDevice = async (deviceId, rotate = false) => {
+    setRemovingDeviceId(deviceId);
+    try {
+      await onRemoveDevice(deviceId);
+      toast.success(t.removeDeviceSuccess);
+    } catch (error) {
+      console.error('Failed to remove device:', error);
+      toast.error(t.removeDeviceError);
+      return;
+    } finally {
+      setRemovingDeviceId(null);
+      setConfirmRemoveId(null);
+    }
+
+    if (rotate) {
+      await handleRotateChain();
+    }
+  };
 
   const copyToClipboard = () => {
     if (!activeMnemonic) {
@@ -59,10 +150,41 @@ const Sidebar = ({ socketId }) => {
 
   const handleRestore = (id) => {
     restoreFromHistory(id);
-    toast.success(lang === 'zh' ? '已恢复' : 'Restored');
+    toast.success(t.restored);
     setShowHistory(false);
   };
 
+  const handleRestoreServerVersion = async (versionId) => {
+    try {
+      const restored = await onRestoreServerVersion(versionId);
+      if (restored) {
+        toast.success(t.restored);
+      } else {
+        toast.error(t.restoreVersionError);
+      }
+    } catch (error) {
+      console.error('Failed to restore server version:', error);
+      toast.error(t.restoreVersionError);
+    }
+  };
+
+  const handleRotateChain = async () => {
+    setRotating(true);
+    try {
+      if (await onRotateChain()) {
+        toast.success(t.rotateChainSuccess);
+      } else {
+        toast.error(t.rotateChainError);
+      }
+    } catch (error) {
+      console.error('Failed to rotate chain:', error);
+      toast.error(t.rotateChainError);
+    } finally {
+      setRotating(false);
+      setShowRotateConfirm(false);
+    }
+  };
+
   const handleClearAll = () => {
     clearHistory();
     setShowClearConfirm(false);
@@ -223,8 +345,50 @@ const Sidebar = ({ socketId }) => {
                 >
                   <QrCode size={14} />
                 </button>
+                {onRotateChain && activeNotebook && (
+                  <button
+                    onClick={() => setShowRotateConfirm(!showRotateConfirm)}
+                    className={`p-2 rounded-lg border transition-colors ${
+                      darkMode
+                        ? 'border-slate-700 hover:bg-slate-700 text-slate-300'
+                        : 'border-slate-200 hover:bg-slate-100 text-slate-600'
+                    } ${showRotateConfirm ? 'ring-2 ring-red-500' : ''}`}
+                    title={t.rotateChain}
+                  >
+                    <KeyRound size={14} />
+                  </button>
+                )}
               </div>
 
+              {/* Rotate Chain Confirmation */}
+              {showRotateConfirm && (
+                <div className={`mt-2 p-3 rounded-lg text-xs ${
+                  darkMode ? 'bg-red-900/20 text-slate-300' : 'bg-red-50 text-slate-600'
+                }`}>
+                  <p className="mb-2">{t.rotateChainHint}</p>
+                  <div className="flex gap-2">
+                    <button
+                      onClick={handleRotateChain}
+                      disabled={rotating}
+                      className="flex-1 py-2 font-medium rounded-lg bg-red-500 hover:bg-red-600 text-white transition-colors disabled:opacity-50"
+                    >
+                      {t.rotateChain}
+                    </button>
+                    <button
+                      onClick={() => setShowRotateConfirm(false)}
+                      disabled={rotating}
+                      className={`flex-1 py-2 font-medium rounded-lg transition-colors ${
+                        darkMode
+                          ? 'bg-slate-700 hover:bg-slate-600 text-slate-300'
+                          : 'bg-slate-200 hover:bg-slate-300 text-slate-700'
+                      }`}
+                    >
+                      {t.cancel}
+                    </button>
+                  </div>
+                </div>
+              )}
+
               {/* QR Code */}
               <AnimatePresence>
                 {showQRCode && (
@@ -255,6 +419,231 @@ const Sidebar = ({ socketId }) => {
               </AnimatePresence>
             </div>
 
+            {/* Server History Section */}
+            {onListServerVersions && (
+              <div className="border-b border-inherit">
+                <button
+                  onClick={() => setShowServerHistory(!showServerHistory)}
+                  className={`w-full p-4 flex items-center justify-between text-left transition-colors ${
+                    darkMode ? 'hover:bg-slate-700/50' : 'hover:bg-slate-50'
+                  }`}
+                >
+                  <span className={`text-xs font-bold uppercase flex items-center gap-2 ${
+                    darkMode ? 'text-slate-500' : 'text-slate-400'
+                  }`}>
+                    <Server size={14} />
+                    {t.serverHistory}
+                  </span>
+                  <ChevronRight
+                    size={14}
+                    className={`transition-transform ${showServerHistory ? 'rotate-90' : ''}`}
+                  />
+                </button>
+
+                <AnimatePresence>
+                  {showServerHistory && (
+                    <motion.div
+                      initial={{ opacity: 0, height: 0 }}
+                      animate={{ opacity: 1, height: 'auto' }}
+                      exit={{ opacity: 0, height: 0 }}
+                      className="overflow-hidden"
+                    >
+                      <div className="px-4 pb-4 space-y-2 max-h-48 overflow-y-auto">
+                        <button
+                          onClick={loadServerVersions}
+                          disabled={loadingServerVersions}
+                          className={`w-full py-1.5 text-xs font-medium rounded-lg border transition-colors flex items-center justify-center gap-1.5 ${
+                            darkMode
+                              ? 'border-slate-700 hover:bg-slate-700 text-slate-400'
+                              : 'border-slate-200 hover:bg-slate-100 text-slate-500'
+                          }`}
+                        >
+                          <RefreshCw size={12} className={loadingServerVersions ? 'animate-spin' : ''} />
+                          {t.refresh}
+                        </button>
+                        {serverVersions.map((version) => (
+                          <div
+                            key={version.versionId}
+                            className={`p-2 rounded-lg border flex items-center justify-between ${
+                              darkMode
+                                ? 'bg-slate-900/50 border-slate-700'
+                                : 'bg-slate-50 border-slate-200'
+                            }`}
+                          >
+                            <div className="min-w-0">
+                              <p className={`text-xs truncate ${
+                                darkMode ? 'text-slate-400' : 'text-slate-600'
+                              }`}>
+                                {version.deviceName}
+                              </p>
+                              <span className={`text-[10px] ${
+                                darkMode ? 'text-slate-600' : 'text-slate-400'
+                              }`}>
+                                {formatTime(version.createdAt)}
+                              </span>
+                            </div>
+                            <button
+                              onClick={() => handleRestoreServerVersion(version.versionId)}
+                              className={`p-1 rounded transition-colors ${
+                                darkMode
+                                  ? 'hover:bg-slate-700 text-slate-400'
+                                  : 'hover:bg-slate-200 text-slate-500'
+                              }`}
+                              title={t.restore}
+                            >
+                              <RotateCcw size={12} />
+                            </button>
+                          </div>
+                        ))}
+                        {!loadingServerVersions && serverVersions.length === 0 && (
+                          <p className={`text-sm ${darkMode ? 'text-slate-500' : 'text-slate-400'}`}>
+                            {t.serverHistoryEmpty}
+                          </p>
+                        )}
+                      </div>
+                    </motion.div>
+                  )}
+                </AnimatePresence>
+              </div>
+            )}
+
+            {/* Device Management Section */}
+            {onListDevices && (
+              <div className="border-b border-inherit">
+                <button
+                  onClick={() => setShowDevices(!showDevices)}
+                  className={`w-full p-4 flex items-center justify-between text-left transition-colors ${
+                    darkMode ? 'hover:bg-slate-700/50' : 'hover:bg-slate-50'
+                  }`}
+                >
+                  <span className={`text-xs font-bold uppercase flex items-center gap-2 ${
+                    darkMode ? 'text-slate-500' : 'text-slate-400'
+                  }`}>
+                    <Smartphone size={14} />
+                    {t.manageDevices}
+                  </span>
+                  <ChevronRight
+                    size={14}
+                    className={`transition-transform ${showDevices ? 'rotate-90' : ''}`}
+                  />
+                </button>
+
+                <AnimatePresence>
+                  {showDevices && (
+                    <motion.div
+                      initial={{ opacity: 0, height: 0 }}
+                      animate={{ opacity: 1, height: 'auto' }}
+                      exit={{ opacity: 0, height: 0 }}
+                      className="overflow-hidden"
+                    >
+                      <div className="px-4 pb-4 space-y-2 max-h-64 overflow-y-auto">
+                        <p className={`text-[11px] ${darkMode ? 'text-slate-500' : 'text-slate-400'}`}>
+                          {t.manageDevicesHint}
+                        </p>
+                        <button
+                          onClick={loadDevices}
+                          disabled={loadingDevices}
+                          className={`w-full py-1.5 text-xs font-medium rounded-lg border transition-colors flex items-center justify-center gap-1.5 ${
+                            darkMode
+                              ? 'border-slate-700 hover:bg-slate-700 text-slate-400'
+                              : 'border-slate-200 hover:bg-slate-100 text-slate-500'
+                          }`}
+                        >
+                          <RefreshCw size={12} className={loadingDevices ? 'animate-spin' : ''} />
+                          {t.refresh}
+                        </button>
+                        {devices.map((device) => (
+                          <div
+                            key={device.deviceId}
+                            className={`p-2 rounded-lg border ${
+                              darkMode
+                                ? 'bg-slate-900/50 border-slate-700'
+                                : 'bg-slate-50 border-slate-200'
+                            } ${device.revokedAt ? 'opacity-60' : ''}`}
+                          >
+                            <div className="flex items-center justify-between gap-2">
+                              <div className="min-w-0">
+                                <p className={`text-xs truncate ${
+                                  device.deviceId === currentDeviceId
+                                    ? 'font-bold text-orange-500'
+                                    : darkMode ? 'text-slate-400' : 'text-slate-600'
+                                }`}>
+                                  {device.deviceName}
+                                  {device.deviceId === currentDeviceId && ` (${t.thisDevice})`}
+                                </p>
+                                <span className={`text-[10px] ${
+                                  darkMode ? 'text-slate-600' : 'text-slate-400'
+                                }`}>
+                                  {device.platform}
+                                  {' · '}
+                                  {device.revokedAt
+                                    ? t.deviceRemovedLabel
+                                    : device.online
+                                      ? t.deviceOnline
+                                      : `${t.deviceLastSeen} ${formatTime(device.lastSeen)}`}
+                                </span>
+                              </div>
+                              {onRemoveDevice && !device.revokedAt && device.deviceId !== currentDeviceId && (
+                                <button
+                                  onClick={() => setConfirmRemoveId(device.deviceId)}
+                                  className={`p-1 rounded transition-colors ${
+                                    darkMode
+                                      ? 'hover:bg-red-900/30 text-slate-400 hover:text-red-400'
+                                      : 'hover:bg-red-50 text-slate-500 hover:text-red-500'
+                                  }`}
+                                  title={t.removeDevice}
+                                >
+                                  <Trash2 size={12} />
+                                </button>
+                              )}
+                            </div>
+                            {confirmRemoveId === device.deviceId && (
+                              <div className="mt-2 space-y-2 text-xs">
+                                <p>{t.removeDeviceConfirm}</p>
+                                <div className="flex flex-wrap items-center gap-2">
+                                  {onRotateChain && activeNotebook && (
+                                    <button
+                                      onClick={() => handleRemoveDevice(device.deviceId, true)}
+                                      disabled={removingDeviceId === device.deviceId || rotating}
+                                      className="px-2 py-1 font-medium rounded bg-red-500 hover:bg-red-600 text-white transition-colors disabled:opacity-50"
+                                    >
+                                      {t.removeDeviceAndRotate}
+                                    </button>
+                                  )}
+                                  <button
+                                    onClick={() => handleRemoveDevice(device.deviceId)}
+                                    disabled={removingDeviceId === device.deviceId || rotating}
+                                    className="px-2 py-1 font-medium rounded bg-red-500 hover:bg-red-600 text-white transition-colors disabled:opacity-50"
+                                  >
+                                    {t.removeDevice}
+                                  </button>
+                                  <button
+                                    onClick={() => setConfirmRemoveId(null)}
+                                    className={`px-2 py-1 font-medium rounded transition-colors ${
+                                      darkMode
+                                        ? 'bg-slate-700 hover:bg-slate-600 text-slate-300'
+                                        : 'bg-slate-200 hover:bg-slate-300 text-slate-700'
+                                    }`}
+                                  >
+                                    {t.cancel}
+                                  </button>
+                                </div>
+                              </div>
+                            )}
+                          </div>
+                        ))}
+                        {!loadingDevices && devices.length === 0 && (
+                          <p className={`text-sm ${darkMode ? 'text-slate-500' : 'text-slate-400'}`}>
+                            {t.devicesEmpty}
+                          </p>
+                        )}
+                      </div>
+                    </motion.div>
+                  )}
+                </AnimatePresence>
+              </div>
+            )}
+
             {/* History Section */}
             <div className="flex-1 overflow-hidden flex flex-col">
               <button
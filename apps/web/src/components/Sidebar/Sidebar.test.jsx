@@ -1,5 +1,5 @@
-import { describe, expect, it } from 'vitest';
-import { render, screen } from '@testing-library/react';
+import { describe, expect, it, vi } from 'vitest';
+import { fireEvent, render, screen, waitFor } from '@testing-library/react';
 import Sidebar from './Sidebar';
 import { useAppStore } from '../../store/useStore';
 import { createNotebook } from '../../utils/notebooks';
@@ -30,4 +30,113 @@ describe('Sidebar', () => {
     expect(screen.getByText(activeNotebook.mnemonic)).not.toBeNull();
     expect(screen.queryByText('old old old old old old old old old old old old')).toBeNull();
   });
+
+  it('lists server versions of the active note and restores one', async () => {
+    const activeNotebook = createNotebook({ id: 'nb-work', name: 'Work', mnemonic: 'a b c' });
+    useAppStore.setState({
+      darkMode: true,
+      lang: 'en',
+      members: [],
+      showSidebar: true,
+      showQRCode: false,
+      showHistory: false,
+      history: [],
+      notebooks: [activeNotebook],
+      activeNotebookId: activeNotebook.id,
+      activeNoteId: 'note-a',
+    });
+    const onListServerVersions = vi.fn().mockResolvedValue([
+      { versionId: 'v-2', noteId: 'note-a', deviceName: 'iPhone', createdAt: Date.now(), version: 2 },
+    ]);
+    const onRestoreServerVersion = vi.fn().mockResolvedValue(true);
+
+    render(
+      <Sidebar
+        socketId="socket-1"
+        onListServerVersions={onListServerVersions}
+        onRestoreServerVersion={onRestoreServerVersion}
+      />
+    );
+
+    fireEvent.click(screen.getByText('Server History'));
+
+    await waitFor(() => {
+      expect(screen.getByText('iPhone')).not.toBeNull();
+    });
+    expect(onListServerVersions).toHaveBeenCalledWith('note-a');
+
+    fireEvent.click(screen.getByTitle('Restore'));
+
+    await waitFor(() => {
+      expect(onRestoreServerVersion).toHaveBeenCalledWith('v-2');
+    });
+  });
+
+  it('rotates the chain only after confirmation', async () => {
+    const activeNotebook = createNotebook({ id: 'nb-work', name: 'Work', mnemonic: 'a b c' });
+    useAppStore.setState({
+      darkMode: false,
+      lang: 'en',
+      members: [],
+      showSidebar: true,
+      showQRCode: false,
+      showHistory: false,
+      history: [],
+      notebooks: [activeNotebook],
+      activeNotebookId: activeNotebook.id,
+    });
+    const onRotateChain = vi.fn().mockResolvedValue(true);
+
+    render(<Sidebar socketId="socket-1" onRotateChain={onRotateChain} />);
+
+    fireEvent.click(screen.getByTitle('Rotate Chain'));
+    expect(onRotateChain).not.toHaveBeenCalled();
+
+    fireEvent.click(screen.getByText('Rotate Chain'));
+
+    await waitFor(() => {
+      expect(onRotateChain).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  it('offers to rotate the chain when removing a device, since the code still lets it rejoin', async () => {
+    const activeNotebook = createNotebook({ id: 'nb-work', name: 'Work', mnemonic: 'a b c' });
+    useAppStore.setState({
+      darkMode: false,
+      lang: 'en',
+      members: [],
+      showSidebar: true,
+      showQRCode: false,
+      showHistory: false,
+      history: [],
+      notebooks: [activeNotebook],
+      activeNotebookId: activeNotebook.id,
+    });
+    const devices = [{ deviceId: 'device-lost', deviceName: 'Lost Phone', platform: 'iOS', lastSeen: Date.now() }];
+    const onListDevices = vi.fn().mockResolvedValue(devices);
+    const onRemoveDevice = vi.fn().mockResolvedValue(undefined);
+    const onRotateChain = vi.fn().mockResolvedValue(true);
+
+    render(
+      <Sidebar
+        socketId="socket-1"
+        devices={devices}
+        onListDevices={onListDevices}
+        onRemoveDevice={onRemoveDevice}
+        onRotateChain={onRotateChain}
+      />
+    );
+
+    fireEvent.click(screen.getByText('Manage Devices'));
+    fireEvent.click(await screen.findByTitle('Remove'));
+    expect(screen.getByText(/Rotate the chain as well to lock it out/)).not.toBeNull();
+
+    fireEvent.click(screen.getByText('Remove and rotate chain'));
+
+    await waitFor(() => {
+      expect(onRotateChain).toHaveBeenCalledTimes(1);
+    });
+    expect(onRemoveDevice).toHaveBeenCalledWith('device-lost');
+    expect(onRemoveDevice.mock.invocationCallOrder[0]).toBeLessThan(onRotateChain.mock.invocationCallOrder[0]);
+  });
 });
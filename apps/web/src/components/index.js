@@ -10,3 +10,8 @@ export { default as ErrorBoundary } from './ErrorBoundary/ErrorBoundary';
 export { LoadingSpinner, LoadingOverlay, EditorSkeleton, SidebarSkeleton } from './Loading/LoadingSpinner';
 export { ConflictIndicator, ConflictDialog } from './Conflict';
 export { SearchIndexProvider, useSearch } from './Search';
+export { ShareDialog, ShareViewer } from './Share';
+export { ArchiveDialog } from './Archive';
+export { NoteDocument, renderNoteHtml, printNoteHtml } from './Export';
+export { BacklinksPanel } from './Backlinks';
+export { AttachmentProvider, useAttachment, AttachmentImage, AttachmentLink } from './Attachments';
@@ -16,6 +16,11 @@ export const useAutoSave = ({ storage, enabled = true, delay = 300 }) => {
   const note = useAppStore((state) => state.note);
   const noteVersion = useAppStore((state) => state.noteVersion);
   const storageInitialized = useAppStore((state) => state.storageInitialized);
+  // 标题、标签和所在文件夹一起保存，否则只写内容会把它们覆盖掉
+  const activeNote = useAppStore((state) => state.notes.find((entry) => entry.id === state.activeNoteId));
+  const title = activeNote?.title;
+  const tags = activeNote?.tags;
+  const folderId = activeNote?.folderId;
 
   // Track last saved state to avoid unnecessary saves
   const lastSavedRef = useRef({
@@ -42,7 +47,10 @@ export const useAutoSave = ({ storage, enabled = true, delay = 300 }) => {
       try {
         await storage.saveNote(data.notebookId, {
           id: data.noteId,
+          title: data.title,
           content: data.content,
+          tags: data.tags,
+          folderId: data.folderId,
           version: data.version,
           updatedAt: data.updatedAt,
         });
@@ -68,11 +76,14 @@ export const useAutoSave = ({ storage, enabled = true, delay = 300 }) => {
     debouncedSaveRef.current({
       notebookId: activeNotebookId,
       noteId: activeNoteId,
+      title,
       content: note,
+      tags,
+      folderId,
       version: noteVersion,
       updatedAt: Date.now(),
     });
-  }, [enabled, autoSaveEnabled, activeNoteId, activeNotebookId, note, noteVersion, storageInitialized]);
+  }, [enabled, autoSaveEnabled, activeNoteId, activeNotebookId, title, note, tags, folderId, noteVersion, storageInitialized]);
 
   // Watch for note changes
   useEffect(() => {
@@ -98,7 +109,10 @@ export const useAutoSave = ({ storage, enabled = true, delay = 300 }) => {
     const data = {
       notebookId: activeNotebookId,
       noteId: activeNoteId,
+      title,
       content: note,
+      tags,
+      folderId,
       version: noteVersion,
       updatedAt: Date.now(),
     };
@@ -106,7 +120,10 @@ export const useAutoSave = ({ storage, enabled = true, delay = 300 }) => {
     try {
       await storage.saveNote(data.notebookId, {
         id: data.noteId,
+        title: data.title,
         content: data.content,
+        tags: data.tags,
+        folderId: data.folderId,
         version: data.version,
         updatedAt: data.updatedAt,
       });
@@ -120,7 +137,7 @@ export const useAutoSave = ({ storage, enabled = true, delay = 300 }) => {
       console.error('Manual save failed:', error);
       throw error;
     }
-  }, [enabled, autoSaveEnabled, activeNoteId, activeNotebookId, note, noteVersion, storageInitialized, storage]);
+  }, [enabled, autoSaveEnabled, activeNoteId, activeNotebookId, title, note, tags, folderId, noteVersion, storageInitialized, storage]);
 
   return {
     triggerAutoSave,
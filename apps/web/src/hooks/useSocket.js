@@ -1,18 +1,41 @@
 import { useRef, useCallback, useEffect, useMemo, useState } from 'react';
 import { io } from 'socket.io-client';
 import { useAppStore } from '../store/useStore';
-import { deriveKeys, encryptData, decryptData } from '../utils/crypto';
+import { deriveRoom, deriveSigningKeys, deriveDeviceKeys, signWrite, createKeyring, encryptData, decryptData, KDF_PROFILES } from '../utils/crypto';
 import { ConflictService } from '../utils/conflict';
 import { OfflineQueue } from '../utils/offline';
+import { CrdtSyncManager, encodeUpdate, decodeUpdate } from '../utils/crdt';
 import { getStorageManager } from '../utils/storage';
+import { generateUniqueId } from '../utils/shared';
+import { parsePresence, prunePresence, PRESENCE_THROTTLE_MS, TYPING_IDLE_MS } from '../utils/presence';
+import {
+  encryptAttachment,
+  sendAttachment,
+  downloadAttachment,
+  fetchAttachmentChunks,
+  getAttachmentIds,
+} from '../utils/attachments';
 import debounce from 'lodash.debounce';
 import toast from 'react-hot-toast';
 import {
   getSocketUrl,
   getMessages,
   hashContent,
-  splitIntoChunks,
+  createChunkedPayloads,
+  createChunkUploadManager,
   createChunkSessionManager,
+  isNotebookSnapshot,
+  mergeNotebookSnapshot,
+  createNotePayload,
+  isNotePayload,
+  hashSyncedNote,
+  mergeNoteFields,
+  diffNotebook,
+  FOLDERS_RECORD_ID,
+  createFoldersPayload,
+  isFoldersPayload,
+  hashFolders,
+  mergeFolders,
   HISTORY_THROTTLE_MS,
   MAX_RECONNECTION_ATTEMPTS,
   RECONNECTION_DELAY_MIN,
@@ -22,6 +45,39 @@ import {
   CHUNK_CLEANUP_INTERVAL,
 } from '../utils/sync';
 
+// 上报给服务器的设备平台（仅用于设备列表显示）
+const getDevicePlatform = () => {
+  const platform = globalThis.navigator?.userAgentData?.platform || globalThis.navigator?.platform;
+  return platform || 'Web';
+};
+
+// 轮换同步链时等待新房间确认全部数据的时间
+const ROTATION_UPLOAD_TIMEOUT = 2 * 60 * 1000;
+
+// 用本设备的密钥签名写入；设备密钥不可用时使用链密钥
+const signWithKeys = async (keys, event, fields, encryptedData) => {
+  const signingKeys = (await keys?.deviceKeys) || (await keys?.signingKeys);
+  return signingKeys ? signWrite(signingKeys, event, fields, encryptedData) : {};
+};
+
+// join-chain 的负载：证明知道助记词（服务器只允许这样加入的设备认领房间的写入公钥），并登记本设备
+const createJoinPayload = async (keys, deviceName) => {
+  const deviceKeys = await keys.deviceKeys;
+  return {
+    roomId: keys.roomId,
+    roomProof: keys.roomProof,
+    deviceName,
+    ...(deviceKeys ? {
+      device: {
+        deviceId: deviceKeys.deviceId,
+        publicKey: deviceKeys.publicKey,
+        platform: getDevicePlatform(),
+        endorsement: deviceKeys.endorsement,
+      },
+    } : {}),
+  };
+};
+
 /**
  * 同步 Socket Hook
  * 管理实时同步连接、冲突处理和离线队列
@@ -34,17 +90,57 @@ export const useSocket = () => {
   const lastHistorySaveRef = useRef(0);
   const lastContentHashRef = useRef('');
   const lastSyncedHashRef = useRef('');
+  const syncedNoteHashesRef = useRef(new Map());
+  const syncedDeletionsRef = useRef(new Set());
+  // 空的文件夹结构不需要推送，否则可能覆盖服务器上其他设备已有的文件夹
+  const syncedFoldersHashRef = useRef(hashFolders({}));
   const reconnectAttemptRef = useRef(0);
   const isReconnectingRef = useRef(false);
 
+  // Last operation sequence seen from the server; reconnects only replay what came after it
+  const lastSeqRef = useRef(0);
+
+  // Room content as last agreed with the server (legacy mode): the base version of the next
+  // push-update and the common ancestor when the server reports a version conflict
+  const syncedRoomRef = useRef({ version: 0, content: null });
+  // push-update contents waiting for update-ack: timestamp -> content
+  const pendingPushesRef = useRef(new Map());
+  // Notebook mode: server sequence and content of each note as last seen (the baseVersion of the
+  // next push-note / delete-note and the common ancestor of a version conflict): noteId -> { seq, note, timestamp }
+  const syncedNoteBasesRef = useRef(new Map());
+  // push-note contents waiting for note-ack: noteId -> Map(timestamp -> note)
+  const pendingNotePushesRef = useRef(new Map());
+  // Checks waiting for the whole notebook to be acknowledged, re-run after every note-ack
+  const uploadWaitersRef = useRef(new Set());
+
+  // CRDT documents (only in 'crdt' sync mode)
+  const crdtManagerRef = useRef(null);
+
+  // Pending server history requests: response event -> { resolve, reject, timer }
+  const pendingHistoryRef = useRef(new Map());
+
   // Chunk session manager
   const chunkManagerRef = useRef(createChunkSessionManager());
+  // Large uploads waiting for chunk-ack (resumed after a reconnect)
+  const uploadManagerRef = useRef(createChunkUploadManager());
 
   // Conflict management
   const conflictManagerRef = useRef(null);
   const [pendingConflicts, setPendingConflicts] = useState([]);
   const [conflictCount, setConflictCount] = useState(0);
 
+  // Presence of the other connections in the room: socketId -> { deviceName, noteId, anchor, head, typing }
+  const [presence, setPresence] = useState({});
+  // What this device last announced, and the timer that clears its typing flag
+  const localPresenceRef = useRef(null);
+  const typingTimerRef = useRef(null);
+  const presenceSenderRef = useRef(null);
+  const knownMembersRef = useRef(new Set());
+
+  // Devices registered in the chain (this device: currentDeviceId)
+  const [devices, setDevices] = useState([]);
+  const [currentDeviceId, setCurrentDeviceId] = useState(null);
+
   // Offline queue
   const offlineQueueRef = useRef(null);
   const [queueSize, setQueueSize] = useState(0);
@@ -54,9 +150,14 @@ export const useSocket = () => {
   const setStatus = useAppStore((state) => state.setStatus);
   const setNote = useAppStore((state) => state.setNote);
   const setMembers = useAppStore((state) => state.setMembers);
+  const setUploadProgress = useAppStore((state) => state.setUploadProgress);
   const setView = useAppStore((state) => state.setView);
+  const updateNote = useAppStore((state) => state.updateNote);
+  const applyNotebookSnapshot = useAppStore((state) => state.applyNotebookSnapshot);
   const addToHistory = useAppStore((state) => state.addToHistory);
   const syncDebounceMs = useAppStore((state) => state.syncDebounceMs);
+  const syncMode = useAppStore((state) => state.syncMode);
+  const activeNoteId = useAppStore((state) => state.activeNoteId);
   const lang = useAppStore((state) => state.lang);
 
   const t = useMemo(() => getMessages(lang), [lang]);
@@ -110,41 +211,373 @@ export const useSocket = () => {
     addToHistory({ content, deviceName });
   }, [addToHistory]);
 
+  // ==================== Presence ====================
+
+  const sendPresence = useCallback(async () => {
+    if (!socketRef.current?.connected || !keysRef.current || !localPresenceRef.current) {
+      return;
+    }
+
+    const { roomId, keyring } = keysRef.current;
+    const encryptedData = await encryptData(localPresenceRef.current, keyring);
+    socketRef.current?.emit('presence', { roomId, encryptedData });
+  }, []);
+
+  // 合并频繁的光标移动，最多每 PRESENCE_THROTTLE_MS 发送一次
+  if (!presenceSenderRef.current) {
+    presenceSenderRef.current = debounce(() => {
+      sendPresence().catch((err) => console.error('Failed to send presence:', err));
+    }, PRESENCE_THROTTLE_MS, { maxWait: PRESENCE_THROTTLE_MS });
+  }
+
+  /**
+   * 更新本设备的光标/选区（由编辑器调用）
+   * @param {{anchor: number, head: number, typing?: boolean}} selection
+   */
+  const updatePresence = useCallback(({ anchor, head, typing = false }) => {
+    localPresenceRef.current = {
+      noteId: useAppStore.getState().activeNoteId ?? null,
+      anchor,
+      head,
+      typing,
+    };
+    clearTimeout(typingTimerRef.current);
+    if (typing) {
+      typingTimerRef.current = setTimeout(() => {
+        if (localPresenceRef.current) {
+          localPresenceRef.current = { ...localPresenceRef.current, typing: false };
+          presenceSenderRef.current();
+        }
+      }, TYPING_IDLE_MS);
+    }
+    presenceSenderRef.current();
+  }, []);
+
+  const handleRemotePresence = useCallback(async (payload) => {
+    if (!payload?.socketId || !keysRef.current) {
+      return;
+    }
+
+    const entry = parsePresence(await decryptData(payload.encryptedData, keysRef.current.keyring));
+    if (!entry) {
+      return;
+    }
+    setPresence((current) => ({
+      ...current,
+      [payload.socketId]: { ...entry, deviceName: payload.deviceName || 'Unknown Device' },
+    }));
+  }, []);
+
+  const resetPresence = useCallback(() => {
+    presenceSenderRef.current.cancel();
+    clearTimeout(typingTimerRef.current);
+    localPresenceRef.current = null;
+    knownMembersRef.current = new Set();
+    setPresence({});
+  }, []);
+
   // ==================== Content Push ====================
 
-  const pushContent = useCallback((content) => {
+  const getRoomNotebook = useCallback(() => {
+    const state = useAppStore.getState();
+    return state.notebooks.find((entry) => entry.roomId === keysRef.current?.roomId) || null;
+  }, []);
+
+  // ==================== CRDT Sync ====================
+
+  const emitCrdtMessage = useCallback(async (event, noteId, data) => {
     if (!socketRef.current?.connected || !keysRef.current) {
-      setStatus('disconnected');
       return;
     }
 
-    try {
-      const chunks = splitIntoChunks(content);
-      const sessionId = Date.now().toString();
-
-      chunks.forEach((chunk) => {
-        const dataToEncrypt = chunks.length === 1
-          ? { content }
-          : { chunked: true, sessionId, chunk };
+    const { roomId, keyring } = keysRef.current;
+    const encryptedData = await encryptData(data, keyring);
+    socketRef.current?.emit(event, { roomId, noteId, encryptedData });
+  }, []);
 
-        const encrypted = encryptData(dataToEncrypt, keysRef.current.encryptionKey);
+  // CRDT 模式只作用于关联了笔记本的房间
+  const getCrdtManager = useCallback(() => {
+    if (useAppStore.getState().syncMode !== 'crdt' || !keysRef.current || !getRoomNotebook()) {
+      return null;
+    }
 
-        socketRef.current.emit('push-update', {
-          roomId: keysRef.current.roomId,
-          encryptedData: encrypted,
-          timestamp: Date.now(),
-          chunkIndex: chunk.index,
-          totalChunks: chunks.length,
-        });
+    if (!crdtManagerRef.current) {
+      crdtManagerRef.current = new CrdtSyncManager({
+        roomId: keysRef.current.roomId,
+        onUpdate: (noteId, update) => {
+          emitCrdtMessage('yjs-update', noteId, { update: encodeUpdate(update) }).catch((err) => {
+            console.error('Failed to send CRDT update:', err);
+          });
+        },
       });
+    }
+    return crdtManagerRef.current;
+  }, [getRoomNotebook, emitCrdtMessage]);
+
+  const destroyCrdtManager = useCallback(() => {
+    crdtManagerRef.current?.destroy();
+    crdtManagerRef.current = null;
+  }, []);
+
+  const getLocalNote = useCallback((noteId) => {
+    const notebook = getRoomNotebook();
+    return notebook
+      ? useAppStore.getState().notes.find((note) => note.id === noteId && note.notebookId === notebook.id) || null
+      : null;
+  }, [getRoomNotebook]);
+
+  // 发送本地状态向量，请求其他设备补发缺失的 Yjs 更新
+  const requestCrdtSync = useCallback(async (noteId, reply = false) => {
+    const manager = getCrdtManager();
+    const note = noteId ? getLocalNote(noteId) : null;
+    if (!manager || !note) {
+      return;
+    }
+
+    const stateVector = await manager.encodeStateVector(noteId, note.content || '');
+    await emitCrdtMessage('yjs-sync', noteId, { stateVector: encodeUpdate(stateVector), reply });
+  }, [getCrdtManager, getLocalNote, emitCrdtMessage]);
+
+  // 合并后的文本写回笔记（版本号不变，持久化仍由 push-note 负责）
+  const applyCrdtText = useCallback((noteId, content, deviceName) => {
+    const state = useAppStore.getState();
+    const note = state.notes.find((entry) => entry.id === noteId);
+    if (!note || note.content === content) {
+      return;
+    }
 
+    if (noteId === state.activeNoteId) {
+      setNote(content, {
+        version: note.version,
+        timestamp: Date.now(),
+        deviceId: deviceName || 'remote',
+      });
       lastSyncedHashRef.current = hashContent(content);
+    } else {
+      updateNote(noteId, { content, version: note.version });
+    }
+  }, [setNote, updateNote]);
+
+  const handleRemoteCrdtUpdate = useCallback(async (payload) => {
+    const manager = getCrdtManager();
+    const note = getLocalNote(payload?.noteId);
+    // 尚未收到的新笔记会随 push-note 携带完整的文档状态
+    if (!manager || !note || !payload.encryptedData) {
+      return;
+    }
+
+    const decrypted = await decryptData(payload.encryptedData, keysRef.current.keyring);
+    if (typeof decrypted?.update !== 'string') {
+      return;
+    }
+
+    const content = await manager.applyRemoteUpdate(note.id, decodeUpdate(decrypted.update), note.content || '');
+    applyCrdtText(note.id, content, payload.deviceName);
+  }, [getCrdtManager, getLocalNote, applyCrdtText]);
+
+  const handleRemoteCrdtSync = useCallback(async (payload) => {
+    const manager = getCrdtManager();
+    const note = getLocalNote(payload?.noteId);
+    if (!manager || !note || !payload.encryptedData) {
+      return;
+    }
+
+    const decrypted = await decryptData(payload.encryptedData, keysRef.current.keyring);
+    if (typeof decrypted?.stateVector !== 'string') {
+      return;
+    }
+
+    const missing = await manager.encodeStateAsUpdate(
+      note.id,
+      decodeUpdate(decrypted.stateVector),
+      note.content || ''
+    );
+    await emitCrdtMessage('yjs-update', note.id, { update: encodeUpdate(missing) });
+
+    // 对方可能也缺少本机的更新，回应一次（reply 防止来回循环）
+    if (!decrypted.reply) {
+      await requestCrdtSync(note.id, true);
+    }
+  }, [getCrdtManager, getLocalNote, emitCrdtMessage, requestCrdtSync]);
+
+  // 将远程笔记携带的文档状态合并进本地文档，返回 noteId -> 合并后的文本
+  const mergeCrdtStates = useCallback(async (localNotes, crdtStates) => {
+    const merged = new Map();
+    const manager = getCrdtManager();
+    if (!manager || !crdtStates) {
+      return merged;
+    }
+
+    for (const [noteId, state] of Object.entries(crdtStates)) {
+      const local = localNotes.find((note) => note.id === noteId);
+      try {
+        merged.set(noteId, await manager.applySnapshot(noteId, decodeUpdate(state), local ? local.content || '' : null));
+      } catch (err) {
+        console.error('Failed to merge CRDT state:', err);
+      }
+    }
+    return merged;
+  }, [getCrdtManager]);
+
+  // ==================== Chunked Uploads ====================
+
+  const emitUploadChunks = useCallback((entries) => {
+    entries.forEach(({ event, payload }) => socketRef.current?.emit(event, payload));
+    setUploadProgress(uploadManagerRef.current.getProgress());
+  }, [setUploadProgress]);
+
+  // 小内容直接发送；大内容按窗口逐块发送，收到 chunk-ack 再发下一块
+  const sendPayloads = useCallback((event, key, payloads) => {
+    if (payloads.length === 1) {
+      socketRef.current.emit(event, payloads[0]);
+      return;
+    }
+    emitUploadChunks(uploadManagerRef.current.start(key, event, payloads));
+  }, [emitUploadChunks]);
+
+  const handleChunkAck = useCallback((ack) => {
+    emitUploadChunks(uploadManagerRef.current.acknowledge(ack));
+  }, [emitUploadChunks]);
+
+  const handleChunkStatus = useCallback((status) => {
+    emitUploadChunks(uploadManagerRef.current.applyStatus(status));
+  }, [emitUploadChunks]);
+
+  // ==================== Legacy / Delta Push ====================
+
+  // 写入签名：服务器只接受持有助记词的设备写入；浏览器不支持 Ed25519 时不签名
+  // 已登记的设备用自己的设备密钥签名，否则用同步链密钥
+  const signPayload = useCallback((event, fields, encryptedData) => (
+    signWithKeys(keysRef.current, event, fields, encryptedData)
+  ), []);
+
+  // 旧版单笔记模式（未关联笔记本）：整篇内容通过 push-update 发送
+  const pushLegacyContent = useCallback(async (content) => {
+    const { roomId, keyring } = keysRef.current;
+    const timestamp = Date.now();
+    const baseVersion = syncedRoomRef.current.version;
+    pendingPushesRef.current.set(timestamp, content);
+
+    const encryptedData = await encryptData({ content }, keyring);
+    const signed = await signPayload('push-update', { roomId, timestamp, baseVersion }, encryptedData);
+    sendPayloads('push-update', 'room', createChunkedPayloads(
+      { roomId, timestamp, baseVersion, ...signed },
+      encryptedData,
+      generateUniqueId('upload_')
+    ));
+  }, [sendPayloads, signPayload]);
+
+  // 服务器上该笔记最后已知的序号，服务器据此拒绝基于旧版本的写入
+  const getNoteBaseVersion = useCallback((noteId) => syncedNoteBasesRef.current.get(noteId)?.seq || 0, []);
+
+  // 记录服务器上笔记的序号和内容（删除记录和文件夹结构的 note 为 null），旧的序号不会覆盖新的
+  const trackNoteBase = useCallback((noteId, seq, note = null, timestamp = 0) => {
+    if (noteId && Number.isInteger(seq) && seq >= getNoteBaseVersion(noteId)) {
+      syncedNoteBasesRef.current.set(noteId, { seq, note, timestamp });
+    }
+  }, [getNoteBaseVersion]);
+
+  // 服务器把时间戳不晚于已保存记录的写入当作重放拒绝；设备时钟不一致时推到已知记录之后
+  const getNoteWriteTimestamp = useCallback((noteId, timestamp) => (
+    Math.max(timestamp, (syncedNoteBasesRef.current.get(noteId)?.timestamp || 0) + 1)
+  ), []);
+
+  // 笔记本模式：只发送自上次同步以来变化的笔记和删除记录
+  const pushNotebookChanges = useCallback(async (notebook) => {
+    const { roomId, keyring } = keysRef.current;
+    const { upserts, deletions } = diffNotebook(
+      notebook,
+      useAppStore.getState().notes,
+      syncedNoteHashesRef.current,
+      syncedDeletionsRef.current
+    );
+
+    // 加密前先记为已同步，加密期间再次触发的推送不会重复发送同一批修改
+    upserts.forEach((note) => syncedNoteHashesRef.current.set(note.id, hashSyncedNote(note)));
+
+    const { activeNoteId } = useAppStore.getState();
+    for (const note of upserts) {
+      // 编辑器之外改写的其他笔记内容（例如重命名时更新的 [[链接]]）先写入 CRDT 文档，
+      // 否则其他设备合并文档状态时会丢掉这些修改
+      const crdtText = crdtManagerRef.current?.getText(note.id);
+      if (note.id !== activeNoteId && typeof crdtText === 'string' && crdtText !== (note.content || '')) {
+        await crdtManagerRef.current.applyLocalText(note.id, note.content || '');
+      }
+      const crdtState = crdtManagerRef.current?.getStateUpdate(note.id);
+      const payload = createNotePayload(note, crdtState ? encodeUpdate(crdtState) : undefined);
+      const encryptedData = await encryptData(payload, keyring);
+      const fields = {
+        roomId,
+        noteId: note.id,
+        timestamp: getNoteWriteTimestamp(note.id, note.updatedAt || note.timestamp || Date.now()),
+        baseVersion: getNoteBaseVersion(note.id),
+      };
+      const signed = await signPayload('push-note', fields, encryptedData);
+      if (!pendingNotePushesRef.current.has(note.id)) {
+        pendingNotePushesRef.current.set(note.id, new Map());
+      }
+      pendingNotePushesRef.current.get(note.id).set(fields.timestamp, payload.note);
+      sendPayloads('push-note', `note:${note.id}`, createChunkedPayloads(
+        { ...fields, version: note.version || 0, ...signed },
+        encryptedData,
+        generateUniqueId('upload_')
+      ));
+    }
+
+    deletions.forEach(({ noteId }) => {
+      syncedDeletionsRef.current.add(noteId);
+      syncedNoteHashesRef.current.delete(noteId);
+    });
+    for (const { noteId, deletedAt } of deletions) {
+      const fields = { roomId, noteId, timestamp: getNoteWriteTimestamp(noteId, deletedAt), baseVersion: getNoteBaseVersion(noteId) };
+      const signed = await signPayload('delete-note', fields);
+      socketRef.current?.emit('delete-note', { ...fields, ...signed });
+    }
+
+    const foldersHash = hashFolders(notebook);
+    if (foldersHash !== syncedFoldersHashRef.current) {
+      syncedFoldersHashRef.current = foldersHash;
+      const encryptedData = await encryptData(createFoldersPayload(notebook), keyring);
+      const fields = {
+        roomId,
+        noteId: FOLDERS_RECORD_ID,
+        timestamp: getNoteWriteTimestamp(FOLDERS_RECORD_ID, Date.now()),
+        baseVersion: getNoteBaseVersion(FOLDERS_RECORD_ID),
+      };
+      const signed = await signPayload('push-note', fields, encryptedData);
+      sendPayloads('push-note', `note:${FOLDERS_RECORD_ID}`, createChunkedPayloads(
+        { ...fields, version: 0, ...signed },
+        encryptedData,
+        generateUniqueId('upload_')
+      ));
+    }
+  }, [sendPayloads, signPayload, getNoteBaseVersion, getNoteWriteTimestamp]);
+
+  const pushContent = useCallback(async (content) => {
+    if (!socketRef.current?.connected || !keysRef.current) {
+      setStatus('disconnected');
+      return;
+    }
+
+    try {
+      const notebook = getRoomNotebook();
+      const activeContent = notebook
+        ? useAppStore.getState().note || ''
+        : content ?? useAppStore.getState().note ?? '';
+
+      if (notebook) {
+        await pushNotebookChanges(notebook);
+      } else {
+        await pushLegacyContent(activeContent);
+      }
+
+      lastSyncedHashRef.current = hashContent(activeContent);
       setStatus('connected');
     } catch (err) {
       console.error('Push update error:', err);
       setStatus('disconnected');
     }
-  }, [setStatus]);
+  }, [setStatus, getRoomNotebook, pushNotebookChanges, pushLegacyContent]);
 
   // Create debounced push function
   useEffect(() => {
@@ -159,11 +592,36 @@ export const useSocket = () => {
 
   // ==================== Remote Content Handler ====================
 
-  const handleRemoteContent = useCallback(async (remoteContent, payload) => {
+  // 本地有未同步修改时与服务器内容比较，返回可以直接采用的内容（需要手动解决时为 null）
+  // 不传 local 时与当前编辑器中的内容比较
+  const checkRoomConflict = useCallback(async (remoteContent, remoteMeta, ancestorContent, local = null) => {
     const state = useAppStore.getState();
-    const localContent = state.note || '';
-    const localHash = hashContent(localContent);
+    const result = await conflictManagerRef.current.checkAndHandle(
+      local || {
+        content: state.note || '',
+        version: state.noteVersion || 0,
+        timestamp: state.noteTimestamp || 0,
+        deviceId: state.noteDeviceId || state.deviceName || 'local',
+      },
+      {
+        content: remoteContent,
+        version: remoteMeta.version,
+        timestamp: remoteMeta.timestamp,
+        deviceId: remoteMeta.deviceId,
+      },
+      ancestorContent !== null ? { content: ancestorContent } : null
+    );
+
+    setPendingConflicts(conflictManagerRef.current.getPendingConflicts());
+    setConflictCount(conflictManagerRef.current.getConflictCount());
+
+    return !result.hasConflict || result.resolved ? result.resolved ?? remoteContent : null;
+  }, []);
+
+  const handleRemoteContent = useCallback(async (remoteContent, payload) => {
+    const localHash = hashContent(useAppStore.getState().note || '');
     const isDirty = localHash !== lastSyncedHashRef.current;
+    const ancestorContent = syncedRoomRef.current.content;
 
     const remoteMeta = {
       version: payload.version ?? 0,
@@ -171,6 +629,10 @@ export const useSocket = () => {
       deviceId: payload.deviceName || 'remote',
     };
 
+    if (typeof payload.version === 'number') {
+      syncedRoomRef.current = { version: payload.version, content: remoteContent };
+    }
+
     if (!isDirty || !conflictManagerRef.current) {
       setNote(remoteContent, remoteMeta);
       lastSyncedHashRef.current = hashContent(remoteContent);
@@ -178,31 +640,469 @@ export const useSocket = () => {
       return;
     }
 
-    const result = await conflictManagerRef.current.checkAndHandle(
-      {
-        content: localContent,
-        version: state.noteVersion || 0,
-        timestamp: state.noteTimestamp || 0,
-        deviceId: state.noteDeviceId || state.deviceName || 'local',
-      },
-      {
-        content: remoteContent,
-        version: remoteMeta.version,
-        timestamp: remoteMeta.timestamp,
-        deviceId: remoteMeta.deviceId,
+    const nextContent = await checkRoomConflict(remoteContent, remoteMeta, ancestorContent);
+    if (nextContent !== null) {
+      setNote(nextContent, remoteMeta);
+      lastSyncedHashRef.current = hashContent(nextContent);
+      saveToHistory(nextContent, payload.deviceName);
+    }
+  }, [setNote, saveToHistory, checkRoomConflict]);
+
+  // 服务器拒绝了基于旧版本的 push-update：与服务器当前内容做三路比较，能自动合并时重新推送
+  const handleVersionConflict = useCallback(async (payload) => {
+    if (!payload?.encryptedData || !keysRef.current) {
+      return;
+    }
+
+    const decrypted = await decryptData(payload.encryptedData, keysRef.current.keyring);
+    const remoteContent = typeof decrypted?.content === 'string' ? decrypted.content : null;
+
+    // 服务器上的是自己之前的推送时，以它为共同祖先，本地的后续修改不算冲突
+    const isOwnPush = remoteContent !== null && [...pendingPushesRef.current.values()].includes(remoteContent);
+    const ancestorContent = isOwnPush ? remoteContent : syncedRoomRef.current.content;
+
+    syncedRoomRef.current = { version: payload.currentVersion, content: remoteContent };
+    if (remoteContent === null) {
+      // 服务器上是旧版客户端逐块保存的数据，无法逐字比较；下次推送以其版本为基础
+      return;
+    }
+
+    lastSyncedHashRef.current = hashContent(remoteContent);
+    const remoteMeta = {
+      version: payload.currentVersion,
+      timestamp: payload.timestamp ?? Date.now(),
+      deviceId: payload.deviceName || 'remote',
+    };
+
+    const nextContent = conflictManagerRef.current
+      ? await checkRoomConflict(remoteContent, remoteMeta, ancestorContent)
+      : remoteContent;
+    if (nextContent === null) {
+      return;
+    }
+
+    setNote(nextContent, remoteMeta);
+    if (nextContent !== remoteContent) {
+      await pushContent(nextContent);
+    } else if (!isOwnPush) {
+      saveToHistory(nextContent, payload.deviceName);
+    }
+  }, [setNote, saveToHistory, checkRoomConflict, pushContent]);
+
+  const handleUpdateAck = useCallback((ack) => {
+    const content = pendingPushesRef.current.get(ack?.timestamp);
+    if (content === undefined || typeof ack.version !== 'number') {
+      return;
+    }
+
+    syncedRoomRef.current = { version: ack.version, content };
+    pendingPushesRef.current.forEach((_, timestamp) => {
+      if (timestamp <= ack.timestamp) {
+        pendingPushesRef.current.delete(timestamp);
+      }
+    });
+  }, []);
+
+  // ==================== Remote Notebook Handler ====================
+
+  const persistNotebookChanges = useCallback(async (notebookId, updatedIds, removedIds) => {
+    try {
+      const storage = getStorageManager();
+      await storage.initialize();
+
+      const state = useAppStore.getState();
+      const notebook = state.notebooks.find((entry) => entry.id === notebookId);
+      if (notebook) {
+        await storage.saveNotebook(notebook);
+      }
+
+      for (const noteId of updatedIds) {
+        const note = state.notes.find((entry) => entry.id === noteId);
+        if (note) {
+          await storage.saveNote(notebookId, note);
+        }
       }
+
+      for (const noteId of removedIds) {
+        await storage.deleteNote(notebookId, noteId);
+      }
+    } catch (error) {
+      console.error('Failed to persist synced notebook:', error);
+    }
+  }, []);
+
+  // 记住房间当前使用的 KDF 配置，下次加入时直接用它写入
+  const rememberNotebookKdf = useCallback(async (kdf) => {
+    const notebook = getRoomNotebook();
+    if (!notebook) {
+      return;
+    }
+
+    useAppStore.getState().updateNotebook(notebook.id, { kdf });
+    await persistNotebookChanges(notebook.id, [], []);
+  }, [getRoomNotebook, persistNotebookChanges]);
+
+  // 服务器已把旧房间的数据复制到当前房间，之后加入时不再带上旧房间ID
+  const forgetLegacyRoom = useCallback(async () => {
+    const notebook = getRoomNotebook();
+    if (!notebook?.legacyRoomId) {
+      return;
+    }
+
+    useAppStore.getState().updateNotebook(notebook.id, { legacyRoomId: null });
+    await persistNotebookChanges(notebook.id, [], []);
+  }, [getRoomNotebook, persistNotebookChanges]);
+
+  const handleRemoteSnapshot = useCallback(async (snapshot) => {
+    const state = useAppStore.getState();
+    const notebook = state.notebooks.find((entry) => entry.roomId === keysRef.current?.roomId);
+    if (!notebook) {
+      return;
+    }
+
+    // CRDT 模式：先合并远程文档状态，合并结果同时作为本地和远程内容，不再走冲突处理
+    const crdtMerged = await mergeCrdtStates(
+      state.notes.filter((note) => note.notebookId === notebook.id),
+      snapshot.crdt
+    );
+    const withCrdtContent = (note) => (
+      crdtMerged.has(note.id) ? { ...note, content: crdtMerged.get(note.id) } : note
     );
 
-    setPendingConflicts(conflictManagerRef.current.getPendingConflicts());
-    setConflictCount(conflictManagerRef.current.getConflictCount());
+    const localNotes = state.notes
+      .filter((note) => note.notebookId === notebook.id)
+      .map(withCrdtContent);
+    const merged = mergeNotebookSnapshot(
+      localNotes,
+      notebook.deletedNotes,
+      { ...snapshot, notes: snapshot.notes.map(withCrdtContent) },
+      notebook.id
+    );
 
-    if (!result.hasConflict || result.resolved) {
-      const nextContent = result.resolved ?? remoteContent;
-      setNote(nextContent, remoteMeta);
-      lastSyncedHashRef.current = hashContent(nextContent);
-      saveToHistory(nextContent, payload.deviceName);
+    // 当前活动笔记的内容走冲突检测，其余字段（标题、标签）直接采用远程值
+    const localActive = localNotes.find((note) => note.id === state.activeNoteId);
+    const remoteActive = localActive && merged.updatedIds.includes(localActive.id)
+      ? merged.notes.find((note) => note.id === localActive.id)
+      : null;
+
+    const notes = remoteActive
+      ? merged.notes.map((note) => (
+          note.id === remoteActive.id
+            ? {
+                ...note,
+                content: localActive.content,
+                version: localActive.version,
+                timestamp: localActive.timestamp,
+                updatedAt: localActive.updatedAt,
+                deviceId: localActive.deviceId,
+              }
+            : note
+        ))
+      : merged.notes;
+
+    const folders = snapshot.folders ? mergeFolders(notebook, snapshot.folders) : null;
+    applyNotebookSnapshot(notebook.id, { notes, deletedNotes: merged.deletedNotes, ...folders });
+
+    const activeCrdtContent = crdtMerged.get(state.activeNoteId);
+    if (activeCrdtContent !== undefined && activeCrdtContent !== state.note && localActive) {
+      setNote(activeCrdtContent, {
+        version: localActive.version,
+        timestamp: Date.now(),
+        deviceId: localActive.deviceId,
+      });
+    }
+
+    // 记录远程状态为已同步，本地更新的笔记在下次推送时会因指纹不同而重新发送
+    snapshot.notes.forEach((note) => {
+      syncedNoteHashesRef.current.set(note.id, hashSyncedNote(note));
+    });
+    Object.keys(snapshot.deletedNotes || {}).forEach((noteId) => {
+      syncedDeletionsRef.current.add(noteId);
+    });
+    if (folders) {
+      // 本地有远程缺少的文件夹修改时，推送合并后的结构
+      syncedFoldersHashRef.current = hashFolders(snapshot.folders);
+      if (hashFolders(folders) !== syncedFoldersHashRef.current) {
+        debouncedPushRef.current?.();
+      }
+    }
+
+    if (remoteActive && remoteActive.content !== localActive.content) {
+      await handleRemoteContent(remoteActive.content, {
+        version: remoteActive.version,
+        timestamp: remoteActive.updatedAt || remoteActive.timestamp,
+        deviceName: remoteActive.deviceId,
+      });
+    } else if (remoteActive || activeCrdtContent !== undefined) {
+      lastSyncedHashRef.current = hashContent(localActive?.content || '');
+    }
+
+    const changedIds = [...new Set([...merged.updatedIds, ...crdtMerged.keys()])]
+      .filter((noteId) => merged.notes.some((note) => note.id === noteId));
+    await persistNotebookChanges(notebook.id, changedIds, merged.removedIds);
+  }, [applyNotebookSnapshot, setNote, handleRemoteContent, persistNotebookChanges, mergeCrdtStates]);
+
+  const handleRemoteNote = useCallback(async (payload) => {
+    if (!payload?.encryptedData || !keysRef.current) {
+      return;
+    }
+
+    const decrypted = await decryptData(payload.encryptedData, keysRef.current.keyring);
+    trackNoteBase(payload.noteId, payload.seq, isNotePayload(decrypted) ? decrypted.note : null, payload.timestamp);
+    if (isNotePayload(decrypted)) {
+      await handleRemoteSnapshot({
+        notes: [decrypted.note],
+        deletedNotes: {},
+        crdt: decrypted.crdt ? { [decrypted.note.id]: decrypted.crdt } : null,
+      });
+    } else if (isFoldersPayload(decrypted)) {
+      await handleRemoteSnapshot({ notes: [], deletedNotes: {}, folders: decrypted });
     }
-  }, [setNote, saveToHistory]);
+  }, [handleRemoteSnapshot, trackNoteBase]);
+
+  const handleRemoteNoteDelete = useCallback(async (payload) => {
+    if (!payload?.noteId) {
+      return;
+    }
+
+    trackNoteBase(payload.noteId, payload.seq, null, payload.timestamp);
+    await handleRemoteSnapshot({
+      notes: [],
+      deletedNotes: { [payload.noteId]: payload.timestamp || Date.now() },
+    });
+  }, [handleRemoteSnapshot, trackNoteBase]);
+
+  // 加入房间或请求同步时服务器下发的全部笔记（含删除记录）
+  const handleRemoteNotes = useCallback(async (payload) => {
+    if (!Array.isArray(payload?.notes) || !keysRef.current) {
+      return;
+    }
+
+    // 服务器上还没有文件夹记录时按空结构合并，本地已有的文件夹会被推送上去
+    const snapshot = { notes: [], deletedNotes: {}, crdt: {}, folders: createFoldersPayload({}) };
+    for (const record of payload.notes) {
+      if (record.deleted) {
+        trackNoteBase(record.noteId, record.seq, null, record.timestamp);
+        snapshot.deletedNotes[record.noteId] = record.timestamp;
+        continue;
+      }
+
+      try {
+        const decrypted = await decryptData(record.encryptedData, keysRef.current.keyring);
+        trackNoteBase(record.noteId, record.seq, isNotePayload(decrypted) ? decrypted.note : null, record.timestamp);
+        if (isNotePayload(decrypted)) {
+          snapshot.notes.push(decrypted.note);
+          if (decrypted.crdt) {
+            snapshot.crdt[decrypted.note.id] = decrypted.crdt;
+          }
+        } else if (isFoldersPayload(decrypted)) {
+          snapshot.folders = decrypted;
+        }
+      } catch (err) {
+        console.error('Decryption error:', err);
+      }
+    }
+
+    await handleRemoteSnapshot(snapshot);
+  }, [handleRemoteSnapshot, trackNoteBase]);
+
+  const handleNoteAck = useCallback((ack) => {
+    const pending = pendingNotePushesRef.current.get(ack?.noteId);
+    trackNoteBase(ack?.noteId, ack?.seq, ack?.deleted ? null : pending?.get(ack.timestamp) ?? null, ack?.timestamp);
+    pending?.forEach((_, timestamp) => {
+      if (ack.deleted || timestamp <= ack.timestamp) {
+        pending.delete(timestamp);
+      }
+    });
+    uploadWaitersRef.current.forEach((check) => check());
+  }, [trackNoteBase]);
+
+  // 服务器已确认当前笔记本的每条笔记和文件夹结构，且没有等待确认的推送
+  const isNotebookUploaded = useCallback(() => {
+    const notebook = getRoomNotebook();
+    if (!notebook || !socketRef.current?.connected) {
+      return false;
+    }
+
+    const bases = syncedNoteBasesRef.current;
+    const pending = [...pendingNotePushesRef.current.values()].some((pushes) => pushes.size > 0);
+    const foldersUploaded = hashFolders(notebook) === hashFolders({}) || bases.has(FOLDERS_RECORD_ID);
+    return !pending && foldersUploaded && useAppStore.getState().notes
+      .filter((note) => note.notebookId === notebook.id)
+      .every((note) => bases.has(note.id));
+  }, [getRoomNotebook]);
+
+  const waitForNotebookUpload = useCallback((timeoutMs) => new Promise((resolve, reject) => {
+    const check = () => {
+      if (isNotebookUploaded()) {
+        clearTimeout(timer);
+        uploadWaitersRef.current.delete(check);
+        resolve(true);
+      }
+    };
+    const timer = setTimeout(() => {
+      uploadWaitersRef.current.delete(check);
+      reject(new Error('Upload was not confirmed'));
+    }, timeoutMs);
+
+    uploadWaitersRef.current.add(check);
+    check();
+  }), [isNotebookUploaded]);
+
+  // 服务器拒绝了基于旧版本的 push-note / delete-note：以服务器上的笔记为准重新合并。
+  // 内容与 push-update 一样交给冲突服务做三路比较，合并结果以新的序号重新推送
+  const handleNoteVersionConflict = useCallback(async (payload) => {
+    const noteId = payload?.noteId;
+    if (!noteId || !keysRef.current || !getRoomNotebook()) {
+      return;
+    }
+
+    const decrypted = payload.deleted || !payload.encryptedData
+      ? null
+      : await decryptData(payload.encryptedData, keysRef.current.keyring);
+    const remote = isNotePayload(decrypted) ? decrypted.note : null;
+    // 服务器上的是自己之前的推送时，以它为共同祖先，本地的后续修改不算冲突
+    const ownPushes = [...(pendingNotePushesRef.current.get(noteId)?.values() || [])];
+    const isOwnPush = !!remote && ownPushes.some((note) => (note.content || '') === (remote.content || ''));
+    const ancestor = isOwnPush ? remote : syncedNoteBasesRef.current.get(noteId)?.note || null;
+    pendingNotePushesRef.current.delete(noteId);
+    syncedNoteBasesRef.current.set(noteId, { seq: payload.currentVersion, note: remote, timestamp: payload.timestamp });
+
+    if (isFoldersPayload(decrypted)) {
+      // 合并后的结构与服务器不同时会以新的序号重新推送
+      await handleRemoteSnapshot({ notes: [], deletedNotes: {}, folders: decrypted });
+      return;
+    }
+
+    // 服务器当前的状态记为已同步，本地与它不同的部分在下次推送时基于新的序号发送
+    if (remote) {
+      syncedNoteHashesRef.current.set(noteId, hashSyncedNote(remote));
+      syncedDeletionsRef.current.delete(noteId);
+    } else {
+      syncedNoteHashesRef.current.delete(noteId);
+      syncedDeletionsRef.current.add(noteId);
+    }
+
+    const local = getLocalNote(noteId);
+    if (!remote || !local || decrypted.crdt) {
+      // 删除与编辑按时间先后合并；CRDT 模式合并双方的文档状态
+      await handleRemoteSnapshot(remote
+        ? { notes: [remote], deletedNotes: {}, crdt: decrypted.crdt ? { [noteId]: decrypted.crdt } : null }
+        : { notes: [], deletedNotes: { [noteId]: payload.timestamp || Date.now() } });
+      await pushContent();
+      return;
+    }
+
+    const state = useAppStore.getState();
+    const isActive = noteId === state.activeNoteId;
+    const remoteContent = remote.content || '';
+    const content = conflictManagerRef.current
+      ? await checkRoomConflict(
+          remoteContent,
+          {
+            version: remote.version || 0,
+            timestamp: payload.timestamp ?? Date.now(),
+            deviceId: payload.deviceName || 'remote',
+          },
+          typeof ancestor?.content === 'string' ? ancestor.content : null,
+          {
+            noteId,
+            content: isActive ? state.note || '' : local.content || '',
+            version: local.version || 0,
+            timestamp: local.updatedAt || local.timestamp || 0,
+            deviceId: local.deviceId || state.deviceName || 'local',
+          }
+        )
+      : remoteContent;
+    if (content === null) {
+      // 等待手动解决：本地修改暂不重新推送
+      syncedNoteHashesRef.current.set(noteId, hashSyncedNote(local));
+      return;
+    }
+
+    const fields = mergeNoteFields(local, remote, ancestor);
+    const matchesRemote = content === remoteContent && hashSyncedNote({ ...remote, ...fields }) === hashSyncedNote(remote);
+    updateNote(noteId, matchesRemote ? { ...fields, content, version: remote.version || 0 } : { ...fields, content });
+    await persistNotebookChanges(local.notebookId, [noteId], []);
+    if (matchesRemote) {
+      if (isActive) {
+        lastSyncedHashRef.current = hashContent(content);
+      }
+      saveToHistory(content, payload.deviceName);
+    } else {
+      await pushContent();
+    }
+  }, [getRoomNotebook, getLocalNote, handleRemoteSnapshot, checkRoomConflict, updateNote, persistNotebookChanges, saveToHistory, pushContent]);
+
+  const trackSequence = useCallback((seq) => {
+    if (Number.isInteger(seq) && seq > lastSeqRef.current) {
+      lastSeqRef.current = seq;
+    }
+  }, []);
+
+  const handleRemotePayload = useCallback(async (decrypted, payload) => {
+    // 旧版客户端逐块加密发送，服务器按块广播，需要在本地重组
+    if (decrypted.chunked) {
+      const fullContent = chunkManagerRef.current.reassemble(decrypted.sessionId, decrypted.chunk);
+      if (fullContent === null) {
+        return;
+      }
+
+      if (decrypted.kind === 'notebook') {
+        await handleRemoteSnapshot(JSON.parse(fullContent));
+      } else {
+        await handleRemoteContent(fullContent, payload);
+      }
+    } else if (isNotebookSnapshot(decrypted)) {
+      await handleRemoteSnapshot(decrypted);
+    } else if (decrypted.content !== undefined) {
+      await handleRemoteContent(decrypted.content, payload);
+    }
+  }, [handleRemoteSnapshot, handleRemoteContent]);
+
+  const handleRemoteRoomUpdate = useCallback(async (payload) => {
+    if (!payload?.encryptedData || !keysRef.current) {
+      return;
+    }
+
+    try {
+      const decrypted = await decryptData(payload.encryptedData, keysRef.current.keyring);
+      if (decrypted) {
+        await handleRemotePayload(decrypted, payload);
+      }
+    } catch (err) {
+      console.error('Decryption error:', err);
+    }
+  }, [handleRemotePayload]);
+
+  // 断线期间错过的操作（服务器操作日志），按序号顺序重放
+  const handleRemoteOperations = useCallback(async (payload) => {
+    const operations = Array.isArray(payload?.operations) ? payload.operations : [];
+
+    for (const operation of operations) {
+      const remote = {
+        encryptedData: operation.content,
+        timestamp: operation.timestamp,
+        deviceName: operation.deviceId,
+        seq: operation.version,
+      };
+
+      try {
+        if (!operation.noteId) {
+          await handleRemoteRoomUpdate(remote);
+        } else if (operation.type === 'delete') {
+          await handleRemoteNoteDelete({ ...remote, noteId: operation.noteId });
+        } else {
+          await handleRemoteNote({ ...remote, noteId: operation.noteId });
+        }
+      } catch (err) {
+        console.error('Failed to replay operation:', err);
+      }
+      trackSequence(operation.version);
+    }
+
+    trackSequence(payload?.seq);
+  }, [handleRemoteRoomUpdate, handleRemoteNote, handleRemoteNoteDelete, trackSequence]);
 
   // ==================== Queue Processing ====================
 
@@ -215,32 +1115,20 @@ export const useSocket = () => {
 
     try {
       const results = await offlineQueueRef.current.processQueue(async (operation) => {
-        if (operation.type !== 'update' || !operation.data) {
+        if (operation.type !== 'update' || typeof operation.data !== 'string') {
           return { success: false };
         }
 
         try {
-          const content = operation.data;
-          const chunks = splitIntoChunks(content);
-          const sessionId = Date.now().toString();
-
-          for (const chunk of chunks) {
-            const dataToEncrypt = chunks.length === 1
-              ? { content }
-              : { chunked: true, sessionId, chunk };
-
-            const encrypted = encryptData(dataToEncrypt, keysRef.current.encryptionKey);
-
-            socketRef.current.emit('push-update', {
-              roomId: keysRef.current.roomId,
-              encryptedData: encrypted,
-              timestamp: Date.now(),
-              chunkIndex: chunk.index,
-              totalChunks: chunks.length,
-            });
+          // 笔记本模式下按当前状态计算差异，多个排队操作只会发送一次变化
+          const notebook = getRoomNotebook();
+          if (notebook) {
+            await pushNotebookChanges(notebook);
+            lastSyncedHashRef.current = hashContent(useAppStore.getState().note || '');
+          } else {
+            await pushLegacyContent(operation.data);
+            lastSyncedHashRef.current = hashContent(operation.data);
           }
-
-          lastSyncedHashRef.current = hashContent(content);
           return { success: true };
         } catch (err) {
           console.error('Failed to process queued operation:', err);
@@ -259,11 +1147,223 @@ export const useSocket = () => {
     } finally {
       setIsProcessingQueue(false);
     }
+  }, [getRoomNotebook, pushNotebookChanges, pushLegacyContent]);
+
+  // ==================== Server History ====================
+
+  const requestHistory = useCallback((event, payload, responseEvent) => new Promise((resolve, reject) => {
+    if (!socketRef.current?.connected || !keysRef.current) {
+      reject(new Error('Not connected'));
+      return;
+    }
+
+    // 同一类请求只保留最新的一个
+    const previous = pendingHistoryRef.current.get(responseEvent);
+    if (previous) {
+      clearTimeout(previous.timer);
+      previous.reject(new Error('Superseded by a newer request'));
+    }
+
+    const timer = setTimeout(() => {
+      pendingHistoryRef.current.delete(responseEvent);
+      reject(new Error('History request timed out'));
+    }, SOCKET_TIMEOUT);
+
+    pendingHistoryRef.current.set(responseEvent, { resolve, reject, timer });
+    socketRef.current.emit(event, { roomId: keysRef.current.roomId, ...payload });
+  }), []);
+
+  const resolveHistoryRequest = useCallback((responseEvent, data) => {
+    const pending = pendingHistoryRef.current.get(responseEvent);
+    if (!pending) {
+      return;
+    }
+
+    clearTimeout(pending.timer);
+    pendingHistoryRef.current.delete(responseEvent);
+    pending.resolve(data);
   }, []);
 
-  // ==================== Connection Management ====================
+  const rejectHistoryRequests = useCallback((error) => {
+    pendingHistoryRef.current.forEach((pending) => {
+      clearTimeout(pending.timer);
+      pending.reject(error);
+    });
+    pendingHistoryRef.current.clear();
+  }, []);
+
+  // ==================== Attachments ====================
 
-  const joinChain = useCallback((chainMnemonic, name) => {
+  // 附件密文保存在本地，离线时也能插入和查看；本地存储不可用时返回 null
+  const getAttachmentStorage = useCallback(async () => {
+    try {
+      const storage = getStorageManager();
+      await storage.initialize();
+      return storage;
+    } catch (error) {
+      console.error('Attachment storage unavailable:', error);
+      return null;
+    }
+  }, []);
+
+  const sendAttachmentChunk = useCallback(async (chunk) => {
+    const timestamp = Date.now();
+    const noteId = `${chunk.attachmentId}:${chunk.chunkIndex}`;
+    const signed = await signPayload('upload-attachment', { roomId: keysRef.current?.roomId, noteId, timestamp }, chunk.encryptedData);
+    return requestHistory('upload-attachment', { ...chunk, timestamp, ...signed }, `attachment-ack:${noteId}`);
+  }, [requestHistory, signPayload]);
+
+  // 上传离线时插入的附件（服务器按块幂等保存，中断后整份重发即可）
+  const uploadPendingAttachments = useCallback(async () => {
+    const roomId = keysRef.current?.roomId;
+    const storage = roomId && socketRef.current?.connected ? await getAttachmentStorage() : null;
+    if (!storage) {
+      return 0;
+    }
+
+    let uploaded = 0;
+    try {
+      for (const attachment of await storage.listPendingAttachments(roomId)) {
+        await sendAttachment({ attachmentId: attachment.id, chunks: attachment.chunks }, sendAttachmentChunk);
+        await storage.saveAttachment({ ...attachment, uploaded: true });
+        uploaded++;
+      }
+    } catch (error) {
+      console.error('Failed to upload pending attachments:', error);
+    }
+    return uploaded;
+  }, [getAttachmentStorage, sendAttachmentChunk]);
+
+  // 加密附件并先保存在本地，在线时逐块上传；返回可写入笔记的 attachment:// 链接
+  const uploadAttachment = useCallback(async (file, onProgress) => {
+    const attachment = await encryptAttachment(file);
+    const roomId = keysRef.current?.roomId;
+    const storage = roomId ? await getAttachmentStorage() : null;
+    const local = { id: attachment.attachmentId, roomId, chunks: attachment.chunks, uploaded: false };
+
+    let saved = false;
+    if (storage) {
+      try {
+        await storage.saveAttachment(local);
+        saved = true;
+      } catch (error) {
+        console.error('Failed to save attachment locally:', error);
+      }
+    }
+
+    try {
+      if (isOffline()) {
+        throw new Error('Not connected');
+      }
+      await sendAttachment(attachment, sendAttachmentChunk, onProgress);
+    } catch (error) {
+      // 已保存在本地的附件在下次连接时自动上传
+      if (!saved) {
+        throw error;
+      }
+      return attachment;
+    }
+
+    if (saved) {
+      await storage.saveAttachment({ ...local, uploaded: true }).catch((error) => {
+        console.error('Failed to update local attachment:', error);
+      });
+    }
+    return attachment;
+  }, [getAttachmentStorage, sendAttachmentChunk, isOffline]);
+
+  // 解密附件：优先读取本地密文，否则从服务器下载并缓存到本地
+  const fetchAttachment = useCallback(async (reference) => {
+    const storage = await getAttachmentStorage();
+    const local = await storage?.getAttachment(reference.attachmentId).catch(() => null);
+    if (local?.chunks?.length) {
+      return downloadAttachment(reference, async (chunkIndex) => ({
+        totalChunks: local.chunks.length,
+        encryptedData: local.chunks[chunkIndex] ?? null,
+      }));
+    }
+
+    const chunks = [];
+    const blob = await downloadAttachment(reference, (chunkIndex) => requestHistory(
+      'fetch-attachment',
+      { attachmentId: reference.attachmentId, chunkIndex },
+      `attachment-chunk:${reference.attachmentId}:${chunkIndex}`
+    ), chunks);
+
+    const roomId = keysRef.current?.roomId;
+    if (storage && roomId) {
+      await storage.saveAttachment({ id: reference.attachmentId, roomId, chunks, uploaded: true }).catch((error) => {
+        console.error('Failed to cache attachment locally:', error);
+      });
+    }
+    return blob;
+  }, [getAttachmentStorage, requestHistory]);
+
+  // 轮换同步链之前把笔记本引用的附件密文都保存到本地：离开旧房间后就无法再下载。
+  // 返回可以复制到新房间的附件ID（服务器上已经不存在的附件跳过）
+  const cacheNotebookAttachments = useCallback(async () => {
+    const notebook = getRoomNotebook();
+    const content = notebook
+      ? useAppStore.getState().notes
+        .filter((note) => note.notebookId === notebook.id)
+        .map((note) => note.content)
+        .join('\n')
+      : '';
+    const attachmentIds = [...getAttachmentIds(content)];
+    if (attachmentIds.length === 0) {
+      return [];
+    }
+
+    const storage = await getAttachmentStorage();
+    if (!storage) {
+      throw new Error('Attachment storage unavailable');
+    }
+
+    const cached = [];
+    for (const attachmentId of attachmentIds) {
+      const local = await storage.getAttachment(attachmentId);
+      if (local?.chunks?.length) {
+        cached.push(attachmentId);
+        continue;
+      }
+
+      const chunks = await fetchAttachmentChunks((chunkIndex) => requestHistory(
+        'fetch-attachment',
+        { attachmentId, chunkIndex },
+        `attachment-chunk:${attachmentId}:${chunkIndex}`
+      ));
+      if (chunks) {
+        await storage.saveAttachment({ id: attachmentId, roomId: keysRef.current.roomId, chunks, uploaded: true });
+        cached.push(attachmentId);
+      }
+    }
+    return cached;
+  }, [getRoomNotebook, getAttachmentStorage, requestHistory]);
+
+  // 把本地保存的附件密文原样上传到当前房间，每块都等服务器确认
+  const copyAttachments = useCallback(async (attachmentIds) => {
+    if (attachmentIds.length === 0) {
+      return;
+    }
+
+    const roomId = keysRef.current?.roomId;
+    const storage = await getAttachmentStorage();
+    if (!storage || !roomId) {
+      throw new Error('Attachment storage unavailable');
+    }
+
+    for (const attachmentId of attachmentIds) {
+      const local = await storage.getAttachment(attachmentId);
+      if (!local?.chunks?.length) {
+        throw new Error('Attachment is missing locally');
+      }
+      await sendAttachment({ attachmentId, chunks: local.chunks }, sendAttachmentChunk);
+      await storage.saveAttachment({ ...local, roomId, uploaded: true });
+    }
+  }, [getAttachmentStorage, sendAttachmentChunk]);
+
+
+  const joinChain = useCallback((chainMnemonic, name, passphrase = '') => {
     return new Promise((resolve) => {
       try {
         const socketUrl = getSocketUrl();
@@ -273,10 +1373,59 @@ export const useSocket = () => {
           return;
         }
 
-        const keys = deriveKeys(chainMnemonic);
+        // 密钥按信封头部记录的 KDF 配置派生；写入使用笔记本记住的配置（没有时为旧版 PBKDF2）
+        const { roomId, roomProof } = deriveRoom(chainMnemonic);
+        const storedKdf = useAppStore.getState().notebooks.find((entry) => entry.roomId === roomId)?.kdf;
+        const signingKeys = deriveSigningKeys(chainMnemonic, passphrase).catch((err) => {
+          console.warn('Write signing unavailable:', err);
+          return null;
+        });
+        const keys = {
+          roomId,
+          roomProof,
+          signingKeys,
+          // 本设备在这条链上的密钥，由链密钥背书后随 join-chain 登记
+          deviceKeys: signingKeys.then(async (chainKeys) => {
+            if (!chainKeys) {
+              return null;
+            }
+            const deviceKeys = await deriveDeviceKeys(useAppStore.getState().ensureDeviceSecret(), roomId);
+            const endorsement = await signWrite(
+              chainKeys, 'register-device', { roomId, noteId: deviceKeys.deviceId }, deviceKeys.publicKey
+            );
+            return { ...deviceKeys, endorsement };
+          }).catch((err) => {
+            console.warn('Device registration unavailable:', err);
+            return null;
+          }),
+          keyring: createKeyring({
+            mnemonic: chainMnemonic,
+            passphrase,
+            kdf: storedKdf,
+            onKdfChange: (kdf) => {
+              rememberNotebookKdf(kdf).catch((err) => console.error('Failed to store KDF profile:', err));
+            },
+          }),
+        };
         keysRef.current = keys;
+        resetPresence();
+        setDevices([]);
+        setCurrentDeviceId(null);
+        keys.deviceKeys.then((deviceKeys) => {
+          if (keysRef.current === keys) {
+            setCurrentDeviceId(deviceKeys?.deviceId || null);
+          }
+        });
 
         lastSyncedHashRef.current = '00';
+        lastSeqRef.current = 0;
+        syncedRoomRef.current = { version: 0, content: null };
+        pendingPushesRef.current = new Map();
+        syncedNoteBasesRef.current = new Map();
+        pendingNotePushesRef.current = new Map();
+        syncedNoteHashesRef.current = new Map();
+        syncedDeletionsRef.current = new Set();
+        syncedFoldersHashRef.current = hashFolders({});
         conflictManagerRef.current?.clearConflicts();
         setPendingConflicts([]);
         setConflictCount(0);
@@ -294,6 +1443,9 @@ export const useSocket = () => {
           debouncedPushRef.current.cancel();
         }
         chunkManagerRef.current.clear();
+        uploadManagerRef.current.clear();
+        setUploadProgress(null);
+        destroyCrdtManager();
 
         // Create new socket
         socketRef.current = io(socketUrl, {
@@ -307,18 +1459,31 @@ export const useSocket = () => {
 
         const socket = socketRef.current;
 
+        // After a reconnect the server only sends the operations after `since`.
+        // A notebook moved from its legacy room id asks the server to copy that room until it confirms.
+        const emitJoin = async () => {
+          const legacyRoomId = useAppStore.getState().notebooks.find((entry) => entry.roomId === roomId)?.legacyRoomId;
+          socket.emit('join-chain', {
+            ...(await createJoinPayload(keys, name)),
+            ...(legacyRoomId ? { legacyRoomId } : {}),
+            ...(lastSeqRef.current > 0 ? { since: lastSeqRef.current } : {}),
+          });
+        };
+
         // Event handlers
         socket.on('connect', async () => {
           setStatus('connected');
           reconnectAttemptRef.current = 0;
 
-          socket.emit('join-chain', {
-            roomId: keys.roomId,
-            deviceName: name,
+          await emitJoin();
+          // 断线前未完成的分块上传：先查询服务器已有哪些块，再补发缺失的
+          uploadManagerRef.current.resume().forEach((sessionId) => {
+            socket.emit('chunk-status', { roomId: keys.roomId, sessionId });
           });
 
           await initOfflineQueue();
           await processQueuedOperations();
+          await uploadPendingAttachments();
 
           if (isReconnectingRef.current) {
             toast.success(t.reconnected);
@@ -329,34 +1494,147 @@ export const useSocket = () => {
         });
 
         socket.on('sync-update', async (payload) => {
-          if (payload && payload.encryptedData) {
-            try {
-              const decrypted = decryptData(payload.encryptedData, keys.encryptionKey);
-              if (decrypted) {
-                // Handle chunked content
-                if (decrypted.chunked) {
-                  const fullContent = chunkManagerRef.current.reassemble(decrypted.sessionId, decrypted.chunk);
-                  if (fullContent !== null) {
-                    await handleRemoteContent(fullContent, payload);
-                  }
-                } else if (decrypted.content !== undefined) {
-                  await handleRemoteContent(decrypted.content, payload);
-                }
-              }
-            } catch (err) {
-              console.error('Decryption error:', err);
-            }
+          await handleRemoteRoomUpdate(payload);
+          trackSequence(payload?.seq);
+        });
+
+        socket.on('update-ack', handleUpdateAck);
+
+        socket.on('chunk-ack', handleChunkAck);
+
+        socket.on('chunk-status', handleChunkStatus);
+
+        socket.on('note-ack', handleNoteAck);
+
+        // 带 noteId 的冲突来自 push-note / delete-note，否则来自旧版的 push-update
+        socket.on('version-conflict', async (payload) => {
+          try {
+            await (payload?.noteId ? handleNoteVersionConflict(payload) : handleVersionConflict(payload));
+          } catch (err) {
+            console.error('Decryption error:', err);
+          }
+        });
+
+        socket.on('note-update', async (payload) => {
+          try {
+            await handleRemoteNote(payload);
+          } catch (err) {
+            console.error('Decryption error:', err);
+          }
+          trackSequence(payload?.seq);
+        });
+
+        socket.on('note-delete', async (payload) => {
+          await handleRemoteNoteDelete(payload);
+          trackSequence(payload?.seq);
+        });
+
+        socket.on('notes-snapshot', async (payload) => {
+          await handleRemoteNotes(payload);
+          // 完整状态之后从服务器当前序号重新计数（服务器可能已重置）
+          lastSeqRef.current = Number.isInteger(payload?.seq) ? payload.seq : 0;
+          // 把服务器尚未拥有的本地修改补发出去
+          await pushContent();
+          await requestCrdtSync(useAppStore.getState().activeNoteId);
+        });
+
+        socket.on('sync-ops', async (payload) => {
+          await handleRemoteOperations(payload);
+          await pushContent();
+          await requestCrdtSync(useAppStore.getState().activeNoteId);
+        });
+
+        socket.on('yjs-update', async (payload) => {
+          try {
+            await handleRemoteCrdtUpdate(payload);
+          } catch (err) {
+            console.error('Decryption error:', err);
+          }
+        });
+
+        socket.on('yjs-sync', async (payload) => {
+          try {
+            await handleRemoteCrdtSync(payload);
+          } catch (err) {
+            console.error('Decryption error:', err);
           }
         });
 
+        socket.on('versions-list', (data) => {
+          resolveHistoryRequest('versions-list', data);
+        });
+
+        socket.on('version-data', (data) => {
+          resolveHistoryRequest('version-data', data);
+        });
+
+        // 其他设备轮换了这条链（自己的轮换通过单独的连接发送，此时已在新房间）：停止同步
+        socket.on('chain-rotated', () => {
+          setStatus('disconnected');
+          toast.error(t.chainRotated, { duration: 10000 });
+          socket.disconnect();
+        });
+
+        socket.on('devices-list', (data) => {
+          setDevices(data?.devices || []);
+          resolveHistoryRequest('devices-list', data);
+        });
+
+        // 附件块按 ID 和序号对应各自的请求
+        socket.on('attachment-ack', (data) => {
+          resolveHistoryRequest(`attachment-ack:${data?.attachmentId}:${data?.chunkIndex}`, data);
+        });
+
+        socket.on('attachment-chunk', (data) => {
+          resolveHistoryRequest(`attachment-chunk:${data?.attachmentId}:${data?.chunkIndex}`, data);
+        });
+
+        // 本设备被移除：停止同步；其他设备被移除：更新设备列表
+        socket.on('device-removed', async (data) => {
+          const deviceKeys = await keys.deviceKeys;
+          if (deviceKeys && data?.deviceId === deviceKeys.deviceId) {
+            setStatus('disconnected');
+            toast.error(t.deviceRemoved, { duration: 10000 });
+            socket.disconnect();
+            return;
+          }
+
+          setDevices((current) => current.map((device) => (
+            device.deviceId === data?.deviceId
+              ? { ...device, revokedAt: data.removedAt, online: false }
+              : device
+          )));
+        });
+
+        socket.on('legacy-room-imported', () => {
+          forgetLegacyRoom().catch((err) => console.error('Failed to store legacy room import:', err));
+        });
+
         socket.on('room-info', (data) => {
           if (data && data.members) {
             setMembers(data.members);
+            setPresence((current) => prunePresence(current, data.members));
+            // 新加入的设备还不知道我们的位置：重新发送一次
+            const joined = data.members.some((member) => (
+              member.id !== socket.id && !knownMembersRef.current.has(member.id)
+            ));
+            knownMembersRef.current = new Set(data.members.map((member) => member.id));
+            if (joined) {
+              presenceSenderRef.current();
+            }
           }
         });
 
+        socket.on('presence', (payload) => {
+          handleRemotePresence(payload).catch((err) => {
+            console.error('Decryption error:', err);
+          });
+        });
+
         socket.on('disconnect', (reason) => {
           setStatus('disconnected');
+          setPresence({});
+          knownMembersRef.current = new Set();
           if (reason !== 'io client disconnect') {
             toast.error(t.disconnected);
           }
@@ -373,11 +1651,9 @@ export const useSocket = () => {
 
         socket.on('reconnect', async () => {
           toast.dismiss('reconnecting');
-          socket.emit('join-chain', {
-            roomId: keys.roomId,
-            deviceName: name,
-          });
+          await emitJoin();
           await processQueuedOperations();
+          await uploadPendingAttachments();
         });
 
         socket.on('reconnect_failed', () => {
@@ -395,6 +1671,7 @@ export const useSocket = () => {
 
         socket.on('error', (error) => {
           console.error('Socket error:', error);
+          rejectHistoryRequests(new Error(error?.message || 'Socket error'));
           toast.error(t.syncError);
         });
 
@@ -406,18 +1683,25 @@ export const useSocket = () => {
         resolve(false);
       }
     });
-  }, [setStatus, setMembers, setView, t, initOfflineQueue, processQueuedOperations, handleRemoteContent]);
+  }, [setStatus, setMembers, setView, setUploadProgress, t, rememberNotebookKdf, forgetLegacyRoom, initOfflineQueue, processQueuedOperations, uploadPendingAttachments, handleRemoteRoomUpdate, handleRemoteOperations, trackSequence, handleUpdateAck, handleChunkAck, handleChunkStatus, handleVersionConflict, handleNoteAck, handleNoteVersionConflict, handleRemoteNote, handleRemoteNoteDelete, handleRemoteNotes, pushContent, destroyCrdtManager, requestCrdtSync, handleRemoteCrdtUpdate, handleRemoteCrdtSync, resolveHistoryRequest, rejectHistoryRequests, resetPresence, handleRemotePresence]);
 
   // ==================== Public API ====================
 
   const pushUpdate = useCallback(async (content) => {
+    // CRDT 模式：本地编辑立即进入文档（离线时也会保存在 IndexedDB，重连后按状态向量补发）
+    const crdtManager = getCrdtManager();
+    const { activeNoteId: noteId, note } = useAppStore.getState();
+    if (crdtManager && noteId && getLocalNote(noteId)) {
+      await crdtManager.applyLocalText(noteId, content ?? note ?? '');
+    }
+
     // If offline, queue the operation
     if (isOffline()) {
       const queue = await initOfflineQueue();
       if (queue && keysRef.current) {
         await queue.enqueue({
           type: 'update',
-          data: content,
+          data: content ?? useAppStore.getState().note,
           timestamp: Date.now(),
           roomId: keysRef.current.roomId,
         });
@@ -430,7 +1714,122 @@ export const useSocket = () => {
 
     setStatus('syncing');
     debouncedPushRef.current?.(content);
-  }, [setStatus, isOffline, initOfflineQueue, t]);
+  }, [setStatus, isOffline, initOfflineQueue, t, getCrdtManager, getLocalNote]);
+
+  // 服务器保存的历史版本（不传 noteId 时为整库数据的历史）
+  const listServerVersions = useCallback(async (noteId = null) => {
+    const result = await requestHistory('list-versions', { noteId }, 'versions-list');
+    return Array.isArray(result?.versions) ? result.versions : [];
+  }, [requestHistory]);
+
+  // 用服务器上的历史版本恢复笔记，恢复结果作为一次新的编辑同步给其他设备
+  const restoreServerVersion = useCallback(async (versionId) => {
+    const version = await requestHistory('fetch-version', { versionId }, 'version-data');
+    const decrypted = await decryptData(version.encryptedData, keysRef.current.keyring);
+    const state = useAppStore.getState();
+
+    if (isNotePayload(decrypted)) {
+      const note = state.notes.find((entry) => entry.id === decrypted.note.id);
+      if (!note) {
+        return false;
+      }
+
+      const { title, tags, content } = decrypted.note;
+      updateNote(note.id, {
+        title: title ?? note.title,
+        tags: tags ?? note.tags,
+        content: content ?? '',
+        timestamp: Date.now(),
+        deviceId: state.deviceName || 'local',
+      });
+      await crdtManagerRef.current?.applyLocalText(note.id, content ?? '');
+      await persistNotebookChanges(note.notebookId, [note.id], []);
+    } else if (typeof decrypted?.content === 'string') {
+      setNote(decrypted.content);
+    } else {
+      return false;
+    }
+
+    await pushUpdate(useAppStore.getState().note);
+    return true;
+  }, [requestHistory, updateNote, setNote, persistNotebookChanges, pushUpdate]);
+
+  // 轮换同步链：服务器清空当前房间并留下墓碑，新的助记词由调用方生成后重新加入
+  // 在旧房间留下墓碑：用旧密钥通过一个临时连接加入旧房间并发送 rotate-chain，不影响当前连接
+  const retireRoom = useCallback((keys, name) => new Promise((resolve, reject) => {
+    const socket = io(getSocketUrl(), { transports: ['websocket', 'polling'], reconnection: false, timeout: SOCKET_TIMEOUT });
+    const finish = (error, data) => {
+      clearTimeout(timer);
+      socket.removeAllListeners();
+      socket.disconnect();
+      if (error) {
+        reject(error);
+      } else {
+        resolve(data);
+      }
+    };
+    const timer = setTimeout(() => finish(new Error('Chain rotation timed out')), SOCKET_TIMEOUT);
+
+    socket.on('connect', async () => {
+      try {
+        socket.emit('join-chain', await createJoinPayload(keys, name));
+        const fields = { roomId: keys.roomId, timestamp: Date.now() };
+        socket.emit('rotate-chain', { ...fields, ...(await signWithKeys(keys, 'rotate-chain', fields)) });
+      } catch (error) {
+        finish(error);
+      }
+    });
+    socket.on('chain-rotated', (data) => finish(null, data));
+    socket.on('error', (error) => finish(new Error(error?.message || 'Failed to rotate chain')));
+    socket.on('connect_error', (error) => finish(error));
+  }), []);
+
+  // 轮换同步链：先加入新链，等服务器确认笔记本的数据和附件都已上传，最后才在旧房间留下墓碑。
+  // attachmentIds 来自 cacheNotebookAttachments（必须在切换笔记本之前调用）。
+  // 任何一步失败时旧房间保持原样，其他设备仍可继续使用旧链
+  const rotateChain = useCallback(async (nextMnemonic, name, passphrase = '', attachmentIds = []) => {
+    const previous = keysRef.current;
+    if (!previous || !(await joinChain(nextMnemonic, name, passphrase))) {
+      return null;
+    }
+
+    await waitForNotebookUpload(ROTATION_UPLOAD_TIMEOUT);
+    await copyAttachments(attachmentIds);
+    return retireRoom(previous, name);
+  }, [joinChain, waitForNotebookUpload, copyAttachments, retireRoom]);
+
+  const listDevices = useCallback(async () => {
+    const result = await requestHistory('list-devices', {}, 'devices-list');
+    return result?.devices || [];
+  }, [requestHistory]);
+
+  // 移除一台设备：它不能再加入或写入这条链（持有助记词的人仍可重新加入，需轮换同步链才能彻底阻止）
+  const removeDevice = useCallback(async (deviceId) => {
+    const timestamp = Date.now();
+    const signed = await signPayload('remove-device', { roomId: keysRef.current?.roomId, noteId: deviceId, timestamp });
+    const result = await requestHistory('remove-device', { deviceId, timestamp, ...signed }, 'devices-list');
+    return result?.devices || [];
+  }, [requestHistory, signPayload]);
+
+  // 切换 KDF 配置：用新参数重新加密并上传全部数据，其他设备读到更晚选定的配置后自动跟随
+  const changeKdfProfile = useCallback(async (profileId) => {
+    const keyring = keysRef.current?.keyring;
+    if (!keyring || !KDF_PROFILES[profileId]) {
+      return false;
+    }
+
+    const kdf = { ...KDF_PROFILES[profileId], setAt: Date.now() };
+    // 慢速 KDF 只在这里派生一次，之后的加密直接使用缓存的密钥
+    await keyring.keyFor(kdf);
+    keyring.setKdf(kdf);
+    await rememberNotebookKdf(keyring.kdf);
+
+    syncedNoteHashesRef.current = new Map();
+    syncedFoldersHashRef.current = hashFolders({});
+    lastSyncedHashRef.current = '00';
+    await pushContent();
+    return true;
+  }, [rememberNotebookKdf, pushContent]);
 
   const disconnect = useCallback(() => {
     if (debouncedPushRef.current) {
@@ -442,13 +1841,20 @@ export const useSocket = () => {
       socketRef.current = null;
     }
     keysRef.current = null;
+    resetPresence();
+    setDevices([]);
+    setCurrentDeviceId(null);
     chunkManagerRef.current.clear();
+    uploadManagerRef.current.clear();
+    setUploadProgress(null);
+    destroyCrdtManager();
+    rejectHistoryRequests(new Error('Disconnected'));
     conflictManagerRef.current?.clearConflicts();
     setPendingConflicts([]);
     setConflictCount(0);
     setQueueSize(0);
     setIsProcessingQueue(false);
-  }, []);
+  }, [setUploadProgress, destroyCrdtManager, rejectHistoryRequests, resetPresence]);
 
   const resolveConflict = useCallback(async (conflictId, resolvedContent) => {
     if (!conflictManagerRef.current) return null;
@@ -469,8 +1875,15 @@ export const useSocket = () => {
   const getCurrentRoomId = useCallback(() => keysRef.current?.roomId || null, []);
 
   const requestSync = useCallback(() => {
-    if (socketRef.current?.connected && keysRef.current) {
-      socketRef.current.emit('request-sync', { roomId: keysRef.current.roomId });
+    if (!socketRef.current?.connected || !keysRef.current) {
+      return;
+    }
+
+    const { roomId } = keysRef.current;
+    if (lastSeqRef.current > 0) {
+      socketRef.current.emit('request-sync-since', { roomId, since: lastSeqRef.current });
+    } else {
+      socketRef.current.emit('request-sync', { roomId });
     }
   }, []);
 
@@ -499,6 +1912,29 @@ export const useSocket = () => {
     };
   }, [t, setStatus]);
 
+  // CRDT mode: sync the active note's document, or drop all documents when leaving the mode
+  useEffect(() => {
+    if (syncMode !== 'crdt') {
+      destroyCrdtManager();
+      return;
+    }
+
+    if (socketRef.current?.connected) {
+      requestCrdtSync(activeNoteId).catch((err) => {
+        console.error('CRDT sync request failed:', err);
+      });
+    }
+  }, [syncMode, activeNoteId, destroyCrdtManager, requestCrdtSync]);
+
+  // 切换笔记后告诉其他设备（光标位置由编辑器随后上报）
+  useEffect(() => {
+    if (!localPresenceRef.current || localPresenceRef.current.noteId === (activeNoteId ?? null)) {
+      return;
+    }
+    localPresenceRef.current = { noteId: activeNoteId ?? null, anchor: null, head: null, typing: false };
+    presenceSenderRef.current();
+  }, [activeNoteId]);
+
   // Cleanup stale chunk sessions
   useEffect(() => {
     const cleanup = setInterval(() => {
@@ -520,6 +1956,22 @@ export const useSocket = () => {
     getSocketId,
     getCurrentRoomId,
     requestSync,
+    listServerVersions,
+    restoreServerVersion,
+    cacheNotebookAttachments,
+    rotateChain,
+    changeKdfProfile,
+    // Presence
+    presence,
+    updatePresence,
+    // Devices
+    devices,
+    currentDeviceId,
+    listDevices,
+    removeDevice,
+    // Attachments
+    uploadAttachment,
+    fetchAttachment,
     isConnected: () => socketRef.current?.connected ?? false,
     conflictCount,
     pendingConflicts,
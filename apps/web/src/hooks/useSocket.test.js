@@ -37,14 +37,26 @@ vi.mock('../utils/crypto', async () => {
   const actual = await vi.importActual('../utils/crypto');
   return {
     ...actual,
-    encryptData: vi.fn((data) => JSON.stringify(data)),
-    decryptData: vi.fn((ciphertext) => JSON.parse(ciphertext)),
+    encryptData: vi.fn(async (data) => JSON.stringify(data)),
+    decryptData: vi.fn(async (ciphertext) => JSON.parse(ciphertext)),
   };
 });
 
+vi.mock('y-indexeddb', () => ({
+  IndexeddbPersistence: vi.fn(function IndexeddbPersistence() {
+    this.whenSynced = Promise.resolve(this);
+    this.destroy = vi.fn();
+  }),
+}));
+
+import { io } from 'socket.io-client';
 import { useSocket } from './useSocket';
 import { useAppStore } from '../store/useStore';
-import { deriveKeys } from '../utils/crypto';
+import { deriveKeys, deriveRoom, encryptData } from '../utils/crypto';
+import { CrdtSyncManager, encodeUpdate } from '../utils/crdt';
+import { CHUNK_SIZE } from '../utils/sync';
+import { parseAttachmentUrl } from '../utils/attachments';
+import { getStorageManager } from '../utils/storage';
 
 const resetStore = () => {
   useAppStore.setState({
@@ -59,6 +71,28 @@ const resetStore = () => {
     history: [],
     lang: 'zh',
     syncDebounceMs: 0,
+    notes: [],
+    notebooks: [],
+    activeNotebookId: null,
+    activeNoteId: null,
+    syncMode: 'snapshot',
+  });
+};
+
+const MNEMONIC = 'test test test test test test test test test test test ball';
+
+const seedNotebook = () => {
+  const keys = deriveKeys(MNEMONIC);
+  useAppStore.setState({
+    notebooks: [{ id: 'nb-1', name: 'Work', mnemonic: MNEMONIC, roomId: keys.roomId, deletedNotes: {} }],
+    notes: [
+      { id: 'note-a', notebookId: 'nb-1', title: 'A', content: 'alpha', tags: [], version: 1, updatedAt: 100 },
+      { id: 'note-b', notebookId: 'nb-1', title: 'B', content: 'beta', tags: ['work'], version: 1, updatedAt: 100 },
+    ],
+    activeNotebookId: 'nb-1',
+    activeNoteId: 'note-a',
+    note: 'alpha',
+    noteVersion: 1,
   });
 };
 
@@ -68,6 +102,7 @@ describe('useSocket', () => {
     mockSocket.connected = true;
     mockSocket.id = 'socket-1';
     mockSocket.handlers = {};
+    localStorage.clear();
     resetStore();
   });
 
@@ -95,13 +130,50 @@ describe('useSocket', () => {
 
     expect(mockSocket.emit).toHaveBeenCalledWith('join-chain', {
       roomId: keys.roomId,
+      roomProof: deriveRoom(mnemonic).roomProof,
       deviceName: 'MacBook',
+      device: {
+        deviceId: expect.stringMatching(/^[0-9a-f]{32}$/),
+        publicKey: expect.any(String),
+        platform: expect.any(String),
+        endorsement: { publicKey: expect.any(String), signature: expect.any(String) },
+      },
     });
     expect(useAppStore.getState().view).toBe('app');
     expect(useAppStore.getState().status).toBe('connected');
     expect(toast.success).toHaveBeenCalled();
   });
 
+  it('asks the server to copy the legacy room until it confirms the import', async () => {
+    seedNotebook();
+    const { legacyRoomId } = deriveRoom(MNEMONIC);
+    useAppStore.getState().updateNotebook('nb-1', { legacyRoomId });
+    const { result } = renderHook(() => useSocket());
+
+    await act(async () => {
+      const joinPromise = result.current.joinChain(MNEMONIC, 'MacBook');
+      await mockSocket.handlers.connect();
+      await joinPromise;
+    });
+
+    expect(mockSocket.emit).toHaveBeenCalledWith('join-chain', expect.objectContaining({ legacyRoomId }));
+
+    await act(async () => {
+      mockSocket.handlers['legacy-room-imported']({ legacyRoomId });
+    });
+    await waitFor(() => {
+      expect(useAppStore.getState().notebooks[0].legacyRoomId).toBeNull();
+    });
+
+    mockSocket.emit.mockClear();
+    await act(async () => {
+      await mockSocket.handlers.reconnect();
+    });
+
+    const [, payload] = mockSocket.emit.mock.calls.find(([event]) => event === 'join-chain');
+    expect(payload).not.toHaveProperty('legacyRoomId');
+  });
+
   it('applies sync-update payloads to store and history', async () => {
     const { result } = renderHook(() => useSocket());
     const mnemonic = 'test test test test test test test test test test test ball';
@@ -128,6 +200,130 @@ describe('useSocket', () => {
     expect(state.history[0]?.content).toBe('remote note content');
   });
 
+  it('rebases push-update on the server version after a version conflict', async () => {
+    const { result } = renderHook(() => useSocket());
+
+    await act(async () => {
+      const joinPromise = result.current.joinChain(MNEMONIC, 'MacBook');
+      mockSocket.handlers.connect();
+      await joinPromise;
+    });
+
+    await act(async () => {
+      await mockSocket.handlers['sync-update']({
+        encryptedData: JSON.stringify({ content: 'base' }),
+        timestamp: 100,
+        deviceName: 'Remote Device',
+        version: 1,
+      });
+    });
+
+    // Two quick edits: both pushes are based on version 1
+    mockSocket.emit.mockClear();
+    for (const content of ['v1', 'v2']) {
+      act(() => {
+        useAppStore.getState().setNote(content);
+      });
+      await act(async () => {
+        await result.current.pushUpdate(content);
+        await new Promise((resolve) => setTimeout(resolve, 5));
+      });
+    }
+
+    const pushes = mockSocket.emit.mock.calls.filter(([event]) => event === 'push-update');
+    expect(pushes.map(([, payload]) => payload.baseVersion)).toEqual([1, 1]);
+
+    // The server accepted v1 and rejected v2; v1 is our own edit, so v2 is re-sent on top of it
+    await act(async () => {
+      mockSocket.handlers['update-ack']({ timestamp: pushes[0][1].timestamp, success: true, version: 2 });
+      await mockSocket.handlers['version-conflict']({
+        baseVersion: 1,
+        currentVersion: 2,
+        encryptedData: JSON.stringify({ content: 'v1' }),
+        timestamp: pushes[0][1].timestamp,
+        deviceName: 'MacBook',
+      });
+    });
+
+    expect(mockSocket.emit).toHaveBeenLastCalledWith('push-update', expect.objectContaining({
+      encryptedData: JSON.stringify({ content: 'v2' }),
+      baseVersion: 2,
+    }));
+    expect(result.current.conflictCount).toBe(0);
+
+    // Another device changed it meanwhile: a real conflict, with v1 as the common ancestor
+    await act(async () => {
+      await mockSocket.handlers['version-conflict']({
+        baseVersion: 2,
+        currentVersion: 3,
+        encryptedData: JSON.stringify({ content: 'other device' }),
+        timestamp: Date.now(),
+        deviceName: 'Remote Device',
+      });
+    });
+
+    expect(result.current.conflictCount).toBe(1);
+    expect(result.current.pendingConflicts[0].commonAncestor.content).toBe('v1');
+    expect(useAppStore.getState().note).toBe('v2');
+  });
+
+  it('resumes a large upload after a reconnect by resending only the missing chunks', async () => {
+    const keys = deriveKeys(MNEMONIC);
+    const { result } = renderHook(() => useSocket());
+
+    await act(async () => {
+      const joinPromise = result.current.joinChain(MNEMONIC, 'MacBook');
+      await mockSocket.handlers.connect();
+      await joinPromise;
+    });
+
+    // The ciphertext needs 6 chunks; only the first 4 are sent before any chunk-ack
+    const content = 'x'.repeat(CHUNK_SIZE * 5);
+    mockSocket.emit.mockClear();
+    act(() => {
+      useAppStore.getState().setNote(content);
+    });
+    await act(async () => {
+      await result.current.pushUpdate(content);
+      await new Promise((resolve) => setTimeout(resolve, 5));
+    });
+
+    const sentChunks = () => mockSocket.emit.mock.calls
+      .filter(([event]) => event === 'push-update')
+      .map(([, payload]) => payload.chunkIndex);
+    expect(sentChunks()).toEqual([0, 1, 2, 3]);
+    const { sessionId } = mockSocket.emit.mock.calls[0][1];
+    expect(useAppStore.getState().uploadProgress).toEqual({ sent: 0, total: 6 });
+
+    act(() => {
+      mockSocket.handlers['chunk-ack']({ sessionId, chunkIndex: 0, received: 1, total: 6 });
+    });
+    expect(sentChunks()).toEqual([0, 1, 2, 3, 4]);
+    expect(useAppStore.getState().uploadProgress).toEqual({ sent: 1, total: 6 });
+
+    // The connection drops; the server turns out to hold chunks 0, 1 and 3
+    mockSocket.emit.mockClear();
+    await act(async () => {
+      mockSocket.handlers.disconnect('transport close');
+      await mockSocket.handlers.connect();
+    });
+    expect(mockSocket.emit).toHaveBeenCalledWith('chunk-status', { roomId: keys.roomId, sessionId });
+
+    mockSocket.emit.mockClear();
+    act(() => {
+      mockSocket.handlers['chunk-status']({ sessionId, received: [0, 1, 3], total: 6, complete: false });
+    });
+    expect(sentChunks()).toEqual([2, 4, 5]);
+    expect(useAppStore.getState().uploadProgress).toEqual({ sent: 3, total: 6 });
+
+    act(() => {
+      mockSocket.handlers['chunk-ack']({ sessionId, chunkIndex: 2, received: 4, total: 6 });
+      mockSocket.handlers['chunk-ack']({ sessionId, chunkIndex: 4, received: 5, total: 6 });
+      mockSocket.handlers['chunk-ack']({ sessionId, chunkIndex: 5, received: 6, total: 6 });
+    });
+    expect(useAppStore.getState().uploadProgress).toBeNull();
+  });
+
   it('requests latest sync only when connected and joined', async () => {
     const { result } = renderHook(() => useSocket());
     const mnemonic = 'test test test test test test test test test test test ball';
@@ -180,4 +376,731 @@ describe('useSocket', () => {
       expect(toast.error).toHaveBeenCalled();
     });
   });
+
+  it('pushes only the notes that changed since the last sync', async () => {
+    seedNotebook();
+    const { result } = renderHook(() => useSocket());
+
+    await act(async () => {
+      const joinPromise = result.current.joinChain(MNEMONIC, 'MacBook');
+      mockSocket.handlers.connect();
+      await joinPromise;
+    });
+
+    // Server has nothing yet: both local notes are uploaded individually
+    mockSocket.emit.mockClear();
+    await act(async () => {
+      await mockSocket.handlers['notes-snapshot']({ notes: [] });
+    });
+
+    const pushed = mockSocket.emit.mock.calls.filter(([event]) => event === 'push-note');
+    expect(pushed.map(([, payload]) => payload.noteId)).toEqual(['note-a', 'note-b']);
+    expect(JSON.parse(pushed[1][1].encryptedData)).toMatchObject({
+      type: 'note',
+      note: { id: 'note-b', tags: ['work'] },
+    });
+    expect(mockSocket.emit).not.toHaveBeenCalledWith('push-update', expect.anything());
+
+    // Editing one note only transmits that note
+    mockSocket.emit.mockClear();
+    act(() => {
+      useAppStore.getState().setNote('alpha edited');
+    });
+    await act(async () => {
+      await result.current.pushUpdate('alpha edited');
+    });
+
+    await waitFor(() => {
+      expect(mockSocket.emit).toHaveBeenCalledWith('push-note', expect.objectContaining({ noteId: 'note-a' }));
+    });
+    expect(mockSocket.emit.mock.calls.filter(([event]) => event === 'push-note')).toHaveLength(1);
+  });
+
+  it('rebases push-note on the server copy after a version conflict', async () => {
+    seedNotebook();
+    const { result } = renderHook(() => useSocket());
+    const record = (note, seq) => ({
+      noteId: note.id,
+      encryptedData: JSON.stringify({ type: 'note', note }),
+      version: note.version,
+      timestamp: note.updatedAt,
+      deviceName: 'Remote Device',
+      deleted: false,
+      seq,
+    });
+
+    await act(async () => {
+      const joinPromise = result.current.joinChain(MNEMONIC, 'MacBook');
+      mockSocket.handlers.connect();
+      await joinPromise;
+    });
+    await act(async () => {
+      await mockSocket.handlers['notes-snapshot']({
+        notes: [
+          record({ id: 'note-a', title: 'A', content: 'alpha', tags: [], version: 1, updatedAt: 100 }, 3),
+          record({ id: 'note-b', title: 'B', content: 'beta', tags: ['work'], version: 1, updatedAt: 100 }, 4),
+        ],
+        seq: 4,
+      });
+    });
+
+    // This device renames the note while another device already changed its content
+    mockSocket.emit.mockClear();
+    act(() => {
+      useAppStore.getState().updateNote('note-a', { title: 'A renamed' });
+    });
+    await act(async () => {
+      await result.current.pushUpdate();
+    });
+    await waitFor(() => {
+      expect(mockSocket.emit).toHaveBeenCalledWith('push-note', expect.objectContaining({ noteId: 'note-a', baseVersion: 3 }));
+    });
+
+    mockSocket.emit.mockClear();
+    await act(async () => {
+      const remote = record({ id: 'note-a', title: 'A', content: 'alpha from phone', tags: [], version: 2, updatedAt: 200 }, 5);
+      await mockSocket.handlers['version-conflict']({ noteId: 'note-a', baseVersion: 3, currentVersion: 5, ...remote });
+    });
+
+    // Only one side changed each field: both changes are kept and sent on top of the server copy
+    expect(useAppStore.getState().notes.find((note) => note.id === 'note-a')).toMatchObject({
+      title: 'A renamed',
+      content: 'alpha from phone',
+    });
+    const rebased = mockSocket.emit.mock.calls.find(([event]) => event === 'push-note')[1];
+    expect(rebased).toMatchObject({ noteId: 'note-a', baseVersion: 5 });
+    expect(JSON.parse(rebased.encryptedData).note).toMatchObject({ title: 'A renamed', content: 'alpha from phone' });
+    expect(result.current.conflictCount).toBe(0);
+
+    // Both sides edited the content: the conflict goes to the conflict dialog and nothing is pushed
+    act(() => {
+      mockSocket.handlers['note-ack']({ noteId: 'note-a', seq: 6, timestamp: rebased.timestamp, success: true });
+      useAppStore.getState().setNote('alpha from laptop');
+    });
+    mockSocket.emit.mockClear();
+    await act(async () => {
+      const remote = record({ id: 'note-a', title: 'A renamed', content: 'alpha from tablet', tags: [], version: 4, updatedAt: 300 }, 7);
+      await mockSocket.handlers['version-conflict']({ noteId: 'note-a', baseVersion: 6, currentVersion: 7, ...remote });
+    });
+
+    expect(result.current.conflictCount).toBe(1);
+    expect(result.current.pendingConflicts[0]).toMatchObject({
+      noteId: 'note-a',
+      commonAncestor: expect.objectContaining({ content: 'alpha from phone' }),
+    });
+    expect(useAppStore.getState().note).toBe('alpha from laptop');
+    expect(mockSocket.emit).not.toHaveBeenCalledWith('push-note', expect.anything());
+  });
+
+  it('sends deletions as tombstones', async () => {
+    seedNotebook();
+    const { result } = renderHook(() => useSocket());
+    const keys = deriveKeys(MNEMONIC);
+
+    await act(async () => {
+      const joinPromise = result.current.joinChain(MNEMONIC, 'MacBook');
+      mockSocket.handlers.connect();
+      await joinPromise;
+    });
+
+    await act(async () => {
+      await mockSocket.handlers['notes-snapshot']({ notes: [] });
+    });
+
+    mockSocket.emit.mockClear();
+    act(() => {
+      useAppStore.getState().removeNote('note-b');
+    });
+    await act(async () => {
+      await result.current.pushUpdate();
+    });
+
+    await waitFor(() => {
+      expect(mockSocket.emit).toHaveBeenCalledWith('delete-note', expect.objectContaining({
+        roomId: keys.roomId,
+        noteId: 'note-b',
+      }));
+    });
+  });
+
+  it('applies per-note updates and deletions from other devices', async () => {
+    seedNotebook();
+    const { result } = renderHook(() => useSocket());
+
+    await act(async () => {
+      const joinPromise = result.current.joinChain(MNEMONIC, 'MacBook');
+      mockSocket.handlers.connect();
+      await joinPromise;
+    });
+
+    await act(async () => {
+      await mockSocket.handlers['note-update']({
+        noteId: 'note-c',
+        encryptedData: JSON.stringify({
+          type: 'note',
+          note: { id: 'note-c', title: 'C', content: 'gamma', tags: [], version: 1, updatedAt: 300 },
+        }),
+        version: 1,
+        timestamp: 300,
+        deviceName: 'Remote Device',
+      });
+      await mockSocket.handlers['note-delete']({ noteId: 'note-b', timestamp: 400 });
+    });
+
+    const state = useAppStore.getState();
+    expect(state.notes.map((note) => note.id).sort()).toEqual(['note-a', 'note-c']);
+    expect(state.notebooks[0].deletedNotes).toEqual({ 'note-b': 400 });
+  });
+
+  it('replays missed operations and resumes from the last server sequence', async () => {
+    seedNotebook();
+    const keys = deriveKeys(MNEMONIC);
+    const { result } = renderHook(() => useSocket());
+
+    await act(async () => {
+      const joinPromise = result.current.joinChain(MNEMONIC, 'MacBook');
+      mockSocket.handlers.connect();
+      await joinPromise;
+    });
+
+    await act(async () => {
+      await mockSocket.handlers['notes-snapshot']({ notes: [], seq: 4 });
+      await mockSocket.handlers['sync-ops']({
+        operations: [
+          {
+            type: 'replace',
+            noteId: 'note-c',
+            content: JSON.stringify({
+              type: 'note',
+              note: { id: 'note-c', title: 'C', content: 'gamma', tags: [], version: 1, updatedAt: 300 },
+            }),
+            timestamp: 300,
+            deviceId: 'Remote Device',
+            version: 5,
+          },
+          { type: 'delete', noteId: 'note-b', timestamp: 400, deviceId: 'Remote Device', version: 6 },
+        ],
+        seq: 6,
+      });
+    });
+
+    const state = useAppStore.getState();
+    expect(state.notes.map((note) => note.id).sort()).toEqual(['note-a', 'note-c']);
+    expect(state.notebooks[0].deletedNotes).toEqual({ 'note-b': 400 });
+
+    mockSocket.emit.mockClear();
+    await act(async () => {
+      await mockSocket.handlers.reconnect();
+      result.current.requestSync();
+    });
+
+    expect(mockSocket.emit).toHaveBeenCalledWith('join-chain', expect.objectContaining({
+      roomId: keys.roomId,
+      deviceName: 'MacBook',
+      since: 6,
+    }));
+    expect(mockSocket.emit).toHaveBeenCalledWith('request-sync-since', { roomId: keys.roomId, since: 6 });
+  });
+
+  it('merges remote notebook snapshots into the note list', async () => {
+    seedNotebook();
+    const { result } = renderHook(() => useSocket());
+
+    await act(async () => {
+      const joinPromise = result.current.joinChain(MNEMONIC, 'MacBook');
+      mockSocket.handlers.connect();
+      await joinPromise;
+    });
+
+    await act(async () => {
+      await mockSocket.handlers['sync-update']({
+        encryptedData: JSON.stringify({
+          type: 'notebook',
+          notebookId: 'nb-remote',
+          notes: [
+            { id: 'note-a', title: 'A', content: 'alpha', tags: [], version: 1, updatedAt: 100 },
+            { id: 'note-c', title: 'C', content: 'gamma', tags: [], version: 1, updatedAt: 300 },
+          ],
+          deletedNotes: { 'note-b': 200 },
+        }),
+        timestamp: 300,
+        deviceName: 'Remote Device',
+        version: 3,
+      });
+    });
+
+    const state = useAppStore.getState();
+    expect(state.notes.map((note) => note.id).sort()).toEqual(['note-a', 'note-c']);
+    expect(state.notes.find((note) => note.id === 'note-c').notebookId).toBe('nb-1');
+    expect(state.notebooks[0].deletedNotes).toEqual({ 'note-b': 200 });
+    expect(state.activeNoteId).toBe('note-a');
+  });
+
+  it('merges concurrent edits through Yjs updates in CRDT mode', async () => {
+    seedNotebook();
+    useAppStore.setState({ syncMode: 'crdt' });
+    const { result } = renderHook(() => useSocket());
+
+    await act(async () => {
+      const joinPromise = result.current.joinChain(MNEMONIC, 'MacBook');
+      mockSocket.handlers.connect();
+      await joinPromise;
+    });
+
+    await act(async () => {
+      await mockSocket.handlers['notes-snapshot']({ notes: [] });
+    });
+    expect(mockSocket.emit).toHaveBeenCalledWith('yjs-sync', expect.objectContaining({ noteId: 'note-a' }));
+
+    // Another device starts from the same content and appends text
+    const peerUpdates = [];
+    const peer = new CrdtSyncManager({
+      createPersistence: null,
+      flushDelay: 0,
+      onUpdate: (noteId, update) => peerUpdates.push(update),
+    });
+    await peer.applyLocalText('note-a', 'alpha');
+    await peer.applyLocalText('note-a', 'alpha from peer');
+
+    // Meanwhile this device edits the beginning
+    mockSocket.emit.mockClear();
+    act(() => {
+      useAppStore.getState().setNote('local alpha');
+    });
+    await act(async () => {
+      await result.current.pushUpdate('local alpha');
+    });
+
+    await waitFor(() => {
+      expect(mockSocket.emit).toHaveBeenCalledWith('yjs-update', expect.objectContaining({ noteId: 'note-a' }));
+    });
+
+    await act(async () => {
+      for (const update of peerUpdates) {
+        await mockSocket.handlers['yjs-update']({
+          noteId: 'note-a',
+          encryptedData: JSON.stringify({ update: encodeUpdate(update) }),
+          deviceName: 'Remote Device',
+        });
+      }
+    });
+
+    expect(useAppStore.getState().note).toBe('local alpha from peer');
+    expect(result.current.conflictCount).toBe(0);
+    peer.destroy();
+  });
+
+  it('restores a note from the server history', async () => {
+    seedNotebook();
+    const { result } = renderHook(() => useSocket());
+    const keys = deriveKeys(MNEMONIC);
+
+    await act(async () => {
+      const joinPromise = result.current.joinChain(MNEMONIC, 'MacBook');
+      mockSocket.handlers.connect();
+      await joinPromise;
+    });
+
+    let versionsPromise;
+    act(() => {
+      versionsPromise = result.current.listServerVersions('note-a');
+    });
+    expect(mockSocket.emit).toHaveBeenCalledWith('list-versions', { roomId: keys.roomId, noteId: 'note-a' });
+
+    await act(async () => {
+      mockSocket.handlers['versions-list']({
+        noteId: 'note-a',
+        versions: [{ versionId: 'v-1', noteId: 'note-a', version: 1, deviceName: 'iPhone' }],
+      });
+    });
+    await expect(versionsPromise).resolves.toEqual([
+      { versionId: 'v-1', noteId: 'note-a', version: 1, deviceName: 'iPhone' },
+    ]);
+
+    let restorePromise;
+    act(() => {
+      restorePromise = result.current.restoreServerVersion('v-1');
+    });
+    expect(mockSocket.emit).toHaveBeenCalledWith('fetch-version', { roomId: keys.roomId, versionId: 'v-1' });
+
+    mockSocket.emit.mockClear();
+    await act(async () => {
+      mockSocket.handlers['version-data']({
+        versionId: 'v-1',
+        noteId: 'note-a',
+        encryptedData: JSON.stringify({
+          type: 'note',
+          note: { id: 'note-a', title: 'A (old)', content: 'alpha from history', tags: [], version: 1 },
+        }),
+      });
+      await restorePromise;
+    });
+
+    const state = useAppStore.getState();
+    expect(state.note).toBe('alpha from history');
+    expect(state.notes.find((note) => note.id === 'note-a').title).toBe('A (old)');
+    await waitFor(() => {
+      expect(mockSocket.emit).toHaveBeenCalledWith('push-note', expect.objectContaining({ noteId: 'note-a' }));
+    });
+  });
+
+  it('tombstones the old room only after the new room confirmed every note and attachment', async () => {
+    seedNotebook();
+    const attachmentId = 'a'.repeat(32);
+    useAppStore.getState().updateNote('note-b', { content: `beta ![chart](attachment://${attachmentId}#${'0'.repeat(64)})` });
+    const { result } = renderHook(() => useSocket());
+    const oldRoom = deriveRoom(MNEMONIC);
+    const NEXT_MNEMONIC = 'legal winner thank year wave sausage worth useful legal winner thank yellow';
+    const retireSocket = {
+      handlers: {},
+      emit: vi.fn(),
+      on: vi.fn((event, handler) => {
+        retireSocket.handlers[event] = handler;
+        return retireSocket;
+      }),
+      disconnect: vi.fn(),
+      removeAllListeners: vi.fn(),
+    };
+
+    await act(async () => {
+      const joinPromise = result.current.joinChain(MNEMONIC, 'MacBook');
+      mockSocket.handlers.connect();
+      await joinPromise;
+    });
+
+    // Attachments are saved locally while the old room can still serve them
+    let cachePromise;
+    act(() => {
+      cachePromise = result.current.cacheNotebookAttachments();
+    });
+    await waitFor(() => {
+      expect(mockSocket.emit).toHaveBeenCalledWith('fetch-attachment', expect.objectContaining({ attachmentId, chunkIndex: 0 }));
+    });
+    act(() => {
+      mockSocket.handlers['attachment-chunk']({ attachmentId, chunkIndex: 0, totalChunks: 1, encryptedData: 'ciphertext' });
+    });
+    const attachmentIds = await cachePromise;
+    expect(attachmentIds).toEqual([attachmentId]);
+
+    // The notebook moves to the new room first, like App does
+    const nextRoomId = deriveKeys(NEXT_MNEMONIC).roomId;
+    act(() => {
+      useAppStore.getState().updateNotebook('nb-1', { mnemonic: NEXT_MNEMONIC, roomId: nextRoomId });
+    });
+    vi.mocked(io).mockImplementationOnce(() => mockSocket).mockImplementationOnce(() => retireSocket);
+
+    let rotatePromise;
+    await act(async () => {
+      rotatePromise = result.current.rotateChain(NEXT_MNEMONIC, 'MacBook', '', attachmentIds);
+      mockSocket.handlers.connect();
+    });
+    await waitFor(() => {
+      expect(mockSocket.emit).toHaveBeenCalledWith('join-chain', expect.objectContaining({ roomId: nextRoomId }));
+    });
+
+    mockSocket.emit.mockClear();
+    await act(async () => {
+      await mockSocket.handlers['notes-snapshot']({ notes: [] });
+    });
+    const pushed = mockSocket.emit.mock.calls.filter(([event]) => event === 'push-note').map(([, payload]) => payload);
+    expect(pushed.map((payload) => payload.noteId)).toEqual(['note-a', 'note-b']);
+    expect(retireSocket.on).not.toHaveBeenCalled();
+
+    // Nothing is tombstoned until every note is acknowledged by the new room
+    await act(async () => {
+      mockSocket.handlers['note-ack']({ noteId: 'note-a', seq: 1, timestamp: pushed[0].timestamp, success: true });
+    });
+    expect(retireSocket.on).not.toHaveBeenCalled();
+    await act(async () => {
+      mockSocket.handlers['note-ack']({ noteId: 'note-b', seq: 2, timestamp: pushed[1].timestamp, success: true });
+    });
+
+    // Then the attachment is copied unchanged, and only its acknowledgement lets the rotation finish
+    await waitFor(() => {
+      expect(mockSocket.emit).toHaveBeenCalledWith('upload-attachment', expect.objectContaining({
+        roomId: nextRoomId,
+        attachmentId,
+        chunkIndex: 0,
+        totalChunks: 1,
+        encryptedData: 'ciphertext',
+      }));
+    });
+    expect(retireSocket.on).not.toHaveBeenCalled();
+    act(() => {
+      mockSocket.handlers['attachment-ack']({ attachmentId, chunkIndex: 0, received: 1, total: 1 });
+    });
+
+    await waitFor(() => {
+      expect(retireSocket.handlers.connect).toBeDefined();
+    });
+    await act(async () => {
+      await retireSocket.handlers.connect();
+    });
+    expect(retireSocket.emit).toHaveBeenCalledWith('join-chain', expect.objectContaining({
+      roomId: oldRoom.roomId,
+      roomProof: oldRoom.roomProof,
+    }));
+    // The rotation is signed with the old chain's write key
+    expect(retireSocket.emit).toHaveBeenCalledWith('rotate-chain', {
+      roomId: oldRoom.roomId,
+      timestamp: expect.any(Number),
+      publicKey: expect.any(String),
+      signature: expect.any(String),
+    });
+
+    act(() => {
+      retireSocket.handlers['chain-rotated']({ rotatedAt: 1, deviceName: 'MacBook' });
+    });
+    await expect(rotatePromise).resolves.toEqual({ rotatedAt: 1, deviceName: 'MacBook' });
+    expect(retireSocket.disconnect).toHaveBeenCalled();
+  });
+
+  it('disconnects devices that are told about a rotation', async () => {
+    seedNotebook();
+    const { result } = renderHook(() => useSocket());
+
+    await act(async () => {
+      const joinPromise = result.current.joinChain(MNEMONIC, 'MacBook');
+      mockSocket.handlers.connect();
+      await joinPromise;
+    });
+
+    act(() => {
+      mockSocket.handlers['chain-rotated']({ rotatedAt: 2, deviceName: 'iPhone' });
+    });
+    expect(mockSocket.disconnect).toHaveBeenCalled();
+    expect(toast.error).toHaveBeenCalled();
+    expect(useAppStore.getState().status).toBe('disconnected');
+  });
+
+  it('shares encrypted presence and forgets connections that left', async () => {
+    seedNotebook();
+    const { result } = renderHook(() => useSocket());
+    const keys = deriveKeys(MNEMONIC);
+
+    await act(async () => {
+      const joinPromise = result.current.joinChain(MNEMONIC, 'MacBook');
+      await mockSocket.handlers.connect();
+      await joinPromise;
+    });
+
+    act(() => {
+      result.current.updatePresence({ anchor: 1, head: 3, typing: true });
+    });
+    await waitFor(() => {
+      expect(mockSocket.emit).toHaveBeenCalledWith('presence', {
+        roomId: keys.roomId,
+        encryptedData: JSON.stringify({ noteId: 'note-a', anchor: 1, head: 3, typing: true }),
+      });
+    });
+
+    await act(async () => {
+      await mockSocket.handlers.presence({
+        socketId: 'socket-2',
+        deviceName: 'iPhone',
+        encryptedData: JSON.stringify({ noteId: 'note-b', anchor: 4, head: 4, typing: false }),
+      });
+    });
+    expect(result.current.presence).toEqual({
+      'socket-2': { deviceName: 'iPhone', noteId: 'note-b', anchor: 4, head: 4, typing: false },
+    });
+
+    act(() => {
+      mockSocket.handlers['room-info']({ members: [{ id: 'socket-1', name: 'MacBook' }] });
+    });
+    expect(result.current.presence).toEqual({});
+  });
+
+  it('lists and removes devices, and stops syncing when this device is removed', async () => {
+    seedNotebook();
+    const { result } = renderHook(() => useSocket());
+    const keys = deriveKeys(MNEMONIC);
+
+    await act(async () => {
+      const joinPromise = result.current.joinChain(MNEMONIC, 'MacBook');
+      await mockSocket.handlers.connect();
+      await joinPromise;
+    });
+    const { device } = mockSocket.emit.mock.calls.find(([event]) => event === 'join-chain')[1];
+    expect(result.current.currentDeviceId).toBe(device.deviceId);
+
+    const phone = { deviceId: 'b'.repeat(32), deviceName: 'iPhone', platform: 'iOS', online: true, revokedAt: null };
+    let listPromise;
+    act(() => {
+      listPromise = result.current.listDevices();
+    });
+    expect(mockSocket.emit).toHaveBeenCalledWith('list-devices', { roomId: keys.roomId });
+    act(() => {
+      mockSocket.handlers['devices-list']({ devices: [phone] });
+    });
+    await expect(listPromise).resolves.toEqual([phone]);
+    expect(result.current.devices).toEqual([phone]);
+
+    // Removals are signed with this device's own key
+    let removePromise;
+    act(() => {
+      removePromise = result.current.removeDevice(phone.deviceId);
+    });
+    await waitFor(() => {
+      expect(mockSocket.emit).toHaveBeenCalledWith('remove-device', {
+        roomId: keys.roomId,
+        deviceId: phone.deviceId,
+        timestamp: expect.any(Number),
+        publicKey: device.publicKey,
+        signature: expect.any(String),
+      });
+    });
+    const removed = { ...phone, online: false, revokedAt: 5 };
+    act(() => {
+      mockSocket.handlers['devices-list']({ devices: [removed] });
+    });
+    await expect(removePromise).resolves.toEqual([removed]);
+
+    await act(async () => {
+      await mockSocket.handlers['device-removed']({ deviceId: 'c'.repeat(32), removedAt: 6 });
+    });
+    expect(mockSocket.disconnect).not.toHaveBeenCalled();
+
+    await act(async () => {
+      await mockSocket.handlers['device-removed']({ deviceId: device.deviceId, removedAt: 7 });
+    });
+    expect(mockSocket.disconnect).toHaveBeenCalled();
+    expect(toast.error).toHaveBeenCalled();
+    expect(useAppStore.getState().status).toBe('disconnected');
+  });
+
+  it('uploads attachments chunk by chunk and decrypts them on fetch', async () => {
+    seedNotebook();
+    const { result } = renderHook(() => useSocket());
+    const keys = deriveKeys(MNEMONIC);
+
+    await act(async () => {
+      const joinPromise = result.current.joinChain(MNEMONIC, 'MacBook');
+      await mockSocket.handlers.connect();
+      await joinPromise;
+    });
+    const { device } = mockSocket.emit.mock.calls.find(([event]) => event === 'join-chain')[1];
+
+    let uploadPromise;
+    act(() => {
+      uploadPromise = result.current.uploadAttachment(new Blob(['hello attachment'], { type: 'text/plain' }));
+    });
+    let chunk;
+    await waitFor(() => {
+      chunk = mockSocket.emit.mock.calls.find(([event]) => event === 'upload-attachment')?.[1];
+      expect(chunk).toBeDefined();
+    });
+    expect(chunk).toEqual({
+      roomId: keys.roomId,
+      attachmentId: expect.stringMatching(/^[0-9a-f]{32}$/),
+      chunkIndex: 0,
+      totalChunks: 1,
+      encryptedData: expect.any(String),
+      timestamp: expect.any(Number),
+      publicKey: device.publicKey,
+      signature: expect.any(String),
+    });
+    expect(chunk.encryptedData).not.toContain(Buffer.from('hello attachment').toString('base64'));
+
+    act(() => {
+      mockSocket.handlers['attachment-ack']({ attachmentId: chunk.attachmentId, chunkIndex: 0, received: 1, total: 1 });
+    });
+    const { url } = await uploadPromise;
+    expect(url).toMatch(new RegExp(`^attachment://${chunk.attachmentId}\\?type=text%2Fplain#[0-9a-f]{64}$`));
+
+    const readText = (blob) => new Promise((resolve) => {
+      const reader = new FileReader();
+      reader.onload = () => resolve(reader.result);
+      reader.readAsText(blob);
+    });
+
+    // 本地保存的密文直接解密，不需要请求服务器
+    let blob;
+    await act(async () => {
+      blob = await result.current.fetchAttachment(parseAttachmentUrl(url));
+    });
+    expect(await readText(blob)).toBe('hello attachment');
+    expect(mockSocket.emit).not.toHaveBeenCalledWith('fetch-attachment', expect.anything());
+
+    // 其他设备没有本地副本：从服务器下载
+    localStorage.clear();
+    let fetchPromise;
+    act(() => {
+      fetchPromise = result.current.fetchAttachment(parseAttachmentUrl(url));
+    });
+    await waitFor(() => {
+      expect(mockSocket.emit).toHaveBeenCalledWith('fetch-attachment', { roomId: keys.roomId, attachmentId: chunk.attachmentId, chunkIndex: 0 });
+    });
+    act(() => {
+      mockSocket.handlers['attachment-chunk']({ attachmentId: chunk.attachmentId, chunkIndex: 0, totalChunks: 1, encryptedData: chunk.encryptedData });
+    });
+    blob = await fetchPromise;
+    expect(await readText(blob)).toBe('hello attachment');
+    expect(blob.type).toBe('text/plain');
+  });
+
+  it('keeps attachments added offline and uploads them after reconnecting', async () => {
+    seedNotebook();
+    const { result } = renderHook(() => useSocket());
+
+    await act(async () => {
+      const joinPromise = result.current.joinChain(MNEMONIC, 'MacBook');
+      await mockSocket.handlers.connect();
+      await joinPromise;
+    });
+
+    mockSocket.connected = false;
+    let attachment;
+    await act(async () => {
+      attachment = await result.current.uploadAttachment(new Blob(['offline screenshot'], { type: 'image/png' }));
+    });
+    expect(mockSocket.emit).not.toHaveBeenCalledWith('upload-attachment', expect.anything());
+
+    mockSocket.connected = true;
+    act(() => {
+      mockSocket.handlers.reconnect();
+    });
+    let chunk;
+    await waitFor(() => {
+      chunk = mockSocket.emit.mock.calls.find(([event]) => event === 'upload-attachment')?.[1];
+      expect(chunk).toBeDefined();
+    });
+    expect(chunk).toMatchObject({ attachmentId: attachment.attachmentId, chunkIndex: 0, totalChunks: 1, encryptedData: attachment.chunks[0] });
+
+    act(() => {
+      mockSocket.handlers['attachment-ack']({ attachmentId: chunk.attachmentId, chunkIndex: 0, received: 1, total: 1 });
+    });
+    await waitFor(async () => {
+      expect((await getStorageManager().getAttachment(chunk.attachmentId)).uploaded).toBe(true);
+    });
+  });
+
+  it('re-encrypts every note after switching the KDF profile', async () => {
+    seedNotebook();
+    const { result } = renderHook(() => useSocket());
+
+    await act(async () => {
+      const joinPromise = result.current.joinChain(MNEMONIC, 'MacBook');
+      mockSocket.handlers.connect();
+      await joinPromise;
+      await mockSocket.handlers['notes-snapshot']({ notes: [] });
+    });
+    await waitFor(() => {
+      expect(mockSocket.emit).toHaveBeenCalledWith('push-note', expect.objectContaining({ noteId: 'note-b' }));
+    });
+
+    mockSocket.emit.mockClear();
+    let changed;
+    await act(async () => {
+      changed = await result.current.changeKdfProfile('pbkdf2');
+    });
+
+    expect(changed).toBe(true);
+    expect(useAppStore.getState().notebooks[0].kdf).toMatchObject({ name: 'pbkdf2', iterations: 600000 });
+    const pushedNotes = mockSocket.emit.mock.calls
+      .filter(([event]) => event === 'push-note')
+      .map(([, payload]) => payload.noteId);
+    expect(pushedNotes.sort()).toEqual(['note-a', 'note-b']);
+    expect(encryptData.mock.calls.at(-1)[1].kdf.name).toBe('pbkdf2');
+  });
 });
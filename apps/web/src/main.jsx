@@ -1,10 +1,15 @@
 import React from 'react'
 import ReactDOM from 'react-dom/client'
 import App from './App.jsx'
+import ShareViewer from './components/Share/ShareViewer.jsx'
+import { parseShareLocation } from './utils/share.js'
 import './index.css'
 
+// 只读分享链接不加入同步链，直接渲染查看页
+const share = parseShareLocation()
+
 ReactDOM.createRoot(document.getElementById('root')).render(
   <React.StrictMode>
-    <App />
+    {share ? <ShareViewer share={share} /> : <App />}
   </React.StrictMode>,
 )
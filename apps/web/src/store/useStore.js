@@ -1,7 +1,9 @@
 import { create } from 'zustand';
 import { persist } from 'zustand/middleware';
 import { generateUniqueId } from '../utils/shared';
-import { createNotebook as buildNotebook } from '../utils/notebooks';
+import { createNotebook as buildNotebook, createFolder, canMoveFolder, getDescendantFolderIds } from '../utils/notebooks';
+import { normalizeTags } from '../utils/tags';
+import { isLinkableTitle, renameWikiLinks, wikiLinkKey } from '../utils/wikiLinks';
 
 const selectNotebookNote = (notes, notebookId) => {
   return notes
@@ -26,6 +28,7 @@ export const useAppStore = create(
       status: 'disconnected', // 'disconnected', 'connected', 'syncing'
       mnemonic: '',
       deviceName: '',
+      deviceSecret: '', // 本浏览器的随机密钥，用于派生每条链上的设备身份
       members: [],
 
       // Storage State
@@ -35,12 +38,14 @@ export const useAppStore = create(
       // Offline State
       isOnline: true,
       offlineQueueSize: 0,
+      uploadProgress: null, // { sent, total } chunks of large uploads in progress
 
       // Multi-note State
-      notes: [], // Array of { id, title, content, version, timestamp, deviceId, notebookId }
+      notes: [], // Array of { id, title, content, tags, folderId, version, timestamp, deviceId, notebookId }
       activeNoteId: null,
-      notebooks: [], // Array of { id, name, createdAt, updatedAt }
+      notebooks: [], // Array of { id, name, folders, deletedNotes, deletedFolders, createdAt, updatedAt }
       activeNotebookId: null,
+      collapsedFolders: [], // 折叠的文件夹ID，只保存在本设备
 
       // Content (current note - for backward compatibility)
       note: '',
@@ -60,6 +65,7 @@ export const useAppStore = create(
       tabSize: 2,
       lineNumbers: true,
       wordWrap: true,
+      syncMode: 'snapshot', // 'snapshot', 'crdt'
 
       // Actions
       setDarkMode: (darkMode) => set({ darkMode }),
@@ -77,6 +83,16 @@ export const useAppStore = create(
       setStatus: (status) => set({ status }),
       setMnemonic: (mnemonic) => set({ mnemonic }),
       setDeviceName: (deviceName) => set({ deviceName }),
+      ensureDeviceSecret: () => {
+        const existing = get().deviceSecret;
+        if (existing) {
+          return existing;
+        }
+        const bytes = crypto.getRandomValues(new Uint8Array(32));
+        const deviceSecret = Array.from(bytes, (byte) => byte.toString(16).padStart(2, '0')).join('');
+        set({ deviceSecret });
+        return deviceSecret;
+      },
       setMembers: (members) => set({ members }),
 
       setNote: (note, meta) => {
@@ -158,6 +174,7 @@ export const useAppStore = create(
       setWordWrap: (wordWrap) => set({ wordWrap }),
       setSyncDebounceMs: (syncDebounceMs) => set({ syncDebounceMs }),
       setAutoSave: (autoSave) => set({ autoSave }),
+      setSyncMode: (syncMode) => set({ syncMode }),
 
       // Storage Actions
       setStorageInitialized: (initialized, type) => set({
@@ -168,6 +185,7 @@ export const useAppStore = create(
       // Offline Actions
       setIsOnline: (isOnline) => set({ isOnline }),
       setOfflineQueueSize: (size) => set({ offlineQueueSize: size }),
+      setUploadProgress: (uploadProgress) => set({ uploadProgress }),
 
       // Multi-note Actions
       setNotes: (notes) => set({ notes }),
@@ -177,6 +195,8 @@ export const useAppStore = create(
           id: note.id || generateUniqueId('note_'),
           title: note.title || '未命名笔记',
           content: note.content || '',
+          tags: normalizeTags(note.tags),
+          folderId: note.folderId || null,
           version: note.version || 1,
           timestamp: note.timestamp || Date.now(),
           deviceId: note.deviceId || state.deviceName || 'local',
@@ -222,14 +242,56 @@ export const useAppStore = create(
         return { notes };
       }),
 
+      // 重命名笔记，并把同一笔记本中指向旧标题的 [[链接]] 改为新标题
+      // 返回被修改的笔记 ID，由调用方写入本地存储；标题无法写进 [[链接]] 时不重命名
+      renameNote: (noteId, title) => {
+        const note = get().notes.find((n) => n.id === noteId);
+        if (!note || note.title === title || !isLinkableTitle(title)) {
+          return [];
+        }
+
+        get().updateNote(noteId, { title });
+        const changedIds = [noteId];
+
+        // 还有其他笔记使用旧标题时，链接仍指向它们，不改写
+        const notebookNotes = get().notes.filter((n) => n.notebookId === note.notebookId);
+        if (notebookNotes.some((n) => n.id !== noteId && wikiLinkKey(n.title) === wikiLinkKey(note.title))) {
+          return changedIds;
+        }
+        notebookNotes.forEach((other) => {
+          const content = renameWikiLinks(other.content, note.title, title);
+          if (content !== other.content) {
+            get().updateNote(other.id, { content });
+            if (other.id !== noteId) {
+              changedIds.push(other.id);
+            }
+          }
+        });
+        return changedIds;
+      },
+
+      // 标签变化和内容一样增加版本号，随笔记一起同步
+      setNoteTags: (noteId, tags) => get().updateNote(noteId, { tags: normalizeTags(tags) }),
+
       removeNote: (noteId) => set((state) => {
+        const removed = state.notes.find((n) => n.id === noteId);
         const notes = state.notes.filter((n) => n.id !== noteId);
 
+        // 记录删除，以便同步到其他设备
+        const notebooks = removed
+          ? state.notebooks.map((nb) => (
+              nb.id === removed.notebookId
+                ? { ...nb, deletedNotes: { ...(nb.deletedNotes || {}), [noteId]: Date.now() } }
+                : nb
+            ))
+          : state.notebooks;
+
         // 如果删除的是当前活动笔记，切换到第一个笔记
         if (noteId === state.activeNoteId) {
           const nextNote = notes[0];
           return {
             notes,
+            notebooks,
             activeNoteId: nextNote?.id || null,
             note: nextNote?.content || '',
             noteVersion: nextNote?.version || 0,
@@ -238,7 +300,39 @@ export const useAppStore = create(
           };
         }
 
-        return { notes };
+        return { notes, notebooks };
+      }),
+
+      // 把笔记移到文件夹（null 为根目录），和标签一样随笔记同步
+      moveNoteToFolder: (noteId, folderId) => get().updateNote(noteId, { folderId: folderId || null }),
+
+      // 应用合并后的远程笔记本快照（可同时带上合并后的文件夹结构）
+      applyNotebookSnapshot: (notebookId, { notes: notebookNotes, deletedNotes, folders, deletedFolders }) => set((state) => {
+        const notes = [
+          ...state.notes.filter((n) => n.notebookId !== notebookId),
+          ...notebookNotes,
+        ];
+        const notebooks = state.notebooks.map((nb) => (
+          nb.id === notebookId
+            ? { ...nb, deletedNotes, ...(folders ? { folders, deletedFolders } : {}) }
+            : nb
+        ));
+
+        if (state.activeNotebookId !== notebookId || notes.some((n) => n.id === state.activeNoteId)) {
+          return { notes, notebooks };
+        }
+
+        // 当前活动笔记已被远程删除，切换到该笔记本的其他笔记
+        const nextNote = selectNotebookNote(notes, notebookId);
+        return {
+          notes,
+          notebooks,
+          activeNoteId: nextNote?.id || null,
+          note: nextNote?.content || '',
+          noteVersion: nextNote?.version || 0,
+          noteTimestamp: nextNote?.timestamp || 0,
+          noteDeviceId: nextNote?.deviceId || 'local',
+        };
       }),
 
       setActiveNoteId: (noteId) => set((state) => {
@@ -280,6 +374,79 @@ export const useAppStore = create(
         ),
       })),
 
+      // Folder Actions
+      addFolder: (notebookId, { name, parentId = null }) => {
+        const folder = createFolder({ name, parentId });
+        set((state) => ({
+          notebooks: state.notebooks.map((nb) => (
+            nb.id === notebookId ? { ...nb, folders: [...(nb.folders || []), folder] } : nb
+          )),
+        }));
+        return folder;
+      },
+
+      updateFolder: (notebookId, folderId, updates) => set((state) => ({
+        notebooks: state.notebooks.map((nb) => (
+          nb.id === notebookId
+            ? {
+                ...nb,
+                folders: (nb.folders || []).map((folder) => (
+                  folder.id === folderId ? { ...folder, ...updates, updatedAt: Date.now() } : folder
+                )),
+              }
+            : nb
+        )),
+      })),
+
+      renameFolder: (notebookId, folderId, name) => get().updateFolder(notebookId, folderId, { name }),
+
+      // 不能移到自身或子孙文件夹中，返回是否移动成功
+      moveFolder: (notebookId, folderId, parentId) => {
+        const notebook = get().notebooks.find((nb) => nb.id === notebookId);
+        if (!notebook || !canMoveFolder(notebook.folders || [], folderId, parentId)) {
+          return false;
+        }
+        get().updateFolder(notebookId, folderId, { parentId: parentId || null });
+        return true;
+      },
+
+      // 删除文件夹及其子文件夹，其中的笔记移到被删文件夹的上一级
+      removeFolder: (notebookId, folderId) => {
+        const notebook = get().notebooks.find((nb) => nb.id === notebookId);
+        const folder = notebook?.folders?.find((entry) => entry.id === folderId);
+        if (!folder) {
+          return;
+        }
+
+        const removedIds = [folderId, ...getDescendantFolderIds(notebook.folders, folderId)];
+        get().notes
+          .filter((note) => note.notebookId === notebookId && removedIds.includes(note.folderId))
+          .forEach((note) => get().moveNoteToFolder(note.id, folder.parentId));
+
+        const now = Date.now();
+        set((state) => ({
+          notebooks: state.notebooks.map((nb) => (
+            nb.id === notebookId
+              ? {
+                  ...nb,
+                  folders: nb.folders.filter((entry) => !removedIds.includes(entry.id)),
+                  deletedFolders: {
+                    ...(nb.deletedFolders || {}),
+                    ...Object.fromEntries(removedIds.map((id) => [id, now])),
+                  },
+                }
+              : nb
+          )),
+          collapsedFolders: state.collapsedFolders.filter((id) => !removedIds.includes(id)),
+        }));
+      },
+
+      toggleFolderCollapsed: (folderId) => set((state) => ({
+        collapsedFolders: state.collapsedFolders.includes(folderId)
+          ? state.collapsedFolders.filter((id) => id !== folderId)
+          : [...state.collapsedFolders, folderId],
+      })),
+
       removeNotebook: (notebookId) => set((state) => {
         const notebooks = state.notebooks.filter((nb) => nb.id !== notebookId);
         const notes = state.notes.filter((n) => n.notebookId !== notebookId);
@@ -331,6 +498,7 @@ export const useAppStore = create(
         noteTimestamp: 0,
         noteDeviceId: 'local',
         offlineQueueSize: 0,
+        uploadProgress: null,
       }),
     }),
     {
@@ -339,6 +507,7 @@ export const useAppStore = create(
         darkMode: state.darkMode,
         lang: state.lang,
         deviceName: state.deviceName,
+        deviceSecret: state.deviceSecret,
         mnemonic: state.mnemonic,
         activeNotebookId: state.activeNotebookId,
         activeNoteId: state.activeNoteId,
@@ -350,6 +519,8 @@ export const useAppStore = create(
         syncDebounceMs: state.syncDebounceMs,
         editorMode: state.editorMode,
         autoSave: state.autoSave,
+        syncMode: state.syncMode,
+        collapsedFolders: state.collapsedFolders,
       }),
     }
   )
@@ -18,6 +18,7 @@ const resetStore = () => {
     view: 'landing',
     status: 'disconnected',
     storageInitialized: false,
+    collapsedFolders: [],
   });
 };
 
@@ -110,6 +111,83 @@ describe('useAppStore notebook behavior', () => {
     expect(state.notes[0].version).toBe(3);
   });
 
+  it('normalizes note tags and bumps the version so they sync', () => {
+    useAppStore.setState({
+      activeNoteId: 'note-1',
+      notes: [
+        { id: 'note-1', notebookId: 'nb-work', title: 'Note', content: 'text', tags: [], version: 2, updatedAt: 100 },
+      ],
+    });
+
+    useAppStore.getState().setNoteTags('note-1', ['#Work', ' work ', 'q4', '']);
+
+    const state = useAppStore.getState();
+    expect(state.notes[0].tags).toEqual(['Work', 'q4']);
+    expect(state.notes[0].version).toBe(3);
+    expect(state.noteVersion).toBe(3);
+  });
+
+  it('rewrites [[links]] in the notebook when a note is renamed', () => {
+    useAppStore.setState({
+      activeNoteId: 'plan',
+      notes: [
+        { id: 'plan', notebookId: 'nb-work', title: 'Plan', content: '', version: 1 },
+        { id: 'meeting', notebookId: 'nb-work', title: 'Meeting', content: 'See [[plan#Goals|goals]]', version: 1 },
+        { id: 'todo', notebookId: 'nb-work', title: 'Todo', content: 'No links', version: 1 },
+        { id: 'other', notebookId: 'nb-home', title: 'Other', content: '[[Plan]]', version: 1 },
+      ],
+    });
+
+    // The changed notes are returned so the caller can save them
+    expect(useAppStore.getState().renameNote('plan', 'Roadmap')).toEqual(['plan', 'meeting']);
+
+    const notes = Object.fromEntries(useAppStore.getState().notes.map((note) => [note.id, note]));
+    expect(notes.plan).toMatchObject({ title: 'Roadmap', version: 2 });
+    expect(notes.meeting).toMatchObject({ content: 'See [[Roadmap#Goals|goals]]', version: 2 });
+    expect(notes.todo.version).toBe(1);
+    expect(notes.other).toMatchObject({ content: '[[Plan]]', version: 1 });
+
+    // Titles that cannot be written inside [[...]] are rejected
+    expect(useAppStore.getState().renameNote('plan', 'Q3 | Q4')).toEqual([]);
+    expect(useAppStore.getState().notes.find((note) => note.id === 'plan').title).toBe('Roadmap');
+  });
+
+  it('manages nested folders and moves notes out of deleted ones', () => {
+    useAppStore.setState({
+      notebooks: [createNotebook({ id: 'nb-work', mnemonic: 'test test test test test test test test test test test ball' })],
+      activeNotebookId: 'nb-work',
+      notes: [
+        { id: 'note-1', notebookId: 'nb-work', title: 'Spec', content: '', tags: [], version: 1, updatedAt: 100 },
+      ],
+    });
+    const store = useAppStore.getState();
+
+    const projects = store.addFolder('nb-work', { name: 'Projects' });
+    const specs = store.addFolder('nb-work', { name: 'Specs', parentId: projects.id });
+    store.moveNoteToFolder('note-1', specs.id);
+    store.renameFolder('nb-work', specs.id, 'Specifications');
+    store.toggleFolderCollapsed(projects.id);
+
+    // 不能把文件夹移到自己的子文件夹中
+    expect(store.moveFolder('nb-work', projects.id, specs.id)).toBe(false);
+
+    let state = useAppStore.getState();
+    expect(state.notebooks[0].folders.map((folder) => [folder.name, folder.parentId])).toEqual([
+      ['Projects', null],
+      ['Specifications', projects.id],
+    ]);
+    expect(state.notes[0]).toMatchObject({ folderId: specs.id, version: 2 });
+    expect(state.collapsedFolders).toEqual([projects.id]);
+
+    store.removeFolder('nb-work', projects.id);
+
+    state = useAppStore.getState();
+    expect(state.notebooks[0].folders).toEqual([]);
+    expect(Object.keys(state.notebooks[0].deletedFolders).sort()).toEqual([projects.id, specs.id].sort());
+    expect(state.notes[0]).toMatchObject({ folderId: null, version: 3 });
+    expect(state.collapsedFolders).toEqual([]);
+  });
+
   it('activates a newly created notebook and adopts its sync metadata', () => {
     const notebook = createNotebook({
       id: 'nb-new',
@@ -184,6 +262,7 @@ describe('useAppStore notebook behavior', () => {
     expect(persisted.activeNotebookId).toBe('nb-work');
     expect(persisted.activeNoteId).toBe('note-1');
     expect(persisted.mnemonic).toBe('test test test test test test test test test test test ball');
+    expect(persisted.collapsedFolders).toEqual([]);
   });
 
   it('keeps note deletion scoped to the active notebook', () => {
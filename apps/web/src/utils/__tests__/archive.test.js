@@ -0,0 +1,126 @@
+import { afterEach, beforeEach, describe, expect, it } from 'vitest';
+import LocalStorageAdapter from '../storage/LocalStorageAdapter';
+import { createFolder, createNote, createNotebook } from '../notebooks';
+import { exportArchive, importArchive, openArchive, parseArchive } from '../archive';
+
+const MNEMONIC = 'test test test test test test test test test test test ball';
+
+// 两个笔记本，第一条笔记在文件夹中并带一条历史记录
+const seedStorage = async (storage) => {
+  const specs = createFolder({ id: 'folder-specs', name: 'Specs' });
+  const work = createNotebook({ id: 'nb-work', name: 'Work', mnemonic: MNEMONIC, folders: [specs] });
+  const home = createNotebook({ id: 'nb-home', name: 'Home' });
+  const plan = createNote({ id: 'note-plan', notebookId: work.id, title: 'Plan', content: 'ship it', tags: ['q4'], folderId: specs.id });
+  const list = createNote({ id: 'note-list', notebookId: home.id, title: 'Groceries', content: 'milk' });
+
+  await storage.saveNotebook(work);
+  await storage.saveNotebook(home);
+  await storage.saveNote(work.id, plan);
+  await storage.saveNote(home.id, list);
+  await storage.saveHistory(plan.id, { id: 'history-1', content: 'draft', version: 1, timestamp: 1000, deviceName: 'MacBook', tags: [] });
+
+  return { work, home, plan, list };
+};
+
+describe('notebook archives', () => {
+  let source;
+  let target;
+
+  beforeEach(async () => {
+    localStorage.clear();
+    source = new LocalStorageAdapter({ prefix: 'source_' });
+    target = new LocalStorageAdapter({ prefix: 'target_' });
+    await source.initialize();
+    await target.initialize();
+  });
+
+  afterEach(() => {
+    localStorage.clear();
+  });
+
+  it('exports notes, tags and history without the chain secrets unless encrypted', async () => {
+    const { work } = await seedStorage(source);
+
+    const archive = parseArchive(await exportArchive(source, { notebookIds: [work.id] }));
+    expect(archive.encrypted).toBe(false);
+
+    const [notebook] = await openArchive(archive);
+    expect(notebook).toMatchObject({ id: work.id, name: 'Work', roomId: work.roomId });
+    expect(notebook.mnemonic).toBeUndefined();
+    expect(notebook.encryptionKey).toBeUndefined();
+    expect(notebook.notes).toEqual([
+      expect.objectContaining({
+        title: 'Plan',
+        content: 'ship it',
+        tags: ['q4'],
+        history: [{ content: 'draft', version: 1, timestamp: 1000, deviceName: 'MacBook', tags: [] }],
+      }),
+    ]);
+  });
+
+  it('encrypts the whole archive with a password', async () => {
+    await seedStorage(source);
+
+    const text = await exportArchive(source, { password: 'correct horse' });
+    expect(text).not.toContain('ship it');
+    expect(text).not.toContain(MNEMONIC);
+
+    const archive = parseArchive(text);
+    await expect(openArchive(archive)).rejects.toThrow('Password required');
+    await expect(openArchive(archive, 'wrong password')).rejects.toThrow('Wrong password');
+
+    const notebooks = await openArchive(archive, 'correct horse');
+    expect(notebooks.map((notebook) => notebook.name)).toEqual(['Work', 'Home']);
+    expect(notebooks[0].mnemonic).toBe(MNEMONIC);
+  });
+
+  it('merges into existing notebooks and skips duplicates', async () => {
+    const { work, plan } = await seedStorage(source);
+    const archived = await openArchive(parseArchive(await exportArchive(source, { password: 'correct horse' })), 'correct horse');
+
+    // 目标设备已有同一个笔记本和同样的 Plan 笔记，另有一条同 id 但内容不同的笔记
+    const existingNotes = [
+      { ...plan },
+      createNote({ id: 'note-list', notebookId: work.id, title: 'Local note', content: 'keep me' }),
+    ];
+    const result = await importArchive(target, archived, { notebooks: [work], notes: existingNotes });
+
+    expect(result.duplicates).toBe(1);
+    expect(result.imported).toBe(1);
+    // Home 作为新笔记本导入并保留原来的同步链
+    expect(result.notebooks).toEqual([expect.objectContaining({ id: 'nb-home', name: 'Home', mnemonic: archived[1].mnemonic })]);
+
+    const [groceries] = result.notes;
+    expect(groceries).toMatchObject({ notebookId: 'nb-home', title: 'Groceries', content: 'milk' });
+    expect(groceries.id).not.toBe('note-list');
+    expect(await target.listNotes('nb-home')).toEqual([expect.objectContaining({ id: groceries.id })]);
+
+    // 再次导入同一个归档不会产生新笔记
+    const again = await importArchive(target, archived, {
+      notebooks: [work, ...result.notebooks],
+      notes: [...existingNotes, ...result.notes],
+    });
+    expect(again).toMatchObject({ imported: 0, duplicates: 2, notebooks: [] });
+  });
+
+  it('imports history and starts a new chain for archives without secrets', async () => {
+    await seedStorage(source);
+    const archived = await openArchive(parseArchive(await exportArchive(source)));
+
+    const result = await importArchive(target, archived, { notebooks: [], notes: [] });
+
+    const work = result.notebooks.find((notebook) => notebook.name === 'Work');
+    expect(work.mnemonic).not.toBe(MNEMONIC);
+    expect(work.roomId).not.toBe(archived[0].roomId);
+    expect(work.folders).toEqual([expect.objectContaining({ id: 'folder-specs', name: 'Specs' })]);
+
+    const plan = result.notes.find((note) => note.title === 'Plan');
+    expect(plan.folderId).toBe('folder-specs');
+    expect(await target.getHistory(plan.id)).toEqual([expect.objectContaining({ content: 'draft', deviceName: 'MacBook' })]);
+  });
+
+  it('rejects files that are not archives', () => {
+    expect(() => parseArchive('# just markdown')).toThrow('Invalid archive');
+    expect(() => parseArchive(JSON.stringify({ format: 'other' }))).toThrow('Invalid archive');
+  });
+});
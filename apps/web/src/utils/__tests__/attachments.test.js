@@ -0,0 +1,155 @@
+import { describe, expect, it, vi } from 'vitest';
+import {
+  ATTACHMENT_CHUNK_SIZE,
+  MAX_ATTACHMENT_SIZE,
+  buildAttachmentUrl,
+  createAttachmentMarkdown,
+  downloadAttachment,
+  encryptAttachment,
+  fetchAttachmentChunks,
+  getAttachmentIds,
+  inlineAttachmentImages,
+  parseAttachmentUrl,
+  uploadAttachment,
+} from '../attachments';
+
+// 模拟服务器的附件存储：只保存收到的密文块
+const mockBlobServer = () => {
+  const chunks = new Map();
+  const sendChunk = vi.fn(async ({ attachmentId, chunkIndex, totalChunks, encryptedData }) => {
+    chunks.set(`${attachmentId}:${chunkIndex}`, { totalChunks, encryptedData });
+  });
+  const fetchChunk = (attachmentId) => async (chunkIndex) => (
+    chunks.get(`${attachmentId}:${chunkIndex}`) || { totalChunks: null, encryptedData: null }
+  );
+  return { chunks, sendChunk, fetchChunk };
+};
+
+const readBytes = (blob) => new Promise((resolve) => {
+  const reader = new FileReader();
+  reader.onload = () => resolve(new Uint8Array(reader.result));
+  reader.readAsArrayBuffer(blob);
+});
+
+describe('attachments', () => {
+  it('builds and parses attachment urls', () => {
+    const key = 'ab'.repeat(32);
+    const url = buildAttachmentUrl({ attachmentId: 'a'.repeat(32), key, type: 'image/svg+xml' });
+
+    expect(url).toBe(`attachment://${'a'.repeat(32)}?type=image%2Fsvg%2Bxml#${key}`);
+    expect(parseAttachmentUrl(url)).toEqual({ attachmentId: 'a'.repeat(32), key, type: 'image/svg+xml' });
+    expect(parseAttachmentUrl(`attachment://${'a'.repeat(32)}#${key}`)).toEqual({ attachmentId: 'a'.repeat(32), key, type: '' });
+    expect(parseAttachmentUrl(`attachment://${'a'.repeat(32)}`)).toBeNull();
+    expect(parseAttachmentUrl('https://example.com/image.png')).toBeNull();
+  });
+
+  it('creates image embeds for images and links for other files', () => {
+    expect(createAttachmentMarkdown({ name: 'photo [1].png', type: 'image/png' }, 'attachment://x')).toBe('![photo \\[1\\].png](attachment://x)');
+    expect(createAttachmentMarkdown({ name: 'report.pdf', type: 'application/pdf' }, 'attachment://x')).toBe('[report.pdf](attachment://x)');
+  });
+
+  it('finds the attachments a note links to', () => {
+    const link = (id) => `[file](${buildAttachmentUrl({ attachmentId: id.repeat(32), key: '0'.repeat(64) })})`;
+    const content = `${link('a')} ${link('b')}\n\`${link('c')}\` ${link('a')}`;
+
+    expect([...getAttachmentIds(content)]).toEqual(['a'.repeat(32), 'b'.repeat(32), 'c'.repeat(32)]);
+  });
+
+  it('inlines attachment images for export and leaves other links alone', async () => {
+    const image = buildAttachmentUrl({ attachmentId: 'a'.repeat(16), key: 'b'.repeat(64), type: 'image/png' });
+    const broken = buildAttachmentUrl({ attachmentId: 'c'.repeat(16), key: 'd'.repeat(64), type: 'image/png' });
+    const file = buildAttachmentUrl({ attachmentId: 'e'.repeat(16), key: 'f'.repeat(64), type: 'application/pdf' });
+    const resolve = vi.fn(async (url) => {
+      if (url === broken) {
+        throw new Error('Attachment not found');
+      }
+      return 'data:image/png;base64,AAAA';
+    });
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+
+    const content = `![a \\] b](${image}) ![again](${image}) ![gone](${broken}) [doc.pdf](${file})`;
+    expect(await inlineAttachmentImages(content, resolve)).toBe(
+      `![a \\] b](data:image/png;base64,AAAA) ![again](data:image/png;base64,AAAA) ![gone](${broken}) [doc.pdf](${file})`
+    );
+    expect(resolve).toHaveBeenCalledTimes(2);
+  });
+
+  it('uploads encrypted chunks and restores the original file', async () => {
+    const server = mockBlobServer();
+    const content = new Uint8Array(ATTACHMENT_CHUNK_SIZE * 2 + 10).map((_, i) => i % 251);
+    const file = new Blob([content], { type: 'application/pdf' });
+    const onProgress = vi.fn();
+
+    const { attachmentId, url } = await uploadAttachment(file, server.sendChunk, onProgress);
+
+    expect(server.sendChunk).toHaveBeenCalledTimes(3);
+    expect(onProgress).toHaveBeenLastCalledWith(3, 3);
+    // 服务器只看到密文
+    const [{ encryptedData }] = server.sendChunk.mock.calls[0];
+    expect(Buffer.from(encryptedData, 'base64').includes(Buffer.from(content.subarray(0, 64)))).toBe(false);
+
+    const reference = parseAttachmentUrl(url);
+    expect(reference).toMatchObject({ attachmentId, type: 'application/pdf' });
+
+    const blob = await downloadAttachment(reference, server.fetchChunk(attachmentId));
+    expect(blob.type).toBe('application/pdf');
+    expect(await readBytes(blob)).toEqual(content);
+  });
+
+  it('encrypts locally so attachments can be stored before they are uploaded', async () => {
+    const server = mockBlobServer();
+    const attachment = await encryptAttachment(new Blob(['offline'], { type: 'text/plain' }));
+    const reference = parseAttachmentUrl(attachment.url);
+
+    // 本地保存的密文块可以直接解密
+    const local = await downloadAttachment(reference, async (chunkIndex) => ({
+      totalChunks: attachment.chunks.length,
+      encryptedData: attachment.chunks[chunkIndex],
+    }));
+    expect(new TextDecoder().decode(await readBytes(local))).toBe('offline');
+
+    // 下载时收集到的密文块与上传的一致，可以缓存在本地
+    await server.sendChunk({ attachmentId: attachment.attachmentId, chunkIndex: 0, totalChunks: 1, encryptedData: attachment.chunks[0] });
+    const downloaded = [];
+    await downloadAttachment(reference, server.fetchChunk(attachment.attachmentId), downloaded);
+    expect(downloaded).toEqual(attachment.chunks);
+  });
+
+  it('rejects reordered chunks, a wrong key and missing attachments', async () => {
+    const server = mockBlobServer();
+    const file = new Blob([new Uint8Array(ATTACHMENT_CHUNK_SIZE + 1)]);
+    const { attachmentId, url } = await uploadAttachment(file, server.sendChunk);
+    const reference = parseAttachmentUrl(url);
+
+    const swapped = async (chunkIndex) => server.chunks.get(`${attachmentId}:${1 - chunkIndex}`);
+    await expect(downloadAttachment(reference, swapped)).rejects.toThrow();
+    await expect(downloadAttachment({ ...reference, key: 'cd'.repeat(32) }, server.fetchChunk(attachmentId))).rejects.toThrow();
+    await expect(downloadAttachment(reference, server.fetchChunk('missing'))).rejects.toThrow('Attachment not found');
+  });
+
+  it('copies the ciphertext to another room without decrypting it', async () => {
+    const oldRoom = mockBlobServer();
+    const newRoom = mockBlobServer();
+    const file = new Blob([new Uint8Array(ATTACHMENT_CHUNK_SIZE + 1)]);
+    const { attachmentId, url, chunks } = await uploadAttachment(file, oldRoom.sendChunk);
+
+    const copied = await fetchAttachmentChunks(oldRoom.fetchChunk(attachmentId));
+    expect(copied).toEqual(chunks);
+    expect(await fetchAttachmentChunks(oldRoom.fetchChunk('missing'))).toBeNull();
+
+    // 复制后的附件仍用原来的链接打开
+    for (let chunkIndex = 0; chunkIndex < copied.length; chunkIndex++) {
+      await newRoom.sendChunk({ attachmentId, chunkIndex, totalChunks: copied.length, encryptedData: copied[chunkIndex] });
+    }
+    const restored = await downloadAttachment(parseAttachmentUrl(url), newRoom.fetchChunk(attachmentId));
+    expect(restored.size).toBe(file.size);
+  });
+
+  it('refuses files above the size limit before uploading', async () => {
+    const sendChunk = vi.fn();
+    const file = { size: MAX_ATTACHMENT_SIZE + 1, type: 'video/mp4' };
+
+    await expect(uploadAttachment(file, sendChunk)).rejects.toThrow('Attachment is too large');
+    expect(sendChunk).not.toHaveBeenCalled();
+  });
+});
@@ -1,13 +1,31 @@
-import { describe, it, expect } from 'vitest';
+import { describe, it, expect, vi } from 'vitest';
+import CryptoJS from 'crypto-js';
 import {
   generateSyncChain,
+  deriveDeviceKeys,
   deriveKeys,
+  deriveRoom,
   encryptData,
   decryptData,
+  isEnvelope,
   validateMnemonic,
+  ENVELOPE_VERSION,
   PBKDF2_ITERATIONS,
+  LEGACY_KDF,
+  createKeyring,
+  deriveEncryptionKey,
+  getKdfProfileId,
+  normalizeKdf,
+  isWeakerKdf,
+  KDF_PROFILES,
+  deriveSigningKeys,
+  signWrite,
 } from '../crypto';
 
+// Cheap parameters keep the slow KDFs fast in tests
+const FAST_SCRYPT = { name: 'scrypt', N: 1024, r: 8, p: 1 };
+const FAST_ARGON2ID = { name: 'argon2id', m: 8192, t: 1, p: 1 };
+
 describe('crypto', () => {
   describe('generateSyncChain', () => {
     it('should generate a valid 12-word mnemonic', () => {
@@ -47,40 +65,99 @@ describe('crypto', () => {
       expect(keys.roomId).toMatch(/^[a-f0-9]{64}$/);
       expect(keys.encryptionKey).toMatch(/^[a-f0-9]{64}$/);
     });
+
+    it('should derive the room id from a proof the server can check', () => {
+      const mnemonic = generateSyncChain();
+      const { roomId, roomProof } = deriveRoom(mnemonic);
+
+      expect(deriveKeys(mnemonic).roomId).toBe(roomId);
+      expect(CryptoJS.SHA256(roomProof).toString(CryptoJS.enc.Hex)).toBe(roomId);
+      // Neither is the bare hash of the mnemonic that older versions used as the room id
+      expect(roomId).not.toBe(CryptoJS.SHA256(mnemonic).toString(CryptoJS.enc.Hex));
+      expect(roomProof).not.toBe(CryptoJS.SHA256(mnemonic).toString(CryptoJS.enc.Hex));
+    });
+
+    it('should mix an optional passphrase into the key but not the room id', () => {
+      const mnemonic = generateSyncChain();
+      const plain = deriveKeys(mnemonic);
+      const withPassphrase = deriveKeys(mnemonic, 'correct horse');
+
+      expect(deriveKeys(mnemonic, '')).toEqual(plain);
+      expect(withPassphrase.roomId).toBe(plain.roomId);
+      expect(withPassphrase.encryptionKey).not.toBe(plain.encryptionKey);
+      expect(deriveKeys(mnemonic, 'correct horse')).toEqual(withPassphrase);
+      expect(deriveKeys(mnemonic, 'wrong horse').encryptionKey).not.toBe(withPassphrase.encryptionKey);
+    });
+
+    it('should normalize the passphrase so equivalent input derives the same key', () => {
+      const mnemonic = generateSyncChain();
+      expect(deriveKeys(mnemonic, 'caf\u00e9')).toEqual(deriveKeys(mnemonic, 'cafe\u0301'));
+    });
   });
 
   describe('encryptData and decryptData', () => {
-    it('should encrypt and decrypt data correctly', () => {
+    it('should encrypt and decrypt data correctly', async () => {
       const key = deriveKeys(generateSyncChain()).encryptionKey;
       const data = { content: 'Hello, World!', timestamp: Date.now() };
-      const encrypted = encryptData(data, key);
-      const decrypted = decryptData(encrypted, key);
+      const encrypted = await encryptData(data, key);
+      const decrypted = await decryptData(encrypted, key);
       expect(decrypted).toEqual(data);
     });
 
-    it('should produce different ciphertext for same data', () => {
+    it('should produce a versioned AES-GCM envelope', async () => {
+      const key = deriveKeys(generateSyncChain()).encryptionKey;
+      const encrypted = await encryptData({ content: 'Hello' }, key);
+      const envelope = JSON.parse(encrypted);
+
+      expect(Object.keys(envelope).sort()).toEqual(['alg', 'ct', 'iv', 'tag', 'v']);
+      expect(envelope).toMatchObject({ v: ENVELOPE_VERSION, alg: 'AES-256-GCM' });
+      expect(Buffer.from(envelope.iv, 'base64')).toHaveLength(12);
+      expect(Buffer.from(envelope.tag, 'base64')).toHaveLength(16);
+      expect(isEnvelope(encrypted)).toBe(true);
+    });
+
+    it('should produce different ciphertext for same data', async () => {
       const key = deriveKeys(generateSyncChain()).encryptionKey;
       const data = { content: 'Test data' };
-      const encrypted1 = encryptData(data, key);
-      const encrypted2 = encryptData(data, key);
-      // AES with random IV should produce different ciphertext
+      const encrypted1 = await encryptData(data, key);
+      const encrypted2 = await encryptData(data, key);
+      // AES-GCM with a random IV should produce different ciphertext
       expect(encrypted1).not.toBe(encrypted2);
     });
 
-    it('should throw error when decrypting with wrong key', () => {
+    it('should throw error when decrypting with wrong key', async () => {
       const key1 = deriveKeys(generateSyncChain()).encryptionKey;
       const key2 = deriveKeys(generateSyncChain()).encryptionKey;
       const data = { content: 'Secret' };
-      const encrypted = encryptData(data, key1);
-      expect(() => decryptData(encrypted, key2)).toThrow();
+      const encrypted = await encryptData(data, key1);
+      await expect(decryptData(encrypted, key2)).rejects.toThrow('Decryption failed');
     }, 10000);
 
-    it('should throw error for invalid ciphertext', () => {
+    it('should reject tampered ciphertext', async () => {
+      const key = deriveKeys(generateSyncChain()).encryptionKey;
+      const envelope = JSON.parse(await encryptData({ content: 'Secret' }, key));
+      const ct = Buffer.from(envelope.ct, 'base64');
+      ct[0] ^= 1;
+      const tampered = JSON.stringify({ ...envelope, ct: ct.toString('base64') });
+
+      await expect(decryptData(tampered, key)).rejects.toThrow('Decryption failed');
+    });
+
+    it('should throw error for invalid ciphertext', async () => {
       const key = deriveKeys(generateSyncChain()).encryptionKey;
-      expect(() => decryptData('invalid-ciphertext', key)).toThrow();
+      await expect(decryptData('invalid-ciphertext', key)).rejects.toThrow();
+      await expect(decryptData(JSON.stringify({ v: 99, alg: 'ROT13' }), key)).rejects.toThrow('Unsupported');
     }, 10000);
 
-    it('should handle complex nested objects', () => {
+    it('should decrypt legacy CryptoJS ciphertexts', async () => {
+      const key = deriveKeys(generateSyncChain()).encryptionKey;
+      const legacy = CryptoJS.AES.encrypt(JSON.stringify({ content: 'old room' }), key).toString();
+
+      expect(isEnvelope(legacy)).toBe(false);
+      expect(await decryptData(legacy, key)).toEqual({ content: 'old room' });
+    });
+
+    it('should handle complex nested objects', async () => {
       const key = deriveKeys(generateSyncChain()).encryptionKey;
       const data = {
         note: {
@@ -93,8 +170,8 @@ describe('crypto', () => {
         },
         history: [{ v: 1 }, { v: 2 }],
       };
-      const encrypted = encryptData(data, key);
-      const decrypted = decryptData(encrypted, key);
+      const encrypted = await encryptData(data, key);
+      const decrypted = await decryptData(encrypted, key);
       expect(decrypted).toEqual(data);
     });
   });
@@ -128,4 +205,184 @@ describe('crypto', () => {
       expect(PBKDF2_ITERATIONS).toBeGreaterThanOrEqual(10000);
     });
   });
+
+  describe('KDF profiles', () => {
+    const mnemonic = 'test test test test test test test test test test test ball';
+
+    it('should derive the legacy key for the legacy profile', async () => {
+      await expect(deriveEncryptionKey(mnemonic, 'pw', LEGACY_KDF)).resolves.toBe(deriveKeys(mnemonic, 'pw').encryptionKey);
+    });
+
+    it('should derive distinct keys with scrypt and Argon2id', async () => {
+      const scryptKey = await deriveEncryptionKey(mnemonic, '', FAST_SCRYPT);
+      const argonKey = await deriveEncryptionKey(mnemonic, '', FAST_ARGON2ID);
+
+      expect(scryptKey).toMatch(/^[a-f0-9]{64}$/);
+      expect(argonKey).toMatch(/^[a-f0-9]{64}$/);
+      expect(scryptKey).not.toBe(argonKey);
+      expect(scryptKey).not.toBe(deriveKeys(mnemonic).encryptionKey);
+    });
+
+    it('should reject unknown profiles and parameters beyond the limits', () => {
+      expect(() => normalizeKdf({ name: 'md5' })).toThrow('Unsupported');
+      expect(() => normalizeKdf({ name: 'argon2id', m: 1 << 30, t: 1, p: 1 })).toThrow('Invalid');
+      expect(() => normalizeKdf({ name: 'scrypt', N: 3000, r: 8, p: 1 })).toThrow('power of two');
+      expect(normalizeKdf({ ...FAST_SCRYPT, extra: 'x', setAt: 5 })).toEqual({ ...FAST_SCRYPT, setAt: 5 });
+    });
+
+    it('should cap every parameter at the strongest built-in profile', () => {
+      for (const profile of Object.values(KDF_PROFILES)) {
+        expect(normalizeKdf(profile)).toEqual(profile);
+        for (const param of Object.keys(profile).filter((key) => key !== 'name')) {
+          const stronger = param === 'N' ? profile[param] * 2 : profile[param] + 1;
+          expect(() => normalizeKdf({ ...profile, [param]: stronger })).toThrow('Invalid');
+        }
+      }
+    });
+
+    it('should name the selectable profile a header matches', () => {
+      expect(getKdfProfileId({ name: 'argon2id', m: 65536, t: 3, p: 1, setAt: 1 })).toBe('argon2id');
+      expect(getKdfProfileId(LEGACY_KDF)).toBe('legacy');
+      expect(getKdfProfileId(undefined)).toBe('legacy');
+    });
+
+    it('should record the profile in the envelope and let other devices follow the header', async () => {
+      const writer = createKeyring({ mnemonic, kdf: { ...FAST_ARGON2ID, setAt: 10 } });
+      const reader = createKeyring({ mnemonic });
+
+      const encrypted = await encryptData({ hello: 'world' }, writer);
+      expect(JSON.parse(encrypted).kdf).toEqual({ ...FAST_ARGON2ID, setAt: 10 });
+
+      await expect(decryptData(encrypted, reader)).resolves.toEqual({ hello: 'world' });
+      // The reader now writes with the more recently chosen profile
+      expect(reader.kdf).toEqual({ ...FAST_ARGON2ID, setAt: 10 });
+    });
+
+    it('should keep its own profile when the header was chosen earlier', async () => {
+      const onKdfChange = vi.fn();
+      const older = createKeyring({ mnemonic, kdf: { ...FAST_SCRYPT, setAt: 1 } });
+      const newer = createKeyring({ mnemonic, kdf: { ...FAST_ARGON2ID, setAt: 2 }, onKdfChange });
+
+      await decryptData(await encryptData('x', older), newer);
+
+      expect(newer.kdf.name).toBe('argon2id');
+      expect(onKdfChange).not.toHaveBeenCalled();
+    });
+
+    it('should never adopt a weaker profile, even when it was chosen later', async () => {
+      const onKdfChange = vi.fn();
+      const weaker = createKeyring({ mnemonic, kdf: { ...KDF_PROFILES.pbkdf2, iterations: 1000, setAt: 2 } });
+      const reader = createKeyring({ mnemonic, kdf: { ...FAST_SCRYPT, setAt: 1 }, onKdfChange });
+
+      await expect(decryptData(await encryptData('x', weaker), reader)).resolves.toBe('x');
+
+      expect(reader.kdf).toEqual({ ...FAST_SCRYPT, setAt: 1 });
+      expect(onKdfChange).not.toHaveBeenCalled();
+      expect(isWeakerKdf(LEGACY_KDF, FAST_SCRYPT)).toBe(true);
+      expect(isWeakerKdf(FAST_ARGON2ID, { ...FAST_ARGON2ID, t: FAST_ARGON2ID.t + 1 })).toBe(true);
+      expect(isWeakerKdf(FAST_ARGON2ID, FAST_SCRYPT)).toBe(false);
+    });
+
+    it('should authenticate the KDF header', async () => {
+      const reader = createKeyring({ mnemonic });
+      const envelope = JSON.parse(await encryptData('x', createKeyring({ mnemonic, kdf: { ...FAST_SCRYPT, setAt: 1 } })));
+
+      const tampered = JSON.stringify({ ...envelope, kdf: { ...envelope.kdf, setAt: 99 } });
+      await expect(decryptData(tampered, reader)).rejects.toThrow('Decryption failed');
+      expect(reader.kdf).toEqual(LEGACY_KDF);
+    });
+
+    it('should decrypt v1 envelopes without trusting their header', async () => {
+      const kdf = { ...FAST_SCRYPT, setAt: 99 };
+      const key = Buffer.from(await deriveEncryptionKey(mnemonic, '', kdf), 'hex');
+      const aesKey = await globalThis.crypto.subtle.importKey('raw', key, 'AES-GCM', false, ['encrypt']);
+      const iv = globalThis.crypto.getRandomValues(new Uint8Array(12));
+      const sealed = Buffer.from(await globalThis.crypto.subtle.encrypt(
+        { name: 'AES-GCM', iv }, aesKey, new TextEncoder().encode(JSON.stringify('old'))
+      ));
+      const v1 = JSON.stringify({
+        v: 1,
+        alg: 'AES-256-GCM',
+        kdf,
+        iv: Buffer.from(iv).toString('base64'),
+        ct: sealed.subarray(0, sealed.length - 16).toString('base64'),
+        tag: sealed.subarray(sealed.length - 16).toString('base64'),
+      });
+      const reader = createKeyring({ mnemonic });
+
+      await expect(decryptData(v1, reader)).resolves.toBe('old');
+      expect(reader.kdf).toEqual(LEGACY_KDF);
+    });
+
+    it('should decrypt headerless envelopes and legacy ciphertexts with the legacy key', async () => {
+      const { encryptionKey } = deriveKeys(mnemonic);
+      const keyring = createKeyring({ mnemonic, kdf: FAST_SCRYPT });
+      const legacy = CryptoJS.AES.encrypt(JSON.stringify({ old: true }), encryptionKey).toString();
+
+      await expect(decryptData(await encryptData({ plain: true }, encryptionKey), keyring)).resolves.toEqual({ plain: true });
+      await expect(decryptData(legacy, keyring)).resolves.toEqual({ old: true });
+    });
+
+    it('should fail to decrypt with the wrong passphrase', async () => {
+      const encrypted = await encryptData('secret', createKeyring({ mnemonic, passphrase: 'a', kdf: FAST_SCRYPT }));
+
+      await expect(decryptData(encrypted, createKeyring({ mnemonic, passphrase: 'b' }))).rejects.toThrow('Decryption failed');
+    });
+  });
+
+  describe('write signatures', () => {
+    const mnemonic = 'test test test test test test test test test test test ball';
+
+    it('should derive the same signing key from the same mnemonic', async () => {
+      const first = await deriveSigningKeys(mnemonic);
+      const second = await deriveSigningKeys(mnemonic);
+      const other = await deriveSigningKeys(generateSyncChain());
+
+      expect(first.publicKey).toBe(second.publicKey);
+      expect(first.publicKey).not.toBe(other.publicKey);
+      expect(Buffer.from(first.publicKey, 'base64')).toHaveLength(32);
+    });
+
+    it('should mix the passphrase into the signing key', async () => {
+      const plain = await deriveSigningKeys(mnemonic);
+      const withPassphrase = await deriveSigningKeys(mnemonic, 'correct horse');
+      const otherPassphrase = await deriveSigningKeys(mnemonic, 'wrong horse');
+
+      expect(withPassphrase.publicKey).not.toBe(plain.publicKey);
+      expect(withPassphrase.publicKey).not.toBe(otherPassphrase.publicKey);
+      expect((await deriveSigningKeys(mnemonic, 'correct horse')).publicKey).toBe(withPassphrase.publicKey);
+    });
+
+    it('should sign the event, room, note, timestamp, ciphertext digest and base version', async () => {
+      const signingKeys = await deriveSigningKeys(mnemonic);
+      const fields = { roomId: 'room-1', noteId: 'note-a', timestamp: 5, baseVersion: 3 };
+      const { publicKey, signature } = await signWrite(signingKeys, 'push-note', fields, 'cipher');
+
+      const { subtle } = globalThis.crypto;
+      const verifyKey = await subtle.importKey('raw', Buffer.from(publicKey, 'base64'), { name: 'Ed25519' }, false, ['verify']);
+      const digest = CryptoJS.SHA256('cipher').toString(CryptoJS.enc.Hex);
+      const message = (event, data, baseVersion = 3) => (
+        new TextEncoder().encode(JSON.stringify([event, 'room-1', 'note-a', 5, data, baseVersion]))
+      );
+      const verify = (bytes) => subtle.verify({ name: 'Ed25519' }, verifyKey, Buffer.from(signature, 'base64'), bytes);
+
+      await expect(verify(message('push-note', digest))).resolves.toBe(true);
+      await expect(verify(message('delete-note', digest))).resolves.toBe(false);
+      await expect(verify(message('push-note', CryptoJS.SHA256('other').toString(CryptoJS.enc.Hex)))).resolves.toBe(false);
+      await expect(verify(message('push-note', digest, 4))).resolves.toBe(false);
+    });
+
+    it('should derive a separate device identity per room', async () => {
+      const first = await deriveDeviceKeys('secret', 'room-1');
+      const again = await deriveDeviceKeys('secret', 'room-1');
+      const otherRoom = await deriveDeviceKeys('secret', 'room-2');
+      const chainKeys = await deriveSigningKeys(mnemonic);
+
+      expect(first.deviceId).toMatch(/^[0-9a-f]{32}$/);
+      expect(again).toMatchObject({ deviceId: first.deviceId, publicKey: first.publicKey });
+      expect(otherRoom.deviceId).not.toBe(first.deviceId);
+      expect(otherRoom.publicKey).not.toBe(first.publicKey);
+      expect(first.publicKey).not.toBe(chainKeys.publicKey);
+    });
+  });
 });
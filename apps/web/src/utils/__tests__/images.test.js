@@ -0,0 +1,66 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { compressImage } from '../images';
+
+// jsdom 不会解码图片，也没有 canvas：模拟一张 4000x2000 的图片和编码结果
+const mockCanvas = (encodedSize) => {
+  const drawImage = vi.fn();
+  vi.spyOn(HTMLCanvasElement.prototype, 'getContext').mockReturnValue({ drawImage });
+  vi.spyOn(HTMLCanvasElement.prototype, 'toBlob').mockImplementation(function toBlob(callback, type) {
+    callback(new Blob([new Uint8Array(encodedSize)], { type }));
+  });
+  return drawImage;
+};
+
+describe('compressImage', () => {
+  beforeEach(() => {
+    URL.createObjectURL = vi.fn(() => 'blob:image');
+    URL.revokeObjectURL = vi.fn();
+    vi.stubGlobal('Image', class {
+      naturalWidth = 4000;
+      naturalHeight = 2000;
+
+      set src(_url) {
+        setTimeout(() => this.onload());
+      }
+    });
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+    vi.unstubAllGlobals();
+    delete URL.createObjectURL;
+    delete URL.revokeObjectURL;
+  });
+
+  it('scales large screenshots down and re-encodes them', async () => {
+    const drawImage = mockCanvas(100);
+    const file = new File([new Uint8Array(1000)], 'Screenshot 2026-10-19.png', { type: 'image/png' });
+
+    const compressed = await compressImage(file);
+
+    expect(drawImage).toHaveBeenCalledWith(expect.anything(), 0, 0, 1920, 960);
+    expect(compressed.name).toBe('Screenshot 2026-10-19.webp');
+    expect(compressed.type).toBe('image/webp');
+    expect(compressed.size).toBe(100);
+    expect(URL.revokeObjectURL).toHaveBeenCalledWith('blob:image');
+  });
+
+  it('keeps the original when re-encoding does not help', async () => {
+    mockCanvas(2000);
+    const file = new File([new Uint8Array(1000)], 'photo.jpg', { type: 'image/jpeg' });
+
+    expect(await compressImage(file)).toBe(file);
+  });
+
+  it('leaves animations, vector images and other files untouched', async () => {
+    const drawImage = mockCanvas(1);
+    const gif = new File(['gif'], 'loop.gif', { type: 'image/gif' });
+    const svg = new File(['<svg/>'], 'logo.svg', { type: 'image/svg+xml' });
+    const pdf = new File(['pdf'], 'report.pdf', { type: 'application/pdf' });
+
+    expect(await compressImage(gif)).toBe(gif);
+    expect(await compressImage(svg)).toBe(svg);
+    expect(await compressImage(pdf)).toBe(pdf);
+    expect(drawImage).not.toHaveBeenCalled();
+  });
+});
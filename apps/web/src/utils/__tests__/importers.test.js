@@ -0,0 +1,213 @@
+import { afterEach, beforeEach, describe, expect, it } from 'vitest';
+import { strToU8, zipSync } from 'fflate';
+import LocalStorageAdapter from '../storage/LocalStorageAdapter';
+import { useAppStore } from '../../store/useStore';
+import {
+  detectImportFormat,
+  enmlToMarkdown,
+  importNotebook,
+  parseEnex,
+  parseImport,
+  parseJoplinExport,
+  parseObsidianVault,
+  untar,
+} from '../importers';
+
+// jsdom 下 TextEncoder 返回的数组来自另一个 realm，fflate 会把它当成文件夹
+const toBytes = (text) => new Uint8Array(strToU8(text));
+const entry = (path, text) => ({ path, bytes: toBytes(text) });
+
+const NOTE_ID = 'a'.repeat(32);
+const LINKED_ID = 'b'.repeat(32);
+const TAG_ID = 'c'.repeat(32);
+
+const joplinItem = (title, body, meta) => [
+  title,
+  ...(body === null ? [] : ['', body]),
+  '',
+  ...Object.entries(meta).map(([key, value]) => `${key}: ${value}`),
+].join('\n');
+
+const JOPLIN_ITEMS = {
+  [`${NOTE_ID}.md`]: joplinItem('Trip', 'See [packing](:/' + LINKED_ID + ') and ![map](:/' + 'd'.repeat(32) + ')', {
+    id: NOTE_ID,
+    created_time: '2024-01-02T00:00:00.000Z',
+    updated_time: '2024-01-03T00:00:00.000Z',
+    deleted_time: 0,
+    type_: 1,
+  }),
+  [`${LINKED_ID}.md`]: joplinItem('Packing list', '- socks', {
+    id: LINKED_ID,
+    created_time: '2024-01-01T00:00:00.000Z',
+    updated_time: '2024-01-01T00:00:00.000Z',
+    type_: 1,
+  }),
+  [`${'e'.repeat(32)}.md`]: joplinItem('Removed', 'gone', {
+    id: 'e'.repeat(32),
+    deleted_time: '2024-02-01T00:00:00.000Z',
+    type_: 1,
+  }),
+  [`${TAG_ID}.md`]: joplinItem('travel', null, { id: TAG_ID, type_: 5 }),
+  [`${'f'.repeat(32)}.md`]: joplinItem('', null, { id: 'f'.repeat(32), note_id: NOTE_ID, tag_id: TAG_ID, type_: 6 }),
+};
+
+// 最简单的 ustar 打包，只写名称、大小和类型
+const tar = (files) => {
+  const blocks = [];
+  Object.entries(files).forEach(([name, text]) => {
+    const content = toBytes(text);
+    const header = new Uint8Array(512);
+    header.set(toBytes(name), 0);
+    header.set(toBytes(content.length.toString(8).padStart(11, '0')), 124);
+    header[156] = 0x30;
+    blocks.push(header, content, new Uint8Array((512 - (content.length % 512)) % 512));
+  });
+  blocks.push(new Uint8Array(1024));
+
+  const bytes = new Uint8Array(blocks.reduce((size, block) => size + block.length, 0));
+  let offset = 0;
+  blocks.forEach((block) => {
+    bytes.set(block, offset);
+    offset += block.length;
+  });
+  return bytes;
+};
+
+const ENEX = `<?xml version="1.0" encoding="UTF-8"?>
+<!DOCTYPE en-export SYSTEM "http://xml.evernote.com/pub/evernote-export4.dtd">
+<en-export>
+  <note>
+    <title>Recipes</title>
+    <content><![CDATA[<?xml version="1.0" encoding="UTF-8"?>
+<!DOCTYPE en-note SYSTEM "http://xml.evernote.com/pub/enml2.dtd">
+<en-note><h2>Soup</h2><div>Boil <b>water</b> for <i>10</i> minutes<br/></div><ul><li>salt</li><li>leeks</li></ul><div><en-todo checked="true"/>shop</div><div><a href="https://example.com">source</a></div><en-media type="image/png" hash="abc"/></en-note>]]></content>
+    <created>20240131T080910Z</created>
+    <updated>20240201T000000Z</updated>
+    <tag>food</tag>
+    <tag>home</tag>
+  </note>
+</en-export>`;
+
+describe('importers', () => {
+  it('parses Obsidian front matter, tags and wiki links', () => {
+    const notes = parseObsidianVault([
+      entry('Vault/.obsidian/app.json', '{}'),
+      entry('Vault/Projects/Plan.md', [
+        '---',
+        'title: Launch plan',
+        'tags: [work, "q4"]',
+        'created: 2024-01-05',
+        '---',
+        'Depends on [[Projects/Budget.md#Totals|the budget]] and ![[diagram.png]]',
+      ].join('\n')),
+      entry('Vault/Budget.md', '---\ntags:\n  - money\n---\nTotal: 3'),
+      entry('Vault/diagram.png', 'png'),
+    ]);
+
+    expect(notes).toEqual([
+      { title: 'Budget', content: 'Total: 3', tags: ['money'], createdAt: undefined, updatedAt: undefined },
+      {
+        title: 'Launch plan',
+        content: 'Depends on [[Budget#Totals|the budget]] and ![[diagram.png]]',
+        tags: ['work', 'q4'],
+        createdAt: Date.parse('2024-01-05'),
+        updatedAt: undefined,
+      },
+    ]);
+  });
+
+  it('parses a Joplin JEX export with tags and note links', () => {
+    const entries = untar(tar(JOPLIN_ITEMS));
+    expect(detectImportFormat(entries)).toBe('joplin');
+
+    const notes = parseJoplinExport(entries);
+    expect(notes.map((note) => note.title)).toEqual(['Packing list', 'Trip']);
+    expect(notes[1]).toEqual({
+      title: 'Trip',
+      content: `See [[Packing list|packing]] and ![map](:/${'d'.repeat(32)})`,
+      tags: ['travel'],
+      createdAt: Date.parse('2024-01-02T00:00:00.000Z'),
+      updatedAt: Date.parse('2024-01-03T00:00:00.000Z'),
+    });
+    expect(notes[0].tags).toEqual([]);
+  });
+
+  it('converts Evernote notes to Markdown', () => {
+    const [note] = parseEnex(ENEX);
+
+    expect(note.title).toBe('Recipes');
+    expect(note.tags).toEqual(['food', 'home']);
+    expect(note.createdAt).toBe(Date.UTC(2024, 0, 31, 8, 9, 10));
+    expect(note.content).toBe([
+      '## Soup',
+      '',
+      'Boil **water** for *10* minutes',
+      '',
+      '- salt',
+      '- leeks',
+      '',
+      '- [x] shop',
+      '[source](https://example.com)',
+      '<!-- image/png not imported -->',
+    ].join('\n'));
+    expect(() => parseEnex('<notes></notes>')).toThrow('Invalid ENEX file');
+  });
+
+  it('converts ENML tables to Markdown tables', () => {
+    expect(enmlToMarkdown('<en-note><table><tr><td>a</td><td>b</td></tr><tr><td>1</td><td>2</td></tr></table></en-note>'))
+      .toBe('| a | b |\n| --- | --- |\n| 1 | 2 |');
+  });
+
+  it('reads zipped vaults and names the notebook after the file', async () => {
+    const zip = zipSync({ 'Vault/Note.md': toBytes('# Hello'), 'Vault/Sub/': new Uint8Array(0) });
+    const file = new File([zip], 'Vault.zip', { type: 'application/zip' });
+
+    const parsed = await parseImport([file]);
+    expect(parsed).toEqual({
+      format: 'obsidian',
+      name: 'Vault',
+      notes: [{ title: 'Note', content: '# Hello', tags: [], createdAt: undefined, updatedAt: undefined }],
+    });
+    await expect(parseImport([new File(['x'], 'image.png')])).rejects.toThrow('Unsupported import format');
+  });
+
+  describe('importNotebook', () => {
+    let storage;
+
+    beforeEach(async () => {
+      localStorage.clear();
+      useAppStore.setState({ notebooks: [], notes: [], activeNotebookId: null, activeNoteId: null });
+      storage = new LocalStorageAdapter({ prefix: 'import_' });
+      await storage.initialize();
+    });
+
+    afterEach(() => {
+      localStorage.clear();
+    });
+
+    it('creates a notebook with one note per document in the store and storage', async () => {
+      const { notebook, count } = await importNotebook({
+        name: 'Vault',
+        notes: [
+          { title: 'First', content: 'one', tags: ['a'], createdAt: 1000 },
+          { title: 'Second', content: 'two', tags: [] },
+        ],
+      }, { store: useAppStore, storage });
+
+      const state = useAppStore.getState();
+      expect(count).toBe(2);
+      expect(state.activeNotebookId).toBe(notebook.id);
+      expect(state.notes.map((note) => [note.title, note.notebookId])).toEqual([
+        ['First', notebook.id],
+        ['Second', notebook.id],
+      ]);
+      expect(state.activeNoteId).toBe(state.notes[0].id);
+      expect(state.note).toBe('one');
+
+      expect((await storage.getNotebook(notebook.id)).name).toBe('Vault');
+      const stored = await storage.listNotes(notebook.id);
+      expect(stored.map((note) => note.title).sort()).toEqual(['First', 'Second']);
+      expect(stored.find((note) => note.title === 'First')).toMatchObject({ tags: ['a'], createdAt: 1000 });
+    });
+  });
+});
@@ -1,6 +1,13 @@
 import { describe, expect, it } from 'vitest';
-import { deriveKeys, validateMnemonic } from '../crypto';
-import { createNotebook, restoreNotebookState } from '../notebooks';
+import { deriveKeys, deriveRoom, validateMnemonic } from '../crypto';
+import {
+  buildFolderTree,
+  canMoveFolder,
+  createFolder,
+  createNotebook,
+  getDescendantFolderIds,
+  restoreNotebookState,
+} from '../notebooks';
 
 describe('notebooks utilities', () => {
   it('creates notebook sync metadata for newly created notebooks', () => {
@@ -14,6 +21,14 @@ describe('notebooks utilities', () => {
     expect(notebook.encryptionKey).toBe(derived.encryptionKey);
   });
 
+  it('remembers the passphrase and derives the notebook key with it', () => {
+    const notebook = createNotebook({ name: 'Work', passphrase: 'correct horse' });
+
+    expect(notebook.passphrase).toBe('correct horse');
+    expect(notebook.encryptionKey).toBe(deriveKeys(notebook.mnemonic, 'correct horse').encryptionKey);
+    expect(notebook.roomId).toBe(deriveKeys(notebook.mnemonic).roomId);
+  });
+
   it('restores notebooks and the active note from storage', async () => {
     const notebook = createNotebook({
       id: 'nb-work',
@@ -53,6 +68,27 @@ describe('notebooks utilities', () => {
     expect(restored.mnemonic).toBe(notebook.mnemonic);
   });
 
+  it('moves notebooks saved with the old room id to the derived one', async () => {
+    const notebook = createNotebook({ id: 'nb-work', name: 'Work' });
+    const legacy = { ...notebook, roomId: 'f'.repeat(64) };
+    const saved = [];
+    const storage = {
+      listNotebooks: async () => [legacy],
+      listNotes: async () => [],
+      saveNotebook: async (entry) => {
+        saved.push(entry);
+      },
+      saveNote: async () => undefined,
+    };
+
+    const restored = await restoreNotebookState(storage, { activeNotebookId: notebook.id });
+
+    // 旧房间ID保留下来，第一次加入时由服务器复制到新房间
+    const migrated = { ...notebook, legacyRoomId: legacy.roomId };
+    expect(restored.notebooks).toEqual([migrated]);
+    expect(saved).toEqual([migrated]);
+  });
+
   it('migrates legacy single-chain state into a default notebook', async () => {
     const savedNotebooks = [];
     const savedNotes = [];
@@ -80,9 +116,43 @@ describe('notebooks utilities', () => {
     expect(savedNotebooks).toHaveLength(1);
     expect(savedNotes).toHaveLength(1);
     expect(restored.notebooks[0].mnemonic).toBe('test test test test test test test test test test test ball');
+    expect(restored.notebooks[0].legacyRoomId).toBe(deriveRoom('test test test test test test test test test test test ball').legacyRoomId);
     expect(restored.activeNotebookId).toBe(restored.notebooks[0].id);
     expect(restored.activeNoteId).toBe(restored.notes[0].id);
     expect(restored.note).toBe('# legacy note');
     expect(restored.migrated).toBe(true);
   });
+
+  it('builds the folder tree and refuses to move a folder into itself', () => {
+    const folders = [
+      createFolder({ id: 'work', name: 'Work' }),
+      createFolder({ id: 'specs', name: 'Specs', parentId: 'work' }),
+      createFolder({ id: 'drafts', name: 'Drafts', parentId: 'specs' }),
+      createFolder({ id: 'archive', name: 'Archive' }),
+      // 父文件夹已在其他设备删除
+      createFolder({ id: 'orphan', name: 'Orphan', parentId: 'gone' }),
+    ];
+
+    expect(getDescendantFolderIds(folders, 'work')).toEqual(['specs', 'drafts']);
+    expect(canMoveFolder(folders, 'work', 'drafts')).toBe(false);
+    expect(canMoveFolder(folders, 'work', 'work')).toBe(false);
+    expect(canMoveFolder(folders, 'drafts', 'archive')).toBe(true);
+    expect(canMoveFolder(folders, 'drafts', null)).toBe(true);
+
+    const tree = buildFolderTree(folders);
+    expect(tree.map((node) => node.folder.name)).toEqual(['Archive', 'Orphan', 'Work']);
+    expect(tree[2].children[0].folder.id).toBe('specs');
+    expect(tree[2].children[0].children[0].folder.id).toBe('drafts');
+  });
+
+  it('breaks folder cycles left by concurrent moves', () => {
+    const tree = buildFolderTree([
+      createFolder({ id: 'a', name: 'A', parentId: 'b' }),
+      createFolder({ id: 'b', name: 'B', parentId: 'a' }),
+      createFolder({ id: 'c', name: 'C', parentId: 'a' }),
+    ]);
+
+    expect(tree.map((node) => node.folder.id)).toEqual(['a', 'b']);
+    expect(tree[0].children.map((node) => node.folder.id)).toEqual(['c']);
+  });
 });
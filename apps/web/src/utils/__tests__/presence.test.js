@@ -0,0 +1,32 @@
+import { describe, expect, it } from 'vitest';
+import { getPresenceColor, getRemoteCursors, parsePresence, prunePresence } from '../presence';
+
+describe('presence', () => {
+  it('keeps only well-formed fields of a decrypted message', () => {
+    expect(parsePresence({ noteId: 'note-a', anchor: 2, head: 5, typing: true, extra: 'x' }))
+      .toEqual({ noteId: 'note-a', anchor: 2, head: 5, typing: true });
+    expect(parsePresence({ noteId: 7, anchor: -1, head: 3, typing: 'yes' }))
+      .toEqual({ noteId: null, anchor: null, head: null, typing: false });
+    expect(parsePresence('cipher')).toBeNull();
+  });
+
+  it('drops connections that left the room', () => {
+    const presence = { 'socket-1': { noteId: 'a' }, 'socket-2': { noteId: 'b' } };
+
+    expect(prunePresence(presence, [{ id: 'socket-1' }, { id: 'socket-2' }])).toBe(presence);
+    expect(prunePresence(presence, [{ id: 'socket-2' }])).toEqual({ 'socket-2': { noteId: 'b' } });
+  });
+
+  it('lists the cursors in one note with a stable color per device', () => {
+    const presence = {
+      'socket-1': { deviceName: 'iPhone', noteId: 'note-a', anchor: 1, head: 4, typing: false },
+      'socket-2': { deviceName: 'iPad', noteId: 'note-b', anchor: 0, head: 0, typing: false },
+      'socket-3': { deviceName: 'Laptop', noteId: 'note-a', anchor: null, head: null, typing: false },
+    };
+
+    expect(getRemoteCursors(presence, 'note-a')).toEqual([
+      { id: 'socket-1', name: 'iPhone', color: getPresenceColor('iPhone'), anchor: 1, head: 4, typing: false },
+    ]);
+    expect(getPresenceColor('iPhone')).toBe(getPresenceColor('iPhone'));
+  });
+});
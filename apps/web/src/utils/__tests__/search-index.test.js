@@ -97,4 +97,27 @@ describe('SearchIndex', () => {
     const results = index.search('meeting');
     expect(results.length).toBe(2);
   });
+
+  it('filters by tag with tag: terms', () => {
+    index.indexNote('note-1', 'Roadmap', 'Quarter plans', 'notebook-1', ['Work', 'planning']);
+    index.indexNote('note-2', 'Groceries', 'Plans for dinner', 'notebook-1', ['home']);
+    index.indexNote('note-3', 'Offsite', 'Agenda', 'notebook-1', ['work', 'team trip']);
+
+    expect(index.search('tag:work').map((r) => r.noteId).sort()).toEqual(['note-1', 'note-3']);
+    expect(index.search('TAG:Work plans').map((r) => r.noteId)).toEqual(['note-1']);
+    expect(index.search('tag:work tag:planning').map((r) => r.noteId)).toEqual(['note-1']);
+    expect(index.search('tag:"team trip"').map((r) => r.noteId)).toEqual(['note-3']);
+    expect(index.search('tag:missing')).toHaveLength(0);
+    expect(index.search('home')[0]).toMatchObject({ noteId: 'note-2', tags: ['home'] });
+  });
+
+  it('replaces the previous entry when a note is re-indexed', () => {
+    index.indexNote('note-1', 'Draft', 'old words', 'notebook-1', ['draft']);
+    index.indexNote('note-1', 'Final', 'new words', 'notebook-1', ['done']);
+
+    expect(index.search('old')).toHaveLength(0);
+    expect(index.search('tag:draft')).toHaveLength(0);
+    expect(index.search('tag:done').map((r) => r.title)).toEqual(['Final']);
+    expect(index.getStats().tagCount).toBe(1);
+  });
 });
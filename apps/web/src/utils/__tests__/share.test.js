@@ -0,0 +1,92 @@
+import { afterEach, describe, expect, it, vi } from 'vitest';
+import { createShareLink, fetchShareInfo, fetchSharedNote, parseShareLocation } from '../share';
+
+const SERVER_URL = 'http://sync.test';
+
+// 模拟服务器的 /shares 接口，记录收到的请求体
+const mockShareServer = () => {
+  const shares = new Map();
+  const requests = [];
+  vi.stubGlobal('fetch', vi.fn(async (url, options = {}) => {
+    const path = url.slice(SERVER_URL.length);
+    if (options.method === 'POST' && path === '/shares') {
+      const body = JSON.parse(options.body);
+      requests.push(body);
+      const shareId = `share_${String(shares.size).padStart(16, '0')}`;
+      shares.set(shareId, {
+        encryptedData: body.encryptedData,
+        expiresAt: body.expiresIn && 1000 + body.expiresIn,
+        burnAfterReading: body.burnAfterReading,
+      });
+      return { ok: true, status: 201, json: async () => ({ shareId, expiresAt: shares.get(shareId).expiresAt }) };
+    }
+    const [, shareId, info] = path.split('/').slice(1);
+    const share = shares.get(shareId);
+    if (!share) {
+      return { ok: false, status: 404, json: async () => ({ error: 'Share not found' }) };
+    }
+    if (info) {
+      return { ok: true, status: 200, json: async () => ({ expiresAt: share.expiresAt, burnAfterReading: share.burnAfterReading }) };
+    }
+    if (share.burnAfterReading) {
+      shares.delete(shareId);
+    }
+    return { ok: true, status: 200, json: async () => share };
+  }));
+  return { requests };
+};
+
+describe('read-only share links', () => {
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  const note = { id: 'note-1', title: 'Plan', content: '# Secret plan', tags: ['work'], updatedAt: 5, notebookId: 'nb-1' };
+
+  it('uploads only ciphertext and keeps the key in the link fragment', async () => {
+    const { requests } = mockShareServer();
+
+    const link = await createShareLink(note, { expiresIn: 3600000, serverUrl: SERVER_URL, origin: 'https://notes.test' });
+
+    expect(link.url).toMatch(/^https:\/\/notes\.test\/share\/share_0{16}#[0-9a-f]{64}$/);
+    expect(requests[0].expiresIn).toBe(3600000);
+    expect(requests[0].encryptedData).not.toContain('Secret plan');
+
+    const url = new URL(link.url);
+    const share = parseShareLocation(url);
+    expect(share).toEqual({ shareId: link.shareId, key: url.hash.slice(1) });
+    await expect(fetchSharedNote(share, SERVER_URL)).resolves.toEqual({
+      note: { title: 'Plan', content: '# Secret plan', tags: ['work'], updatedAt: 5 },
+      expiresAt: 3601000,
+      burnAfterReading: false,
+    });
+  });
+
+  it('lets a burn-after-reading share be opened once', async () => {
+    const { requests } = mockShareServer();
+    const link = await createShareLink(note, { burnAfterReading: true, serverUrl: SERVER_URL, origin: 'https://notes.test' });
+    const share = parseShareLocation(new URL(link.url));
+
+    expect(requests[0].burnAfterReading).toBe(true);
+    await expect(fetchShareInfo(share, SERVER_URL)).resolves.toMatchObject({ burnAfterReading: true });
+    await expect(fetchSharedNote(share, SERVER_URL)).resolves.toMatchObject({ burnAfterReading: true, note: { title: 'Plan' } });
+    await expect(fetchSharedNote(share, SERVER_URL)).resolves.toBeNull();
+  });
+
+  it('reports unknown shares and rejects the wrong key', async () => {
+    mockShareServer();
+    const link = await createShareLink(note, { serverUrl: SERVER_URL, origin: 'https://notes.test' });
+
+    await expect(fetchSharedNote({ shareId: 'share_missing_00000', key: 'a'.repeat(64) }, SERVER_URL)).resolves.toBeNull();
+    await expect(fetchSharedNote({ shareId: link.shareId, key: 'a'.repeat(64) }, SERVER_URL)).rejects.toThrow('Decryption failed');
+  });
+
+  it('only treats /share/<id> paths as share links', () => {
+    expect(parseShareLocation({ pathname: '/', hash: '' })).toBeNull();
+    expect(parseShareLocation({ pathname: '/share/short', hash: '' })).toBeNull();
+    expect(parseShareLocation({ pathname: '/share/share_0123456789abcdef', hash: '' })).toEqual({
+      shareId: 'share_0123456789abcdef',
+      key: null,
+    });
+  });
+});
@@ -0,0 +1,26 @@
+import { describe, expect, it } from 'vitest';
+import { collectTags, hasTag, normalizeTag, normalizeTags } from '../tags';
+
+describe('tags', () => {
+  it('normalizes tags and dedupes them case-insensitively', () => {
+    expect(normalizeTag('  #Team   Trip ')).toBe('Team Trip');
+    expect(normalizeTags(['Work', 'work', ' #work', '', '#', 'home'])).toEqual(['Work', 'home']);
+    expect(normalizeTags(undefined)).toEqual([]);
+  });
+
+  it('matches and counts tags across notes', () => {
+    const notes = [
+      { tags: ['Work', 'urgent'] },
+      { tags: ['work'] },
+      { tags: [] },
+      {},
+    ];
+
+    expect(hasTag(notes[1], '#WORK')).toBe(true);
+    expect(hasTag(notes[3], 'work')).toBe(false);
+    expect(collectTags(notes)).toEqual([
+      { name: 'urgent', count: 1 },
+      { name: 'Work', count: 2 },
+    ]);
+  });
+});
@@ -0,0 +1,71 @@
+import { describe, expect, it } from 'vitest';
+import {
+  findNoteByTitle,
+  getBacklinks,
+  isLinkableTitle,
+  isWikiLinkUrl,
+  parseWikiLinks,
+  parseWikiLinkUrl,
+  renameWikiLinks,
+  toWikiLinkUrl,
+} from '../wikiLinks';
+
+const notes = [
+  { id: 'plan', notebookId: 'nb-1', title: 'Project Plan', content: 'See [[Meeting notes]].', updatedAt: 1 },
+  {
+    id: 'meeting',
+    notebookId: 'nb-1',
+    title: 'Meeting Notes',
+    content: 'Follows [[project plan#Goals|the plan]]\nand [[Project Plan]] again\n`[[Project Plan]]` in code',
+    updatedAt: 3,
+  },
+  { id: 'ideas', notebookId: 'nb-1', title: 'Ideas', content: '```\n[[Project Plan]]\n```', updatedAt: 2 },
+  { id: 'other', notebookId: 'nb-2', title: 'Elsewhere', content: '[[Project Plan]]', updatedAt: 4 },
+];
+
+describe('wiki links', () => {
+  it('parses titles, headings and aliases outside of code', () => {
+    const links = parseWikiLinks(notes[1].content);
+
+    expect(links.map(({ title, heading, alias }) => ({ title, heading, alias }))).toEqual([
+      { title: 'project plan', heading: 'Goals', alias: 'the plan' },
+      { title: 'Project Plan', heading: '', alias: undefined },
+    ]);
+    expect(parseWikiLinks(notes[2].content)).toEqual([]);
+    expect(parseWikiLinks('[[]] [[ | x]] [not a link]')).toEqual([]);
+  });
+
+  it('resolves titles case-insensitively and round-trips link urls', () => {
+    expect(findNoteByTitle(notes, '  meeting   notes ').id).toBe('meeting');
+    expect(findNoteByTitle(notes, 'Missing')).toBeNull();
+
+    const url = toWikiLinkUrl('Q&A / 50%');
+    expect(isWikiLinkUrl(url)).toBe(true);
+    expect(parseWikiLinkUrl(url)).toBe('Q&A / 50%');
+    expect(isWikiLinkUrl('https://example.com')).toBe(false);
+  });
+
+  it('lists backlinks from the same notebook with the linking line', () => {
+    const backlinks = getBacklinks(notes, notes[0]);
+
+    expect(backlinks).toEqual([
+      { note: notes[1], count: 2, context: 'Follows [[project plan#Goals|the plan]]' },
+    ]);
+    expect(getBacklinks(notes, notes[1]).map((entry) => entry.note.id)).toEqual(['plan']);
+  });
+
+  it('renames links and keeps headings and aliases', () => {
+    expect(renameWikiLinks(notes[1].content, 'Project Plan', 'Roadmap')).toBe(
+      'Follows [[Roadmap#Goals|the plan]]\nand [[Roadmap]] again\n`[[Project Plan]]` in code'
+    );
+    expect(renameWikiLinks('No links', 'Project Plan', 'Roadmap')).toBe('No links');
+  });
+
+  it('only links titles without link syntax', () => {
+    expect(isLinkableTitle('Roadmap 2026')).toBe(true);
+    ['C# notes', 'Q3 | Q4', 'Plan]', '[Draft', '   '].forEach((title) => {
+      expect(isLinkableTitle(title)).toBe(false);
+    });
+    expect(renameWikiLinks('[[Project Plan]]', 'Project Plan', 'C# notes')).toBe('[[Project Plan]]');
+  });
+});
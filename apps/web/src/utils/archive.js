@@ -0,0 +1,195 @@
+/**
+ * 笔记本归档
+ * 把一个或全部笔记本（笔记、标题、标签、文件夹、历史记录）导出为一个 JSON 文件，可选用密码加密；
+ * 导入时合并到已有笔记本，跳过重复的笔记
+ */
+import { encryptWithPassword, decryptWithPassword } from './crypto';
+import { createNote, createNotebook } from './notebooks';
+import { generateUniqueId } from './shared';
+
+export const ARCHIVE_FORMAT = 'brave-sync-notes-archive';
+export const ARCHIVE_VERSION = 1;
+
+// 导出前要求的最短密码长度
+export const MIN_ARCHIVE_PASSWORD_LENGTH = 8;
+
+const toArchiveNote = (note, history) => ({
+  id: note.id,
+  title: note.title,
+  content: note.content || '',
+  tags: note.tags || [],
+  folderId: note.folderId || null,
+  version: note.version || 1,
+  createdAt: note.createdAt,
+  updatedAt: note.updatedAt,
+  history: history.map(({ content, version, timestamp, deviceName, tags }) => ({
+    content, version, timestamp, deviceName, tags,
+  })),
+});
+
+/**
+ * 从存储导出笔记本
+ * 只有加密的归档才包含助记词和口令：未加密的文件落到别处也不会泄露同步链
+ * @param {Object} storage - StorageManager
+ * @param {Object} [options]
+ * @param {string[]} [options.notebookIds] - 要导出的笔记本，默认全部
+ * @param {string} [options.password] - 设置后整个归档用该密码加密
+ * @returns {Promise<string>} 归档文件内容（JSON）
+ */
+export const exportArchive = async (storage, { notebookIds, password } = {}) => {
+  const includeSecrets = Boolean(password);
+  const allNotebooks = await storage.listNotebooks();
+  const selected = notebookIds ? allNotebooks.filter((notebook) => notebookIds.includes(notebook.id)) : allNotebooks;
+
+  const notebooks = [];
+  for (const notebook of selected) {
+    const notes = [];
+    for (const note of await storage.listNotes(notebook.id)) {
+      notes.push(toArchiveNote(note, await storage.getHistory(note.id, Infinity)));
+    }
+
+    notebooks.push({
+      id: notebook.id,
+      name: notebook.name,
+      roomId: notebook.roomId,
+      ...(includeSecrets ? { mnemonic: notebook.mnemonic, passphrase: notebook.passphrase || '' } : {}),
+      ...(includeSecrets && notebook.kdf ? { kdf: notebook.kdf } : {}),
+      folders: notebook.folders || [],
+      createdAt: notebook.createdAt,
+      updatedAt: notebook.updatedAt,
+      notes,
+    });
+  }
+
+  const header = { format: ARCHIVE_FORMAT, version: ARCHIVE_VERSION, exportedAt: Date.now() };
+  const archive = password
+    ? { ...header, encrypted: true, ...(await encryptWithPassword({ notebooks }, password)) }
+    : { ...header, encrypted: false, notebooks };
+  return JSON.stringify(archive, null, 2);
+};
+
+/**
+ * 解析归档文件（不解密）
+ * @param {string} text
+ * @returns {Object} 归档；encrypted 为 true 时需要用 openArchive 解密
+ */
+export const parseArchive = (text) => {
+  let archive;
+  try {
+    archive = JSON.parse(text);
+  } catch {
+    throw new Error('Invalid archive');
+  }
+
+  if (archive?.format !== ARCHIVE_FORMAT) {
+    throw new Error('Invalid archive');
+  }
+  if (archive.version !== ARCHIVE_VERSION) {
+    throw new Error(`Unsupported archive version: ${archive.version}`);
+  }
+  return archive;
+};
+
+/**
+ * 取出归档中的笔记本，加密的归档需要密码
+ * @param {Object} archive - parseArchive 的结果
+ * @param {string} [password]
+ * @returns {Promise<Object[]>} 笔记本列表，每个带 notes
+ */
+export const openArchive = async (archive, password) => {
+  let contents = archive;
+  if (archive.encrypted) {
+    if (!password) {
+      throw new Error('Password required');
+    }
+    try {
+      contents = await decryptWithPassword(archive, password);
+    } catch {
+      throw new Error('Wrong password');
+    }
+  }
+
+  if (!Array.isArray(contents?.notebooks)) {
+    throw new Error('Invalid archive');
+  }
+  return contents.notebooks;
+};
+
+const noteKey = (note) => `${note.title || ''}\u0000${note.content || ''}`;
+
+/**
+ * 把归档中的笔记本合并到本地
+ * 按 id 或房间匹配已有笔记本；标题和内容都相同的笔记视为重复并跳过，
+ * 同 id 但内容不同的笔记作为新笔记导入，不会覆盖本地修改
+ * @param {Object} storage - StorageManager
+ * @param {Object[]} archivedNotebooks - openArchive 的结果
+ * @param {{notebooks: Object[], notes: Object[]}} current - 当前的笔记本和笔记
+ * @returns {Promise<{notebooks: Object[], notes: Object[], imported: number, duplicates: number}>}
+ *   notebooks 为新建的笔记本，notes 为新导入的笔记
+ */
+export const importArchive = async (storage, archivedNotebooks, current) => {
+  const notebooks = [];
+  const notes = [];
+  const noteIds = new Set(current.notes.map((note) => note.id));
+  const notebookIds = new Set(current.notebooks.map((notebook) => notebook.id));
+  let duplicates = 0;
+
+  for (const archived of archivedNotebooks) {
+    let notebook = current.notebooks.find((entry) => entry.id === archived.id)
+      || current.notebooks.find((entry) => archived.roomId && entry.roomId === archived.roomId);
+
+    if (!notebook) {
+      // 没有助记词的归档（未加密导出）只能导入为新的同步链
+      notebook = createNotebook({
+        id: archived.id && !notebookIds.has(archived.id) ? archived.id : undefined,
+        name: archived.name,
+        folders: Array.isArray(archived.folders) ? archived.folders : [],
+        ...(archived.mnemonic ? { mnemonic: archived.mnemonic, passphrase: archived.passphrase } : {}),
+        createdAt: archived.createdAt,
+      });
+      if (archived.mnemonic && archived.kdf) {
+        notebook.kdf = archived.kdf;
+      }
+      await storage.saveNotebook(notebook);
+      notebooks.push(notebook);
+      notebookIds.add(notebook.id);
+    }
+
+    // 导入到已有笔记本时，归档中的文件夹不存在就放到根目录
+    const folderIds = new Set((notebook.folders || []).map((folder) => folder.id));
+    const existingKeys = new Set(
+      current.notes.filter((note) => note.notebookId === notebook.id).map(noteKey)
+    );
+
+    for (const archivedNote of archived.notes || []) {
+      const key = noteKey(archivedNote);
+      if (existingKeys.has(key)) {
+        duplicates++;
+        continue;
+      }
+
+      const note = createNote({
+        id: archivedNote.id && !noteIds.has(archivedNote.id) ? archivedNote.id : undefined,
+        notebookId: notebook.id,
+        title: archivedNote.title,
+        content: archivedNote.content,
+        tags: Array.isArray(archivedNote.tags) ? archivedNote.tags : [],
+        folderId: folderIds.has(archivedNote.folderId) ? archivedNote.folderId : null,
+        version: archivedNote.version,
+        timestamp: archivedNote.updatedAt,
+        createdAt: archivedNote.createdAt,
+        updatedAt: archivedNote.updatedAt,
+      });
+      await storage.saveNote(notebook.id, note);
+      for (const entry of archivedNote.history || []) {
+        await storage.saveHistory(note.id, { ...entry, id: generateUniqueId('history_'), noteId: note.id });
+      }
+
+      notes.push(note);
+      noteIds.add(note.id);
+      existingKeys.add(key);
+    }
+  }
+
+  return { notebooks, notes, imported: notes.length, duplicates };
+};
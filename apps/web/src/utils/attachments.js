@@ -0,0 +1,224 @@
+/**
+ * 附件工具
+ * 文件在本地分块加密后上传（同时保存在本地），服务器只保存密文块；笔记里通过 attachment:// 链接引用，
+ * 链接的 # 片段带着这个附件的密钥，所以只有能解密笔记的设备才能打开附件
+ */
+import { Buffer } from 'buffer';
+import { generateAttachmentKey, encryptAttachmentChunk, decryptAttachmentChunk } from './crypto';
+
+// 每块明文大小（加密并 base64 后约 350KB，低于服务器单块 512KB 的上限）
+export const ATTACHMENT_CHUNK_SIZE = 256 * 1024;
+// 与服务器默认的 MAX_ATTACHMENT_SIZE_MB 一致
+export const MAX_ATTACHMENT_SIZE = 25 * 1024 * 1024;
+const MAX_ATTACHMENT_CHUNKS = Math.ceil(MAX_ATTACHMENT_SIZE / ATTACHMENT_CHUNK_SIZE);
+
+// attachment://<attachmentId>?type=<mime>#<key>
+const ATTACHMENT_URL_PATTERN = /^attachment:\/\/([A-Za-z0-9_-]{16,64})(?:\?type=([^#]*))?#([0-9a-f]{64})$/i;
+// 笔记中任意位置出现的附件ID（包括代码块，宁可多复制也不遗漏）
+const ATTACHMENT_ID_PATTERN = /attachment:\/\/([A-Za-z0-9_-]{16,64})/g;
+// 笔记中的附件图片：![名称](attachment://...)
+const ATTACHMENT_IMAGE_PATTERN = /!\[(?:\\.|[^\]\\])*\]\((attachment:\/\/[^)\s]+)\)/g;
+
+// 块序号和总块数参与认证，服务器无法调换或截断密文块
+const chunkAad = (attachmentId, chunkIndex, totalChunks) => `${attachmentId}:${chunkIndex}:${totalChunks}`;
+
+// FileReader 兼容性比 Blob.arrayBuffer 更好
+const readBytes = (blob) => new Promise((resolve, reject) => {
+  const reader = new FileReader();
+  reader.onload = () => resolve(new Uint8Array(reader.result));
+  reader.onerror = () => reject(reader.error);
+  reader.readAsArrayBuffer(blob);
+});
+
+const generateAttachmentId = () => (
+  Buffer.from(globalThis.crypto.getRandomValues(new Uint8Array(16))).toString('hex')
+);
+
+/**
+ * 生成附件链接
+ * @param {{attachmentId: string, key: string, type?: string}} reference
+ * @returns {string}
+ */
+export const buildAttachmentUrl = ({ attachmentId, key, type }) => (
+  `attachment://${attachmentId}${type ? `?type=${encodeURIComponent(type)}` : ''}#${key}`
+);
+
+/**
+ * 是否为附件链接（不校验格式）
+ * @param {string} url
+ * @returns {boolean}
+ */
+export const isAttachmentUrl = (url) => typeof url === 'string' && url.startsWith('attachment://');
+
+/**
+ * 解析附件链接
+ * @param {string} url
+ * @returns {{attachmentId: string, key: string, type: string}|null} 格式不正确时返回 null
+ */
+export const parseAttachmentUrl = (url) => {
+  const match = typeof url === 'string' ? ATTACHMENT_URL_PATTERN.exec(url) : null;
+  if (!match) {
+    return null;
+  }
+
+  let type = '';
+  try {
+    type = match[2] ? decodeURIComponent(match[2]) : '';
+  } catch {
+    return null;
+  }
+  return { attachmentId: match[1], key: match[3].toLowerCase(), type };
+};
+
+/**
+ * 内容中引用的附件ID
+ * @param {string} content
+ * @returns {Set<string>}
+ */
+export const getAttachmentIds = (content) => new Set(
+  Array.from(String(content || '').matchAll(ATTACHMENT_ID_PATTERN), (match) => match[1])
+);
+
+/**
+ * 在笔记中引用附件的 Markdown：图片直接显示，其他文件显示为下载链接
+ * @param {{name: string, type?: string}} file
+ * @param {string} url - buildAttachmentUrl 的结果
+ * @returns {string}
+ */
+export const createAttachmentMarkdown = ({ name, type }, url) => {
+  const label = (name || 'attachment').replace(/([[\]\\])/g, '\\$1');
+  return `${type?.startsWith('image/') ? '!' : ''}[${label}](${url})`;
+};
+
+/**
+ * 把笔记中的附件图片替换为可以脱离应用显示的地址（导出时使用）
+ * 无法读取的图片保持原样
+ * @param {string} content
+ * @param {Function} resolve - (url) => Promise<string>，如返回 data URL
+ * @returns {Promise<string>}
+ */
+export const inlineAttachmentImages = async (content, resolve) => {
+  const urls = [...new Set(Array.from(content.matchAll(ATTACHMENT_IMAGE_PATTERN), (match) => match[1]))];
+  const resolved = new Map();
+
+  for (const url of urls) {
+    try {
+      resolved.set(url, await resolve(url));
+    } catch (error) {
+      console.warn('Failed to inline attachment:', error);
+    }
+  }
+
+  return content.replace(ATTACHMENT_IMAGE_PATTERN, (match, url) => (
+    resolved.has(url) ? match.replace(url, resolved.get(url)) : match
+  ));
+};
+
+/**
+ * 在本地加密文件，得到可以保存和上传的密文块
+ * @param {Blob} file
+ * @returns {Promise<{attachmentId: string, key: string, type: string, url: string, chunks: string[]}>}
+ */
+export const encryptAttachment = async (file) => {
+  if (file.size > MAX_ATTACHMENT_SIZE) {
+    throw new Error('Attachment is too large');
+  }
+
+  const attachmentId = generateAttachmentId();
+  const key = generateAttachmentKey();
+  const type = file.type || '';
+  // 空文件也生成一个块，保证下载时能确认附件存在
+  const totalChunks = Math.max(1, Math.ceil(file.size / ATTACHMENT_CHUNK_SIZE));
+
+  const chunks = [];
+  for (let chunkIndex = 0; chunkIndex < totalChunks; chunkIndex++) {
+    const start = chunkIndex * ATTACHMENT_CHUNK_SIZE;
+    const bytes = await readBytes(file.slice(start, start + ATTACHMENT_CHUNK_SIZE));
+    chunks.push(await encryptAttachmentChunk(bytes, key, chunkAad(attachmentId, chunkIndex, totalChunks)));
+  }
+
+  return { attachmentId, key, type, url: buildAttachmentUrl({ attachmentId, key, type }), chunks };
+};
+
+/**
+ * 逐块上传密文，每块等服务器确认后再发下一块
+ * @param {{attachmentId: string, chunks: string[]}} attachment - encryptAttachment 的结果
+ * @param {Function} sendChunk - ({attachmentId, chunkIndex, totalChunks, encryptedData}) => Promise，服务器确认后 resolve
+ * @param {Function} [onProgress] - (sent, total) => void
+ * @returns {Promise<void>}
+ */
+export const sendAttachment = async ({ attachmentId, chunks }, sendChunk, onProgress) => {
+  for (let chunkIndex = 0; chunkIndex < chunks.length; chunkIndex++) {
+    await sendChunk({ attachmentId, chunkIndex, totalChunks: chunks.length, encryptedData: chunks[chunkIndex] });
+    onProgress?.(chunkIndex + 1, chunks.length);
+  }
+};
+
+/**
+ * 加密并逐块上传文件
+ * @param {Blob} file
+ * @param {Function} sendChunk - 见 sendAttachment
+ * @param {Function} [onProgress] - (sent, total) => void
+ * @returns {Promise<{attachmentId: string, key: string, type: string, url: string, chunks: string[]}>}
+ */
+export const uploadAttachment = async (file, sendChunk, onProgress) => {
+  const attachment = await encryptAttachment(file);
+  await sendAttachment(attachment, sendChunk, onProgress);
+  return attachment;
+};
+
+/**
+ * 下载附件的全部密文块，不解密
+ * 块的认证数据只包含附件ID，所以密文可以原样复制到另一个房间
+ * @param {Function} fetchChunk - 见 downloadAttachment
+ * @returns {Promise<string[]|null>} 服务器上没有该附件时返回 null
+ */
+export const fetchAttachmentChunks = async (fetchChunk) => {
+  const chunks = [];
+  let totalChunks = 1;
+
+  for (let chunkIndex = 0; chunkIndex < totalChunks; chunkIndex++) {
+    const chunk = await fetchChunk(chunkIndex);
+    if (!chunk?.encryptedData) {
+      return null;
+    }
+    if (chunkIndex === 0) {
+      totalChunks = chunk.totalChunks;
+      if (!Number.isInteger(totalChunks) || totalChunks < 1 || totalChunks > MAX_ATTACHMENT_CHUNKS) {
+        throw new Error('Invalid attachment');
+      }
+    }
+    chunks.push(chunk.encryptedData);
+  }
+  return chunks;
+};
+
+/**
+ * 下载并解密附件
+ * @param {{attachmentId: string, key: string, type?: string}} reference - parseAttachmentUrl 的结果
+ * @param {Function} fetchChunk - (chunkIndex) => Promise<{totalChunks: number|null, encryptedData: string|null}>
+ * @param {string[]} [encryptedChunks] - 传入时收集下载到的密文块（用于本地缓存）
+ * @returns {Promise<Blob>}
+ */
+export const downloadAttachment = async ({ attachmentId, key, type }, fetchChunk, encryptedChunks = []) => {
+  const parts = [];
+  let totalChunks = 1;
+
+  for (let chunkIndex = 0; chunkIndex < totalChunks; chunkIndex++) {
+    const chunk = await fetchChunk(chunkIndex);
+    if (!chunk?.encryptedData) {
+      throw new Error('Attachment not found');
+    }
+    if (chunkIndex === 0) {
+      // 块总数来自服务器，但参与了认证：谎报会让第一块解密失败
+      totalChunks = chunk.totalChunks;
+      if (!Number.isInteger(totalChunks) || totalChunks < 1 || totalChunks > MAX_ATTACHMENT_CHUNKS) {
+        throw new Error('Invalid attachment');
+      }
+    }
+    parts.push(await decryptAttachmentChunk(chunk.encryptedData, key, chunkAad(attachmentId, chunkIndex, totalChunks)));
+    encryptedChunks.push(chunk.encryptedData);
+  }
+
+  return new Blob(parts, { type: type || 'application/octet-stream' });
+};
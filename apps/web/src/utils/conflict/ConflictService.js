@@ -23,6 +23,7 @@ import { hashContent as sharedHashContent, generateUniqueId } from '../shared';
  * @property {VersionedContent} localVersion - 本地版本
  * @property {VersionedContent} remoteVersion - 远程版本
  * @property {VersionedContent} [commonAncestor] - 共同祖先版本
+ * @property {string} [noteId] - 冲突所属的笔记（笔记本模式）
  */
 
 /**
@@ -118,32 +119,52 @@ class ConflictService {
         return null;
     }
 
+    /**
+     * 创建版本化内容对象
+     * @private
+     */
+    _toVersionedContent(data, defaultDeviceId) {
+        return {
+            content: data.content,
+            version: data.version || 0,
+            timestamp: data.timestamp || Date.now(),
+            deviceId: data.deviceId || defaultDeviceId,
+            hash: this.hashContent(data.content)
+        };
+    }
+
     /**
      * 检查并处理同步更新中的冲突
-     * @param {Object} localData - 本地数据
+     * @param {Object} localData - 本地数据（可带 noteId，记录在冲突上，解决后写回该笔记）
      * @param {Object} remoteData - 远程数据
+     * @param {Object} [ancestorData] - 共同祖先（双方最后一次一致的内容），用于判断哪一方有修改和三路合并
      * @returns {Promise<{hasConflict: boolean, resolved: string|null, conflict: ConflictInfo|null}>}
      */
-    async checkAndHandle(localData, remoteData) {
-        // 创建版本化内容对象
-        const local = {
-            content: localData.content,
-            version: localData.version || 0,
-            timestamp: localData.timestamp || Date.now(),
-            deviceId: localData.deviceId || 'local',
-            hash: this.hashContent(localData.content)
-        };
-
-        const remote = {
-            content: remoteData.content,
-            version: remoteData.version || 0,
-            timestamp: remoteData.timestamp || Date.now(),
-            deviceId: remoteData.deviceId || 'remote',
-            hash: this.hashContent(remoteData.content)
-        };
+    async checkAndHandle(localData, remoteData, ancestorData = null) {
+        const local = this._toVersionedContent(localData, 'local');
+        const remote = this._toVersionedContent(remoteData, 'remote');
+        const ancestor = typeof ancestorData?.content === 'string'
+            ? this._toVersionedContent(ancestorData, 'ancestor')
+            : null;
+
+        // 只有一方相对共同祖先有修改时不算冲突，直接采用修改过的一方
+        if (ancestor && local.hash !== remote.hash) {
+            if (local.hash === ancestor.hash) {
+                return { hasConflict: false, resolved: remote.content, conflict: null };
+            }
+            if (remote.hash === ancestor.hash) {
+                return { hasConflict: false, resolved: local.content, conflict: null };
+            }
+        }
 
         // 检测冲突
         const conflict = this.detectConflict(local, remote);
+        if (conflict && ancestor) {
+            conflict.commonAncestor = ancestor;
+        }
+        if (conflict && localData.noteId) {
+            conflict.noteId = localData.noteId;
+        }
 
         if (!conflict) {
             return {
@@ -537,7 +558,9 @@ class ConflictService {
             type: item.conflict.type,
             timestamp: item.timestamp,
             localVersion: item.conflict.localVersion,
-            remoteVersion: item.conflict.remoteVersion
+            remoteVersion: item.conflict.remoteVersion,
+            commonAncestor: item.conflict.commonAncestor || null,
+            noteId: item.conflict.noteId || null
         }));
     }
 
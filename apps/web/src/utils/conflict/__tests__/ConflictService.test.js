@@ -633,6 +633,39 @@ describe('ConflictService', () => {
             expect(result.resolved).toBe('Remote');
             expect(service.hasConflicts()).toBe(false);
         });
+
+        it('should keep the only side that changed since the common ancestor', async () => {
+            const ancestor = { content: 'Base', version: 1 };
+
+            const remoteChanged = await service.checkAndHandle(
+                { content: 'Base', version: 1, timestamp: 1000 },
+                { content: 'Remote', version: 2, timestamp: 1000 },
+                ancestor
+            );
+            const localChanged = await service.checkAndHandle(
+                { content: 'Local', version: 1, timestamp: 1000 },
+                { content: 'Base', version: 2, timestamp: 1000 },
+                ancestor
+            );
+
+            expect(remoteChanged).toEqual({ hasConflict: false, resolved: 'Remote', conflict: null });
+            expect(localChanged).toEqual({ hasConflict: false, resolved: 'Local', conflict: null });
+            expect(service.hasConflicts()).toBe(false);
+        });
+
+        it('should three-way merge with the common ancestor when both sides changed', async () => {
+            service.setAutoResolveStrategy('auto-merge');
+
+            const result = await service.checkAndHandle(
+                { content: 'title\nlocal body\nfooter', version: 1, timestamp: 1000 },
+                { content: 'title\nbody\nremote footer', version: 2, timestamp: 1000 },
+                { content: 'title\nbody\nfooter', version: 1 }
+            );
+
+            expect(result.hasConflict).toBe(true);
+            expect(result.conflict.commonAncestor.content).toBe('title\nbody\nfooter');
+            expect(result.resolved).toBe('title\nlocal body\nremote footer');
+        });
     });
 
     describe('Edge Cases', () => {
@@ -0,0 +1,327 @@
+import * as Y from 'yjs';
+import { IndexeddbPersistence } from 'y-indexeddb';
+
+const TEXT_KEY = 'content';
+
+// 事务来源：只有本地编辑和初始化产生的更新需要发送给其他设备
+export const LOCAL_ORIGIN = 'local';
+export const SEED_ORIGIN = 'seed';
+export const REMOTE_ORIGIN = 'remote';
+
+const DEFAULT_FLUSH_DELAY = 50;
+
+const createIndexeddbPersistence = (name, doc) => new IndexeddbPersistence(name, doc);
+
+/**
+ * 由笔记ID和初始文本派生确定性的 clientID
+ * 不同设备用相同文本初始化同一笔记时会生成完全相同的操作，合并后不会重复
+ * @param {string} noteId - 笔记ID
+ * @param {string} text - 初始文本
+ * @returns {number}
+ */
+const seedClientId = (noteId, text) => {
+  const source = `${noteId}:${text}`;
+  let hash = 0;
+  for (let i = 0; i < source.length; i++) {
+    hash = (Math.imul(hash, 31) + source.charCodeAt(i)) >>> 0;
+  }
+  return hash;
+};
+
+/**
+ * 将文本差异（公共前后缀之外的部分）应用到 Y.Text
+ * @param {Y.Text} ytext - 目标文本
+ * @param {string} text - 新文本
+ */
+const applyTextDiff = (ytext, text) => {
+  const current = ytext.toString();
+  if (current === text) {
+    return;
+  }
+
+  let start = 0;
+  const maxStart = Math.min(current.length, text.length);
+  while (start < maxStart && current[start] === text[start]) {
+    start++;
+  }
+
+  let end = 0;
+  const maxEnd = Math.min(current.length, text.length) - start;
+  while (end < maxEnd && current[current.length - 1 - end] === text[text.length - 1 - end]) {
+    end++;
+  }
+
+  const removed = current.length - start - end;
+  if (removed > 0) {
+    ytext.delete(start, removed);
+  }
+
+  const inserted = text.slice(start, text.length - end);
+  if (inserted) {
+    ytext.insert(start, inserted);
+  }
+};
+
+/**
+ * Yjs 更新编码为 base64，便于放入加密的 JSON 负载
+ * @param {Uint8Array} update - Yjs 更新或状态向量
+ * @returns {string}
+ */
+export const encodeUpdate = (update) => {
+  let binary = '';
+  for (let i = 0; i < update.length; i++) {
+    binary += String.fromCharCode(update[i]);
+  }
+  return btoa(binary);
+};
+
+/**
+ * 解码 base64 形式的 Yjs 更新
+ * @param {string} encoded - base64 字符串
+ * @returns {Uint8Array}
+ */
+export const decodeUpdate = (encoded) => {
+  const binary = atob(encoded);
+  const update = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    update[i] = binary.charCodeAt(i);
+  }
+  return update;
+};
+
+/**
+ * CRDT 同步管理器
+ * 每条笔记对应一个 Y.Doc，本地编辑转换为 Yjs 更新，远程更新逐字符合并
+ */
+class CrdtSyncManager {
+  /**
+   * @param {Object} options
+   * @param {string} options.roomId - 房间ID（用于本地持久化的命名空间）
+   * @param {Function} [options.onUpdate] - 本地产生更新时回调 (noteId, update)
+   * @param {Function|null} [options.createPersistence] - 本地持久化工厂 (name, doc)，传 null 禁用
+   * @param {number} [options.flushDelay] - 合并发送更新的延迟（毫秒），0 表示立即发送
+   */
+  constructor(options = {}) {
+    this.roomId = options.roomId || 'default';
+    this.onUpdate = options.onUpdate || null;
+    this.createPersistence = options.createPersistence === undefined
+      ? createIndexeddbPersistence
+      : options.createPersistence;
+    this.flushDelay = options.flushDelay ?? DEFAULT_FLUSH_DELAY;
+    this.entries = new Map();
+  }
+
+  /**
+   * 笔记是否已有 CRDT 文档
+   * @param {string} noteId - 笔记ID
+   * @returns {boolean}
+   */
+  hasDoc(noteId) {
+    return this.entries.has(noteId);
+  }
+
+  /**
+   * 打开（或创建）笔记的 CRDT 文档
+   * 本地持久化加载完成后，用服务器的文档状态或笔记当前内容初始化，或把文档对齐到笔记内容
+   * @param {string} noteId - 笔记ID
+   * @param {string|null} text - 笔记当前内容，null 表示未知（保留文档现有内容）
+   * @param {Uint8Array|null} [snapshot] - 服务器保存的完整文档状态
+   * @returns {Promise<Y.Doc>}
+   */
+  async openDoc(noteId, text = null, snapshot = null) {
+    const existing = this.entries.get(noteId);
+    if (existing) {
+      await existing.ready;
+      return existing.doc;
+    }
+
+    const doc = new Y.Doc();
+    const persistence = this._createPersistence(noteId, doc);
+    const entry = { noteId, doc, persistence, pending: [], timer: null, ready: null };
+
+    doc.on('update', (update, origin) => {
+      if (origin === LOCAL_ORIGIN || origin === SEED_ORIGIN) {
+        this._queueUpdate(entry, update);
+      }
+    });
+
+    entry.ready = Promise.resolve(persistence?.whenSynced).then(() => {
+      this._reconcile(entry, text, snapshot);
+    });
+    this.entries.set(noteId, entry);
+
+    await entry.ready;
+    return doc;
+  }
+
+  /**
+   * 获取文档当前文本
+   * @param {string} noteId - 笔记ID
+   * @returns {string|null}
+   */
+  getText(noteId) {
+    const entry = this.entries.get(noteId);
+    return entry ? entry.doc.getText(TEXT_KEY).toString() : null;
+  }
+
+  /**
+   * 应用本地编辑
+   * @param {string} noteId - 笔记ID
+   * @param {string} text - 编辑后的完整内容
+   */
+  async applyLocalText(noteId, text) {
+    const doc = await this.openDoc(noteId, text);
+    doc.transact(() => applyTextDiff(doc.getText(TEXT_KEY), text), LOCAL_ORIGIN);
+  }
+
+  /**
+   * 应用远程更新
+   * @param {string} noteId - 笔记ID
+   * @param {Uint8Array} update - Yjs 更新
+   * @param {string|null} localText - 本地笔记内容（文档尚未打开时用于初始化）
+   * @returns {Promise<string>} 合并后的文本
+   */
+  async applyRemoteUpdate(noteId, update, localText = null) {
+    const doc = await this.openDoc(noteId, localText);
+    Y.applyUpdate(doc, update, REMOTE_ORIGIN);
+    return doc.getText(TEXT_KEY).toString();
+  }
+
+  /**
+   * 应用服务器保存的完整文档状态
+   * 本地还没有文档时直接以它为起点，不再用本地内容初始化，否则各设备不同的初始内容合并后会重复
+   * @param {string} noteId - 笔记ID
+   * @param {Uint8Array} state - 完整文档状态
+   * @param {string|null} localText - 本地笔记内容（本地已有文档时用于对齐）
+   * @returns {Promise<string>} 合并后的文本
+   */
+  async applySnapshot(noteId, state, localText = null) {
+    const doc = await this.openDoc(noteId, localText, state);
+    Y.applyUpdate(doc, state, REMOTE_ORIGIN);
+    return doc.getText(TEXT_KEY).toString();
+  }
+
+  /**
+   * 编码文档的状态向量，用于向其他设备请求缺失的更新
+   * @param {string} noteId - 笔记ID
+   * @param {string|null} localText - 本地笔记内容
+   * @returns {Promise<Uint8Array>}
+   */
+  async encodeStateVector(noteId, localText = null) {
+    const doc = await this.openDoc(noteId, localText);
+    return Y.encodeStateVector(doc);
+  }
+
+  /**
+   * 编码对方缺失的更新；不传状态向量时返回完整状态
+   * @param {string} noteId - 笔记ID
+   * @param {Uint8Array} [stateVector] - 对方的状态向量
+   * @param {string|null} localText - 本地笔记内容
+   * @returns {Promise<Uint8Array>}
+   */
+  async encodeStateAsUpdate(noteId, stateVector, localText = null) {
+    const doc = await this.openDoc(noteId, localText);
+    return Y.encodeStateAsUpdate(doc, stateVector);
+  }
+
+  /**
+   * 编码已打开文档的完整状态（随笔记一起持久化到服务器）
+   * @param {string} noteId - 笔记ID
+   * @returns {Uint8Array|null} 文档未打开时返回 null
+   */
+  getStateUpdate(noteId) {
+    const entry = this.entries.get(noteId);
+    return entry ? Y.encodeStateAsUpdate(entry.doc) : null;
+  }
+
+  /**
+   * 立即发送等待中的更新
+   * @param {string} [noteId] - 笔记ID，不传时发送所有笔记
+   */
+  flush(noteId) {
+    const entries = noteId ? [this.entries.get(noteId)].filter(Boolean) : [...this.entries.values()];
+    entries.forEach((entry) => this._flushEntry(entry));
+  }
+
+  /**
+   * 关闭所有文档和本地持久化连接
+   */
+  destroy() {
+    this.entries.forEach((entry) => {
+      clearTimeout(entry.timer);
+      entry.persistence?.destroy?.();
+      entry.doc.destroy();
+    });
+    this.entries.clear();
+    this.onUpdate = null;
+  }
+
+  // ==================== Private ====================
+
+  _createPersistence(noteId, doc) {
+    if (!this.createPersistence) {
+      return null;
+    }
+
+    try {
+      return this.createPersistence(`notesync-crdt-${this.roomId}-${noteId}`, doc);
+    } catch (error) {
+      // 本地持久化不可用时仍可实时同步，只是不会跨会话保留 CRDT 历史
+      console.error('Failed to open CRDT persistence:', error);
+      return null;
+    }
+  }
+
+  _reconcile(entry, text, snapshot) {
+    const ytext = entry.doc.getText(TEXT_KEY);
+    const isEmpty = entry.doc.store.clients.size === 0;
+    if (isEmpty && snapshot) {
+      Y.applyUpdate(entry.doc, snapshot, REMOTE_ORIGIN);
+      return;
+    }
+
+    if (typeof text !== 'string') {
+      return;
+    }
+
+    if (isEmpty && text) {
+      const seedDoc = new Y.Doc();
+      seedDoc.clientID = seedClientId(entry.noteId, text);
+      seedDoc.getText(TEXT_KEY).insert(0, text);
+      Y.applyUpdate(entry.doc, Y.encodeStateAsUpdate(seedDoc), SEED_ORIGIN);
+      seedDoc.destroy();
+      return;
+    }
+
+    // 本地持久化的文档落后于笔记内容（例如在快照模式下编辑过），以笔记内容为准；清空的笔记也会清空文档
+    entry.doc.transact(() => applyTextDiff(ytext, text), LOCAL_ORIGIN);
+  }
+
+  _queueUpdate(entry, update) {
+    entry.pending.push(update);
+
+    if (this.flushDelay === 0) {
+      this._flushEntry(entry);
+      return;
+    }
+
+    if (!entry.timer) {
+      entry.timer = setTimeout(() => this._flushEntry(entry), this.flushDelay);
+    }
+  }
+
+  _flushEntry(entry) {
+    clearTimeout(entry.timer);
+    entry.timer = null;
+
+    if (entry.pending.length === 0) {
+      return;
+    }
+
+    const update = entry.pending.length === 1 ? entry.pending[0] : Y.mergeUpdates(entry.pending);
+    entry.pending = [];
+    this.onUpdate?.(entry.noteId, update);
+  }
+}
+
+export default CrdtSyncManager;
@@ -0,0 +1,155 @@
+import { afterEach, describe, expect, it, vi } from 'vitest';
+import CrdtSyncManager, { decodeUpdate, encodeUpdate } from '../CrdtSyncManager';
+
+const createManager = (options = {}) => new CrdtSyncManager({
+  roomId: 'room-1',
+  createPersistence: null,
+  flushDelay: 0,
+  ...options,
+});
+
+describe('CrdtSyncManager', () => {
+  const managers = [];
+
+  const track = (manager) => {
+    managers.push(manager);
+    return manager;
+  };
+
+  afterEach(() => {
+    managers.splice(0).forEach((manager) => manager.destroy());
+    vi.useRealTimers();
+  });
+
+  it('merges concurrent edits character by character', async () => {
+    const sentByA = [];
+    const sentByB = [];
+    const a = track(createManager({ onUpdate: (noteId, update) => sentByA.push(update) }));
+    const b = track(createManager({ onUpdate: (noteId, update) => sentByB.push(update) }));
+
+    await a.applyLocalText('note-1', 'hello world');
+    for (const update of sentByA.splice(0)) {
+      await b.applyRemoteUpdate('note-1', update);
+    }
+
+    await a.applyLocalText('note-1', 'hello brave world');
+    await b.applyLocalText('note-1', 'hello world!');
+
+    for (const update of sentByA.splice(0)) {
+      await b.applyRemoteUpdate('note-1', update);
+    }
+    for (const update of sentByB.splice(0)) {
+      await a.applyRemoteUpdate('note-1', update);
+    }
+
+    expect(a.getText('note-1')).toBe('hello brave world!');
+    expect(b.getText('note-1')).toBe('hello brave world!');
+  });
+
+  it('does not duplicate content seeded identically on two devices', async () => {
+    const sentByA = [];
+    const a = track(createManager({ onUpdate: (noteId, update) => sentByA.push(update) }));
+    const b = track(createManager());
+
+    await a.openDoc('note-1', 'shared text');
+    await b.openDoc('note-1', 'shared text');
+
+    for (const update of sentByA) {
+      await b.applyRemoteUpdate('note-1', update);
+    }
+
+    expect(b.getText('note-1')).toBe('shared text');
+  });
+
+  it('does not send remote updates back out', async () => {
+    const onUpdate = vi.fn();
+    const source = track(createManager({ onUpdate: (noteId, update) => target.applyRemoteUpdate(noteId, update) }));
+    const target = track(createManager({ onUpdate }));
+
+    await target.openDoc('note-1', '');
+    await source.applyLocalText('note-1', 'from source');
+    await Promise.resolve();
+
+    expect(target.getText('note-1')).toBe('from source');
+    expect(onUpdate).not.toHaveBeenCalled();
+  });
+
+  it('brings a peer up to date from its state vector', async () => {
+    const a = track(createManager());
+    const b = track(createManager());
+
+    await a.applyLocalText('note-1', 'first');
+    await a.applyLocalText('note-1', 'first second');
+    await b.openDoc('note-1', '');
+
+    const stateVector = await b.encodeStateVector('note-1');
+    const missing = await a.encodeStateAsUpdate('note-1', stateVector);
+    const merged = await b.applyRemoteUpdate('note-1', decodeUpdate(encodeUpdate(missing)));
+
+    expect(merged).toBe('first second');
+  });
+
+  it('batches local updates until the flush delay elapses', async () => {
+    vi.useFakeTimers();
+    const onUpdate = vi.fn();
+    const manager = track(createManager({ onUpdate, flushDelay: 100 }));
+    const peer = track(createManager());
+
+    await manager.applyLocalText('note-1', 'a');
+    await manager.applyLocalText('note-1', 'ab');
+    await manager.applyLocalText('note-1', 'abc');
+    expect(onUpdate).not.toHaveBeenCalled();
+
+    vi.advanceTimersByTime(100);
+
+    expect(onUpdate).toHaveBeenCalledTimes(1);
+    const [noteId, update] = onUpdate.mock.calls[0];
+    expect(noteId).toBe('note-1');
+    expect(await peer.applyRemoteUpdate('note-1', update)).toBe('abc');
+  });
+
+  it('aligns a persisted document with newer note content', async () => {
+    const manager = track(createManager({
+      createPersistence: (name, doc) => {
+        doc.getText('content').insert(0, 'stale');
+        return { whenSynced: Promise.resolve(), destroy: vi.fn() };
+      },
+    }));
+
+    await manager.openDoc('note-1', 'fresh content');
+
+    expect(manager.getText('note-1')).toBe('fresh content');
+  });
+
+  it('clears a persisted document when the note was emptied', async () => {
+    const manager = track(createManager({
+      createPersistence: (name, doc) => {
+        doc.getText('content').insert(0, 'old text');
+        return { whenSynced: Promise.resolve(), destroy: vi.fn() };
+      },
+    }));
+
+    await manager.openDoc('note-1', '');
+
+    expect(manager.getText('note-1')).toBe('');
+  });
+
+  it('starts from the server snapshot instead of seeding its own content', async () => {
+    const sentByB = [];
+    const a = track(createManager());
+    const b = track(createManager({ onUpdate: (noteId, update) => sentByB.push(update) }));
+
+    await a.applyLocalText('note-1', 'server text');
+    const snapshot = a.getStateUpdate('note-1');
+
+    // Seeding 'local draft' first would merge into 'local draftserver text'
+    expect(await b.applySnapshot('note-1', snapshot, 'local draft')).toBe('server text');
+    expect(sentByB).toEqual([]);
+
+    await b.applyLocalText('note-1', 'server text!');
+    for (const update of sentByB) {
+      await a.applyRemoteUpdate('note-1', update);
+    }
+    expect(a.getText('note-1')).toBe('server text!');
+  });
+});
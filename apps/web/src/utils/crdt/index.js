@@ -0,0 +1 @@
+export { default as CrdtSyncManager, encodeUpdate, decodeUpdate } from './CrdtSyncManager';
@@ -1,28 +1,63 @@
 import * as bip39 from 'bip39';
 import CryptoJS from 'crypto-js';
+import { argon2id, scrypt } from 'hash-wasm';
 
 // In a real app, we'd use a better buffer polyfill or the native one
 import { Buffer } from 'buffer';
 globalThis.Buffer = Buffer;
 
+// PBKDF2 iterations of the legacy profile - configurable via environment.
+// Only data without a KDF header depends on it; new profiles record their own parameters.
+export const PBKDF2_ITERATIONS = parseInt(import.meta.env.VITE_PBKDF2_ITERATIONS) || 10000;
+
 export const generateSyncChain = () => {
   // Generate a random 12-word mnemonic
   const mnemonic = bip39.generateMnemonic();
   return mnemonic;
 };
 
-export const deriveKeys = (mnemonic) => {
+// The salt is derived from the mnemonic (and passphrase) so every device computes the same one
+const deriveSalt = (mnemonic, passphrase) => {
+  const normalized = (passphrase || '').normalize('NFKD');
+  const saltInput = normalized ? `notesync-salt:${mnemonic}:passphrase:${normalized}` : `notesync-salt:${mnemonic}`;
+  return CryptoJS.SHA256(saltInput).toString(CryptoJS.enc.Hex);
+};
+
+/**
+ * Derive the room of a sync chain.
+ * The room id is the SHA-256 of the room proof, so the server can check the proof a device
+ * presents on join; only devices that know the mnemonic can claim a new room's write key.
+ * Older clients used the SHA-256 of the mnemonic itself; that legacy room is copied over on the first join.
+ * @param {string} mnemonic - 12-word chain code
+ * @returns {{ roomId: string, roomProof: string, legacyRoomId: string }}
+ */
+export const deriveRoom = (mnemonic) => {
+  const roomProof = CryptoJS.SHA256(`notesync-room:${mnemonic}`).toString(CryptoJS.enc.Hex);
+  const roomId = CryptoJS.SHA256(roomProof).toString(CryptoJS.enc.Hex);
+  const legacyRoomId = CryptoJS.SHA256(mnemonic).toString(CryptoJS.enc.Hex);
+  return { roomId, roomProof, legacyRoomId };
+};
+
+/**
+ * Derive the room id and encryption key of a sync chain
+ * @param {string} mnemonic - 12-word chain code
+ * @param {string} [passphrase] - Optional extra secret ("25th word"), never part of the QR code
+ * @returns {{ roomId: string, encryptionKey: string }}
+ */
+export const deriveKeys = (mnemonic, passphrase = '') => {
   // 1. Derive Room ID (Public)
-  // SHA256 of the mnemonic — server uses this as the room identifier
-  // but never sees the mnemonic itself.
-  const roomId = CryptoJS.SHA256(mnemonic).toString(CryptoJS.enc.Hex);
+  // Server uses this as the room identifier but never sees the mnemonic itself.
+  // The passphrase does not change it, so devices with a wrong passphrase
+  // land in the same room but cannot decrypt.
+  const { roomId } = deriveRoom(mnemonic);
 
   // 2. Derive Encryption Key (Private)
   // Use PBKDF2 with a mnemonic-derived salt for key stretching.
   // The salt is derived from the mnemonic itself via a different hash,
   // ensuring each mnemonic gets a unique salt while remaining deterministic
   // (so all devices with the same mnemonic derive the same key).
-  const salt = CryptoJS.SHA256("notesync-salt:" + mnemonic).toString(CryptoJS.enc.Hex);
+  // Like BIP39, a passphrase is mixed into the salt; without one the key is unchanged.
+  const salt = deriveSalt(mnemonic, passphrase);
   const encryptionKey = CryptoJS.PBKDF2(mnemonic, salt, {
     keySize: 256 / 32,
     iterations: PBKDF2_ITERATIONS
@@ -31,28 +66,519 @@ export const deriveKeys = (mnemonic) => {
   return { roomId, encryptionKey };
 };
 
-export const encryptData = (data, key) => {
-  return CryptoJS.AES.encrypt(JSON.stringify(data), key).toString();
+// Selectable key derivation profiles. Every envelope records the profile it was
+// encrypted with in its plaintext `kdf` header, so readers derive the matching key
+// without any build-time agreement and the cost can be raised over time.
+// `setAt` marks when a profile was chosen; devices adopt the most recently chosen one.
+export const KDF_PROFILES = {
+  pbkdf2: { name: 'pbkdf2', iterations: 600000 },
+  scrypt: { name: 'scrypt', N: 131072, r: 8, p: 1 },
+  argon2id: { name: 'argon2id', m: 65536, t: 3, p: 1 },
+};
+
+// What envelopes without a header (and legacy CryptoJS ciphertexts) were encrypted with
+export const LEGACY_KDF = { name: 'pbkdf2', iterations: PBKDF2_ITERATIONS };
+
+// A header is only authenticated after its key has been derived, so cap the cost a room can ask a device to pay:
+// only the functions of KDF_PROFILES, and no parameter above its value in the built-in profile
+const KDF_LIMITS = {
+  pbkdf2: { iterations: [1000, KDF_PROFILES.pbkdf2.iterations] },
+  scrypt: { N: [1024, KDF_PROFILES.scrypt.N], r: [1, KDF_PROFILES.scrypt.r], p: [1, KDF_PROFILES.scrypt.p] },
+  argon2id: { m: [8192, KDF_PROFILES.argon2id.m], t: [1, KDF_PROFILES.argon2id.t], p: [1, KDF_PROFILES.argon2id.p] },
+};
+
+/**
+ * Validate a KDF header and keep only its known parameters
+ * @param {Object} kdf - { name, ...params, setAt? }
+ * @returns {Object} Normalized profile
+ */
+export const normalizeKdf = (kdf) => {
+  const limits = KDF_LIMITS[kdf?.name];
+  if (!limits) {
+    throw new Error(`Unsupported key derivation profile: ${kdf?.name}`);
+  }
+
+  const normalized = { name: kdf.name };
+  for (const [param, [min, max]] of Object.entries(limits)) {
+    const value = kdf[param];
+    if (!Number.isInteger(value) || value < min || value > max) {
+      throw new Error(`Invalid ${kdf.name} parameter ${param}: ${value}`);
+    }
+    normalized[param] = value;
+  }
+  if (kdf.name === 'scrypt' && (normalized.N & (normalized.N - 1)) !== 0) {
+    throw new Error('scrypt N must be a power of two');
+  }
+  if (Number.isInteger(kdf.setAt) && kdf.setAt > 0) {
+    normalized.setAt = kdf.setAt;
+  }
+  return normalized;
+};
+
+/**
+ * Id of the selectable profile a KDF header matches, or 'legacy' for anything else
+ * @param {Object} [kdf]
+ * @returns {string}
+ */
+export const getKdfProfileId = (kdf) => {
+  const entry = Object.entries(KDF_PROFILES).find(([, profile]) => (
+    profile.name === kdf?.name && Object.keys(profile).every((param) => profile[param] === kdf[param])
+  ));
+  return entry ? entry[0] : 'legacy';
+};
+
+const kdfCacheKey = ({ setAt: _setAt, ...params }) => JSON.stringify(params);
+
+// Memory-hard functions rank above PBKDF2; within one function the work parameters decide
+const KDF_RANKS = { pbkdf2: 0, scrypt: 1, argon2id: 2 };
+
+const kdfCost = (kdf) => {
+  switch (kdf.name) {
+    case 'scrypt':
+      return kdf.N * kdf.r * kdf.p;
+    case 'argon2id':
+      return kdf.m * kdf.t * kdf.p;
+    default:
+      return kdf.iterations;
+  }
+};
+
+/**
+ * Whether a profile is weaker than another (a cheaper function, or the same one with less work)
+ * @param {Object} kdf
+ * @param {Object} than
+ * @returns {boolean}
+ */
+export const isWeakerKdf = (kdf, than) => (
+  KDF_RANKS[kdf.name] !== KDF_RANKS[than.name]
+    ? KDF_RANKS[kdf.name] < KDF_RANKS[than.name]
+    : kdfCost(kdf) < kdfCost(than)
+);
+
+// PBKDF2-HMAC-SHA256 with WebCrypto; the salt is used as a UTF-8 string
+const pbkdf2Hex = async (password, salt, iterations) => {
+  const encoder = new TextEncoder();
+  const baseKey = await globalThis.crypto.subtle.importKey('raw', encoder.encode(password), 'PBKDF2', false, ['deriveBits']);
+  const bits = await globalThis.crypto.subtle.deriveBits(
+    { name: 'PBKDF2', salt: encoder.encode(salt), iterations, hash: 'SHA-256' },
+    baseKey,
+    256
+  );
+  return Buffer.from(bits).toString('hex');
+};
+
+/**
+ * Derive the 256-bit hex encryption key of a chain with a given profile
+ * @param {string} mnemonic
+ * @param {string} passphrase
+ * @param {Object} kdf - KDF profile
+ * @returns {Promise<string>}
+ */
+export const deriveEncryptionKey = async (mnemonic, passphrase, kdf) => {
+  const profile = normalizeKdf(kdf);
+  const salt = deriveSalt(mnemonic, passphrase);
+
+  switch (profile.name) {
+    case 'scrypt':
+      return scrypt({
+        password: mnemonic,
+        salt,
+        costFactor: profile.N,
+        blockSize: profile.r,
+        parallelism: profile.p,
+        hashLength: 32,
+        outputType: 'hex',
+      });
+    case 'argon2id':
+      return argon2id({
+        password: mnemonic,
+        salt,
+        memorySize: profile.m,
+        iterations: profile.t,
+        parallelism: profile.p,
+        hashLength: 32,
+        outputType: 'hex',
+      });
+    default:
+      // Same output as the CryptoJS PBKDF2 in deriveKeys, but much faster at high iteration counts
+      return pbkdf2Hex(mnemonic, salt, profile.iterations);
+  }
+};
+
+/**
+ * Keys of one chain under every KDF profile seen in its room.
+ * Pass it to encryptData/decryptData instead of a hex key: encryption uses the
+ * current profile and records it in the envelope, decryption follows the header.
+ * @param {Object} options
+ * @param {string} options.mnemonic
+ * @param {string} [options.passphrase]
+ * @param {Object} [options.kdf] - Profile to write with (defaults to LEGACY_KDF)
+ * @param {Function} [options.onKdfChange] - Called when a more recently chosen, not weaker profile is adopted
+ * @returns {{kdf: Object, keyFor: Function, setKdf: Function, adopt: Function}}
+ */
+export const createKeyring = ({ mnemonic, passphrase = '', kdf, onKdfChange } = {}) => {
+  const keys = new Map();
+  let current = normalizeKdf(kdf || LEGACY_KDF);
+
+  const keyFor = (profile) => {
+    const normalized = normalizeKdf(profile);
+    const cacheKey = kdfCacheKey(normalized);
+    if (!keys.has(cacheKey)) {
+      const pending = deriveEncryptionKey(mnemonic, passphrase, normalized);
+      pending.catch(() => keys.delete(cacheKey));
+      keys.set(cacheKey, pending);
+    }
+    return keys.get(cacheKey);
+  };
+
+  return {
+    get kdf() {
+      return current;
+    },
+    keyFor,
+    setKdf(profile) {
+      current = normalizeKdf(profile);
+    },
+    // Write with a profile from the room if it was chosen later, so all devices converge.
+    // A weaker one is never adopted automatically; lowering the cost takes an explicit setKdf.
+    adopt(profile) {
+      const normalized = normalizeKdf(profile);
+      if ((normalized.setAt || 0) <= (current.setAt || 0) || isWeakerKdf(normalized, current)) {
+        return false;
+      }
+      current = normalized;
+      onKdfChange?.(current);
+      return true;
+    },
+  };
+};
+
+const isKeyring = (key) => typeof key?.keyFor === 'function';
+
+// Ciphertext envelope: { v, alg, kdf?, iv, ct, tag } serialized as JSON, all binary fields base64.
+// Since v2 the header (v, alg, kdf) is the AES-GCM additional data, so it cannot be changed
+// without failing decryption. v1 envelopes are still decrypted, but their header is never trusted.
+// Older clients produced CryptoJS passphrase-mode strings (AES-CBC + EVP_BytesToKey, "U2FsdGVkX1..."),
+// which are still accepted by decryptData so existing rooms keep working during migration.
+export const ENVELOPE_VERSION = 2;
+const UNAUTHENTICATED_ENVELOPE_VERSION = 1;
+export const ENVELOPE_ALGORITHM = 'AES-256-GCM';
+const GCM_IV_BYTES = 12;
+const GCM_TAG_BYTES = 16;
+
+// Imported CryptoKeys, keyed by the hex key they were built from
+const aesKeyCache = new Map();
+
+const toBase64 = (bytes) => Buffer.from(bytes).toString('base64');
+const fromBase64 = (value) => new Uint8Array(Buffer.from(value, 'base64'));
+
+// Additional data of a v2 envelope: its serialized header
+const headerData = ({ v, alg, kdf }) => new TextEncoder().encode(JSON.stringify([v, alg, kdf ?? null]));
+
+// The 256-bit hex KDF output is used directly as raw AES key material
+const importAesKey = async (key) => {
+  if (!aesKeyCache.has(key)) {
+    if (typeof key !== 'string' || !/^[0-9a-f]{64}$/i.test(key)) {
+      throw new Error('Encryption key must be a 256-bit hex string');
+    }
+    const raw = new Uint8Array(Buffer.from(key, 'hex'));
+    aesKeyCache.set(key, await globalThis.crypto.subtle.importKey('raw', raw, 'AES-GCM', false, ['encrypt', 'decrypt']));
+  }
+  return aesKeyCache.get(key);
+};
+
+const parseEnvelope = (ciphertext) => {
+  if (typeof ciphertext !== 'string' || !ciphertext.startsWith('{')) {
+    return null;
+  }
+
+  let envelope;
+  try {
+    envelope = JSON.parse(ciphertext);
+  } catch {
+    return null;
+  }
+
+  if (!envelope || typeof envelope !== 'object' || envelope.v === undefined) {
+    return null;
+  }
+  if (![ENVELOPE_VERSION, UNAUTHENTICATED_ENVELOPE_VERSION].includes(envelope.v) || envelope.alg !== ENVELOPE_ALGORITHM) {
+    throw new Error(`Unsupported ciphertext envelope (v=${envelope.v}, alg=${envelope.alg})`);
+  }
+  return envelope;
+};
+
+/**
+ * Whether a ciphertext uses the authenticated envelope format (not legacy CryptoJS)
+ * @param {string} ciphertext
+ * @returns {boolean}
+ */
+export const isEnvelope = (ciphertext) => {
+  try {
+    return parseEnvelope(ciphertext) !== null;
+  } catch {
+    return false;
+  }
+};
+
+const decryptLegacy = (ciphertext, key) => {
+  const bytes = CryptoJS.AES.decrypt(ciphertext, key);
+  const decryptedStr = bytes.toString(CryptoJS.enc.Utf8);
+
+  if (!decryptedStr) {
+    throw new Error('Decryption returned empty result - invalid key or corrupted data');
+  }
+
+  return decryptedStr;
+};
+
+/**
+ * Encrypt JSON-serializable data with AES-256-GCM (WebCrypto)
+ * @param {*} data - Data to encrypt
+ * @param {string|Object} key - Hex encryption key from deriveKeys, or a keyring from createKeyring
+ * @returns {Promise<string>} Serialized envelope
+ */
+export const encryptData = async (data, key) => {
+  const kdf = isKeyring(key) ? key.kdf : null;
+  const aesKey = await importAesKey(kdf ? await key.keyFor(kdf) : key);
+  const iv = globalThis.crypto.getRandomValues(new Uint8Array(GCM_IV_BYTES));
+  const plaintext = new TextEncoder().encode(JSON.stringify(data));
+  const header = { v: ENVELOPE_VERSION, alg: ENVELOPE_ALGORITHM, ...(kdf ? { kdf } : {}) };
+  // WebCrypto appends the authentication tag to the ciphertext
+  const sealed = new Uint8Array(await globalThis.crypto.subtle.encrypt(
+    { name: 'AES-GCM', iv, additionalData: headerData(header) },
+    aesKey,
+    plaintext
+  ));
+
+  return JSON.stringify({
+    ...header,
+    iv: toBase64(iv),
+    ct: toBase64(sealed.subarray(0, sealed.length - GCM_TAG_BYTES)),
+    tag: toBase64(sealed.subarray(sealed.length - GCM_TAG_BYTES)),
+  });
 };
 
-export const decryptData = (ciphertext, key) => {
+/**
+ * Decrypt an envelope or a legacy CryptoJS ciphertext
+ * @param {string} ciphertext - Serialized envelope or legacy CryptoJS string
+ * @param {string|Object} key - Hex encryption key from deriveKeys, or a keyring from createKeyring
+ * @returns {Promise<*>} Decrypted data
+ */
+export const decryptData = async (ciphertext, key) => {
   try {
-    const bytes = CryptoJS.AES.decrypt(ciphertext, key);
-    const decryptedStr = bytes.toString(CryptoJS.enc.Utf8);
+    const envelope = parseEnvelope(ciphertext);
+    const kdf = envelope?.kdf || LEGACY_KDF;
+    const hexKey = isKeyring(key) ? await key.keyFor(kdf) : key;
+    let decryptedStr;
 
-    if (!decryptedStr) {
-      throw new Error('Decryption returned empty result - invalid key or corrupted data');
+    if (envelope) {
+      const aesKey = await importAesKey(hexKey);
+      const ct = fromBase64(envelope.ct);
+      const tag = fromBase64(envelope.tag);
+      const sealed = new Uint8Array(ct.length + tag.length);
+      sealed.set(ct);
+      sealed.set(tag, ct.length);
+
+      const params = { name: 'AES-GCM', iv: fromBase64(envelope.iv) };
+      if (envelope.v === ENVELOPE_VERSION) {
+        params.additionalData = headerData(envelope);
+      }
+      const plaintext = await globalThis.crypto.subtle.decrypt(params, aesKey, sealed);
+      decryptedStr = new TextDecoder().decode(plaintext);
+    } else {
+      decryptedStr = decryptLegacy(ciphertext, hexKey);
     }
 
-    const decryptedData = JSON.parse(decryptedStr);
-    return decryptedData;
+    const data = JSON.parse(decryptedStr);
+    // Only an authenticated header can change the profile we write with
+    if (envelope?.v === ENVELOPE_VERSION && envelope.kdf && isKeyring(key)) {
+      key.adopt(envelope.kdf);
+    }
+    return data;
   } catch (e) {
     console.error("Decryption failed", e);
     // Throw error instead of returning null to prevent silent failures
-    throw new Error(`Decryption failed: ${e.message}`);
+    throw new Error(`Decryption failed: ${e.message || e.name}`);
   }
 };
 
+// Write authorization: an Ed25519 key derived from the mnemonic signs every persisted
+// write, so the server can reject writes from clients that only know the room id.
+// It depends on the mnemonic alone (not the passphrase or KDF profile).
+const ED25519_PKCS8_PREFIX = Uint8Array.from([
+  0x30, 0x2e, 0x02, 0x01, 0x00, 0x30, 0x05, 0x06, 0x03, 0x2b, 0x65, 0x70, 0x04, 0x22, 0x04, 0x20,
+]);
+
+// Import a 32-byte seed as an Ed25519 key pair
+const signingKeysFromSeed = async (seedHex) => {
+  const seed = Buffer.from(seedHex, 'hex');
+  const pkcs8 = new Uint8Array(ED25519_PKCS8_PREFIX.length + seed.length);
+  pkcs8.set(ED25519_PKCS8_PREFIX);
+  pkcs8.set(seed, ED25519_PKCS8_PREFIX.length);
+
+  const { subtle } = globalThis.crypto;
+  // Export once to read the public key; the key kept for signing is not extractable
+  const exportable = await subtle.importKey('pkcs8', pkcs8, { name: 'Ed25519' }, true, ['sign']);
+  const { x } = await subtle.exportKey('jwk', exportable);
+  const privateKey = await subtle.importKey('pkcs8', pkcs8, { name: 'Ed25519' }, false, ['sign']);
+
+  return {
+    privateKey,
+    publicKey: toBase64(Buffer.from(x.replace(/-/g, '+').replace(/_/g, '/'), 'base64')),
+  };
+};
+
+/**
+ * Derive the Ed25519 signing key of a chain.
+ * With a passphrase the seed is stretched like an encryption key: the public key travels with
+ * every write, so a fast hash would let anyone holding the mnemonic test passphrases offline.
+ * @param {string} mnemonic
+ * @param {string} [passphrase] - Without one the key is unchanged
+ * @returns {Promise<{privateKey: CryptoKey, publicKey: string}>} publicKey is the raw key in base64
+ */
+export const deriveSigningKeys = async (mnemonic, passphrase = '') => (
+  signingKeysFromSeed(passphrase
+    ? await pbkdf2Hex(`notesync-sign:${mnemonic}`, deriveSalt(mnemonic, passphrase), KDF_PROFILES.pbkdf2.iterations)
+    : CryptoJS.SHA256(`notesync-sign:${mnemonic}`).toString(CryptoJS.enc.Hex))
+);
+
+/**
+ * Derive this device's identity in a chain.
+ * Both the id and the key are bound to the room, so a device cannot be correlated across chains;
+ * the server only accepts the key when it is endorsed by the chain signing key.
+ * @param {string} deviceSecret - Random secret kept in this browser's storage
+ * @param {string} roomId
+ * @returns {Promise<{deviceId: string, privateKey: CryptoKey, publicKey: string}>} deviceId is 32 hex chars
+ */
+export const deriveDeviceKeys = async (deviceSecret, roomId) => {
+  const keys = await signingKeysFromSeed(
+    CryptoJS.SHA256(`notesync-device:${deviceSecret}:${roomId}`).toString(CryptoJS.enc.Hex)
+  );
+  const deviceId = CryptoJS.SHA256(`notesync-device-id:${deviceSecret}:${roomId}`)
+    .toString(CryptoJS.enc.Hex)
+    .slice(0, 32);
+
+  return { deviceId, ...keys };
+};
+
+/**
+ * Sign a write for the server's write authorization check.
+ * The signed message binds the event, room, note, timestamp, the SHA-256 of the ciphertext and the base version.
+ * The server accepts each signature once, so a write cannot be replayed.
+ * @param {{privateKey: CryptoKey, publicKey: string}} signingKeys - From deriveSigningKeys or deriveDeviceKeys
+ * @param {string} event - push-update / push-note / delete-note / rotate-chain / register-device / remove-device
+ * @param {{roomId: string, noteId?: string, timestamp?: number, baseVersion?: number}} fields - As sent in the payload
+ * @param {string} [encryptedData] - Complete ciphertext (before chunking)
+ * @returns {Promise<{publicKey: string, signature: string}>}
+ */
+export const signWrite = async (signingKeys, event, { roomId, noteId, timestamp, baseVersion }, encryptedData = '') => {
+  const { subtle } = globalThis.crypto;
+  const encoder = new TextEncoder();
+  const digest = Buffer.from(await subtle.digest('SHA-256', encoder.encode(encryptedData))).toString('hex');
+  const message = encoder.encode(JSON.stringify([event, roomId, noteId ?? null, timestamp ?? null, digest, baseVersion ?? null]));
+  const signature = await subtle.sign({ name: 'Ed25519' }, signingKeys.privateKey, message);
+
+  return { publicKey: signingKeys.publicKey, signature: toBase64(new Uint8Array(signature)) };
+};
+
+/**
+ * Generate a random key for a read-only share link.
+ * It is unrelated to the chain keys and only ever travels in the link's URL fragment.
+ * @returns {string} 256-bit hex key, usable with encryptData / decryptData
+ */
+export const generateShareKey = () => {
+  const bytes = globalThis.crypto.getRandomValues(new Uint8Array(32));
+  return Buffer.from(bytes).toString('hex');
+};
+
+// Attachments: every file gets its own random key, which is only stored in the
+// (encrypted) note that references it. Files are split into chunks that are sealed
+// separately, each as base64(iv || ciphertext || tag).
+
+/**
+ * Generate a random key for one attachment
+ * @returns {string} 256-bit hex key
+ */
+export const generateAttachmentKey = () => generateShareKey();
+
+/**
+ * Encrypt one chunk of an attachment with AES-256-GCM.
+ * The additional data binds the chunk to its position, so the server cannot
+ * reorder, swap or truncate chunks without decryption failing.
+ * @param {Uint8Array} bytes - Plaintext chunk
+ * @param {string} key - Hex key from generateAttachmentKey
+ * @param {string} additionalData - Authenticated but not encrypted
+ * @returns {Promise<string>} base64 of iv || ciphertext || tag
+ */
+export const encryptAttachmentChunk = async (bytes, key, additionalData) => {
+  const aesKey = await importAesKey(key);
+  const iv = globalThis.crypto.getRandomValues(new Uint8Array(GCM_IV_BYTES));
+  const sealed = new Uint8Array(await globalThis.crypto.subtle.encrypt(
+    { name: 'AES-GCM', iv, additionalData: new TextEncoder().encode(additionalData) },
+    aesKey,
+    bytes
+  ));
+
+  const output = new Uint8Array(iv.length + sealed.length);
+  output.set(iv);
+  output.set(sealed, iv.length);
+  return toBase64(output);
+};
+
+/**
+ * Decrypt one chunk produced by encryptAttachmentChunk
+ * @param {string} data - base64 of iv || ciphertext || tag
+ * @param {string} key - Hex key of the attachment
+ * @param {string} additionalData - Must match what the chunk was encrypted with
+ * @returns {Promise<Uint8Array>} Plaintext chunk
+ */
+export const decryptAttachmentChunk = async (data, key, additionalData) => {
+  const aesKey = await importAesKey(key);
+  const bytes = fromBase64(data);
+  if (bytes.length < GCM_IV_BYTES + GCM_TAG_BYTES) {
+    throw new Error('Attachment chunk is truncated');
+  }
+
+  const plaintext = await globalThis.crypto.subtle.decrypt(
+    { name: 'AES-GCM', iv: bytes.subarray(0, GCM_IV_BYTES), additionalData: new TextEncoder().encode(additionalData) },
+    aesKey,
+    bytes.subarray(GCM_IV_BYTES)
+  );
+  return new Uint8Array(plaintext);
+};
+
+// Password-protected exports are not tied to a chain: the key is derived from the
+// password with the PBKDF2 profile and a random salt stored next to the envelope.
+
+/**
+ * Encrypt data with a user-chosen password
+ * @param {*} data - JSON-serializable data
+ * @param {string} password
+ * @returns {Promise<{kdf: Object, salt: string, data: string}>} data is a regular envelope
+ */
+export const encryptWithPassword = async (data, password) => {
+  const kdf = { ...KDF_PROFILES.pbkdf2 };
+  const salt = Buffer.from(globalThis.crypto.getRandomValues(new Uint8Array(16))).toString('hex');
+  const key = await pbkdf2Hex(password, salt, kdf.iterations);
+  return { kdf, salt, data: await encryptData(data, key) };
+};
+
+/**
+ * Decrypt the output of encryptWithPassword
+ * @param {{kdf: Object, salt: string, data: string}} sealed
+ * @param {string} password
+ * @returns {Promise<*>} Throws when the password is wrong
+ */
+export const decryptWithPassword = async ({ kdf, salt, data }, password) => {
+  const profile = normalizeKdf(kdf);
+  if (profile.name !== 'pbkdf2' || typeof salt !== 'string' || !salt) {
+    throw new Error('Unsupported password encryption');
+  }
+  const key = await pbkdf2Hex(password, salt, profile.iterations);
+  return decryptData(data, key);
+};
+
 /**
  * Validate mnemonic format (BIP39)
  * @param {string} mnemonic - The mnemonic to validate
@@ -73,6 +599,3 @@ export const validateMnemonic = (mnemonic) => {
   // Each word should be lowercase alphabetic
   return words.every(word => /^[a-z]+$/.test(word));
 };
-
-// PBKDF2 iterations - configurable via environment
-export const PBKDF2_ITERATIONS = parseInt(import.meta.env.VITE_PBKDF2_ITERATIONS) || 10000;
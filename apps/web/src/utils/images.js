@@ -0,0 +1,73 @@
+/**
+ * 图片压缩
+ * 粘贴的截图通常是很大的 PNG，加密上传前先缩小尺寸并重新编码
+ */
+
+const MAX_DIMENSION = 1920;
+const QUALITY = 0.85;
+// 动图和矢量图重新编码会丢失内容
+const SKIPPED_TYPES = ['image/gif', 'image/svg+xml'];
+// WebP 保留透明通道；不支持的浏览器会回退为 PNG
+const OUTPUT_TYPE = 'image/webp';
+
+const loadImage = (file) => new Promise((resolve, reject) => {
+  const url = URL.createObjectURL(file);
+  const image = new Image();
+  image.onload = () => {
+    URL.revokeObjectURL(url);
+    resolve(image);
+  };
+  image.onerror = () => {
+    URL.revokeObjectURL(url);
+    reject(new Error('Invalid image'));
+  };
+  image.src = url;
+});
+
+const canvasToBlob = (canvas, type, quality) => new Promise((resolve) => {
+  canvas.toBlob(resolve, type, quality);
+});
+
+const replaceExtension = (name, type) => {
+  const extension = type.split('/')[1];
+  const base = (name || 'image').replace(/\.[^./]+$/, '');
+  return `${base}.${extension}`;
+};
+
+/**
+ * 压缩图片：长边缩小到 maxDimension 以内并重新编码
+ * 无法处理或压缩后没有变小时返回原文件
+ * @param {File} file
+ * @param {{maxDimension?: number, quality?: number}} [options]
+ * @returns {Promise<File>}
+ */
+export const compressImage = async (file, { maxDimension = MAX_DIMENSION, quality = QUALITY } = {}) => {
+  if (!file.type?.startsWith('image/') || SKIPPED_TYPES.includes(file.type)) {
+    return file;
+  }
+
+  let image;
+  try {
+    image = await loadImage(file);
+  } catch {
+    return file;
+  }
+
+  const scale = Math.min(1, maxDimension / Math.max(image.naturalWidth, image.naturalHeight, 1));
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.max(1, Math.round(image.naturalWidth * scale));
+  canvas.height = Math.max(1, Math.round(image.naturalHeight * scale));
+
+  const context = canvas.getContext('2d');
+  if (!context) {
+    return file;
+  }
+  context.drawImage(image, 0, 0, canvas.width, canvas.height);
+
+  const blob = await canvasToBlob(canvas, OUTPUT_TYPE, quality);
+  if (!blob || blob.size >= file.size) {
+    return file;
+  }
+
+  return new File([blob], replaceExtension(file.name, blob.type), { type: blob.type, lastModified: Date.now() });
+};
@@ -0,0 +1,155 @@
+/**
+ * Evernote ENEX 导入
+ * 笔记正文是 ENML（XHTML 的子集），转换为 Markdown；附件资源不导入，位置上留下注释
+ */
+
+const BLOCK_TAGS = new Set(['div', 'p', 'blockquote', 'pre', 'ul', 'ol', 'table', 'hr', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6']);
+
+// 20240131T080910Z
+const parseEnexDate = (value) => {
+  const match = /^(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})Z$/.exec((value || '').trim());
+  if (!match) {
+    return undefined;
+  }
+  const [, year, month, day, hours, minutes, seconds] = match.map(Number);
+  return Date.UTC(year, month - 1, day, hours, minutes, seconds);
+};
+
+const childText = (element, tagName) => element.getElementsByTagName(tagName)[0]?.textContent || '';
+
+const wrapInline = (marker, text) => (text.trim() ? `${marker}${text}${marker}` : text);
+
+const convertChildren = (node, context) => Array.from(node.childNodes)
+  .map((child) => convertNode(child, context))
+  .join('');
+
+const convertList = (element, context) => {
+  const ordered = element.tagName.toLowerCase() === 'ol';
+  const indent = '  '.repeat(context.depth);
+  const items = Array.from(element.children)
+    .filter((child) => child.tagName.toLowerCase() === 'li')
+    .map((item, index) => {
+      const text = convertChildren(item, { ...context, depth: context.depth + 1, inList: true }).trim();
+      return `${indent}${ordered ? `${index + 1}.` : '-'} ${text}`;
+    });
+  return `\n${items.join('\n')}\n\n`;
+};
+
+const convertTable = (element, context) => {
+  const rows = Array.from(element.getElementsByTagName('tr')).map((row) => (
+    Array.from(row.children).map((cell) => convertChildren(cell, context).replace(/\s*\n\s*/g, ' ').trim())
+  ));
+  if (rows.length === 0) {
+    return '';
+  }
+
+  const toRow = (cells) => `| ${cells.join(' | ')} |`;
+  const [header, ...body] = rows;
+  return `\n${[toRow(header), toRow(header.map(() => '---')), ...body.map(toRow)].join('\n')}\n\n`;
+};
+
+function convertNode(node, context) {
+  if (node.nodeType === 3) {
+    return node.textContent.replace(/\s+/g, ' ');
+  }
+  if (node.nodeType !== 1) {
+    return '';
+  }
+
+  const tag = node.tagName.toLowerCase();
+  const inner = () => convertChildren(node, context);
+
+  switch (tag) {
+    case 'br':
+      return '\n';
+    case 'h1':
+    case 'h2':
+    case 'h3':
+    case 'h4':
+    case 'h5':
+    case 'h6':
+      return `\n${'#'.repeat(Number(tag[1]))} ${inner().trim()}\n\n`;
+    case 'p':
+      return `\n${inner().trim()}\n\n`;
+    case 'div': {
+      const text = inner();
+      // 只包含块级元素的 div 不再额外换行
+      const onlyBlocks = Array.from(node.children).some((child) => BLOCK_TAGS.has(child.tagName.toLowerCase()));
+      return onlyBlocks ? text : `${text.trim()}\n`;
+    }
+    case 'b':
+    case 'strong':
+      return wrapInline('**', inner());
+    case 'i':
+    case 'em':
+      return wrapInline('*', inner());
+    case 's':
+    case 'strike':
+    case 'del':
+      return wrapInline('~~', inner());
+    case 'code':
+      return `\`${node.textContent}\``;
+    case 'pre':
+      return `\n\`\`\`\n${node.textContent.replace(/\n$/, '')}\n\`\`\`\n\n`;
+    case 'a': {
+      const href = node.getAttribute('href');
+      const text = inner().trim();
+      return href ? `[${text || href}](${href})` : text;
+    }
+    case 'blockquote':
+      return `\n${inner().trim().split('\n').map((line) => `> ${line}`).join('\n')}\n\n`;
+    case 'ul':
+    case 'ol':
+      return convertList(node, context);
+    case 'table':
+      return convertTable(node, context);
+    case 'hr':
+      return '\n---\n\n';
+    case 'en-todo':
+      // HTML 解析器不认识自闭合的 <en-todo/>，后面的文字会成为它的子节点
+      return `${context.inList ? '' : '- '}[${node.getAttribute('checked') === 'true' ? 'x' : ' '}] ${inner()}`;
+    case 'en-media':
+      return `<!-- ${node.getAttribute('type') || 'attachment'} not imported -->`;
+    case 'en-crypt':
+      return '<!-- encrypted text not imported -->';
+    default:
+      return inner();
+  }
+}
+
+/**
+ * ENML 转 Markdown
+ * @param {string} enml
+ * @returns {string}
+ */
+export const enmlToMarkdown = (enml) => {
+  const document = new DOMParser().parseFromString(enml, 'text/html');
+  const root = document.getElementsByTagName('en-note')[0] || document.body;
+
+  return convertChildren(root, { depth: 0, inList: false })
+    .split('\n')
+    .map((line) => line.replace(/[ \t]+$/, ''))
+    .join('\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+};
+
+/**
+ * 解析 ENEX 文件
+ * @param {string} text
+ * @returns {{title: string, content: string, tags: string[], createdAt?: number, updatedAt?: number}[]}
+ */
+export const parseEnex = (text) => {
+  const document = new DOMParser().parseFromString(text, 'application/xml');
+  if (document.getElementsByTagName('parsererror').length > 0 || document.documentElement.tagName !== 'en-export') {
+    throw new Error('Invalid ENEX file');
+  }
+
+  return Array.from(document.getElementsByTagName('note')).map((note) => ({
+    title: childText(note, 'title').trim(),
+    content: enmlToMarkdown(childText(note, 'content')),
+    tags: Array.from(note.getElementsByTagName('tag')).map((tag) => tag.textContent.trim()).filter(Boolean),
+    createdAt: parseEnexDate(childText(note, 'created')),
+    updatedAt: parseEnexDate(childText(note, 'updated')),
+  }));
+};
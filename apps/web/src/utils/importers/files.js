@@ -0,0 +1,98 @@
+/**
+ * 导入文件读取
+ * 把用户选择的文件、文件夹或压缩包（zip、Joplin JEX）展开为 { path, bytes } 列表
+ */
+import { unzipSync } from 'fflate';
+
+const TAR_BLOCK_SIZE = 512;
+
+// FileReader 兼容性比 Blob.arrayBuffer 更好
+const readBytes = (blob) => new Promise((resolve, reject) => {
+  const reader = new FileReader();
+  reader.onload = () => resolve(new Uint8Array(reader.result));
+  reader.onerror = () => reject(reader.error);
+  reader.readAsArrayBuffer(blob);
+});
+
+/**
+ * 解码 UTF-8 文本（TextDecoder 会去掉 BOM）
+ * @param {Uint8Array} bytes
+ * @returns {string}
+ */
+export const decodeText = (bytes) => new TextDecoder().decode(bytes);
+
+/**
+ * 文件扩展名（小写，不含点）
+ * @param {string} path
+ * @returns {string}
+ */
+export const getExtension = (path) => {
+  const match = /\.([^./]+)$/.exec(path);
+  return match ? match[1].toLowerCase() : '';
+};
+
+/**
+ * 展开 zip 压缩包
+ * @param {Uint8Array} bytes
+ * @returns {{path: string, bytes: Uint8Array}[]}
+ */
+export const unzip = (bytes) => Object.entries(unzipSync(bytes))
+  .filter(([path]) => !path.endsWith('/'))
+  .map(([path, content]) => ({ path, bytes: content }));
+
+/**
+ * 展开 tar 包（Joplin 的 JEX 导出就是 tar）
+ * @param {Uint8Array} bytes
+ * @returns {{path: string, bytes: Uint8Array}[]}
+ */
+export const untar = (bytes) => {
+  const decoder = new TextDecoder();
+  const field = (offset, length) => decoder.decode(bytes.subarray(offset, offset + length)).replace(/\0[\s\S]*$/, '');
+  const entries = [];
+
+  let offset = 0;
+  while (offset + TAR_BLOCK_SIZE <= bytes.length) {
+    const name = field(offset, 100);
+    // 两个全零块表示结束
+    if (!name) {
+      break;
+    }
+
+    const size = parseInt(field(offset + 124, 12).trim(), 8) || 0;
+    const type = bytes[offset + 156];
+    const prefix = field(offset + 345, 155);
+    const start = offset + TAR_BLOCK_SIZE;
+
+    // 只保留普通文件（'0' 或旧格式的 NUL）
+    if (type === 0x30 || type === 0) {
+      entries.push({ path: prefix ? `${prefix}/${name}` : name, bytes: bytes.slice(start, start + size) });
+    }
+    offset = start + Math.ceil(size / TAR_BLOCK_SIZE) * TAR_BLOCK_SIZE;
+  }
+
+  return entries;
+};
+
+/**
+ * 读取用户选择的文件，zip 和 jex 会被展开
+ * 从文件夹选择时路径为 webkitRelativePath（以文件夹名开头）
+ * @param {File[]|FileList} files
+ * @returns {Promise<{path: string, bytes: Uint8Array}[]>}
+ */
+export const readImportEntries = async (files) => {
+  const entries = [];
+  for (const file of Array.from(files)) {
+    const path = file.webkitRelativePath || file.name;
+    const bytes = await readBytes(file);
+    const extension = getExtension(path);
+
+    if (extension === 'zip') {
+      entries.push(...unzip(bytes));
+    } else if (extension === 'jex') {
+      entries.push(...untar(bytes));
+    } else {
+      entries.push({ path, bytes });
+    }
+  }
+  return entries;
+};
@@ -0,0 +1,91 @@
+/**
+ * 从其他笔记应用导入
+ * 支持 Obsidian 库（文件夹或 zip）、Joplin 导出（RAW 文件夹或 JEX）和 Evernote ENEX，
+ * 每个导入生成一个新笔记本，每个源文档一条笔记
+ */
+import { decodeText, getExtension, readImportEntries } from './files';
+import { parseObsidianVault } from './obsidian';
+import { isJoplinItem, parseJoplinExport } from './joplin';
+import { parseEnex } from './enex';
+
+export { readImportEntries, unzip, untar } from './files';
+export { parseFrontMatter, normalizeWikiLinks, parseObsidianVault } from './obsidian';
+export { parseJoplinExport } from './joplin';
+export { enmlToMarkdown, parseEnex } from './enex';
+
+/**
+ * 判断导入格式
+ * @param {{path: string, bytes: Uint8Array}[]} entries
+ * @returns {'enex'|'joplin'|'obsidian'|null}
+ */
+export const detectImportFormat = (entries) => {
+  if (entries.some((entry) => getExtension(entry.path) === 'enex')) {
+    return 'enex';
+  }
+
+  const markdown = entries.filter((entry) => getExtension(entry.path) === 'md');
+  if (markdown.length === 0) {
+    return null;
+  }
+  return markdown.some((entry) => isJoplinItem(decodeText(entry.bytes))) ? 'joplin' : 'obsidian';
+};
+
+// 笔记本名称：文件夹名或文件名（去掉扩展名）
+const getImportName = (files) => {
+  const [first] = Array.from(files);
+  const path = first?.webkitRelativePath || first?.name || '';
+  return path.split('/')[0].replace(/\.[^.]+$/, '');
+};
+
+/**
+ * 读取并解析用户选择的文件
+ * @param {File[]|FileList} files
+ * @returns {Promise<{format: string, name: string, notes: Object[]}>}
+ */
+export const parseImport = async (files) => {
+  const entries = await readImportEntries(files);
+  const format = detectImportFormat(entries);
+
+  let notes;
+  if (format === 'enex') {
+    notes = entries
+      .filter((entry) => getExtension(entry.path) === 'enex')
+      .flatMap((entry) => parseEnex(decodeText(entry.bytes)));
+  } else if (format === 'joplin') {
+    notes = parseJoplinExport(entries);
+  } else if (format === 'obsidian') {
+    notes = parseObsidianVault(entries);
+  } else {
+    throw new Error('Unsupported import format');
+  }
+
+  return { format, name: getImportName(files), notes };
+};
+
+/**
+ * 把解析后的笔记导入为一个新笔记本并写入本地存储
+ * @param {{name: string, notes: Object[]}} parsed
+ * @param {{store: Object, storage: Object}} deps - store 为 useAppStore，storage 为已初始化的 StorageManager
+ * @returns {Promise<{notebook: Object, count: number}>}
+ */
+export const importNotebook = async ({ name, notes }, { store, storage }) => {
+  if (notes.length === 0) {
+    throw new Error('Nothing to import');
+  }
+
+  store.getState().addNotebook({ name });
+  const { notebooks, activeNotebookId } = store.getState();
+  const notebook = notebooks.find((entry) => entry.id === activeNotebookId);
+  await storage.saveNotebook(notebook);
+
+  const noteIds = [];
+  for (const note of notes) {
+    store.getState().addNote({ ...note, notebookId: notebook.id });
+    const { notes: storedNotes, activeNoteId } = store.getState();
+    await storage.saveNote(notebook.id, storedNotes.find((entry) => entry.id === activeNoteId));
+    noteIds.push(activeNoteId);
+  }
+
+  store.getState().setActiveNoteId(noteIds[0]);
+  return { notebook, count: noteIds.length };
+};
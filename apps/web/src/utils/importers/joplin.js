@@ -0,0 +1,100 @@
+/**
+ * Joplin 导入（RAW 文件夹或 JEX 包）
+ * 每个条目是一个 .md 文件：第一行标题，然后是正文，末尾是 "key: value" 元数据；
+ * type_ 为 1 的是笔记，5 是标签，6 是笔记与标签的关联
+ */
+import { decodeText, getExtension } from './files';
+
+const ITEM_TYPE = {
+  note: '1',
+  tag: '5',
+  noteTag: '6',
+};
+
+const METADATA_LINE = /^([a-z_]+): ?(.*)$/;
+// 笔记之间的链接：[文字](:/32位id)
+const NOTE_LINK_PATTERN = /(!?)\[([^\]]*)\]\(:\/([0-9a-f]{32})\)/g;
+
+/**
+ * 解析一个 Joplin 条目
+ * @param {string} text
+ * @returns {{title: string, body: string, meta: Object}|null} 不是 Joplin 条目时返回 null
+ */
+export const parseJoplinItem = (text) => {
+  const lines = text.replace(/\r\n/g, '\n').replace(/\n+$/, '').split('\n');
+
+  let start = lines.length;
+  while (start > 0 && METADATA_LINE.test(lines[start - 1])) {
+    start--;
+  }
+
+  const meta = {};
+  lines.slice(start).forEach((line) => {
+    const [, key, value] = METADATA_LINE.exec(line);
+    meta[key] = value;
+  });
+  if (!meta.id || !meta.type_) {
+    return null;
+  }
+
+  const [title = '', ...rest] = lines.slice(0, start);
+  return { title, body: rest.join('\n').replace(/^\n+|\n+$/g, ''), meta };
+};
+
+/**
+ * 是否像 Joplin 条目（末尾有 type_ 元数据）
+ * @param {string} text
+ * @returns {boolean}
+ */
+export const isJoplinItem = (text) => /\ntype_: ?\d+\s*$/.test(text);
+
+const toTimestamp = (value) => {
+  const timestamp = value ? Date.parse(value) : NaN;
+  return Number.isNaN(timestamp) ? undefined : timestamp;
+};
+
+/**
+ * 解析 Joplin 导出
+ * 笔记之间的链接转换为指向标题的 wiki 链接；资源（图片等）不导入，链接保持原样
+ * @param {{path: string, bytes: Uint8Array}[]} entries
+ * @returns {{title: string, content: string, tags: string[], createdAt?: number, updatedAt?: number}[]}
+ */
+export const parseJoplinExport = (entries) => {
+  const items = entries
+    .filter((entry) => getExtension(entry.path) === 'md' && !entry.path.split('/').includes('resources'))
+    .map((entry) => parseJoplinItem(decodeText(entry.bytes)))
+    .filter(Boolean);
+
+  const notes = items.filter((item) => (
+    item.meta.type_ === ITEM_TYPE.note && (!item.meta.deleted_time || item.meta.deleted_time === '0')
+  ));
+  const tagNames = new Map(
+    items.filter((item) => item.meta.type_ === ITEM_TYPE.tag).map((item) => [item.meta.id, item.title])
+  );
+  const noteTags = new Map();
+  items.filter((item) => item.meta.type_ === ITEM_TYPE.noteTag).forEach(({ meta }) => {
+    const name = tagNames.get(meta.tag_id);
+    if (name) {
+      noteTags.set(meta.note_id, [...(noteTags.get(meta.note_id) || []), name]);
+    }
+  });
+  const noteTitles = new Map(notes.map((item) => [item.meta.id, item.title]));
+
+  const convertLinks = (body) => body.replace(NOTE_LINK_PATTERN, (match, embed, text, id) => {
+    const title = noteTitles.get(id);
+    if (embed || !title) {
+      return match;
+    }
+    return text && text !== title ? `[[${title}|${text}]]` : `[[${title}]]`;
+  });
+
+  return notes
+    .sort((a, b) => (toTimestamp(a.meta.created_time) || 0) - (toTimestamp(b.meta.created_time) || 0))
+    .map(({ title, body, meta }) => ({
+      title,
+      content: convertLinks(body),
+      tags: noteTags.get(meta.id) || [],
+      createdAt: toTimestamp(meta.created_time),
+      updatedAt: toTimestamp(meta.updated_time),
+    }));
+};
@@ -0,0 +1,104 @@
+/**
+ * Obsidian 库导入
+ * 每个 Markdown 文件一条笔记；front matter 中的 title、tags 和时间会被读取，
+ * wiki 链接保留并去掉文件夹和扩展名，让它指向导入后的笔记标题
+ */
+import { normalizeTags } from '../tags';
+import { decodeText, getExtension } from './files';
+
+const FRONT_MATTER_PATTERN = /^---\r?\n([\s\S]*?)\r?\n---[ \t]*(?:\r?\n|$)/;
+const WIKI_LINK_PATTERN = /(!?)\[\[([^\]|#]+)(#[^\]|]*)?(\|[^\]]*)?\]\]/g;
+
+const unquote = (value) => value.trim().replace(/^(['"])(.*)\1$/, '$2');
+
+// 只支持 front matter 常见的写法：标量、[a, b] 行内列表和 "- a" 块列表
+const parseYamlValue = (value) => {
+  const trimmed = value.trim();
+  if (trimmed.startsWith('[') && trimmed.endsWith(']')) {
+    return trimmed.slice(1, -1).split(',').map(unquote).filter(Boolean);
+  }
+  return unquote(trimmed);
+};
+
+/**
+ * 拆分 front matter 和正文
+ * @param {string} text
+ * @returns {{data: Object, body: string}}
+ */
+export const parseFrontMatter = (text) => {
+  const match = FRONT_MATTER_PATTERN.exec(text);
+  if (!match) {
+    return { data: {}, body: text };
+  }
+
+  const data = {};
+  let listKey = null;
+  match[1].split(/\r?\n/).forEach((line) => {
+    const item = /^\s*-\s+(.*)$/.exec(line);
+    if (item && listKey) {
+      data[listKey].push(unquote(item[1]));
+      return;
+    }
+
+    const entry = /^([\w-]+):\s*(.*)$/.exec(line);
+    if (!entry) {
+      return;
+    }
+    const [, key, value] = entry;
+    if (value.trim() === '') {
+      data[key] = [];
+      listKey = key;
+    } else {
+      data[key] = parseYamlValue(value);
+      listKey = null;
+    }
+  });
+
+  return { data, body: text.slice(match[0].length) };
+};
+
+const toTags = (value) => normalizeTags(Array.isArray(value) ? value : String(value || '').split(/[,\s]+/));
+
+const toTimestamp = (value) => {
+  const timestamp = typeof value === 'string' ? Date.parse(value) : NaN;
+  return Number.isNaN(timestamp) ? undefined : timestamp;
+};
+
+/**
+ * 把 wiki 链接的目标改为笔记标题：[[folder/Note.md#Heading|alias]] -> [[Note#Heading|alias]]
+ * @param {string} content
+ * @returns {string}
+ */
+export const normalizeWikiLinks = (content) => content.replace(
+  WIKI_LINK_PATTERN,
+  (_match, embed, target, heading = '', alias = '') => {
+    const name = target.trim().split('/').pop().replace(/\.md$/i, '');
+    return `${embed}[[${name}${heading}${alias}]]`;
+  }
+);
+
+// .obsidian、.trash 等隐藏目录不是笔记
+const isVaultNote = (path) => (
+  getExtension(path) === 'md' && !path.split('/').some((segment) => segment.startsWith('.'))
+);
+
+/**
+ * 解析 Obsidian 库（文件夹或 zip 展开后的文件）
+ * @param {{path: string, bytes: Uint8Array}[]} entries
+ * @returns {{title: string, content: string, tags: string[], createdAt?: number, updatedAt?: number}[]}
+ */
+export const parseObsidianVault = (entries) => entries
+  .filter((entry) => isVaultNote(entry.path))
+  .sort((a, b) => a.path.localeCompare(b.path))
+  .map((entry) => {
+    const { data, body } = parseFrontMatter(decodeText(entry.bytes));
+    const fileName = entry.path.split('/').pop().replace(/\.md$/i, '');
+
+    return {
+      title: (typeof data.title === 'string' && data.title) || fileName,
+      content: normalizeWikiLinks(body),
+      tags: toTags(data.tags ?? data.tag),
+      createdAt: toTimestamp(data.created ?? data.date),
+      updatedAt: toTimestamp(data.updated ?? data.modified),
+    };
+  });
@@ -1,4 +1,4 @@
-import { deriveKeys, generateSyncChain } from './crypto';
+import { deriveKeys, deriveRoom, generateSyncChain } from './crypto';
 import { generateUniqueId } from './shared';
 
 const DEFAULT_NOTEBOOK_NAME = {
@@ -13,22 +13,28 @@ const DEFAULT_NOTE_TITLE = {
 
 export const createNotebook = (notebook = {}) => {
   const mnemonic = notebook.mnemonic || generateSyncChain();
-  const derived = deriveKeys(mnemonic);
+  const passphrase = notebook.passphrase || '';
+  const derived = deriveKeys(mnemonic, passphrase);
   const now = Date.now();
 
   return {
     id: notebook.id || generateUniqueId('nb_'),
     name: notebook.name || 'Untitled Notebook',
     mnemonic,
+    passphrase,
     roomId: notebook.roomId || derived.roomId,
     encryptionKey: notebook.encryptionKey || derived.encryptionKey,
     noteCount: notebook.noteCount || 0,
+    folders: notebook.folders || [],
+    deletedFolders: notebook.deletedFolders || {},
     createdAt: notebook.createdAt || now,
     updatedAt: notebook.updatedAt || now,
+    // 旧版客户端使用的房间，第一次加入时由服务器复制到新房间
+    ...(notebook.legacyRoomId ? { legacyRoomId: notebook.legacyRoomId } : {}),
   };
 };
 
-const createNote = (note = {}) => {
+export const createNote = (note = {}) => {
   const now = Date.now();
 
   return {
@@ -42,9 +48,103 @@ const createNote = (note = {}) => {
     createdAt: note.createdAt || now,
     updatedAt: note.updatedAt || now,
     tags: note.tags || [],
+    folderId: note.folderId || null,
   };
 };
 
+/**
+ * 创建文件夹，parentId 为 null 时位于笔记本根目录
+ * @param {Object} folder - { id, name, parentId }
+ * @returns {{id: string, name: string, parentId: string|null, createdAt: number, updatedAt: number}}
+ */
+export const createFolder = (folder = {}) => {
+  const now = Date.now();
+
+  return {
+    id: folder.id || generateUniqueId('folder_'),
+    name: folder.name || 'New Folder',
+    parentId: folder.parentId || null,
+    createdAt: folder.createdAt || now,
+    updatedAt: folder.updatedAt || now,
+  };
+};
+
+/**
+ * 文件夹所有子孙文件夹的ID（不含自身）
+ * @param {Array<Object>} folders
+ * @param {string} folderId
+ * @returns {Array<string>}
+ */
+export const getDescendantFolderIds = (folders, folderId) => {
+  const descendants = [];
+  const pending = [folderId];
+
+  while (pending.length > 0) {
+    const parentId = pending.shift();
+    folders.forEach((folder) => {
+      if (folder.parentId === parentId && folder.id !== folderId && !descendants.includes(folder.id)) {
+        descendants.push(folder.id);
+        pending.push(folder.id);
+      }
+    });
+  }
+
+  return descendants;
+};
+
+/**
+ * 能否把文件夹移动到 parentId 下（不能移到自身或自己的子孙文件夹中）
+ * @param {Array<Object>} folders
+ * @param {string} folderId
+ * @param {string|null} parentId
+ * @returns {boolean}
+ */
+export const canMoveFolder = (folders, folderId, parentId) => (
+  !parentId || (parentId !== folderId && !getDescendantFolderIds(folders, folderId).includes(parentId))
+);
+
+/**
+ * 文件夹在树中的实际父文件夹
+ * 父文件夹不存在（例如已在其他设备删除）时放到根目录；
+ * 并发移动合并后可能形成环，环上的文件夹也放到根目录
+ * @param {Map<string, Object>} byId - folderId -> folder
+ * @param {Object} folder
+ * @returns {string|null}
+ */
+const resolveParentId = (byId, folder) => {
+  if (!folder.parentId || !byId.has(folder.parentId)) {
+    return null;
+  }
+
+  const seen = new Set([folder.id]);
+  let current = folder.parentId;
+  while (current && !seen.has(current)) {
+    seen.add(current);
+    current = byId.get(current)?.parentId;
+  }
+  return current === folder.id ? null : folder.parentId;
+};
+
+/**
+ * 构建文件夹树，同级按名称排序
+ * @param {Array<Object>} folders
+ * @returns {Array<{folder: Object, children: Array<Object>}>}
+ */
+export const buildFolderTree = (folders = []) => {
+  const byId = new Map(folders.map((folder) => [folder.id, folder]));
+  const childrenOf = new Map();
+  folders.forEach((folder) => {
+    const parentId = resolveParentId(byId, folder);
+    childrenOf.set(parentId, [...(childrenOf.get(parentId) || []), folder]);
+  });
+
+  const build = (parentId) => (childrenOf.get(parentId) || [])
+    .sort((a, b) => a.name.localeCompare(b.name))
+    .map((folder) => ({ folder, children: build(folder.id) }));
+
+  return build(null);
+};
+
 const getActiveNote = (notes, activeNoteId) => {
   if (!notes.length) {
     return null;
@@ -53,8 +153,23 @@ const getActiveNote = (notes, activeNoteId) => {
   return notes.find((note) => note.id === activeNoteId) || notes[0];
 };
 
+// 旧版本直接以助记词的 SHA-256 作为房间ID，服务器无法验证认领房间的设备。
+// 按当前方式重新派生并保存；记住旧房间ID，下次加入时服务器把旧房间的笔记、历史版本和附件复制到新房间
+const migrateRoomId = async (storage, notebook) => {
+  const roomId = notebook.mnemonic ? deriveRoom(notebook.mnemonic).roomId : notebook.roomId;
+  if (roomId === notebook.roomId) {
+    return notebook;
+  }
+
+  const migrated = { ...notebook, roomId, legacyRoomId: notebook.roomId };
+  await storage.saveNotebook(migrated);
+  return migrated;
+};
+
 export const restoreNotebookState = async (storage, legacyState = {}) => {
-  const notebooks = await storage.listNotebooks();
+  const notebooks = await Promise.all(
+    (await storage.listNotebooks()).map((notebook) => migrateRoomId(storage, notebook))
+  );
 
   if (notebooks.length > 0) {
     const notesByNotebook = await Promise.all(
@@ -97,6 +212,7 @@ export const restoreNotebookState = async (storage, legacyState = {}) => {
   const notebook = createNotebook({
     name: DEFAULT_NOTEBOOK_NAME[legacyState.lang] || DEFAULT_NOTEBOOK_NAME.en,
     mnemonic: legacyState.mnemonic,
+    legacyRoomId: deriveRoom(legacyState.mnemonic).legacyRoomId,
   });
   const note = createNote({
     notebookId: notebook.id,
@@ -0,0 +1,77 @@
+/**
+ * 在线状态（presence）工具
+ * 每台设备广播自己正在看的笔记、光标/选区和是否在输入；内容端到端加密，服务器只转发不保存
+ */
+
+// 发送频率上限（服务器每分钟最多转发 300 条）
+export const PRESENCE_THROTTLE_MS = 250;
+// 停止输入多久后清除“正在输入”状态
+export const TYPING_IDLE_MS = 2000;
+
+const PRESENCE_COLORS = ['#3b82f6', '#10b981', '#8b5cf6', '#ec4899', '#eab308', '#06b6d4', '#ef4444', '#84cc16'];
+
+const isPosition = (value) => Number.isInteger(value) && value >= 0;
+
+/**
+ * 校验解密后的 presence 消息
+ * @param {any} data
+ * @returns {{noteId: string|null, anchor: number|null, head: number|null, typing: boolean}|null}
+ */
+export function parsePresence(data) {
+  if (!data || typeof data !== 'object') {
+    return null;
+  }
+
+  const noteId = typeof data.noteId === 'string' ? data.noteId : null;
+  const hasCursor = isPosition(data.anchor) && isPosition(data.head);
+  return {
+    noteId,
+    anchor: hasCursor ? data.anchor : null,
+    head: hasCursor ? data.head : null,
+    typing: data.typing === true,
+  };
+}
+
+/**
+ * 只保留仍在房间里的连接（room-info 的成员列表）
+ * @param {Object<string, Object>} presence - socketId -> 状态
+ * @param {Array<{id: string}>} members
+ * @returns {Object<string, Object>}
+ */
+export function prunePresence(presence, members) {
+  const online = new Set((members || []).map((member) => member.id));
+  const entries = Object.entries(presence).filter(([socketId]) => online.has(socketId));
+  return entries.length === Object.keys(presence).length ? presence : Object.fromEntries(entries);
+}
+
+/**
+ * 按设备名取一个固定的颜色
+ * @param {string} key
+ * @returns {string}
+ */
+export function getPresenceColor(key = '') {
+  let hash = 0;
+  for (let i = 0; i < key.length; i++) {
+    hash = ((hash << 5) - hash + key.charCodeAt(i)) | 0;
+  }
+  return PRESENCE_COLORS[Math.abs(hash) % PRESENCE_COLORS.length];
+}
+
+/**
+ * 其他设备在某条笔记中的光标，供编辑器显示
+ * @param {Object<string, Object>} presence - socketId -> 状态
+ * @param {string|null} noteId
+ * @returns {Array<{id: string, name: string, color: string, anchor: number, head: number, typing: boolean}>}
+ */
+export function getRemoteCursors(presence, noteId) {
+  return Object.entries(presence)
+    .filter(([, entry]) => entry.noteId === noteId && entry.head !== null)
+    .map(([socketId, entry]) => ({
+      id: socketId,
+      name: entry.deviceName,
+      color: getPresenceColor(entry.deviceName),
+      anchor: entry.anchor,
+      head: entry.head,
+      typing: entry.typing,
+    }));
+}
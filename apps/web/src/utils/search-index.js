@@ -1,23 +1,35 @@
 /**
  * Local full-text search index for notes
  */
+import { normalizeTags, tagKey } from './tags';
+
+// tag:work or tag:"two words"
+const TAG_QUERY_PATTERN = /(?:^|\s)tag:(?:"([^"]*)"|(\S+))/gi;
 
 class SearchIndex {
   constructor() {
     // Map<term, Set<noteId>>
     this.index = new Map();
-    this.noteMetadata = new Map(); // noteId -> { title, content, notebookId }
+    // Map<lowercased tag, Set<noteId>>
+    this.tagIndex = new Map();
+    this.noteMetadata = new Map(); // noteId -> { title, content, notebookId, tags }
   }
 
   /**
-   * Index a single note
+   * Index a single note (re-indexing replaces the previous entry)
    */
-  indexNote(noteId, title, content, notebookId) {
+  indexNote(noteId, title, content, notebookId, tags = []) {
+    if (this.noteMetadata.has(noteId)) {
+      this.removeNote(noteId);
+    }
+
+    const noteTags = normalizeTags(tags);
+
     // Store metadata
-    this.noteMetadata.set(noteId, { title, content, notebookId });
+    this.noteMetadata.set(noteId, { title, content, notebookId, tags: noteTags });
 
-    // Tokenize and index
-    const text = `${title} ${content}`.toLowerCase();
+    // Tokenize and index; tag words are searchable as plain text too
+    const text = `${title} ${content} ${noteTags.join(' ')}`.toLowerCase();
     const tokens = text.match(/\b\w+\b/g) || [];
     const uniqueTokens = new Set(tokens);
 
@@ -27,6 +39,14 @@ class SearchIndex {
       }
       this.index.get(token).add(noteId);
     });
+
+    noteTags.forEach((tag) => {
+      const key = tag.toLowerCase();
+      if (!this.tagIndex.has(key)) {
+        this.tagIndex.set(key, new Set());
+      }
+      this.tagIndex.get(key).add(noteId);
+    });
   }
 
   /**
@@ -35,39 +55,56 @@ class SearchIndex {
   removeNote(noteId) {
     this.noteMetadata.delete(noteId);
 
-    // Remove from all token sets
-    this.index.forEach((noteIds) => {
-      noteIds.delete(noteId);
+    // Remove from all token and tag sets, cleaning up empty entries
+    [this.index, this.tagIndex].forEach((map) => {
+      for (const [key, noteIds] of map) {
+        noteIds.delete(noteId);
+        if (noteIds.size === 0) {
+          map.delete(key);
+        }
+      }
     });
+  }
 
-    // Clean up empty token entries
-    for (const [token, noteIds] of this.index) {
-      if (noteIds.size === 0) {
-        this.index.delete(token);
+  /**
+   * Split a query into tag filters (tag:work) and free-text tokens
+   * @returns {{tags: string[], tokens: string[]}}
+   */
+  parseQuery(query) {
+    const tags = [];
+    const text = query.replace(TAG_QUERY_PATTERN, (_match, quoted, plain) => {
+      const tag = tagKey(quoted ?? plain);
+      if (tag) {
+        tags.push(tag);
       }
-    }
+      return ' ';
+    });
+
+    return { tags, tokens: text.toLowerCase().match(/\b\w+\b/g) || [] };
   }
 
   /**
-   * Search for a query
-   * Returns array of { noteId, title, snippet, notebookId }
+   * Search for a query; tag:name terms only match notes with that tag
+   * Returns array of { noteId, title, snippet, notebookId, tags }
    */
   search(query, limit = 10) {
     if (!query || query.trim() === '') {
       return [];
     }
 
-    const queryTokens = query.toLowerCase().match(/\b\w+\b/g) || [];
-    if (queryTokens.length === 0) return [];
+    const { tags, tokens } = this.parseQuery(query);
+    const matchingSets = [
+      ...tags.map((tag) => this.tagIndex.get(tag) || new Set()),
+      ...tokens.map((token) => this.index.get(token) || new Set()),
+    ];
+    if (matchingSets.length === 0) return [];
 
-    // Find notes matching all query tokens
+    // Intersection: keep only notes that match all tags and tokens
     let results = null;
-    for (const token of queryTokens) {
-      const matchingNotes = this.index.get(token) || new Set();
+    for (const matchingNotes of matchingSets) {
       if (results === null) {
         results = new Set(matchingNotes);
       } else {
-        // Intersection: keep only notes that match all tokens
         results = new Set([...results].filter((n) => matchingNotes.has(n)));
       }
     }
@@ -89,6 +126,7 @@ class SearchIndex {
           title: metadata.title,
           snippet: hasMore ? `${snippet}...` : snippet,
           notebookId: metadata.notebookId,
+          tags: metadata.tags,
         };
       })
       .filter(Boolean)
@@ -102,6 +140,7 @@ class SearchIndex {
    */
   clear() {
     this.index.clear();
+    this.tagIndex.clear();
     this.noteMetadata.clear();
   }
 
@@ -111,6 +150,7 @@ class SearchIndex {
   getStats() {
     return {
       tokenCount: this.index.size,
+      tagCount: this.tagIndex.size,
       noteCount: this.noteMetadata.size,
       totalIndexSize: this.index.size * 50, // Rough estimate
     };
@@ -0,0 +1,126 @@
+import { decryptData, encryptData, generateShareKey } from './crypto';
+import { getSocketUrl } from './sync/constants';
+
+// 分享链接形如 /share/<shareId>#<key>：密钥只在 # 片段里，浏览器不会把它发给服务器
+const SHARE_PATH_PATTERN = /^\/share\/([A-Za-z0-9_-]{16,64})\/?$/;
+const SHARE_KEY_PATTERN = /^[0-9a-f]{64}$/i;
+
+const HOUR_MS = 60 * 60 * 1000;
+
+export const SHARE_EXPIRY_OPTIONS = [
+  { id: '1h', expiresIn: HOUR_MS },
+  { id: '1d', expiresIn: 24 * HOUR_MS },
+  { id: '7d', expiresIn: 7 * 24 * HOUR_MS },
+  { id: '30d', expiresIn: 30 * 24 * HOUR_MS },
+];
+
+/**
+ * 为单条笔记创建只读分享链接
+ * 笔记用新生成的随机密钥加密后上传，服务器只保存密文
+ * @param {Object} note - 要分享的笔记
+ * @param {Object} [options]
+ * @param {number|null} [options.expiresIn] - 有效期（毫秒），null 表示使用服务器的最长有效期（30 天）
+ * @param {boolean} [options.burnAfterReading] - 阅后即焚：第一次打开后服务器删除密文
+ * @param {string} [options.serverUrl] - 同步服务器地址
+ * @param {string} [options.origin] - 链接使用的站点地址
+ * @returns {Promise<{url: string, shareId: string, expiresAt: number}>}
+ */
+export const createShareLink = async (note, {
+  expiresIn = null,
+  burnAfterReading = false,
+  serverUrl = getSocketUrl(),
+  origin = window.location.origin,
+} = {}) => {
+  if (!serverUrl) {
+    throw new Error('Sync server is not configured');
+  }
+
+  const key = generateShareKey();
+  const encryptedData = await encryptData({
+    type: 'shared-note',
+    note: {
+      title: note.title,
+      content: note.content,
+      tags: note.tags || [],
+      updatedAt: note.updatedAt,
+    },
+  }, key);
+
+  const response = await fetch(`${serverUrl}/shares`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ encryptedData, expiresIn, burnAfterReading }),
+  });
+  const body = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    throw new Error(body.error || `Failed to create share (${response.status})`);
+  }
+
+  return {
+    url: `${origin}/share/${body.shareId}#${key}`,
+    shareId: body.shareId,
+    expiresAt: body.expiresAt,
+  };
+};
+
+/**
+ * 从当前地址解析分享链接
+ * @param {{pathname: string, hash: string}} [location]
+ * @returns {{shareId: string, key: string}|null} 不是分享链接时返回 null
+ */
+export const parseShareLocation = (location = window.location) => {
+  const match = SHARE_PATH_PATTERN.exec(location.pathname);
+  if (!match) {
+    return null;
+  }
+  const key = location.hash.replace(/^#/, '');
+  return { shareId: match[1], key: SHARE_KEY_PATTERN.test(key) ? key : null };
+};
+
+/**
+ * 查询分享的元数据（不下载密文，不会触发阅后即焚）
+ * @param {{shareId: string}} share - parseShareLocation 的结果
+ * @param {string} [serverUrl] - 同步服务器地址
+ * @returns {Promise<{createdAt: number, expiresAt: number|null, burnAfterReading: boolean}|null>} 分享不存在或已过期时返回 null
+ */
+export const fetchShareInfo = async ({ shareId }, serverUrl = getSocketUrl()) => {
+  if (!serverUrl) {
+    throw new Error('Sync server is not configured');
+  }
+
+  const response = await fetch(`${serverUrl}/shares/${shareId}/info`);
+  if (response.status === 404) {
+    return null;
+  }
+  if (!response.ok) {
+    throw new Error(`Failed to load share (${response.status})`);
+  }
+  return response.json();
+};
+
+/**
+ * 下载并解密分享的笔记；阅后即焚的分享在这次下载后即被服务器删除
+ * @param {{shareId: string, key: string}} share - parseShareLocation 的结果
+ * @param {string} [serverUrl] - 同步服务器地址
+ * @returns {Promise<{note: Object, expiresAt: number|null, burnAfterReading: boolean}|null>} 分享不存在或已过期时返回 null
+ */
+export const fetchSharedNote = async ({ shareId, key }, serverUrl = getSocketUrl()) => {
+  if (!serverUrl) {
+    throw new Error('Sync server is not configured');
+  }
+
+  const response = await fetch(`${serverUrl}/shares/${shareId}`);
+  if (response.status === 404) {
+    return null;
+  }
+  if (!response.ok) {
+    throw new Error(`Failed to load share (${response.status})`);
+  }
+
+  const { encryptedData, expiresAt, burnAfterReading = false } = await response.json();
+  const data = await decryptData(encryptedData, key);
+  if (data?.type !== 'shared-note' || !data.note) {
+    throw new Error('Invalid shared note');
+  }
+  return { note: data.note, expiresAt, burnAfterReading };
+};
@@ -9,8 +9,10 @@
  * @property {string} id - 笔记本唯一标识符
  * @property {string} name - 笔记本名称
  * @property {string} mnemonic - 12词助记词
+ * @property {string} [passphrase] - 可选的额外口令（参与密钥派生，不出现在二维码中）
  * @property {string} encryptionKey - 加密密钥
  * @property {string} roomId - 服务器房间ID
+ * @property {Object} [kdf] - 房间当前使用的 KDF 配置（与信封头部相同，不含任何秘密）
  * @property {number} createdAt - 创建时间戳
  * @property {number} updatedAt - 更新时间戳
  */
@@ -53,6 +55,16 @@
  * @property {number} retries - 重试次数
  */
 
+/**
+ * 本地保存的附件（只有密文，密钥在引用它的笔记里）
+ * @typedef {Object} LocalAttachment
+ * @property {string} id - 附件ID
+ * @property {string} roomId - 上传到的服务器房间ID
+ * @property {string[]} chunks - base64 密文块
+ * @property {boolean} uploaded - 是否已上传到服务器
+ * @property {number} createdAt - 创建时间戳
+ */
+
 /**
  * 客户端存储抽象类
  */
@@ -219,6 +231,35 @@ class ClientStorage {
         throw new Error('removeOperation method must be implemented');
     }
 
+    // ========== 附件操作 ==========
+
+    /**
+     * 保存附件密文
+     * @param {LocalAttachment} attachment - 附件数据
+     * @returns {Promise<void>}
+     */
+    async saveAttachment(_attachment) {
+        throw new Error('saveAttachment method must be implemented');
+    }
+
+    /**
+     * 获取附件密文
+     * @param {string} id - 附件ID
+     * @returns {Promise<LocalAttachment|null>}
+     */
+    async getAttachment(_id) {
+        throw new Error('getAttachment method must be implemented');
+    }
+
+    /**
+     * 列出尚未上传的附件
+     * @param {string} roomId - 服务器房间ID
+     * @returns {Promise<LocalAttachment[]>}
+     */
+    async listPendingAttachments(_roomId) {
+        throw new Error('listPendingAttachments method must be implemented');
+    }
+
     // ========== 存储管理 ==========
 
     /**
@@ -9,7 +9,7 @@ class IndexedDBStorage extends ClientStorage {
         super();
 
         this.dbName = options.dbName || 'NoteSyncDB';
-        this.version = options.version || 1;
+        this.version = options.version || 2;
         this.db = null;
         this.isInitialized = false;
 
@@ -73,6 +73,13 @@ class IndexedDBStorage extends ClientStorage {
                     opsStore.createIndex('timestamp', 'timestamp', { unique: false });
                     opsStore.createIndex('notebookId', 'notebookId', { unique: false });
                 }
+
+                // 创建 attachments 存储（v2）
+                if (!db.objectStoreNames.contains('attachments')) {
+                    const attachmentsStore = db.createObjectStore('attachments', { keyPath: 'id' });
+                    // 布尔值不能作为索引键，未上传的附件额外记录 pendingRoomId
+                    attachmentsStore.createIndex('pendingRoomId', 'pendingRoomId', { unique: false });
+                }
             };
         });
     }
@@ -232,6 +239,11 @@ class IndexedDBStorage extends ClientStorage {
             throw new Error('Invalid note data: id and notebookId are required');
         }
 
+        // 没有传入标签或文件夹时保留已有的值（文件夹为 null 表示根目录）
+        const existing = note.tags === undefined || note.folderId === undefined
+            ? await this.getNote(notebookId, note.id)
+            : null;
+
         const now = Date.now();
         const noteData = {
             ...note,
@@ -239,7 +251,8 @@ class IndexedDBStorage extends ClientStorage {
             updatedAt: now,
             createdAt: note.createdAt || now,
             version: (note.version || 0) + 1,
-            tags: note.tags || []
+            tags: note.tags ?? existing?.tags ?? [],
+            folderId: note.folderId !== undefined ? note.folderId : (existing?.folderId ?? null)
         };
 
         await this._transaction('notes', 'readwrite', (store) => {
@@ -437,6 +450,44 @@ class IndexedDBStorage extends ClientStorage {
         });
     }
 
+    // ========== 附件操作 ==========
+
+    async saveAttachment(attachment) {
+        if (!attachment.id || !attachment.roomId || !Array.isArray(attachment.chunks)) {
+            throw new Error('Invalid attachment data: id, roomId and chunks are required');
+        }
+
+        const attachmentData = {
+            ...attachment,
+            uploaded: Boolean(attachment.uploaded),
+            createdAt: attachment.createdAt || Date.now(),
+            pendingRoomId: attachment.roomId
+        };
+        if (attachmentData.uploaded) {
+            delete attachmentData.pendingRoomId;
+        }
+
+        await this._transaction('attachments', 'readwrite', (store) => {
+            return store.put(attachmentData);
+        });
+    }
+
+    async getAttachment(id) {
+        const attachment = await this._transaction('attachments', 'readonly', (store) => {
+            return store.get(id);
+        });
+        return attachment || null;
+    }
+
+    async listPendingAttachments(roomId) {
+        const attachments = await this._transaction('attachments', 'readonly', (store) => {
+            return store.index('pendingRoomId').getAll(roomId);
+        });
+
+        attachments.sort((a, b) => a.createdAt - b.createdAt);
+        return attachments;
+    }
+
     // ========== 存储管理 ==========
 
     async getStorageUsage() {
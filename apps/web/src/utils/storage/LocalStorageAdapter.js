@@ -220,7 +220,9 @@ class LocalStorageAdapter extends ClientStorage {
             updatedAt: now,
             createdAt: existing?.createdAt || note.createdAt || now,
             version: existing ? existing.version + 1 : (note.version || 1),
-            tags: note.tags || []
+            // 没有传入标签或文件夹时保留已有的值（文件夹为 null 表示根目录）
+            tags: note.tags ?? existing?.tags ?? [],
+            folderId: note.folderId !== undefined ? note.folderId : (existing?.folderId ?? null)
         };
 
         const key = this._key('note', notebookId, note.id);
@@ -432,6 +434,48 @@ class LocalStorageAdapter extends ClientStorage {
         this._setJSON(indexKey, newIndex);
     }
 
+    // ========== 附件操作 ==========
+
+    async saveAttachment(attachment) {
+        this._ensureInitialized();
+
+        if (!attachment.id || !attachment.roomId || !Array.isArray(attachment.chunks)) {
+            throw new Error('Invalid attachment data: id, roomId and chunks are required');
+        }
+
+        const attachmentData = {
+            ...attachment,
+            uploaded: Boolean(attachment.uploaded),
+            createdAt: attachment.createdAt || Date.now()
+        };
+        this._setJSON(this._key('attachment', attachment.id), attachmentData);
+
+        // 更新附件索引
+        const indexKey = this._key('attachments', 'index');
+        const index = this._getJSON(indexKey) || [];
+        if (!index.includes(attachment.id)) {
+            index.push(attachment.id);
+            this._setJSON(indexKey, index);
+        }
+    }
+
+    async getAttachment(id) {
+        this._ensureInitialized();
+        return this._getJSON(this._key('attachment', id));
+    }
+
+    async listPendingAttachments(roomId) {
+        this._ensureInitialized();
+
+        const index = this._getJSON(this._key('attachments', 'index')) || [];
+        const attachments = index
+            .map((id) => this._getJSON(this._key('attachment', id)))
+            .filter((attachment) => attachment && !attachment.uploaded && attachment.roomId === roomId);
+
+        attachments.sort((a, b) => a.createdAt - b.createdAt);
+        return attachments;
+    }
+
     // ========== 存储管理 ==========
 
     async getStorageUsage() {
@@ -154,6 +154,21 @@ class StorageManager {
         return this.storage.removeOperation(operationId);
     }
 
+    async saveAttachment(attachment) {
+        this._ensureInitialized();
+        return this.storage.saveAttachment(attachment);
+    }
+
+    async getAttachment(id) {
+        this._ensureInitialized();
+        return this.storage.getAttachment(id);
+    }
+
+    async listPendingAttachments(roomId) {
+        this._ensureInitialized();
+        return this.storage.listPendingAttachments(roomId);
+    }
+
     async getStorageUsage() {
         this._ensureInitialized();
         return this.storage.getStorageUsage();
@@ -139,6 +139,24 @@ describe('LocalStorageAdapter', () => {
             expect(second.version).toBe(first.version + 1);
         });
 
+        it('should keep tags when a save does not include them', async () => {
+            await storage.saveNote(notebookId, testNote);
+            await storage.saveNote(notebookId, { id: testNote.id, content: 'Updated' });
+            expect((await storage.getNote(notebookId, testNote.id)).tags).toEqual(['test', 'important']);
+
+            await storage.saveNote(notebookId, { id: testNote.id, content: 'Untagged', tags: [] });
+            expect((await storage.getNote(notebookId, testNote.id)).tags).toEqual([]);
+        });
+
+        it('should keep the folder when a save does not include it', async () => {
+            await storage.saveNote(notebookId, { ...testNote, folderId: 'folder-1' });
+            await storage.saveNote(notebookId, { id: testNote.id, content: 'Updated' });
+            expect((await storage.getNote(notebookId, testNote.id)).folderId).toBe('folder-1');
+
+            await storage.saveNote(notebookId, { id: testNote.id, content: 'Moved to root', folderId: null });
+            expect((await storage.getNote(notebookId, testNote.id)).folderId).toBe(null);
+        });
+
         it('should sort notes by update time', async () => {
             // Save notes with delays to ensure different updatedAt timestamps
             await storage.saveNote(notebookId, { ...testNote, id: 'note-1', title: 'Note 1' });
@@ -264,6 +282,31 @@ describe('LocalStorageAdapter', () => {
         });
     });
 
+    describe('Attachment Operations', () => {
+        it('should save and retrieve an attachment', async () => {
+            await storage.saveAttachment({ id: 'att-1', roomId: 'room-123', chunks: ['c1', 'c2'], uploaded: true });
+
+            const attachment = await storage.getAttachment('att-1');
+            expect(attachment.chunks).toEqual(['c1', 'c2']);
+            expect(attachment.uploaded).toBe(true);
+            expect(attachment.createdAt).toBeDefined();
+            expect(await storage.getAttachment('missing')).toBeNull();
+        });
+
+        it('should list pending attachments of a room until they are uploaded', async () => {
+            await storage.saveAttachment({ id: 'att-2', roomId: 'room-123', chunks: ['c'], createdAt: 2000 });
+            await storage.saveAttachment({ id: 'att-1', roomId: 'room-123', chunks: ['c'], createdAt: 1000 });
+            await storage.saveAttachment({ id: 'att-3', roomId: 'room-456', chunks: ['c'], createdAt: 1000 });
+
+            let pending = await storage.listPendingAttachments('room-123');
+            expect(pending.map((attachment) => attachment.id)).toEqual(['att-1', 'att-2']);
+
+            await storage.saveAttachment({ ...pending[0], uploaded: true });
+            pending = await storage.listPendingAttachments('room-123');
+            expect(pending.map((attachment) => attachment.id)).toEqual(['att-2']);
+        });
+    });
+
     describe('Storage Management', () => {
         it('should get storage usage', async () => {
             const usage = await storage.getStorageUsage();
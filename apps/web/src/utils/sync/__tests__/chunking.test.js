@@ -0,0 +1,78 @@
+import { describe, expect, it } from 'vitest';
+import CryptoJS from 'crypto-js';
+import { CHUNK_SIZE, createChunkedPayloads, createChunkUploadManager } from '../chunking';
+
+describe('chunked uploads', () => {
+  it('sends small ciphertexts as a single plain payload', () => {
+    const payloads = createChunkedPayloads({ roomId: 'room-1', timestamp: 1 }, 'cipher', 'upload_1');
+
+    expect(payloads).toEqual([{ roomId: 'room-1', timestamp: 1, encryptedData: 'cipher' }]);
+  });
+
+  it('splits one ciphertext into ordered chunks of the same session', () => {
+    const encryptedData = 'a'.repeat(CHUNK_SIZE) + 'b'.repeat(CHUNK_SIZE) + 'c';
+
+    const payloads = createChunkedPayloads({ roomId: 'room-1', noteId: 'note-1' }, encryptedData, 'upload_2');
+
+    expect(payloads).toHaveLength(3);
+    payloads.forEach((payload, index) => {
+      expect(payload).toMatchObject({
+        roomId: 'room-1',
+        noteId: 'note-1',
+        sessionId: 'upload_2',
+        digest: CryptoJS.SHA256(encryptedData).toString(CryptoJS.enc.Hex),
+        chunkIndex: index,
+        totalChunks: 3,
+      });
+    });
+    expect(payloads.map((payload) => payload.encryptedData).join('')).toBe(encryptedData);
+  });
+});
+
+describe('chunk upload manager', () => {
+  const payloads = (sessionId, total) => Array.from({ length: total }, (_, chunkIndex) => ({
+    sessionId,
+    chunkIndex,
+    totalChunks: total,
+    encryptedData: `chunk-${chunkIndex}`,
+  }));
+  const indices = (entries) => entries.map(({ payload }) => payload.chunkIndex);
+
+  it('keeps a window of chunks in flight and sends the next one on each ack', () => {
+    const manager = createChunkUploadManager(2);
+
+    expect(indices(manager.start('room', 'push-update', payloads('s1', 4)))).toEqual([0, 1]);
+    expect(indices(manager.acknowledge({ sessionId: 's1', chunkIndex: 1, received: 1, total: 4 }))).toEqual([2]);
+    expect(manager.getProgress()).toEqual({ sent: 1, total: 4 });
+
+    manager.acknowledge({ sessionId: 's1', chunkIndex: 0, received: 2, total: 4 });
+    manager.acknowledge({ sessionId: 's1', chunkIndex: 2, received: 3, total: 4 });
+    expect(manager.acknowledge({ sessionId: 's1', chunkIndex: 3, received: 4, total: 4 })).toEqual([]);
+    expect(manager.getProgress()).toBeNull();
+  });
+
+  it('resends only the chunks the server is missing after a reconnect', () => {
+    const manager = createChunkUploadManager(2);
+    manager.start('room', 'push-update', payloads('s1', 4));
+
+    expect(manager.resume()).toEqual(['s1']);
+    const entries = manager.applyStatus({ sessionId: 's1', received: [0, 2], total: 4, complete: false });
+    expect(entries.map(({ event }) => event)).toEqual(['push-update', 'push-update']);
+    expect(indices(entries)).toEqual([1, 3]);
+
+    // Unknown to the server (e.g. expired): start over
+    expect(indices(manager.applyStatus({ sessionId: 's1', received: [], total: 0 }))).toEqual([0, 1]);
+
+    expect(manager.applyStatus({ sessionId: 's1', received: [0, 1, 2, 3], total: 4, complete: true })).toEqual([]);
+    expect(manager.getProgress()).toBeNull();
+  });
+
+  it('drops an unfinished upload when the same target is uploaded again', () => {
+    const manager = createChunkUploadManager(2);
+    manager.start('note:a', 'push-note', payloads('s1', 3));
+    manager.start('note:a', 'push-note', payloads('s2', 3));
+
+    expect(manager.resume()).toEqual(['s2']);
+    expect(manager.acknowledge({ sessionId: 's1', chunkIndex: 0, received: 1, total: 3 })).toEqual([]);
+  });
+});
@@ -0,0 +1,56 @@
+import { describe, expect, it } from 'vitest';
+import { createNotePayload, diffNotebook, hashSyncedNote, isNotePayload, mergeNoteFields } from '../delta';
+
+const notebook = { id: 'nb-1', deletedNotes: { gone: 10 } };
+const notes = [
+  { id: 'a', notebookId: 'nb-1', title: 'A', content: 'alpha', tags: [], version: 1 },
+  { id: 'b', notebookId: 'nb-1', title: 'B', content: 'beta', tags: [], version: 1 },
+  { id: 'x', notebookId: 'nb-2', title: 'X', content: 'other', tags: [], version: 1 },
+];
+
+describe('per-note delta sync', () => {
+  it('wraps a single note without device-local fields', () => {
+    const payload = createNotePayload(notes[0]);
+
+    expect(isNotePayload(payload)).toBe(true);
+    expect(payload.note).not.toHaveProperty('notebookId');
+    expect(isNotePayload({ content: 'legacy' })).toBe(false);
+    expect(payload).not.toHaveProperty('crdt');
+    expect(createNotePayload(notes[0], 'AQID').crdt).toBe('AQID');
+  });
+
+  it('reports every note and deletion of the notebook on first sync', () => {
+    const { upserts, deletions } = diffNotebook(notebook, notes, new Map(), new Set());
+
+    expect(upserts.map((note) => note.id)).toEqual(['a', 'b']);
+    expect(deletions).toEqual([{ noteId: 'gone', deletedAt: 10 }]);
+  });
+
+  it('only reports notes whose synced fields changed', () => {
+    const syncedHashes = new Map(notes.map((note) => [note.id, hashSyncedNote(note)]));
+    const edited = [{ ...notes[0], content: 'alpha 2', updatedAt: 999 }, { ...notes[1], updatedAt: 999 }];
+
+    const { upserts, deletions } = diffNotebook(notebook, edited, syncedHashes, new Set(['gone']));
+
+    expect(upserts.map((note) => note.id)).toEqual(['a']);
+    expect(deletions).toEqual([]);
+  });
+
+  it('sends a note again when it moves to another folder', () => {
+    const syncedHashes = new Map(notes.map((note) => [note.id, hashSyncedNote(note)]));
+    const moved = { ...notes[1], folderId: 'folder-1' };
+
+    expect(diffNotebook(notebook, [notes[0], moved], syncedHashes, new Set(['gone'])).upserts).toEqual([moved]);
+    expect(createNotePayload(moved).note.folderId).toBe('folder-1');
+  });
+
+  it('keeps only the fields changed locally when the server rejects a stale write', () => {
+    const base = { title: 'Plan', tags: ['work'], folderId: null };
+    const local = { title: 'Plan v2', tags: ['work'], folderId: null };
+    const remote = { title: 'Plan', tags: ['work', 'q3'], folderId: 'folder-1' };
+
+    expect(mergeNoteFields(local, remote, base)).toEqual({ title: 'Plan v2', tags: ['work', 'q3'], folderId: 'folder-1' });
+    // Without a known ancestor every local value is kept
+    expect(mergeNoteFields(local, remote, null)).toEqual(local);
+  });
+});
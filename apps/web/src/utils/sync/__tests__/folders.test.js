@@ -0,0 +1,49 @@
+import { describe, expect, it } from 'vitest';
+import { createFoldersPayload, hashFolders, isFoldersPayload, mergeFolders } from '../folders';
+import { isNotePayload } from '../delta';
+
+const folder = (id, name, updatedAt, parentId = null) => ({ id, name, parentId, createdAt: 1, updatedAt });
+
+describe('folder structure sync', () => {
+  it('wraps the folders of a notebook in a payload older clients ignore', () => {
+    const payload = createFoldersPayload({
+      id: 'nb-1',
+      mnemonic: 'secret words',
+      folders: [{ ...folder('f1', 'Work', 5), expanded: true }],
+      deletedFolders: { old: 3 },
+    });
+
+    expect(isFoldersPayload(payload)).toBe(true);
+    expect(isNotePayload(payload)).toBe(false);
+    expect(payload).toEqual({ type: 'folders', folders: [folder('f1', 'Work', 5)], deletedFolders: { old: 3 } });
+  });
+
+  it('hashes the structure independently of folder order', () => {
+    const a = folder('a', 'A', 1);
+    const b = folder('b', 'B', 1, 'a');
+
+    expect(hashFolders({ folders: [a, b] })).toBe(hashFolders({ folders: [b, a], deletedFolders: {} }));
+    expect(hashFolders({ folders: [a, { ...b, parentId: null }] })).not.toBe(hashFolders({ folders: [a, b] }));
+  });
+
+  it('keeps the latest change per folder and applies newer deletions', () => {
+    const local = {
+      folders: [folder('renamed', 'Old name', 10), folder('kept', 'Kept', 50), folder('local-only', 'Mine', 5)],
+      deletedFolders: {},
+    };
+    const remote = {
+      folders: [folder('renamed', 'New name', 20, 'remote-only'), folder('remote-only', 'Theirs', 5)],
+      // 'kept' 在删除之后又被本地修改过，保留
+      deletedFolders: { kept: 40, 'local-only': 30 },
+    };
+
+    const merged = mergeFolders(local, remote);
+
+    expect(merged.folders.map((entry) => [entry.id, entry.name, entry.parentId])).toEqual([
+      ['renamed', 'New name', 'remote-only'],
+      ['kept', 'Kept', null],
+      ['remote-only', 'Theirs', null],
+    ]);
+    expect(merged.deletedFolders).toEqual({ 'local-only': 30 });
+  });
+});
@@ -0,0 +1,92 @@
+import { describe, expect, it } from 'vitest';
+import { isNotebookSnapshot, mergeNotebookSnapshot } from '../snapshot';
+
+const makeNote = (overrides) => ({
+  notebookId: 'nb-local',
+  title: 'Note',
+  content: '',
+  tags: [],
+  version: 1,
+  updatedAt: 100,
+  ...overrides,
+});
+
+describe('notebook snapshot', () => {
+  it('does not treat legacy content payloads as snapshots', () => {
+    expect(isNotebookSnapshot({ type: 'notebook', notebookId: 'nb-remote', notes: [], deletedNotes: {} })).toBe(true);
+    expect(isNotebookSnapshot({ content: 'hello' })).toBe(false);
+    expect(isNotebookSnapshot(null)).toBe(false);
+  });
+
+  it('adds remote notes and keeps newer local ones', () => {
+    const local = [
+      makeNote({ id: 'a', content: 'local newer', version: 3 }),
+      makeNote({ id: 'b', content: 'local older', version: 1 }),
+    ];
+    const snapshot = {
+      type: 'notebook',
+      notebookId: 'nb-remote',
+      notes: [
+        { id: 'a', content: 'remote older', version: 2, updatedAt: 200 },
+        { id: 'b', content: 'remote newer', version: 2, updatedAt: 200 },
+        { id: 'c', content: 'remote only', version: 1, updatedAt: 200 },
+      ],
+      deletedNotes: {},
+    };
+
+    const merged = mergeNotebookSnapshot(local, {}, snapshot, 'nb-local');
+    const byId = Object.fromEntries(merged.notes.map((note) => [note.id, note]));
+
+    expect(byId.a.content).toBe('local newer');
+    expect(byId.b.content).toBe('remote newer');
+    expect(byId.c.content).toBe('remote only');
+    expect(byId.c.notebookId).toBe('nb-local');
+    expect(merged.updatedIds.sort()).toEqual(['b', 'c']);
+  });
+
+  it('breaks version ties with the update time', () => {
+    const local = [makeNote({ id: 'a', content: 'local', version: 2, updatedAt: 300 })];
+    const snapshot = {
+      type: 'notebook',
+      notes: [{ id: 'a', content: 'remote', version: 2, updatedAt: 200 }],
+      deletedNotes: {},
+    };
+
+    const merged = mergeNotebookSnapshot(local, {}, snapshot, 'nb-local');
+    expect(merged.notes[0].content).toBe('local');
+    expect(merged.updatedIds).toEqual([]);
+  });
+
+  it('applies remote deletions unless the note was edited afterwards', () => {
+    const local = [
+      makeNote({ id: 'deleted', updatedAt: 100 }),
+      makeNote({ id: 'edited', updatedAt: 500 }),
+    ];
+    const snapshot = {
+      type: 'notebook',
+      notes: [],
+      deletedNotes: { deleted: 200, edited: 200 },
+    };
+
+    const merged = mergeNotebookSnapshot(local, {}, snapshot, 'nb-local');
+
+    expect(merged.notes.map((note) => note.id)).toEqual(['edited']);
+    expect(merged.removedIds).toEqual(['deleted']);
+    expect(merged.deletedNotes).toEqual({ deleted: 200 });
+  });
+
+  it('does not resurrect notes deleted locally', () => {
+    const snapshot = {
+      type: 'notebook',
+      notes: [{ id: 'a', content: 'stale', version: 1, updatedAt: 100 }],
+      deletedNotes: {},
+    };
+
+    const merged = mergeNotebookSnapshot([], { a: 150 }, snapshot, 'nb-local');
+
+    expect(merged.notes).toEqual([]);
+    expect(merged.updatedIds).toEqual([]);
+    expect(merged.removedIds).toEqual([]);
+    expect(merged.deletedNotes).toEqual({ a: 150 });
+  });
+});
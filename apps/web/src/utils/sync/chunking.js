@@ -3,9 +3,14 @@
  * 处理大文件的分块和重组
  */
 
+import CryptoJS from 'crypto-js';
+
 // Chunk size for large content (50KB)
 export const CHUNK_SIZE = 50 * 1024;
 
+// Chunks of one upload that may be waiting for chunk-ack at the same time
+export const CHUNK_UPLOAD_WINDOW = 4;
+
 /**
  * 将内容分割成块
  * @param {string} content - 要分割的内容
@@ -30,6 +35,160 @@ export const splitIntoChunks = (content) => {
   return chunks;
 };
 
+/**
+ * 将一次推送拆成多个事件负载
+ * 先整体加密再切分密文，服务器收齐所有块后按序拼接，保存和广播的都是完整密文。
+ * 每块都带完整密文的 SHA-256（digest），服务器据此在缓存分块前验证签名，拼接后再核对
+ * @param {Object} payload - 事件的其他字段（roomId、timestamp 等）
+ * @param {string} encryptedData - 完整密文
+ * @param {string} sessionId - 分块会话ID
+ * @returns {Array<Object>} 只有一块时不带分块字段
+ */
+export const createChunkedPayloads = (payload, encryptedData, sessionId) => {
+  const chunks = splitIntoChunks(encryptedData);
+  if (chunks.length === 1) {
+    return [{ ...payload, encryptedData }];
+  }
+
+  const digest = CryptoJS.SHA256(encryptedData).toString(CryptoJS.enc.Hex);
+  return chunks.map((chunk) => ({
+    ...payload,
+    encryptedData: chunk.data,
+    sessionId,
+    digest,
+    chunkIndex: chunk.index,
+    totalChunks: chunk.total,
+  }));
+};
+
+/**
+ * 创建分块上传管理器（发送端）
+ * 每个上传同时最多有 windowSize 个块等待 chunk-ack，收到确认再发下一块；
+ * 断线重连后先用 chunk-status 查询服务器已有的块，只补发缺失的块
+ * @param {number} windowSize - 同时等待确认的块数
+ * @returns {Object} 上传管理器，各方法返回需要发送的 { event, payload } 列表
+ */
+export const createChunkUploadManager = (windowSize = CHUNK_UPLOAD_WINDOW) => {
+  // sessionId -> { key, event, payloads, acked: Set, inFlight: Set }
+  const uploads = new Map();
+
+  const fill = (upload) => {
+    const entries = [];
+    for (let index = 0; index < upload.payloads.length && upload.inFlight.size < windowSize; index++) {
+      if (!upload.acked.has(index) && !upload.inFlight.has(index)) {
+        upload.inFlight.add(index);
+        entries.push({ event: upload.event, payload: upload.payloads[index] });
+      }
+    }
+    return entries;
+  };
+
+  const finishIfComplete = (sessionId, upload) => {
+    if (upload.acked.size < upload.payloads.length) {
+      return false;
+    }
+    uploads.delete(sessionId);
+    return true;
+  };
+
+  return {
+    /**
+     * 开始一个分块上传，同一目标（整库或某篇笔记）尚未完成的旧上传会被放弃
+     * @param {string} key - 上传目标
+     * @param {string} event - 事件名（push-update / push-note）
+     * @param {Array<Object>} payloads - createChunkedPayloads 的结果
+     * @returns {Array<{event: string, payload: Object}>}
+     */
+    start(key, event, payloads) {
+      for (const [sessionId, upload] of uploads.entries()) {
+        if (upload.key === key) {
+          uploads.delete(sessionId);
+        }
+      }
+
+      const upload = { key, event, payloads, acked: new Set(), inFlight: new Set() };
+      uploads.set(payloads[0].sessionId, upload);
+      return fill(upload);
+    },
+
+    /**
+     * 处理服务器的 chunk-ack
+     * @param {Object} ack - { sessionId, chunkIndex, received, total }
+     * @returns {Array<{event: string, payload: Object}>}
+     */
+    acknowledge({ sessionId, chunkIndex, received, total } = {}) {
+      const upload = uploads.get(sessionId);
+      if (!upload) {
+        return [];
+      }
+
+      upload.acked.add(chunkIndex);
+      upload.inFlight.delete(chunkIndex);
+      if (received === total) {
+        uploads.delete(sessionId);
+        return [];
+      }
+      return finishIfComplete(sessionId, upload) ? [] : fill(upload);
+    },
+
+    /**
+     * 重连后等待确认的块可能已经丢失，返回需要查询 chunk-status 的会话
+     * @returns {Array<string>}
+     */
+    resume() {
+      uploads.forEach((upload) => upload.inFlight.clear());
+      return Array.from(uploads.keys());
+    },
+
+    /**
+     * 处理服务器的 chunk-status，只补发服务器没有的块
+     * 服务器不认识的会话（total 为 0，例如已过期）从头重新上传
+     * @param {Object} status - { sessionId, received, total, complete }
+     * @returns {Array<{event: string, payload: Object}>}
+     */
+    applyStatus({ sessionId, received = [], total = 0, complete = false } = {}) {
+      const upload = uploads.get(sessionId);
+      if (!upload) {
+        return [];
+      }
+
+      if (complete) {
+        uploads.delete(sessionId);
+        return [];
+      }
+
+      upload.acked = new Set(total > 0 ? received : []);
+      upload.inFlight.clear();
+      return finishIfComplete(sessionId, upload) ? [] : fill(upload);
+    },
+
+    /**
+     * 上传进度（所有进行中的上传合计）
+     * @returns {{sent: number, total: number}|null} 没有进行中的上传时为 null
+     */
+    getProgress() {
+      if (uploads.size === 0) {
+        return null;
+      }
+
+      let sent = 0;
+      let total = 0;
+      uploads.forEach((upload) => {
+        sent += upload.acked.size;
+        total += upload.payloads.length;
+      });
+      return { sent, total };
+    },
+
+    /**
+     * 放弃所有上传
+     */
+    clear() {
+      uploads.clear();
+    },
+  };
+};
+
 /**
  * 创建块会话管理器
  * @returns {Object} 会话管理器
@@ -55,6 +214,7 @@ export const createChunkSessionManager = () => {
       }
 
       const session = pendingChunks[sessionId];
+      session.updatedAt = Date.now();
 
       // Prevent duplicate chunks
       if (session.chunks[chunk.index] !== undefined) {
@@ -74,13 +234,13 @@ export const createChunkSessionManager = () => {
     },
 
     /**
-     * 清理过期的会话
+     * 清理过期的会话（超过 timeout 没有收到新块，传输慢但仍在进行的会话不受影响）
      * @param {number} timeout - 超时时间（毫秒）
      */
     cleanupStale(timeout = 30000) {
       const now = Date.now();
       for (const [sessionId, session] of Object.entries(pendingChunks)) {
-        if (now - session.startTime > timeout) {
+        if (now - session.updatedAt > timeout) {
           delete pendingChunks[sessionId];
         }
       }
@@ -97,6 +257,9 @@ export const createChunkSessionManager = () => {
 
 export default {
   CHUNK_SIZE,
+  CHUNK_UPLOAD_WINDOW,
   splitIntoChunks,
+  createChunkedPayloads,
+  createChunkUploadManager,
   createChunkSessionManager,
 };
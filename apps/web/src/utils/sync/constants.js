@@ -37,6 +37,8 @@ export const messages = {
     joinError: 'Failed to join chain',
     networkOffline: 'Network offline',
     networkOnline: 'Network restored',
+    chainRotated: 'This sync chain was rotated on another device. Ask for the new chain code to keep syncing.',
+    deviceRemoved: 'This device was removed from the sync chain by another device.',
   },
   zh: {
     connected: '已连接到同步链',
@@ -47,6 +49,8 @@ export const messages = {
     joinError: '加入同步链失败',
     networkOffline: '网络已断开',
     networkOnline: '网络已恢复',
+    chainRotated: '该同步链已在其他设备上轮换，请获取新的同步链代码后继续同步',
+    deviceRemoved: '此设备已被其他设备从同步链中移除',
   },
 };
 
@@ -0,0 +1,81 @@
+/**
+ * 逐条笔记增量同步
+ * 每次只传输和存储发生变化的笔记密文，而不是整个笔记本
+ */
+
+import { hashContent } from '../shared';
+import { toSyncedNote } from './snapshot';
+
+export const NOTE_PAYLOAD_TYPE = 'note';
+
+/**
+ * 创建单条笔记的加密前负载
+ * @param {Object} note - 笔记
+ * @param {string} [crdt] - CRDT 模式下笔记文档的完整状态（base64）
+ * @returns {{type: string, note: Object, crdt?: string}}
+ */
+export const createNotePayload = (note, crdt) => ({
+  type: NOTE_PAYLOAD_TYPE,
+  note: toSyncedNote(note),
+  ...(crdt ? { crdt } : {}),
+});
+
+/**
+ * 判断负载是否为单条笔记
+ * @param {Object} payload - 解密后的负载
+ * @returns {boolean}
+ */
+export const isNotePayload = (payload) => (
+  !!payload && payload.type === NOTE_PAYLOAD_TYPE && !!payload.note && typeof payload.note.id === 'string'
+);
+
+/**
+ * 计算笔记同步指纹（只包含需要同步的字段）
+ * @param {Object} note - 笔记
+ * @returns {string}
+ */
+export const hashSyncedNote = (note) => hashContent(JSON.stringify([
+  note.version || 0,
+  note.title || '',
+  note.tags || [],
+  note.folderId || null,
+  note.content || '',
+]));
+
+/**
+ * 计算笔记本相对上次同步状态的变化
+ * @param {Object} notebook - 笔记本 { id, deletedNotes }
+ * @param {Array<Object>} notes - 所有笔记（会按 notebookId 过滤）
+ * @param {Map<string, string>} syncedHashes - 已同步笔记的指纹 noteId -> hash
+ * @param {Set<string>} syncedDeletions - 已同步的删除记录
+ * @returns {{upserts: Array<Object>, deletions: Array<{noteId: string, deletedAt: number}>}}
+ */
+export const diffNotebook = (notebook, notes, syncedHashes, syncedDeletions) => {
+  const upserts = notes.filter((note) => (
+    note.notebookId === notebook.id && syncedHashes.get(note.id) !== hashSyncedNote(note)
+  ));
+
+  const deletions = Object.entries(notebook.deletedNotes || {})
+    .filter(([noteId]) => !syncedDeletions.has(noteId))
+    .map(([noteId, deletedAt]) => ({ noteId, deletedAt }));
+
+  return { upserts, deletions };
+};
+
+// 版本冲突时逐字段合并的笔记属性及其默认值（内容交给冲突服务三路比较）
+const MERGED_NOTE_FIELDS = { title: '', tags: [], folderId: null };
+
+/**
+ * 合并服务器拒绝写入时双方的笔记属性：本地相对共同祖先没有改动的字段采用服务器的值
+ * @param {Object} local - 本地笔记
+ * @param {Object} remote - 服务器上的笔记
+ * @param {Object|null} base - 共同祖先（未知时保留本地的值）
+ * @returns {{title: string, tags: Array<string>, folderId: string|null}}
+ */
+export const mergeNoteFields = (local, remote, base) => Object.fromEntries(
+  Object.entries(MERGED_NOTE_FIELDS).map(([field, fallback]) => {
+    const value = (note) => note?.[field] ?? fallback;
+    const unchanged = !!base && JSON.stringify(value(local)) === JSON.stringify(value(base));
+    return [field, unchanged ? value(remote) : value(local)];
+  })
+);
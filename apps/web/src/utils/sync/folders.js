@@ -0,0 +1,90 @@
+/**
+ * 文件夹结构同步
+ * 笔记本的所有文件夹作为一条保留ID的加密记录，和笔记一样通过 push-note 存储和广播；
+ * 不认识这种负载的旧客户端会直接忽略它
+ */
+
+import { hashContent } from '../shared';
+
+export const FOLDERS_PAYLOAD_TYPE = 'folders';
+
+// 文件夹记录使用的笔记ID，不会与 note_ 开头的笔记ID冲突
+export const FOLDERS_RECORD_ID = 'notebook_folders';
+
+/**
+ * 创建文件夹结构的加密前负载
+ * @param {Object} notebook - 笔记本 { folders, deletedFolders }
+ * @returns {{type: string, folders: Array<Object>, deletedFolders: Object<string, number>}}
+ */
+export const createFoldersPayload = (notebook) => ({
+  type: FOLDERS_PAYLOAD_TYPE,
+  folders: (notebook.folders || []).map(({ id, name, parentId, createdAt, updatedAt }) => ({
+    id,
+    name,
+    parentId: parentId || null,
+    createdAt,
+    updatedAt,
+  })),
+  deletedFolders: { ...(notebook.deletedFolders || {}) },
+});
+
+/**
+ * 判断负载是否为文件夹结构
+ * @param {Object} payload - 解密后的负载
+ * @returns {boolean}
+ */
+export const isFoldersPayload = (payload) => (
+  !!payload && payload.type === FOLDERS_PAYLOAD_TYPE && Array.isArray(payload.folders)
+);
+
+/**
+ * 计算文件夹结构指纹（与文件夹顺序无关）
+ * @param {Object} notebook - 笔记本或文件夹负载 { folders, deletedFolders }
+ * @returns {string}
+ */
+export const hashFolders = (notebook) => hashContent(JSON.stringify([
+  (notebook.folders || [])
+    .map((folder) => [folder.id, folder.name, folder.parentId || null, folder.updatedAt || 0])
+    .sort((a, b) => a[0].localeCompare(b[0])),
+  Object.entries(notebook.deletedFolders || {}).sort((a, b) => a[0].localeCompare(b[0])),
+]));
+
+/**
+ * 合并远程文件夹结构
+ * - 每个文件夹取更新时间更晚的一方（名称和父文件夹一起决定）
+ * - 删除记录不早于文件夹最后修改时间时删除文件夹，否则保留（修改胜过删除）
+ *
+ * @param {Object} local - 本地 { folders, deletedFolders }
+ * @param {Object} remote - 远程文件夹负载
+ * @returns {{folders: Array<Object>, deletedFolders: Object<string, number>}}
+ */
+export const mergeFolders = (local, remote) => {
+  const deletedFolders = { ...(local.deletedFolders || {}) };
+  Object.entries(remote.deletedFolders || {}).forEach(([folderId, deletedAt]) => {
+    deletedFolders[folderId] = Math.max(deletedFolders[folderId] || 0, deletedAt);
+  });
+
+  const merged = new Map((local.folders || []).map((folder) => [folder.id, folder]));
+  (remote.folders || []).forEach((folder) => {
+    const existing = merged.get(folder.id);
+    if (!existing || (folder.updatedAt || 0) > (existing.updatedAt || 0)) {
+      merged.set(folder.id, folder);
+    }
+  });
+
+  merged.forEach((folder, folderId) => {
+    const deletedAt = deletedFolders[folderId];
+    if (deletedAt === undefined) {
+      return;
+    }
+
+    if (deletedAt >= (folder.updatedAt || 0)) {
+      merged.delete(folderId);
+    } else {
+      // 删除之后又被修改过，文件夹恢复
+      delete deletedFolders[folderId];
+    }
+  });
+
+  return { folders: [...merged.values()], deletedFolders };
+};
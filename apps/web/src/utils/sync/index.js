@@ -4,3 +4,6 @@
 
 export * from './constants';
 export * from './chunking';
+export * from './snapshot';
+export * from './delta';
+export * from './folders';
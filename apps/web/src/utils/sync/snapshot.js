@@ -0,0 +1,120 @@
+/**
+ * 笔记本快照
+ * 旧版本客户端的房间负载携带整个笔记本（所有笔记及删除记录）。
+ * 现在按笔记增量同步（见 delta.js），这里只负责识别和合并收到的快照
+ */
+
+export const NOTEBOOK_SNAPSHOT_TYPE = 'notebook';
+
+// 随笔记同步的字段
+const SYNCED_NOTE_FIELDS = [
+  'id',
+  'title',
+  'content',
+  'tags',
+  'folderId',
+  'version',
+  'timestamp',
+  'deviceId',
+  'createdAt',
+  'updatedAt',
+];
+
+/**
+ * 提取需要同步的笔记字段（不含设备本地的 notebookId）
+ * @param {Object} note - 笔记
+ * @returns {Object}
+ */
+export const toSyncedNote = (note) => {
+  const picked = {};
+  SYNCED_NOTE_FIELDS.forEach((field) => {
+    if (note[field] !== undefined) {
+      picked[field] = note[field];
+    }
+  });
+  picked.tags = Array.isArray(note.tags) ? note.tags : [];
+  return picked;
+};
+
+const noteTime = (note) => note.updatedAt || note.timestamp || 0;
+
+/**
+ * 判断负载是否为笔记本快照
+ * @param {Object} payload - 解密后的负载
+ * @returns {boolean}
+ */
+export const isNotebookSnapshot = (payload) => (
+  !!payload && payload.type === NOTEBOOK_SNAPSHOT_TYPE && Array.isArray(payload.notes)
+);
+
+/**
+ * 判断远程笔记是否比本地新
+ * @param {Object} local - 本地笔记
+ * @param {Object} remote - 远程笔记
+ * @returns {boolean}
+ */
+export const isRemoteNoteNewer = (local, remote) => {
+  const localVersion = local.version || 0;
+  const remoteVersion = remote.version || 0;
+
+  if (remoteVersion !== localVersion) {
+    return remoteVersion > localVersion;
+  }
+  return noteTime(remote) > noteTime(local);
+};
+
+/**
+ * 将远程快照合并到本地笔记
+ * - 版本号更高（相同时取更新时间更晚）的一方胜出
+ * - 删除记录晚于笔记最后修改时间时删除笔记，否则保留（编辑胜过删除）
+ *
+ * @param {Array<Object>} localNotes - 本地属于该笔记本的笔记
+ * @param {Object<string, number>} localDeleted - 本地删除记录 { noteId: deletedAt }
+ * @param {Object} snapshot - 远程笔记本快照
+ * @param {string} notebookId - 本地笔记本ID（各设备的笔记本ID可能不同）
+ * @returns {{notes: Array<Object>, deletedNotes: Object<string, number>, updatedIds: Array<string>, removedIds: Array<string>}}
+ */
+export const mergeNotebookSnapshot = (localNotes, localDeleted, snapshot, notebookId) => {
+  const deletedNotes = { ...(localDeleted || {}) };
+  Object.entries(snapshot.deletedNotes || {}).forEach(([noteId, deletedAt]) => {
+    deletedNotes[noteId] = Math.max(deletedNotes[noteId] || 0, deletedAt);
+  });
+
+  const merged = new Map(localNotes.map((note) => [note.id, note]));
+  const updatedIds = [];
+
+  snapshot.notes.forEach((remote) => {
+    const local = merged.get(remote.id);
+    if (!local || isRemoteNoteNewer(local, remote)) {
+      merged.set(remote.id, {
+        ...(local || {}),
+        ...remote,
+        notebookId,
+      });
+      updatedIds.push(remote.id);
+    }
+  });
+
+  const removedIds = [];
+  merged.forEach((note, noteId) => {
+    const deletedAt = deletedNotes[noteId];
+    if (deletedAt === undefined) {
+      return;
+    }
+
+    if (deletedAt >= noteTime(note)) {
+      merged.delete(noteId);
+      removedIds.push(noteId);
+    } else {
+      // 删除之后又被编辑过，笔记复活
+      delete deletedNotes[noteId];
+    }
+  });
+
+  return {
+    notes: [...merged.values()],
+    deletedNotes,
+    updatedIds: updatedIds.filter((noteId) => merged.has(noteId)),
+    removedIds: removedIds.filter((noteId) => localNotes.some((note) => note.id === noteId)),
+  };
+};
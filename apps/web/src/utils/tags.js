@@ -0,0 +1,68 @@
+/**
+ * 笔记标签
+ * 标签保留输入时的大小写，但比较和去重不区分大小写
+ */
+
+/**
+ * 规范化单个标签：去掉首尾空白和开头的 #，内部连续空白合并为一个空格
+ * @param {string} tag
+ * @returns {string} 无效时返回空字符串
+ */
+export const normalizeTag = (tag) => String(tag ?? '')
+  .trim()
+  .replace(/^#+/, '')
+  .replace(/\s+/g, ' ')
+  .trim();
+
+/**
+ * 标签比较用的键
+ * @param {string} tag
+ * @returns {string}
+ */
+export const tagKey = (tag) => normalizeTag(tag).toLowerCase();
+
+/**
+ * 规范化标签列表：去掉空标签，按不区分大小写去重（保留第一次出现的写法）
+ * @param {string[]} tags
+ * @returns {string[]}
+ */
+export const normalizeTags = (tags) => {
+  const seen = new Set();
+  return (Array.isArray(tags) ? tags : []).map(normalizeTag).filter((tag) => {
+    const key = tag.toLowerCase();
+    if (!tag || seen.has(key)) {
+      return false;
+    }
+    seen.add(key);
+    return true;
+  });
+};
+
+/**
+ * 笔记是否带有标签
+ * @param {{tags?: string[]}} note
+ * @param {string} tag
+ * @returns {boolean}
+ */
+export const hasTag = (note, tag) => {
+  const key = tagKey(tag);
+  return (note.tags || []).some((entry) => tagKey(entry) === key);
+};
+
+/**
+ * 统计笔记中出现的标签
+ * @param {{tags?: string[]}[]} notes
+ * @returns {{name: string, count: number}[]} 按名称排序
+ */
+export const collectTags = (notes) => {
+  const counts = new Map();
+  notes.forEach((note) => {
+    normalizeTags(note.tags).forEach((tag) => {
+      const key = tag.toLowerCase();
+      const entry = counts.get(key) || { name: tag, count: 0 };
+      entry.count += 1;
+      counts.set(key, entry);
+    });
+  });
+  return [...counts.values()].sort((a, b) => a.name.localeCompare(b.name));
+};
@@ -6,6 +6,9 @@ export const translations = {
     appSubtitleLine2: 'No accounts. No tracking.',
     deviceNameLabel: 'Your Device Name',
     deviceNamePlaceholder: 'e.g. MacBook Pro',
+    passphraseLabel: 'Passphrase (optional)',
+    passphrasePlaceholder: 'Extra secret that is not in the Chain Code',
+    passphraseHint: 'Every device needs the same passphrase. It is not part of the QR code, so a leaked code alone cannot decrypt your notes.',
     startChain: 'Start New Sync Chain',
     orJoinExisting: 'Or join existing',
     chainPlaceholder: 'Paste your 12-word Chain Code here...',
@@ -21,6 +24,10 @@ export const translations = {
     devicesInChain: 'Devices in Chain',
     syncChainCode: 'Sync Chain Code',
     copyCode: 'Copy Code',
+    rotateChain: 'Rotate Chain',
+    rotateChainHint: 'Use this if the code leaked. Your notes move to a new chain and the old one stops working on every device; share the new code with your other devices.',
+    rotateChainSuccess: 'Chain rotated. Share the new code with your other devices.',
+    rotateChainError: 'Failed to rotate the chain',
     copied: 'Copied!',
     showQR: 'Show QR Code',
     hideQR: 'Hide QR Code',
@@ -37,6 +44,25 @@ export const translations = {
     // History
     history: 'History',
     historyEmpty: 'No history yet',
+    serverHistory: 'Server History',
+    serverHistoryEmpty: 'The server has no saved versions of this note',
+    serverHistoryError: 'Failed to load server history',
+    restored: 'Restored',
+    restoreVersionError: 'This version cannot be restored',
+    manageDevices: 'Manage Devices',
+    manageDevicesHint: 'Removed devices can no longer join or write. Anyone who still has the chain code can join again as a new device; rotate the chain to lock them out completely.',
+    devicesEmpty: 'No devices registered yet',
+    devicesError: 'Failed to load devices',
+    thisDevice: 'This device',
+    deviceOnline: 'Online',
+    deviceLastSeen: 'Last seen',
+    deviceRemovedLabel: 'Removed',
+    removeDevice: 'Remove',
+    removeDeviceConfirm: 'Remove this device? It can no longer join with its current key, but whoever holds the chain code can join again as a new device and read your notes. Rotate the chain as well to lock it out.',
+    removeDeviceAndRotate: 'Remove and rotate chain',
+    removeDeviceSuccess: 'Device removed',
+    removeDeviceError: 'Failed to remove the device',
+    refresh: 'Refresh',
     restore: 'Restore',
     delete: 'Delete',
     clearAll: 'Clear All',
@@ -46,6 +72,7 @@ export const translations = {
     statusConnected: 'Connected',
     statusSyncing: 'Syncing...',
     statusDisconnected: 'Disconnected',
+    uploadProgress: 'Uploading large note',
     
     // File Operations
     importFile: 'Import',
@@ -54,12 +81,85 @@ export const translations = {
     exportText: 'Export as Text',
     importSuccess: 'File imported successfully',
     exportSuccess: 'File exported successfully',
+    exportHtml: 'HTML',
+    exportHtmlHint: 'Export the rendered note as a standalone HTML file',
+    exportPdf: 'Print / PDF',
+    exportPdfHint: 'Open the print dialog to print the note or save it as PDF',
+    exportRenderError: 'Failed to render the note',
+    attachFile: 'Attach',
+    attachFileHint: 'Attach an image or file; it is encrypted before upload',
+    attachmentUploading: 'Encrypting and uploading attachment...',
+    attachmentUploaded: 'Attachment added to the note',
+    attachmentError: 'Failed to upload attachment',
+    attachmentTooLarge: 'Attachments can be at most 25 MB',
+    attachmentLoading: 'Decrypting attachment...',
+    attachmentUnavailable: 'Attachment unavailable',
+    imageUploading: 'Uploading image...',
+    imagePasteError: 'Failed to add the image',
+    backlinks: 'Backlinks',
+    backlinksHint: 'Notes that link here with [[title]]',
+    noBacklinks: 'No other note links to this one yet. Type [[ in a note to link it.',
+    invalidNoteTitle: 'Titles cannot contain [ ] | or #, they would break [[links]]',
+    notebookArchive: 'Notebook archive',
+    notebookArchiveHint: 'Export or import notebooks with their history',
+    archiveScope: 'Notebooks to export',
+    archiveScopeCurrent: 'Current notebook',
+    archiveScopeAll: 'All notebooks',
+    archivePassword: 'Password (optional)',
+    archivePasswordHint: 'With a password the archive is encrypted and also contains the sync chains; without one, imported notebooks start new chains',
+    archivePasswordTooShort: 'The password must be at least 8 characters',
+    exportArchive: 'Export archive',
+    importArchive: 'Import archive',
+    importArchiveHint: 'Imported notes are merged into matching notebooks; notes that already exist are skipped',
+    archiveImported: 'Imported {imported} notes, skipped {duplicates} duplicates',
+    archiveInvalid: 'This file is not a notebook archive',
+    archiveWrongPassword: 'Wrong archive password',
+    archiveExportError: 'Failed to export notebooks',
+    archiveImportError: 'Failed to import archive',
+    importFolder: 'Import folder',
+    importFolderHint: 'Import an Obsidian vault or Joplin RAW export as a new notebook',
+    importFileHint: 'Markdown or text into the current note; zip, Joplin JEX or Evernote ENEX as a new notebook',
+    importingNotebook: 'Importing notes...',
+    importedNotebook: 'Imported {count} notes into "{name}"',
+    importUnsupported: 'No notes found in the selected files',
+    importError: 'Failed to import notes',
     
     // Settings
     fontSize: 'Font Size',
     tabSize: 'Tab Size',
     lineNumbers: 'Line Numbers',
     wordWrap: 'Word Wrap',
+    crdtSync: 'Live Merge (CRDT)',
+    crdtSyncHint: 'Merge concurrent edits character by character instead of asking to resolve conflicts',
+    kdfProfile: 'Key Derivation',
+    kdfProfileHint: 'Stronger settings take longer to unlock. Notes are re-encrypted and other devices switch automatically.',
+    kdfLegacy: 'PBKDF2 (legacy)',
+    kdfChanged: 'Notes re-encrypted with the new key derivation',
+    kdfChangeError: 'Failed to change key derivation',
+
+    // Read-only sharing
+    shareNote: 'Share Read-only Link',
+    shareNoteHint: 'Anyone with the link can read this note, but cannot edit it or see your other notes. The key is only in the link, so the server cannot read the note.',
+    shareExpiry: 'Link expires after',
+    shareExpiry1h: '1 hour',
+    shareExpiry1d: '1 day',
+    shareExpiry7d: '7 days',
+    shareExpiry30d: '30 days',
+    burnAfterReading: 'Burn after reading',
+    burnAfterReadingHint: 'The server deletes the note the first time the link is opened.',
+    createShareLink: 'Create Link',
+    copyLink: 'Copy',
+    shareLinkCopied: 'Link copied to clipboard',
+    shareLinkError: 'Failed to create share link',
+    sharedNoteReadOnly: 'Read-only',
+    sharedNoteLoading: 'Opening shared note...',
+    sharedNoteExpires: 'Link expires',
+    sharedNoteNotFound: 'This link has expired or does not exist.',
+    sharedNoteMissingKey: 'This link is incomplete: the key after "#" is missing.',
+    sharedNoteError: 'Failed to open the shared note.',
+    sharedNoteBurnWarning: 'This note can only be opened once. After you open it, it is deleted from the server and the link stops working.',
+    sharedNoteOpen: 'Open Note',
+    sharedNoteBurned: 'This note has been deleted from the server. Copy anything you need before closing the page.',
     syncDelay: 'Sync Delay (ms)',
     editorMode: 'Editor Mode',
     markdown: 'Markdown',
@@ -90,6 +190,9 @@ export const translations = {
     appSubtitleLine2: '无需账号，不留痕迹。',
     deviceNameLabel: '设备名称',
     deviceNamePlaceholder: '例如：我的 MacBook',
+    passphraseLabel: '口令（可选）',
+    passphrasePlaceholder: '同步密钥之外的额外密码',
+    passphraseHint: '每台设备都需要输入相同的口令。口令不在二维码中，仅泄露同步密钥无法解密你的笔记。',
     startChain: '创建新的同步链',
     orJoinExisting: '或加入已有同步链',
     chainPlaceholder: '在此粘贴你的 12 个单词同步密钥...',
@@ -105,6 +208,10 @@ export const translations = {
     devicesInChain: '在线设备',
     syncChainCode: '同步链代码',
     copyCode: '复制代码',
+    rotateChain: '轮换同步链',
+    rotateChainHint: '同步链代码泄露时使用。笔记会迁移到新的同步链，旧链在所有设备上失效；请把新代码发给你的其他设备。',
+    rotateChainSuccess: '同步链已轮换，请把新代码发给你的其他设备',
+    rotateChainError: '轮换同步链失败',
     copied: '已复制！',
     showQR: '显示二维码',
     hideQR: '隐藏二维码',
@@ -121,6 +228,25 @@ export const translations = {
     // 历史记录
     history: '历史记录',
     historyEmpty: '暂无历史记录',
+    serverHistory: '服务器历史',
+    serverHistoryEmpty: '服务器上没有这条笔记的历史版本',
+    serverHistoryError: '加载服务器历史失败',
+    restored: '已恢复',
+    restoreVersionError: '无法恢复该版本',
+    manageDevices: '设备管理',
+    manageDevicesHint: '被移除的设备不能再加入或写入。仍持有同步链代码的人可以作为新设备重新加入；如需彻底阻止，请轮换同步链。',
+    devicesEmpty: '还没有已登记的设备',
+    devicesError: '加载设备列表失败',
+    thisDevice: '本设备',
+    deviceOnline: '在线',
+    deviceLastSeen: '最后在线',
+    deviceRemovedLabel: '已移除',
+    removeDevice: '移除',
+    removeDeviceConfirm: '确定移除这台设备？它无法再用当前密钥加入，但持有同步链代码的人仍可作为新设备重新加入并读取笔记。同时轮换同步链才能彻底阻止它。',
+    removeDeviceAndRotate: '移除并轮换同步链',
+    removeDeviceSuccess: '设备已移除',
+    removeDeviceError: '移除设备失败',
+    refresh: '刷新',
     restore: '恢复',
     delete: '删除',
     clearAll: '清空全部',
@@ -130,6 +256,7 @@ export const translations = {
     statusConnected: '已连接',
     statusSyncing: '同步中...',
     statusDisconnected: '未连接',
+    uploadProgress: '正在上传大笔记',
     
     // 文件操作
     importFile: '导入',
@@ -138,12 +265,85 @@ export const translations = {
     exportText: '导出为文本',
     importSuccess: '文件导入成功',
     exportSuccess: '文件导出成功',
+    exportHtml: 'HTML',
+    exportHtmlHint: '把渲染后的笔记导出为独立的 HTML 文件',
+    exportPdf: '打印 / PDF',
+    exportPdfHint: '打开打印对话框，打印笔记或另存为 PDF',
+    exportRenderError: '笔记渲染失败',
+    attachFile: '附件',
+    attachFileHint: '添加图片或文件，上传前会先加密',
+    attachmentUploading: '正在加密并上传附件...',
+    attachmentUploaded: '附件已添加到笔记',
+    attachmentError: '附件上传失败',
+    attachmentTooLarge: '附件不能超过 25 MB',
+    attachmentLoading: '正在解密附件...',
+    attachmentUnavailable: '附件不可用',
+    imageUploading: '正在上传图片...',
+    imagePasteError: '图片添加失败',
+    backlinks: '反向链接',
+    backlinksHint: '用 [[标题]] 链接到本笔记的其他笔记',
+    noBacklinks: '还没有其他笔记链接到这里。在笔记中输入 [[ 即可添加链接。',
+    invalidNoteTitle: '标题不能包含 [ ] | 或 #，否则 [[链接]] 会失效',
+    notebookArchive: '笔记本归档',
+    notebookArchiveHint: '导出或导入笔记本及其历史记录',
+    archiveScope: '导出的笔记本',
+    archiveScopeCurrent: '当前笔记本',
+    archiveScopeAll: '全部笔记本',
+    archivePassword: '密码（可选）',
+    archivePasswordHint: '设置密码后归档会被加密，并包含同步链；不设置时导入的笔记本会使用新的同步链',
+    archivePasswordTooShort: '密码至少需要 8 个字符',
+    exportArchive: '导出归档',
+    importArchive: '导入归档',
+    importArchiveHint: '导入的笔记会合并到对应的笔记本，已存在的笔记会被跳过',
+    archiveImported: '已导入 {imported} 条笔记，跳过 {duplicates} 条重复笔记',
+    archiveInvalid: '该文件不是笔记本归档',
+    archiveWrongPassword: '归档密码错误',
+    archiveExportError: '导出笔记本失败',
+    archiveImportError: '导入归档失败',
+    importFolder: '导入文件夹',
+    importFolderHint: '把 Obsidian 库或 Joplin RAW 导出导入为新笔记本',
+    importFileHint: 'Markdown 或文本导入到当前笔记；zip、Joplin JEX 或 Evernote ENEX 导入为新笔记本',
+    importingNotebook: '正在导入笔记...',
+    importedNotebook: '已导入 {count} 条笔记到“{name}”',
+    importUnsupported: '所选文件中没有找到笔记',
+    importError: '导入笔记失败',
     
     // 设置
     fontSize: '字体大小',
     tabSize: 'Tab 大小',
     lineNumbers: '显示行号',
     wordWrap: '自动换行',
+    crdtSync: '实时合并 (CRDT)',
+    crdtSyncHint: '多设备同时编辑时逐字符自动合并，不再弹出冲突处理',
+    kdfProfile: '密钥派生',
+    kdfProfileHint: '强度越高解锁越慢。笔记会重新加密，其他设备自动跟随。',
+    kdfLegacy: 'PBKDF2（旧版）',
+    kdfChanged: '笔记已使用新的密钥派生重新加密',
+    kdfChangeError: '切换密钥派生失败',
+
+    // 只读分享
+    shareNote: '只读分享链接',
+    shareNoteHint: '拿到链接的人可以阅读这条笔记，但不能编辑，也看不到你的其他笔记。密钥只在链接里，服务器无法读取笔记内容。',
+    shareExpiry: '链接有效期',
+    shareExpiry1h: '1 小时',
+    shareExpiry1d: '1 天',
+    shareExpiry7d: '7 天',
+    shareExpiry30d: '30 天',
+    burnAfterReading: '阅后即焚',
+    burnAfterReadingHint: '链接第一次被打开后，服务器会删除这条笔记。',
+    createShareLink: '生成链接',
+    copyLink: '复制',
+    shareLinkCopied: '链接已复制到剪贴板',
+    shareLinkError: '生成分享链接失败',
+    sharedNoteReadOnly: '只读',
+    sharedNoteLoading: '正在打开分享的笔记...',
+    sharedNoteExpires: '链接有效期至',
+    sharedNoteNotFound: '链接已过期或不存在。',
+    sharedNoteMissingKey: '链接不完整：缺少 "#" 后面的密钥。',
+    sharedNoteError: '打开分享的笔记失败。',
+    sharedNoteBurnWarning: '这条笔记只能打开一次。打开后服务器会删除它，链接随即失效。',
+    sharedNoteOpen: '打开笔记',
+    sharedNoteBurned: '这条笔记已从服务器删除。关闭页面前请复制需要保留的内容。',
     syncDelay: '同步延迟 (毫秒)',
     editorMode: '编辑器模式',
     markdown: 'Markdown',
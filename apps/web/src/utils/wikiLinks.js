@@ -0,0 +1,153 @@
+/**
+ * Wiki 风格的笔记链接：[[笔记标题]]、[[笔记标题#标题|显示文字]]
+ * 链接按标题解析为同一笔记本中的笔记，标题比较不区分大小写
+ */
+
+// [[目标|显示文字]]，目标中可以带 #小节
+const WIKI_LINK_PATTERN = /\[\[([^[\]|\n]+?)(?:\|([^[\]\n]*))?\]\]/g;
+
+// 代码块和行内代码中的 [[...]] 不是链接
+const CODE_PATTERN = /(```|~~~)[\s\S]*?(?:\1|$)|`[^`\n]*`/g;
+
+const WIKI_LINK_PROTOCOL = 'wiki:';
+
+// 标题中出现这些字符时无法写成 [[标题]]：[ ] 和 | 会截断链接，# 会被当作小节
+const UNLINKABLE_TITLE_PATTERN = /[[\]|#\n]/;
+
+/**
+ * 标题比较用的键：忽略首尾空白、连续空白和大小写
+ * @param {string} title
+ * @returns {string}
+ */
+export const wikiLinkKey = (title) => String(title ?? '').trim().replace(/\s+/g, ' ').toLowerCase();
+
+/**
+ * 标题能否原样写进 [[链接]]
+ * @param {string} title
+ * @returns {boolean}
+ */
+export const isLinkableTitle = (title) => Boolean(String(title ?? '').trim()) && !UNLINKABLE_TITLE_PATTERN.test(title);
+
+/**
+ * 找出文本中的所有 wiki 链接（不跳过代码）
+ * @param {string} text
+ * @returns {Array<{title: string, heading: string, alias: string|undefined, from: number, to: number}>}
+ */
+export const matchWikiLinks = (text) => {
+  const links = [];
+  for (const match of String(text || '').matchAll(WIKI_LINK_PATTERN)) {
+    const [target, ...heading] = match[1].split('#');
+    const title = target.trim();
+    if (title) {
+      links.push({
+        title,
+        heading: heading.join('#').trim(),
+        alias: match[2],
+        from: match.index,
+        to: match.index + match[0].length,
+      });
+    }
+  }
+  return links;
+};
+
+/**
+ * 找出 Markdown 内容中的 wiki 链接，跳过代码块和行内代码
+ * @param {string} content
+ * @returns {Array<{title: string, heading: string, alias: string|undefined, from: number, to: number}>}
+ */
+export const parseWikiLinks = (content) => (
+  // 代码替换为等长的空白，链接位置仍对应原文
+  matchWikiLinks(String(content || '').replace(CODE_PATTERN, (code) => ' '.repeat(code.length)))
+);
+
+/**
+ * 按标题查找笔记
+ * @param {Array<Object>} notes - 同一笔记本的笔记
+ * @param {string} title
+ * @returns {Object|null}
+ */
+export const findNoteByTitle = (notes, title) => {
+  const key = wikiLinkKey(title);
+  return (key && notes.find((note) => wikiLinkKey(note.title) === key)) || null;
+};
+
+/**
+ * 预览中 wiki 链接使用的 URL
+ * @param {string} title
+ * @returns {string}
+ */
+export const toWikiLinkUrl = (title) => `${WIKI_LINK_PROTOCOL}${encodeURIComponent(title)}`;
+
+export const isWikiLinkUrl = (url) => typeof url === 'string' && url.startsWith(WIKI_LINK_PROTOCOL);
+
+/**
+ * 从 wiki 链接 URL 取出笔记标题
+ * @param {string} url
+ * @returns {string|null}
+ */
+export const parseWikiLinkUrl = (url) => {
+  if (!isWikiLinkUrl(url)) {
+    return null;
+  }
+  try {
+    return decodeURIComponent(url.slice(WIKI_LINK_PROTOCOL.length));
+  } catch {
+    return null;
+  }
+};
+
+// 链接所在的一行，作为反向链接的上下文
+const lineAround = (content, index, maxLength = 120) => {
+  const start = content.lastIndexOf('\n', index - 1) + 1;
+  const end = content.indexOf('\n', index);
+  const line = content.slice(start, end === -1 ? undefined : end).trim();
+  return line.length > maxLength ? `${line.slice(0, maxLength)}...` : line;
+};
+
+/**
+ * 同一笔记本中链接到该笔记的其他笔记
+ * @param {Array<Object>} notes - 所有笔记
+ * @param {Object} note - 当前笔记
+ * @returns {Array<{note: Object, count: number, context: string}>} 按更新时间倒序
+ */
+export const getBacklinks = (notes, note) => {
+  const key = wikiLinkKey(note?.title);
+  if (!key) {
+    return [];
+  }
+
+  return notes
+    .filter((other) => other.id !== note.id && other.notebookId === note.notebookId)
+    .map((other) => {
+      const links = parseWikiLinks(other.content).filter((link) => wikiLinkKey(link.title) === key);
+      return links.length > 0
+        ? { note: other, count: links.length, context: lineAround(other.content, links[0].from) }
+        : null;
+    })
+    .filter(Boolean)
+    .sort((a, b) => (b.note.updatedAt || 0) - (a.note.updatedAt || 0));
+};
+
+/**
+ * 把指向旧标题的链接改为新标题，保留小节和显示文字
+ * @param {string} content
+ * @param {string} oldTitle
+ * @param {string} newTitle
+ * @returns {string} 没有需要修改的链接或新标题无法写进链接时返回原内容
+ */
+export const renameWikiLinks = (content, oldTitle, newTitle) => {
+  if (!isLinkableTitle(newTitle)) {
+    return content;
+  }
+
+  const key = wikiLinkKey(oldTitle);
+  const links = parseWikiLinks(content).filter((link) => wikiLinkKey(link.title) === key);
+
+  // 从后往前替换，前面链接的位置不受影响
+  return links.reduceRight((text, link) => {
+    const target = link.heading ? `${newTitle}#${link.heading}` : newTitle;
+    const alias = link.alias !== undefined ? `|${link.alias}` : '';
+    return `${text.slice(0, link.from)}[[${target}${alias}]]${text.slice(link.to)}`;
+  }, content);
+};